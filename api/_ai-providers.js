@@ -0,0 +1,242 @@
+/**
+ * AI Providers — shared by api/ai.js
+ *
+ * Files starting with "_" are not deployed as functions, so this stays a
+ * helper module.
+ *
+ * A provider streams the model's reply as text chunks:
+ *
+ *   provider.stream({ task, system, message, input }) → async iterable of strings
+ *
+ * task is the endpoint action ('suggest' | 'improve' | 'translate' |
+ * 'draft' | 'organize'); input is the cleaned request for providers that
+ * don't read prompts. maxTokens is optional. Replies follow the endpoint's
+ * text formats (STEPS / TAGS block for suggest, one step per line for
+ * improve, KEY: text lines for translate, TITLE: / STEP: / NOTE: ... lines
+ * for draft, one "S1 | FOLDER: ... | TAGS: ..." line per SOP for organize) —
+ * api/ai.js parses them line by line.
+ *
+ * Providers (env AI_PROVIDER):
+ *   anthropic — Claude Haiku 4.5 over the streaming Messages API (default)
+ *   mock      — deterministic replies built from the input, no network.
+ *               For local development: the same input always gets the same
+ *               steps. AI_MOCK_DELAY_MS paces the chunks (default 40).
+ */
+
+const ANTHROPIC_MODEL = 'claude-haiku-4-5-20251001';
+const MAX_TOKENS = 2048;
+
+/**
+ * The provider for this deployment, or null when it isn't configured
+ */
+export function getProvider(env = process.env) {
+    const name = (env.AI_PROVIDER || 'anthropic').trim().toLowerCase();
+
+    if (name === 'mock') {
+        return createMockProvider({ delayMs: Number(env.AI_MOCK_DELAY_MS ?? 40) || 0 });
+    }
+    if (name === 'anthropic') {
+        if (!env.ANTHROPIC_API_KEY) {
+            console.error('[ai] Missing ANTHROPIC_API_KEY');
+            return null;
+        }
+        return createAnthropicProvider(env.ANTHROPIC_API_KEY);
+    }
+
+    console.error('[ai] Unknown AI_PROVIDER:', name);
+    return null;
+}
+
+// ============================================================================
+// ANTHROPIC
+// ============================================================================
+
+export function createAnthropicProvider(apiKey) {
+    return {
+        name: 'anthropic',
+
+        async *stream({ system, message, maxTokens }) {
+            const response = await fetch('https://api.anthropic.com/v1/messages', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'x-api-key': apiKey,
+                    'anthropic-version': '2023-06-01'
+                },
+                body: JSON.stringify({
+                    model: ANTHROPIC_MODEL,
+                    max_tokens: maxTokens || MAX_TOKENS,
+                    stream: true,
+                    system,
+                    messages: [{ role: 'user', content: message }]
+                })
+            });
+
+            if (!response.ok) {
+                const err = await response.text();
+                console.error('[ai] Anthropic API error:', response.status, err);
+                throw new Error(`API error: ${response.status}`);
+            }
+
+            // Server-sent events: text arrives in content_block_delta events
+            for await (const event of readServerSentEvents(response.body)) {
+                if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+                    yield event.delta.text;
+                } else if (event.type === 'error') {
+                    console.error('[ai] Anthropic stream error:', event.error);
+                    throw new Error(`Stream error: ${event.error?.type || 'unknown'}`);
+                }
+            }
+        }
+    };
+}
+
+/**
+ * Parsed JSON payloads of an SSE body, in order
+ */
+async function* readServerSentEvents(body) {
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    for await (const chunk of body) {
+        buffer += decoder.decode(chunk, { stream: true });
+        let boundary;
+        while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+            const block = buffer.slice(0, boundary);
+            buffer = buffer.slice(boundary + 2);
+            const data = block
+                .split('\n')
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.slice(5).trim())
+                .join('\n');
+            if (!data) continue;
+            try {
+                yield JSON.parse(data);
+            } catch (e) {
+                console.warn('[ai] Skipping unreadable stream event');
+            }
+        }
+    }
+}
+
+// ============================================================================
+// MOCK
+// ============================================================================
+
+// Verbs for each generated step, picked by a hash of the input
+const MOCK_VERBS = [
+    ['Check', 'Inspect', 'Walk through'],
+    ['Work through', 'Complete', 'Go through'],
+    ['Compare', 'Check', 'Confirm']
+];
+
+export function createMockProvider({ delayMs = 0 } = {}) {
+    return {
+        name: 'mock',
+
+        async *stream({ task, input = {} }) {
+            const text = task === 'improve' ? mockImprove(input)
+                : task === 'translate' ? mockTranslate(input)
+                : task === 'draft' ? mockDraft(input)
+                : task === 'organize' ? mockOrganize(input)
+                : mockSuggest(input);
+
+            // Small chunks that split lines mid-word, like a real stream
+            for (let i = 0; i < text.length; i += 12) {
+                if (delayMs > 0) await new Promise(resolve => setTimeout(resolve, delayMs));
+                yield text.slice(i, i + 12);
+            }
+        }
+    };
+}
+
+function mockSuggest({ title = '', description = '' }) {
+    const subject = title.trim().toLowerCase() || 'the task';
+    const seed = hash(title + '\n' + description);
+    const verb = (slot) => MOCK_VERBS[slot][(seed + slot) % MOCK_VERBS[slot].length];
+    const words = subject.split(/[^a-z0-9]+/).filter(word => word.length > 3);
+
+    const steps = [
+        `Gather everything you need for ${subject} before you start.`,
+        `${verb(0)} the work area and note anything out of place.`,
+        `${verb(1)} each item on the ${subject} list in order.`,
+        `${verb(2)} the result against the standard for ${subject}.`,
+        `Record what you did and anything that needs follow-up.`
+    ];
+    if (description.trim()) steps.splice(1, 0, `Read the notes: ${description.trim().slice(0, 80)}`);
+
+    const tags = [...new Set(words)].slice(0, 2).concat('mock');
+    return `STEPS\n${steps.join('\n')}\nTAGS\n${tags.join(', ')}`;
+}
+
+function mockImprove({ steps = [] }) {
+    return steps
+        .map(step => {
+            const text = step.replace(/^(make sure to|be sure to|please|remember to)\s+/i, '').trim();
+            const sentence = text.charAt(0).toUpperCase() + text.slice(1);
+            return /[.!?]$/.test(sentence) ? sentence : `${sentence}.`;
+        })
+        .join('\n');
+}
+
+// Tags each line with the language; tokens and ⏎ markers pass through as they are
+function mockTranslate({ language = 'xx', items = [] }) {
+    return items.map(item => `${item.key}: [${language}] ${item.text}`).join('\n');
+}
+
+// Words that get a step a safety warning
+const MOCK_HAZARDS = /\b(hot|sharp|chemical|bleach|ladder|electric\w*|careful|danger\w*|gloves|goggles)\b/i;
+
+// One step per sentence, a section per paragraph (when there are several),
+// a note for anything in brackets and a warning for hazard words
+function mockDraft({ notes = '', folders = [] }) {
+    const paragraphs = notes.split(/\n\s*\n/).map(p => p.replace(/\s+/g, ' ').trim()).filter(Boolean);
+    const sentences = (text) => text.split(/(?<=[.!?])\s+/).map(s => s.trim()).filter(s => s.length > 3);
+    const firstWords = (text, count) => text.replace(/[^\w\s'-]/g, '').split(/\s+/).slice(0, count).join(' ');
+    const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+    const lines = [
+        `TITLE: ${capitalize(firstWords(paragraphs[0] || 'New procedure', 6))}`,
+        `DESCRIPTION: Drafted from ${notes.trim().length} characters of notes.`
+    ];
+    paragraphs.forEach((paragraph, index) => {
+        if (paragraphs.length > 1) lines.push(`SECTION: Part ${index + 1}: ${firstWords(paragraph, 4)}`);
+        sentences(paragraph).forEach(sentence => {
+            const note = sentence.match(/\(([^)]+)\)/);
+            lines.push(`STEP: ${capitalize(sentence.replace(/\s*\([^)]*\)/g, ''))}`);
+            if (note) lines.push(`NOTE: ${capitalize(note[1])}`);
+            if (MOCK_HAZARDS.test(sentence)) lines.push(`WARNING: Safety check — this step mentions "${sentence.match(MOCK_HAZARDS)[0].toLowerCase()}".`);
+        });
+    });
+
+    const words = notes.toLowerCase().split(/[^a-z]+/).filter(word => word.length > 5);
+    const tags = [...new Set(words)].sort((a, b) => b.length - a.length || a.localeCompare(b)).slice(0, 2).concat('mock');
+    const folder = folders.find(name => notes.toLowerCase().includes(name.toLowerCase()));
+    lines.push(`TAGS: ${tags.join(', ')}`, `FOLDER: ${folder || 'NONE'}`);
+    return lines.join('\n');
+}
+
+// A folder whose name appears in the SOP, else a new one named after the
+// title's longest word; tags are the SOP's own plus title words
+function mockOrganize({ sops = [], folders = [] }) {
+    return sops.map(sop => {
+        const text = sop.text.toLowerCase();
+        const words = [...new Set(sop.title.toLowerCase().split(/[^a-z]+/).filter(word => word.length > 3))]
+            .sort((a, b) => b.length - a.length || a.localeCompare(b));
+        const existing = folders.find(name => name.toLowerCase() !== 'general' && text.includes(name.toLowerCase()));
+        const folder = existing ? `FOLDER: ${existing}`
+            : words.length > 0 ? `NEW FOLDER: ${words[0].charAt(0).toUpperCase()}${words[0].slice(1)}`
+            : 'FOLDER: General';
+        const tags = [...new Set([...(sop.tags || []), ...words.slice(0, 2), 'mock'])];
+        return `${sop.key} | ${folder} | TAGS: ${tags.join(', ')}`;
+    }).join('\n');
+}
+
+// djb2 — stable across runs, so mock output is repeatable
+function hash(text) {
+    let value = 5381;
+    for (let i = 0; i < text.length; i++) {
+        value = ((value << 5) + value + text.charCodeAt(i)) | 0;
+    }
+    return value >>> 0;
+}
@@ -0,0 +1,239 @@
+/**
+ * AI Quotas — shared by api/ai.js
+ *
+ * Every AI call costs credits: its action's weight (ACTION_WEIGHTS). The
+ * account's plan (subscriptions.plan) sets how many credits it can spend per
+ * UTC day and per calendar month, and optionally a monthly pool shared by
+ * everyone on its team (the owner and active members).
+ *
+ * Usage lives in ai_usage, one row per account per day, with the credits
+ * spent and a count per action (docs/ai-quotas-migration.sql).
+ *
+ * Responses carry the quota in headers (quotaHeaders) so the app can warn
+ * before a limit is hit:
+ *   X-AI-Quota-Cost               credits this call costs
+ *   X-AI-Quota-Weights            "suggest=1, improve=2, ..."
+ *   X-AI-Quota-Daily-Limit / -Remaining
+ *   X-AI-Quota-Monthly-Limit / -Remaining
+ *   X-AI-Quota-Team-Limit / -Remaining     (only with a team pool)
+ *   X-AI-Quota-Reset              next daily reset (ISO, UTC midnight)
+ * Remaining counts are after this call, assuming it succeeds.
+ */
+
+// Credits per plan. teamMonthly: a number turns on a team-wide monthly pool
+// on top of each account's own limits; null leaves it off.
+export const PLAN_QUOTAS = {
+    pro: { daily: 100, monthly: 1500, teamMonthly: null }
+};
+
+// subscriptions.plan is 'pro' for everyone today; unknown plans get these
+export const DEFAULT_PLAN = 'pro';
+
+// Improve sends every step in and rewrites them all, so it costs more;
+// translate does that for notes, title and description too, draft reads
+// pages of notes to write a whole SOP, and organize reads up to 50 SOPs
+export const ACTION_WEIGHTS = {
+    suggest: 1,
+    improve: 2,
+    translate: 3,
+    draft: 3,
+    organize: 3
+};
+
+export const HISTORY_DAYS = 30;
+
+export const QUOTA_HEADERS = [
+    'X-AI-Quota-Cost',
+    'X-AI-Quota-Weights',
+    'X-AI-Quota-Daily-Limit',
+    'X-AI-Quota-Daily-Remaining',
+    'X-AI-Quota-Monthly-Limit',
+    'X-AI-Quota-Monthly-Remaining',
+    'X-AI-Quota-Team-Limit',
+    'X-AI-Quota-Team-Remaining',
+    'X-AI-Quota-Reset'
+];
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+export function quotaFor(plan) {
+    return PLAN_QUOTAS[plan] || PLAN_QUOTAS[DEFAULT_PLAN];
+}
+
+export function weightOf(action) {
+    return ACTION_WEIGHTS[action] || 1;
+}
+
+/**
+ * Dates the limits are counted over (UTC)
+ */
+export function periods(now = new Date()) {
+    const day = (date) => date.toISOString().slice(0, 10);
+    const today = day(now);
+    const historyStart = new Date(now);
+    historyStart.setUTCDate(historyStart.getUTCDate() - (HISTORY_DAYS - 1));
+    const dailyReset = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1));
+    const monthlyReset = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() + 1, 1));
+
+    return {
+        today,
+        monthStart: today.slice(0, 8) + '01',
+        historyStart: day(historyStart),
+        dailyReset: dailyReset.toISOString(),
+        monthlyReset: monthlyReset.toISOString()
+    };
+}
+
+/**
+ * Where an account stands. rows are its ai_usage rows since
+ * min(monthStart, historyStart); teamUnits is what its team spent this month
+ * (null without a pool).
+ */
+export function summarize({ plan, rows = [], teamUnits = null, now = new Date() }) {
+    const quota = quotaFor(plan);
+    const p = periods(now);
+    const unitsOf = (row) => Number(row.units ?? row.count) || 0;
+    const meter = (limit, used, resetsAt) => ({ limit, used, remaining: Math.max(0, limit - used), resetsAt });
+
+    const usedToday = rows.filter(r => r.usage_date === p.today).reduce((sum, r) => sum + unitsOf(r), 0);
+    const usedMonth = rows.filter(r => r.usage_date >= p.monthStart).reduce((sum, r) => sum + unitsOf(r), 0);
+
+    // One entry per day, oldest first, days without calls included
+    const history = [];
+    for (let i = HISTORY_DAYS - 1; i >= 0; i--) {
+        const date = new Date(now);
+        date.setUTCDate(date.getUTCDate() - i);
+        const key = date.toISOString().slice(0, 10);
+        const row = rows.find(r => r.usage_date === key);
+        history.push({ date: key, units: row ? unitsOf(row) : 0, actions: row?.actions || {} });
+    }
+
+    return {
+        plan: PLAN_QUOTAS[plan] ? plan : DEFAULT_PLAN,
+        weights: { ...ACTION_WEIGHTS },
+        daily: meter(quota.daily, usedToday, p.dailyReset),
+        monthly: meter(quota.monthly, usedMonth, p.monthlyReset),
+        team: quota.teamMonthly && teamUnits !== null ? meter(quota.teamMonthly, teamUnits, p.monthlyReset) : null,
+        history
+    };
+}
+
+/**
+ * Why a call costing `cost` credits can't go ahead, or null when it can
+ */
+export function checkQuota(summary, cost) {
+    if (summary.daily.used + cost > summary.daily.limit) {
+        return `Daily AI limit reached (${summary.daily.limit} credits/day). Resets at midnight UTC.`;
+    }
+    if (summary.monthly.used + cost > summary.monthly.limit) {
+        return `Monthly AI limit reached (${summary.monthly.limit} credits). Resets on the 1st.`;
+    }
+    if (summary.team && summary.team.used + cost > summary.team.limit) {
+        return 'Your team\'s shared AI credits are used up for this month. Resets on the 1st.';
+    }
+    return null;
+}
+
+/**
+ * Response headers for a call costing `cost` (0 for a usage lookup)
+ */
+export function quotaHeaders(summary, cost = 0) {
+    const after = (meter) => String(Math.max(0, meter.remaining - cost));
+    const headers = {
+        'X-AI-Quota-Cost': String(cost),
+        'X-AI-Quota-Weights': Object.entries(summary.weights).map(([action, weight]) => `${action}=${weight}`).join(', '),
+        'X-AI-Quota-Daily-Limit': String(summary.daily.limit),
+        'X-AI-Quota-Daily-Remaining': after(summary.daily),
+        'X-AI-Quota-Monthly-Limit': String(summary.monthly.limit),
+        'X-AI-Quota-Monthly-Remaining': after(summary.monthly),
+        'X-AI-Quota-Reset': summary.daily.resetsAt
+    };
+    if (summary.team) {
+        headers['X-AI-Quota-Team-Limit'] = String(summary.team.limit);
+        headers['X-AI-Quota-Team-Remaining'] = after(summary.team);
+    }
+    return headers;
+}
+
+// ============================================================================
+// STORAGE (Supabase REST, service role)
+// ============================================================================
+
+function serviceHeaders(serviceKey) {
+    return {
+        'apikey': serviceKey,
+        'Authorization': `Bearer ${serviceKey}`
+    };
+}
+
+/**
+ * The team an account owns or is an active member of, or null
+ */
+export async function findTeamId(supabaseUrl, serviceKey, userId) {
+    const owned = await fetch(
+        `${supabaseUrl}/rest/v1/teams?owner_id=eq.${encodeURIComponent(userId)}&select=id&limit=1`,
+        { headers: serviceHeaders(serviceKey) }
+    );
+    if (owned.ok) {
+        const rows = await owned.json();
+        if (rows?.[0]?.id) return rows[0].id;
+    }
+
+    const member = await fetch(
+        `${supabaseUrl}/rest/v1/team_members?user_id=eq.${encodeURIComponent(userId)}&status=eq.active&select=team_id&limit=1`,
+        { headers: serviceHeaders(serviceKey) }
+    );
+    if (member.ok) {
+        const rows = await member.json();
+        if (rows?.[0]?.team_id) return rows[0].team_id;
+    }
+    return null;
+}
+
+/**
+ * The account's usage rows and its team's spend this month
+ * → { rows, teamUnits } (teamUnits is null without a teamId)
+ */
+export async function loadUsage(supabaseUrl, serviceKey, { email, teamId = null, now = new Date() }) {
+    const p = periods(now);
+    const since = p.historyStart < p.monthStart ? p.historyStart : p.monthStart;
+
+    const usageRes = await fetch(
+        `${supabaseUrl}/rest/v1/ai_usage?user_email=eq.${encodeURIComponent(email)}&usage_date=gte.${since}&select=usage_date,count,units,actions`,
+        { headers: serviceHeaders(serviceKey) }
+    );
+    if (!usageRes.ok) throw new Error(`Usage lookup failed: ${usageRes.status}`);
+    const rows = await usageRes.json();
+
+    let teamUnits = null;
+    if (teamId) {
+        const teamRes = await fetch(
+            `${supabaseUrl}/rest/v1/ai_usage?team_id=eq.${encodeURIComponent(teamId)}&usage_date=gte.${p.monthStart}&select=units`,
+            { headers: serviceHeaders(serviceKey) }
+        );
+        if (!teamRes.ok) throw new Error(`Team usage lookup failed: ${teamRes.status}`);
+        teamUnits = (await teamRes.json()).reduce((sum, row) => sum + (Number(row.units) || 0), 0);
+    }
+
+    return { rows: rows || [], teamUnits };
+}
+
+/**
+ * Add one call to today's row (atomic, see record_ai_usage)
+ */
+export async function recordUsage(supabaseUrl, serviceKey, { email, action, units, teamId = null, now = new Date() }) {
+    const response = await fetch(`${supabaseUrl}/rest/v1/rpc/record_ai_usage`, {
+        method: 'POST',
+        headers: { ...serviceHeaders(serviceKey), 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            p_email: email,
+            p_date: periods(now).today,
+            p_action: action,
+            p_units: units,
+            p_team_id: teamId
+        })
+    });
+    if (!response.ok) throw new Error(`Usage record failed: ${response.status}`);
+}
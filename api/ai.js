@@ -1,121 +1,138 @@
 /**
  * AI Endpoint — Vercel Serverless Function
  * 
- * Combined handler for both "suggest" and "improve" actions.
- * Uses Claude Haiku 4.5 for fast, cheap responses.
+ * Combined handler for the "suggest", "improve", "translate", "draft" and
+ * "organize" actions.
+ * The model comes from the provider layer (api/_ai-providers.js): Claude
+ * Haiku 4.5 in production, a deterministic mock with AI_PROVIDER=mock.
  * 
  * Deployed at: https://withoutme.app/api/ai
  * 
- * POST body: { action: "suggest" | "improve", title, description?, steps?, businessType? }
+ * POST body: { action: "suggest" | "improve" | "translate", title, description?, steps?, businessType?, stream? }
+ * translate also takes { language, sourceLanguage?, keepTerms? } and steps as
+ * [{ id, text, note? }]
+ * draft takes { notes, folders?: [{ id, name }], businessType? } instead — long
+ * free-form notes (a dictated walkthrough, a voicemail transcript) turned into
+ * a whole SOP
+ * organize takes { sops: [{ id, title, description?, steps?: [text], tags?, folderId? }],
+ * folders } — summaries of up to 50 SOPs to propose tags and a folder for
+ * 
+ * Without `stream`, responds with JSON once the model is done:
+ *   suggest → { steps, tags }    improve → { steps }
+ *   translate → { translation: { title?, description?, steps: { [id]: { text?, note? } } } }
+ *   draft → { draft: { title, description, steps: [{ type: "section", text } | { text, note?, warning? }],
+ *             tags, folderId } }    (folderId is one of the given folders, or null)
+ *   organize → { proposals: [{ sopId, folderId, newFolder, tags }] }
+ *             (folderId is one of the given folders; newFolder names one to create instead)
+ * 
+ * With `stream: true`, responds with NDJSON (one JSON event per line) as the
+ * reply is generated, so the editor can show each step as it arrives:
+ *   { "type": "step", "index": 0, "text": "..." }
+ *   { "type": "tags", "tags": ["..."] }            (suggest only)
+ *   { "type": "item", "key": "title" | "description" | stepId,
+ *     "field": "text" | "note", "text": "...", "missingTerms": [] }   (translate only)
+ *   { "type": "title" | "description" | "section", "text": "..." }   (draft only)
+ *   { "type": "note" | "warning", "index": 0, "text": "..." }       (draft only, for step `index`)
+ *   { "type": "folder", "folderId": "..." }                          (draft only)
+ *   { "type": "proposal", "sopId": "...", "folderId": "..." | null,
+ *     "newFolder": "..." | null, "tags": ["..."] }                   (organize only)
+ *   { "type": "done", "count": 6 }
+ *   { "type": "error", "error": "..." }            (ends the stream)
+ * Errors found before the reply starts (auth, validation, limits) are still
+ * plain JSON with an error status.
+ * 
+ * GET returns the caller's AI usage for the account panel: { plan, weights,
+ * daily, monthly, team, history } (see summarize() in api/_ai-quotas.js).
+ * 
+ * Quotas: each action costs credits, limited per day and month by plan, with
+ * an optional team pool (api/_ai-quotas.js). Every response carries the
+ * X-AI-Quota-* headers; a call over a limit gets 429.
+ * 
+ * Local development: AI_PROVIDER=mock without SUPABASE_URL skips the auth,
+ * subscription and usage checks, so the AI features work offline.
  */
 
+import { getProvider } from './_ai-providers.js';
+import {
+    DEFAULT_PLAN,
+    QUOTA_HEADERS,
+    quotaFor,
+    weightOf,
+    summarize,
+    checkQuota,
+    quotaHeaders,
+    findTeamId,
+    loadUsage,
+    recordUsage
+} from './_ai-quotas.js';
+
+const ACTIONS = ['suggest', 'improve', 'translate', 'draft', 'organize'];
+
+// Longest notes draft accepts — a few minutes of dictation
+const MAX_NOTES_LENGTH = 12000;
+
+// Most SOPs one organize call reads; the dashboard sends bigger libraries in batches
+const MAX_ORGANIZE_SOPS = 50;
+
+// Languages translate accepts — the codes of lib/sop-translations.js, with
+// the English names the model is given
+const TRANSLATION_LANGUAGES = {
+    en: 'English',
+    es: 'Spanish',
+    fr: 'French',
+    pt: 'Portuguese',
+    ht: 'Haitian Creole',
+    tl: 'Tagalog',
+    vi: 'Vietnamese',
+    zh: 'Simplified Chinese',
+    ko: 'Korean',
+    ar: 'Arabic',
+    ru: 'Russian',
+    uk: 'Ukrainian',
+    pl: 'Polish',
+    de: 'German',
+    it: 'Italian',
+    hi: 'Hindi'
+};
+
 export default async function handler(req, res) {
     res.setHeader('Access-Control-Allow-Origin', 'https://withoutme.app');
-    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.setHeader('Access-Control-Expose-Headers', QUOTA_HEADERS.join(', '));
 
     if (req.method === 'OPTIONS') return res.status(200).end();
-    if (req.method !== 'POST') return res.status(405).json({ error: 'Method not allowed' });
+    if (req.method !== 'POST' && req.method !== 'GET') return res.status(405).json({ error: 'Method not allowed' });
 
-    const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
     const SUPABASE_URL = process.env.SUPABASE_URL;
     const SUPABASE_SERVICE_KEY = process.env.SUPABASE_SERVICE_KEY;
 
-    if (!ANTHROPIC_API_KEY) {
-        console.error('[ai] Missing ANTHROPIC_API_KEY');
+    const provider = getProvider();
+    if (!provider) {
         return res.status(500).json({ error: 'Server misconfigured' });
     }
 
-    // ---- Auth: verify Supabase JWT and Pro subscription ----
-    const authHeader = req.headers['authorization'];
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({ error: 'Authentication required' });
-    }
+    // ---- Auth, subscription and usage (skipped for offline mock runs) ----
+    const offline = provider.name === 'mock' && !SUPABASE_URL;
+    const auth = offline
+        ? { userEmail: 'dev@localhost', emailKey: null, teamId: null, usage: summarize({ plan: DEFAULT_PLAN }) }
+        : await authorize(req, SUPABASE_URL, SUPABASE_SERVICE_KEY);
 
-    if (!SUPABASE_URL || !SUPABASE_SERVICE_KEY) {
-        console.error('[ai] Missing Supabase env vars for auth check');
-        return res.status(500).json({ error: 'Server misconfigured' });
-    }
-
-    const token = authHeader.slice(7);
-    let userEmail;
-    try {
-        const userRes = await fetch(`${SUPABASE_URL}/auth/v1/user`, {
-            headers: {
-                'apikey': SUPABASE_SERVICE_KEY,
-                'Authorization': `Bearer ${token}`
-            }
-        });
-        if (!userRes.ok) {
-            return res.status(401).json({ error: 'Invalid or expired session' });
-        }
-        const userData = await userRes.json();
-        userEmail = userData.email;
-        if (!userEmail) {
-            return res.status(401).json({ error: 'Could not resolve user' });
-        }
-    } catch (e) {
-        console.error('[ai] Auth verification failed:', e);
-        return res.status(401).json({ error: 'Authentication failed' });
+    if (auth.error) {
+        return res.status(auth.status).json({ error: auth.error });
     }
 
-    // Check Pro subscription
-    try {
-        const subRes = await fetch(
-            `${SUPABASE_URL}/rest/v1/subscriptions?customer_email=eq.${encodeURIComponent(userEmail.toLowerCase().trim())}&status=eq.active&select=id`,
-            {
-                headers: {
-                    'apikey': SUPABASE_SERVICE_KEY,
-                    'Authorization': `Bearer ${SUPABASE_SERVICE_KEY}`
-                }
-            }
-        );
-        if (subRes.ok) {
-            const subs = await subRes.json();
-            if (!subs || subs.length === 0) {
-                return res.status(403).json({ error: 'Pro subscription required' });
-            }
-        } else {
-            console.error('[ai] Subscription check failed:', subRes.status);
-            return res.status(500).json({ error: 'Subscription check failed' });
-        }
-    } catch (e) {
-        console.error('[ai] Subscription check error:', e);
-        return res.status(500).json({ error: 'Subscription check failed' });
+    // ---- Usage lookup (account panel) ----
+    if (req.method === 'GET') {
+        setQuotaHeaders(res, auth.usage, 0);
+        return res.status(200).json(auth.usage);
     }
 
-    // ---- Rate limiting: 100 AI calls per user per day ----
-    const today = new Date().toISOString().slice(0, 10); // YYYY-MM-DD
-    const emailKey = userEmail.toLowerCase().trim();
-    let currentCount = 0;
-
-    try {
-        const usageRes = await fetch(
-            `${SUPABASE_URL}/rest/v1/ai_usage?user_email=eq.${encodeURIComponent(emailKey)}&usage_date=eq.${today}&select=count`,
-            {
-                headers: {
-                    'apikey': SUPABASE_SERVICE_KEY,
-                    'Authorization': `Bearer ${SUPABASE_SERVICE_KEY}`
-                }
-            }
-        );
-        if (usageRes.ok) {
-            const rows = await usageRes.json();
-            currentCount = rows?.[0]?.count || 0;
-        }
-    } catch (e) {
-        console.warn('[ai] Rate limit check failed, allowing request:', e);
-    }
-
-    if (currentCount >= 100) {
-        return res.status(429).json({ error: 'Daily AI limit reached (100/day). Resets at midnight UTC.' });
-    }
-
-    const { action, title, description, steps, businessType } = req.body || {};
+    const { action, title, description, steps, businessType, stream, language, sourceLanguage, keepTerms, notes, folders, sops } = req.body || {};
 
     // ---- Input validation ----
-    if (!action || typeof action !== 'string' || !['suggest', 'improve'].includes(action)) {
-        return res.status(400).json({ error: 'Invalid action. Use "suggest" or "improve".' });
+    if (!action || typeof action !== 'string' || !ACTIONS.includes(action)) {
+        return res.status(400).json({ error: 'Invalid action. Use "suggest", "improve", "translate", "draft" or "organize".' });
     }
 
     if (action === 'suggest') {
@@ -145,61 +162,228 @@ export default async function handler(req, res) {
         }
     }
 
+    if (action === 'translate') {
+        if (!title || typeof title !== 'string' || title.trim().length === 0) {
+            return res.status(400).json({ error: 'Title is required' });
+        }
+        if (title.length > 500) {
+            return res.status(400).json({ error: 'Title too long (max 500 characters)' });
+        }
+        if (description && typeof description === 'string' && description.length > 2000) {
+            return res.status(400).json({ error: 'Description too long (max 2000 characters)' });
+        }
+        if (!TRANSLATION_LANGUAGES[language]) {
+            return res.status(400).json({ error: 'Unsupported language' });
+        }
+        if (sourceLanguage && !TRANSLATION_LANGUAGES[sourceLanguage]) {
+            return res.status(400).json({ error: 'Unsupported source language' });
+        }
+        if (sourceLanguage === language) {
+            return res.status(400).json({ error: 'Pick a language other than the original' });
+        }
+        if (steps !== undefined && !Array.isArray(steps)) {
+            return res.status(400).json({ error: 'Steps must be an array' });
+        }
+        if ((steps || []).length > 100) {
+            return res.status(400).json({ error: 'Too many steps (max 100)' });
+        }
+        for (const s of steps || []) {
+            if (!s || typeof s.id !== 'string' || !s.id || s.id.length > 100) {
+                return res.status(400).json({ error: 'Each step needs an id' });
+            }
+            if (String(s.text || '').length > 2000 || String(s.note || '').length > 2000) {
+                return res.status(400).json({ error: 'Step text too long (max 2000 characters per step)' });
+            }
+        }
+        if (keepTerms !== undefined && (!Array.isArray(keepTerms) || keepTerms.length > 50 ||
+            keepTerms.some(t => typeof t !== 'string' || t.length > 100))) {
+            return res.status(400).json({ error: 'Invalid do-not-translate terms (max 50, 100 characters each)' });
+        }
+    }
+
+    if (action === 'draft') {
+        if (!notes || typeof notes !== 'string' || notes.trim().length === 0) {
+            return res.status(400).json({ error: 'Notes are required' });
+        }
+        if (notes.length > MAX_NOTES_LENGTH) {
+            return res.status(400).json({ error: `Notes too long (max ${MAX_NOTES_LENGTH} characters)` });
+        }
+    }
+
+    if (action === 'organize') {
+        if (!Array.isArray(sops) || sops.length === 0) {
+            return res.status(400).json({ error: 'SOPs array is required' });
+        }
+        if (sops.length > MAX_ORGANIZE_SOPS) {
+            return res.status(400).json({ error: `Too many SOPs (max ${MAX_ORGANIZE_SOPS} per request)` });
+        }
+        for (const sop of sops) {
+            if (!sop || typeof sop.id !== 'string' || !sop.id || sop.id.length > 100) {
+                return res.status(400).json({ error: 'Each SOP needs an id' });
+            }
+            if (typeof sop.title !== 'string' || sop.title.length > 500 || String(sop.description || '').length > 2000) {
+                return res.status(400).json({ error: 'Each SOP needs a title (max 500 characters, description max 2000)' });
+            }
+            if ((sop.steps !== undefined && (!Array.isArray(sop.steps) || sop.steps.length > 20 || sop.steps.some(t => typeof t !== 'string' || t.length > 500))) ||
+                (sop.tags !== undefined && (!Array.isArray(sop.tags) || sop.tags.length > 30 || sop.tags.some(t => typeof t !== 'string' || t.length > 50)))) {
+                return res.status(400).json({ error: 'Invalid SOP summary (max 20 steps of 500 characters, 30 tags)' });
+            }
+        }
+    }
+
+    if ((action === 'draft' || action === 'organize') && folders !== undefined && (!Array.isArray(folders) || folders.length > 100 ||
+        folders.some(f => !f || typeof f.id !== 'string' || typeof f.name !== 'string' || f.id.length > 100 || f.name.length > 100))) {
+        return res.status(400).json({ error: 'Invalid folders (max 100, each with an id and name)' });
+    }
+
     if (businessType && typeof businessType === 'string' && businessType.length > 200) {
         return res.status(400).json({ error: 'Business type too long (max 200 characters)' });
     }
 
     const cleanBizType = (businessType || '').trim().slice(0, 100) || 'small service business';
 
+    // ---- Quota ----
+    const cost = weightOf(action);
+    const overQuota = checkQuota(auth.usage, cost);
+    if (overQuota) {
+        setQuotaHeaders(res, auth.usage, 0);
+        return res.status(429).json({ error: overQuota });
+    }
+    setQuotaHeaders(res, auth.usage, cost);
+
     // Log usage for monitoring (check Vercel Dashboard → Logs)
-    const maskedEmail = userEmail.replace(/^(.{3}).*(@.*)$/, '$1***$2');
-    console.log(`[ai] Usage: ${maskedEmail} | ${action} | ${currentCount + 1}/100`);
+    const maskedEmail = auth.userEmail.replace(/^(.{3}).*(@.*)$/, '$1***$2');
+    const usedToday = auth.usage.daily.used + cost;
+    console.log(`[ai] Usage: ${maskedEmail} | ${action} | ${usedToday}/${auth.usage.daily.limit} credits today | ${provider.name}`);
+
+    const request = action === 'suggest'
+        ? buildSuggestRequest(title, description, cleanBizType)
+        : action === 'improve'
+            ? buildImproveRequest(title, steps, cleanBizType)
+            : action === 'translate'
+                ? buildTranslateRequest({ title, description, steps, language, sourceLanguage, keepTerms }, cleanBizType)
+                : action === 'draft'
+                    ? buildDraftRequest(notes, folders, cleanBizType)
+                    : buildOrganizeRequest(sops, folders, cleanBizType);
+
+    if (request.error) {
+        return res.status(400).json({ error: request.error });
+    }
 
-    if (action === 'suggest') {
-        const result = await handleSuggest(res, ANTHROPIC_API_KEY, title, description, cleanBizType);
-        // Increment usage count on success (fire-and-forget)
-        incrementAIUsage(SUPABASE_URL, SUPABASE_SERVICE_KEY, emailKey, today, currentCount);
-        return result;
-    } else if (action === 'improve') {
-        const result = await handleImprove(res, ANTHROPIC_API_KEY, title, steps, cleanBizType);
-        // Increment usage count on success (fire-and-forget)
-        incrementAIUsage(SUPABASE_URL, SUPABASE_SERVICE_KEY, emailKey, today, currentCount);
-        return result;
+    const succeeded = stream === true
+        ? await streamReply(res, provider, request)
+        : await sendReply(res, provider, request);
+
+    // Only replies that produced steps count against the quota. The reply
+    // is already sent, so waiting here doesn't hold the user up.
+    if (succeeded && auth.emailKey) {
+        try {
+            await recordUsage(SUPABASE_URL, SUPABASE_SERVICE_KEY, {
+                email: auth.emailKey,
+                action,
+                units: cost,
+                teamId: auth.teamId
+            });
+        } catch (e) {
+            console.warn('[ai] Usage record failed:', e);
+        }
     }
 }
 
+function setQuotaHeaders(res, usage, cost) {
+    Object.entries(quotaHeaders(usage, cost)).forEach(([name, value]) => res.setHeader(name, value));
+}
+
 /**
- * Increment AI usage counter (fire-and-forget, non-blocking)
+ * Verify the Supabase JWT and the Pro subscription, and load the account's
+ * AI usage. Returns { userEmail, emailKey, teamId, usage } or { status, error }.
  */
-async function incrementAIUsage(supabaseUrl, serviceKey, email, date, currentCount) {
+async function authorize(req, supabaseUrl, serviceKey) {
+    // ---- Auth: verify Supabase JWT and Pro subscription ----
+    const authHeader = req.headers['authorization'];
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+        return { status: 401, error: 'Authentication required' };
+    }
+
+    if (!supabaseUrl || !serviceKey) {
+        console.error('[ai] Missing Supabase env vars for auth check');
+        return { status: 500, error: 'Server misconfigured' };
+    }
+
+    const token = authHeader.slice(7);
+    let userEmail;
+    let userId;
     try {
-        await fetch(
-            `${supabaseUrl}/rest/v1/ai_usage`,
+        const userRes = await fetch(`${supabaseUrl}/auth/v1/user`, {
+            headers: {
+                'apikey': serviceKey,
+                'Authorization': `Bearer ${token}`
+            }
+        });
+        if (!userRes.ok) {
+            return { status: 401, error: 'Invalid or expired session' };
+        }
+        const userData = await userRes.json();
+        userEmail = userData.email;
+        userId = userData.id;
+        if (!userEmail) {
+            return { status: 401, error: 'Could not resolve user' };
+        }
+    } catch (e) {
+        console.error('[ai] Auth verification failed:', e);
+        return { status: 401, error: 'Authentication failed' };
+    }
+
+    // Check Pro subscription
+    let plan = DEFAULT_PLAN;
+    try {
+        const subRes = await fetch(
+            `${supabaseUrl}/rest/v1/subscriptions?customer_email=eq.${encodeURIComponent(userEmail.toLowerCase().trim())}&status=eq.active&select=id,plan`,
             {
-                method: 'POST',
                 headers: {
                     'apikey': serviceKey,
-                    'Authorization': `Bearer ${serviceKey}`,
-                    'Content-Type': 'application/json',
-                    'Prefer': 'resolution=merge-duplicates'
-                },
-                body: JSON.stringify({
-                    user_email: email,
-                    usage_date: date,
-                    count: currentCount + 1
-                })
+                    'Authorization': `Bearer ${serviceKey}`
+                }
             }
         );
+        if (subRes.ok) {
+            const subs = await subRes.json();
+            if (!subs || subs.length === 0) {
+                return { status: 403, error: 'Pro subscription required' };
+            }
+            plan = subs[0].plan || DEFAULT_PLAN;
+        } else {
+            console.error('[ai] Subscription check failed:', subRes.status);
+            return { status: 500, error: 'Subscription check failed' };
+        }
     } catch (e) {
-        console.warn('[ai] Usage increment failed:', e);
+        console.error('[ai] Subscription check error:', e);
+        return { status: 500, error: 'Subscription check failed' };
     }
-}
 
-async function handleSuggest(res, apiKey, title, description, businessType) {
-    if (!title || typeof title !== 'string') {
-        return res.status(400).json({ error: 'Title is required' });
+    // ---- Usage: this account's (and its team's, with a pool) ----
+    const emailKey = userEmail.toLowerCase().trim();
+    let teamId = null;
+    let usage;
+
+    try {
+        if (quotaFor(plan).teamMonthly && userId) {
+            teamId = await findTeamId(supabaseUrl, serviceKey, userId);
+        }
+        usage = summarize({ plan, ...(await loadUsage(supabaseUrl, serviceKey, { email: emailKey, teamId })) });
+    } catch (e) {
+        console.warn('[ai] Usage check failed, allowing request:', e);
+        usage = summarize({ plan });
     }
 
+    return { userEmail, emailKey, teamId, usage };
+}
+
+// ============================================================================
+// PROMPTS
+// ============================================================================
+
+function buildSuggestRequest(title, description, businessType) {
     const cleanTitle = title.trim().slice(0, 200);
     const cleanDescription = (description || '').trim().slice(0, 500);
 
@@ -231,47 +415,16 @@ TAGS
     let userMessage = `SOP Title: ${cleanTitle}`;
     if (cleanDescription) userMessage += `\nDescription: ${cleanDescription}`;
 
-    try {
-        const text = await callAnthropic(apiKey, systemPrompt, userMessage);
-        
-        // Parse structured response
-        let steps = [];
-        let tags = [];
-
-        if (text.includes('STEPS') && text.includes('TAGS')) {
-            const stepsSection = text.split('TAGS')[0].replace('STEPS', '').trim();
-            const tagsSection = text.split('TAGS')[1].trim();
-
-            steps = stepsSection
-                .split('\n')
-                .map(line => line.replace(/^\d+[\.\)\-]\s*/, '').replace(/^[-•*]\s*/, '').trim())
-                .filter(line => line.length > 0);
-
-            tags = tagsSection
-                .split(',')
-                .map(t => t.trim().toLowerCase().replace(/^#/, ''))
-                .filter(t => t.length > 0 && t.length < 30)
-                .slice(0, 5);
-        } else {
-            // Fallback: treat entire response as steps
-            steps = text
-                .split('\n')
-                .map(line => line.replace(/^\d+[\.\)\-]\s*/, '').replace(/^[-•*]\s*/, '').trim())
-                .filter(line => line.length > 0);
-        }
-
-        return res.status(200).json({ steps, tags });
-    } catch (e) {
-        console.error('[ai] Suggest error:', e);
-        return res.status(500).json({ error: 'Failed to generate steps' });
-    }
+    return {
+        task: 'suggest',
+        system: systemPrompt,
+        message: userMessage,
+        input: { title: cleanTitle, description: cleanDescription },
+        failure: 'Failed to generate steps'
+    };
 }
 
-async function handleImprove(res, apiKey, title, steps, businessType) {
-    if (!steps || !Array.isArray(steps) || steps.length === 0) {
-        return res.status(400).json({ error: 'Steps array is required' });
-    }
-
+function buildImproveRequest(title, steps, businessType) {
     const cleanTitle = (title || 'Untitled SOP').trim().slice(0, 200);
     const cleanSteps = steps
         .slice(0, 30)
@@ -279,7 +432,7 @@ async function handleImprove(res, apiKey, title, steps, businessType) {
         .filter(s => s.length > 0);
 
     if (cleanSteps.length === 0) {
-        return res.status(400).json({ error: 'No valid steps provided' });
+        return { error: 'No valid steps provided' };
     }
 
     const systemPrompt = `You are a Standard Operating Procedure editor for a ${businessType}.
@@ -303,43 +456,461 @@ Rules:
     const numberedSteps = cleanSteps.map((s, i) => `${i + 1}. ${s}`).join('\n');
     const userMessage = `SOP: ${cleanTitle}\n\nCurrent steps:\n${numberedSteps}`;
 
+    return {
+        task: 'improve',
+        system: systemPrompt,
+        message: userMessage,
+        input: { title: cleanTitle, steps: cleanSteps },
+        failure: 'Failed to improve steps'
+    };
+}
+
+/**
+ * The model sees short keys (TITLE, DESCRIPTION, S1, N1 for step 1's note)
+ * instead of step ids, and numbered tokens instead of the do-not-translate
+ * terms and {{placeholders}}; readLine() maps both back, so ids and terms
+ * come out exactly as they went in.
+ */
+function buildTranslateRequest({ title, description, steps, language, sourceLanguage, keepTerms }, businessType) {
+    const terms = [...new Set((keepTerms || []).map(t => t.trim()).filter(t => t.length > 0))]
+        .sort((a, b) => b.length - a.length);
+    const tokens = [];
+    // All terms and placeholders in one pass over the original text, longest
+    // term first — swapping term by term would let a short term ("0") match
+    // inside a token an earlier term left behind
+    const protectedPattern = new RegExp([
+        ...terms.map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')),
+        '\\{\\{\\s*[\\w.]+\\s*\\}\\}'
+    ].join('|'), 'g');
+    const protect = (text) => {
+        const out = String(text || '').trim().replace(protectedPattern, (value) => {
+            let index = tokens.indexOf(value);
+            if (index === -1) index = tokens.push(value) - 1;
+            return `⟦${index}⟧`;
+        });
+        // One line per item: newlines travel as ⏎
+        return out.replace(/\r?\n/g, ' ⏎ ');
+    };
+
+    const items = [];
+    const add = (key, target, field, text) => {
+        if (String(text || '').trim()) items.push({ key, target, field, text: protect(text) });
+    };
+    add('TITLE', 'title', 'text', title.slice(0, 500));
+    add('DESCRIPTION', 'description', 'text', (description || '').slice(0, 2000));
+    (steps || []).forEach((step, index) => {
+        add(`S${index + 1}`, step.id, 'text', step.text);
+        add(`N${index + 1}`, step.id, 'note', step.note);
+    });
+
+    if (items.length === 0) {
+        return { error: 'Nothing to translate' };
+    }
+
+    const target = TRANSLATION_LANGUAGES[language];
+    const source = TRANSLATION_LANGUAGES[sourceLanguage] || 'the original language';
+
+    const systemPrompt = `You translate Standard Operating Procedures for a ${businessType} from ${source} into ${target}.
+
+The reader is a crew member doing the work, not a manager. Write the way a fluent ${target}-speaking supervisor would give instructions on the job: short, direct, in the imperative.
+
+Rules:
+- Each input line is KEY: text. Reply with the same keys, one line each, in the same order: KEY: translation
+- Never change, add or drop a key
+- Copy tokens like ⟦0⟧ exactly as they are — they stand for names and part numbers that must not be translated
+- Keep the ⏎ markers where they are — they are line breaks
+- Keep numbers, measurements and units as written
+- Do not include any preamble, explanation, or commentary`;
+
+    const userMessage = items.map(item => `${item.key}: ${item.text}`).join('\n');
+
+    const byKey = new Map(items.map(item => [item.key, item]));
+    const readLine = (line) => {
+        const match = line.match(/^([A-Z]+\d*)\s*:\s?(.*)$/);
+        const item = match && byKey.get(match[1]);
+        if (!item) return null;
+        byKey.delete(match[1]);
+
+        const wanted = [...new Set(item.text.match(/⟦\d+⟧/g) || [])];
+        const missingTerms = wanted.filter(token => !match[2].includes(token)).map(token => tokens[Number(token.slice(1, -1))]);
+        const text = match[2]
+            .replace(/⟦(\d+)⟧/g, (token, n) => tokens[Number(n)] ?? token)
+            .replace(/\s*⏎\s*/g, '\n')
+            .trim();
+        if (!text) return null;
+        return { type: 'item', key: item.target, field: item.field, text, missingTerms };
+    };
+
+    return {
+        task: 'translate',
+        system: systemPrompt,
+        message: userMessage,
+        input: { language, items: items.map(({ key, text }) => ({ key, text })) },
+        maxTokens: 8192,
+        readLine,
+        failure: 'Failed to translate'
+    };
+}
+
+/**
+ * Draft replies are labelled lines (TITLE:, SECTION:, STEP:, NOTE: ...).
+ * readLine() turns each into an event: notes and warnings belong to the step
+ * before them, and the suggested folder is matched to one of the account's
+ * folders by name.
+ */
+function buildDraftRequest(notes, folders, businessType) {
+    const cleanNotes = notes.trim().slice(0, MAX_NOTES_LENGTH);
+    const folderList = (folders || [])
+        .map(f => ({ id: f.id, name: f.name.trim() }))
+        .filter(f => f.name.length > 0);
+
+    const systemPrompt = `You are a Standard Operating Procedure writer for a ${businessType}.
+
+You are given an owner's rough notes on how a job is done — often dictated or transcribed, rambling, out of order and full of asides. Turn them into a clear SOP a new team member could follow without supervision.
+
+Rules:
+- Keep every real instruction, measurement, product name and check from the notes; drop the chatter
+- Put the steps in the order the work is done, even if the notes jump around
+- Each step is one clear action, 1-2 sentences, starting with a strong verb, in plain language
+- Put background or tips that are not an action in a NOTE under the step they explain
+- Add a WARNING under a step when it involves a hazard the notes mention or clearly imply (chemicals, heat, electricity, heights, sharp tools, lifting)
+- Use SECTION headings only when the job has distinct phases; otherwise leave them out
+- No more than 50 steps
+- Suggest 2-3 short lowercase tags
+- Pick the folder that fits best from the list given, or NONE
+- Do not include numbering, preamble, explanation, or commentary
+
+Output format (one item per line, follow exactly):
+TITLE: [short title]
+DESCRIPTION: [one or two sentences on what the SOP covers]
+SECTION: [heading]
+STEP: [instruction]
+NOTE: [detail for the step above]
+WARNING: [safety warning for the step above]
+TAGS: [comma-separated tags]
+FOLDER: [folder name or NONE]`;
+
+    const folderNames = folderList.map(f => f.name);
+    let userMessage = folderNames.length > 0 ? `Folders: ${folderNames.join(', ')}\n\n` : '';
+    userMessage += `Notes:\n"""\n${cleanNotes}\n"""`;
+
+    let stepCount = 0;
+    let lastStep = null;
+    const seen = new Set();
+    const readLine = (line) => {
+        const match = line.match(/^[-•*]?\s*(TITLE|DESCRIPTION|SECTION|STEP|NOTE|WARNING|TAGS|FOLDER)\s*:\s*(.*)$/i);
+        if (!match) return null;
+        const label = match[1].toUpperCase();
+        const text = match[2].replace(/^\d+[\.\)\-]\s*/, '').trim();
+        if (!text) return null;
+
+        // Only the first title, description, tags and folder count
+        if (['TITLE', 'DESCRIPTION', 'TAGS', 'FOLDER'].includes(label)) {
+            if (seen.has(label)) return null;
+            seen.add(label);
+        }
+
+        switch (label) {
+            case 'TITLE':
+                return { type: 'title', text: text.slice(0, 200) };
+            case 'DESCRIPTION':
+                return { type: 'description', text: text.slice(0, 500) };
+            case 'SECTION':
+                lastStep = null;
+                return { type: 'section', text: text.slice(0, 100) };
+            case 'STEP':
+                if (stepCount >= 50) return null;
+                lastStep = stepCount++;
+                return { type: 'step', index: lastStep, text: text.slice(0, 500) };
+            case 'NOTE':
+            case 'WARNING':
+                if (lastStep === null) return null;
+                return { type: label.toLowerCase(), index: lastStep, text: text.slice(0, 1000) };
+            case 'TAGS': {
+                const tags = text
+                    .split(',')
+                    .map(t => t.trim().toLowerCase().replace(/^#/, ''))
+                    .filter(t => t.length > 0 && t.length < 30)
+                    .slice(0, 5);
+                return tags.length > 0 ? { type: 'tags', tags } : null;
+            }
+            case 'FOLDER': {
+                const wanted = text.replace(/^["']|["'.]$/g, '').trim().toLowerCase();
+                const folder = folderList.find(f => f.name.toLowerCase() === wanted || f.id.toLowerCase() === wanted);
+                return folder ? { type: 'folder', folderId: folder.id } : null;
+            }
+        }
+        return null;
+    };
+
+    return {
+        task: 'draft',
+        system: systemPrompt,
+        message: userMessage,
+        input: { notes: cleanNotes, folders: folderNames },
+        maxTokens: 4096,
+        readLine,
+        failure: 'Failed to draft the SOP'
+    };
+}
+
+/**
+ * The model sees the SOPs as S1, S2... and answers one line each; readLine()
+ * maps the keys back to SOP ids and the folder names to folder ids. A folder
+ * it proposes that isn't in the list comes back as newFolder, for the app to
+ * create if the user accepts.
+ */
+function buildOrganizeRequest(sops, folders, businessType) {
+    const folderList = (folders || [])
+        .map(f => ({ id: f.id, name: f.name.trim() }))
+        .filter(f => f.name.length > 0);
+    const folderName = (id) => folderList.find(f => f.id === id)?.name || '';
+    const oneLine = (text, max) => String(text || '').replace(/\s+/g, ' ').trim().slice(0, max);
+
+    const entries = sops.map((sop, index) => ({
+        key: `S${index + 1}`,
+        id: sop.id,
+        title: oneLine(sop.title, 200) || 'Untitled SOP',
+        description: oneLine(sop.description, 300),
+        steps: (sop.steps || []).map(text => oneLine(text, 150)).filter(Boolean).slice(0, 8),
+        tags: (sop.tags || []).map(tag => oneLine(tag, 50)).filter(Boolean),
+        folder: folderName(sop.folderId)
+    }));
+
+    const systemPrompt = `You organize the Standard Operating Procedure library of a ${businessType}.
+
+For each SOP, pick the folder it belongs in and suggest tags that would help someone find it later.
+
+Rules:
+- Prefer the existing folders. Propose a NEW FOLDER only when several SOPs share a clear topic no existing folder covers; give it a short name (1-3 words) and use the exact same name for every SOP that goes in it
+- Keep an SOP in its current folder when that folder already fits
+- A catch-all folder like General is for SOPs that fit nowhere else
+- 2-4 tags per SOP, lowercase, single words or short phrases; include good existing tags
+- Reply with exactly one line per SOP, in order, and nothing else:
+S1 | FOLDER: [existing folder name] | TAGS: [comma-separated tags]
+S2 | NEW FOLDER: [new folder name] | TAGS: [comma-separated tags]`;
+
+    let userMessage = `Folders: ${folderList.map(f => f.name).join(', ') || '(none yet)'}\n`;
+    entries.forEach(entry => {
+        userMessage += `\n${entry.key}\nTitle: ${entry.title}`;
+        if (entry.folder) userMessage += `\nFolder: ${entry.folder}`;
+        if (entry.tags.length > 0) userMessage += `\nTags: ${entry.tags.join(', ')}`;
+        if (entry.description) userMessage += `\nDescription: ${entry.description}`;
+        if (entry.steps.length > 0) userMessage += `\nSteps: ${entry.steps.join('; ')}`;
+        userMessage += '\n';
+    });
+
+    const byKey = new Map(entries.map(entry => [entry.key, entry]));
+    const readLine = (line) => {
+        const match = line.match(/^(S\d+)\s*\|\s*(NEW FOLDER|FOLDER)\s*:\s*([^|]*)\|\s*TAGS\s*:\s*(.*)$/i);
+        const entry = match && byKey.get(match[1].toUpperCase());
+        if (!entry) return null;
+        byKey.delete(entry.key);
+
+        const name = match[3].replace(/^["'\[]|["'\].]$/g, '').trim().slice(0, 40);
+        const existing = folderList.find(f => f.name.toLowerCase() === name.toLowerCase() || f.id.toLowerCase() === name.toLowerCase());
+        const isNew = !existing && match[2].toUpperCase() === 'NEW FOLDER' && name.length > 0;
+        const tags = match[4]
+            .split(',')
+            .map(t => t.trim().toLowerCase().replace(/^#/, ''))
+            .filter(t => t.length > 0 && t.length < 30)
+            .slice(0, 5);
+
+        return {
+            type: 'proposal',
+            sopId: entry.id,
+            folderId: existing ? existing.id : null,
+            newFolder: isNew ? name : null,
+            tags
+        };
+    };
+
+    return {
+        task: 'organize',
+        system: systemPrompt,
+        message: userMessage,
+        input: {
+            sops: entries.map(({ key, title, description, steps, tags }) => ({ key, title, text: [title, description, ...steps].join(' '), tags })),
+            folders: folderList.map(f => f.name)
+        },
+        maxTokens: 4096,
+        readLine,
+        failure: 'Failed to organize the SOPs'
+    };
+}
+
+// ============================================================================
+// REPLIES
+// ============================================================================
+
+/**
+ * Stream the reply as NDJSON events. Returns whether any steps came out.
+ */
+async function streamReply(res, provider, request) {
+    res.statusCode = 200;
+    res.setHeader('Content-Type', 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('X-Accel-Buffering', 'no');
+    res.flushHeaders?.();
+
+    const send = (event) => res.write(JSON.stringify(event) + '\n');
+    const parser = createReplyParser(request);
+
     try {
-        const text = await callAnthropic(apiKey, systemPrompt, userMessage);
+        for await (const chunk of provider.stream(request)) {
+            parser.push(chunk).forEach(send);
+        }
+        parser.end().forEach(send);
+        send({ type: 'done', count: parser.count() });
+        res.end();
+        return parser.count() > 0;
+    } catch (e) {
+        console.error(`[ai] ${request.task} stream error:`, e);
+        send({ type: 'error', error: request.failure });
+        res.end();
+        return false;
+    }
+}
 
-        const improved = text
-            .split('\n')
-            .map(line => line.replace(/^\d+[\.\)\-]\s*/, '').replace(/^[-•*]\s*/, '').trim())
-            .filter(line => line.length > 0);
+/**
+ * Wait for the whole reply and send it as one JSON response
+ */
+async function sendReply(res, provider, request) {
+    const parser = createReplyParser(request);
+    const events = [];
 
-        return res.status(200).json({ steps: improved });
+    try {
+        for await (const chunk of provider.stream(request)) {
+            events.push(...parser.push(chunk));
+        }
+        events.push(...parser.end());
     } catch (e) {
-        console.error('[ai] Improve error:', e);
-        return res.status(500).json({ error: 'Failed to improve steps' });
+        console.error(`[ai] ${request.task} error:`, e);
+        res.status(500).json({ error: request.failure });
+        return false;
+    }
+
+    if (request.task === 'draft') {
+        const draft = { title: '', description: '', steps: [], tags: [], folderId: null };
+        const stepsByIndex = {};
+        events.forEach(event => {
+            if (event.type === 'title' || event.type === 'description') {
+                draft[event.type] = event.text;
+            } else if (event.type === 'section') {
+                draft.steps.push({ type: 'section', text: event.text });
+            } else if (event.type === 'step') {
+                stepsByIndex[event.index] = { text: event.text };
+                draft.steps.push(stepsByIndex[event.index]);
+            } else if (event.type === 'note' || event.type === 'warning') {
+                // Several notes (or warnings) for one step become lines of one
+                const step = stepsByIndex[event.index];
+                step[event.type] = step[event.type] ? `${step[event.type]}\n${event.text}` : event.text;
+            } else if (event.type === 'tags') {
+                draft.tags = event.tags;
+            } else if (event.type === 'folder') {
+                draft.folderId = event.folderId;
+            }
+        });
+        res.status(200).json({ draft });
+        return parser.count() > 0;
+    }
+
+    if (request.task === 'organize') {
+        const proposals = events
+            .filter(e => e.type === 'proposal')
+            .map(({ sopId, folderId, newFolder, tags }) => ({ sopId, folderId, newFolder, tags }));
+        res.status(200).json({ proposals });
+        return proposals.length > 0;
+    }
+
+    if (request.task === 'translate') {
+        const translation = { steps: {} };
+        events.filter(e => e.type === 'item').forEach(({ key, field, text }) => {
+            if (key === 'title' || key === 'description') translation[key] = text;
+            else translation.steps[key] = { ...translation.steps[key], [field]: text };
+        });
+        res.status(200).json({ translation });
+        return parser.count() > 0;
+    }
+
+    const steps = events.filter(e => e.type === 'step').map(e => e.text);
+    if (request.task === 'improve') {
+        res.status(200).json({ steps });
+    } else {
+        const tags = events.find(e => e.type === 'tags')?.tags || [];
+        res.status(200).json({ steps, tags });
     }
+    return steps.length > 0;
 }
 
-async function callAnthropic(apiKey, systemPrompt, userMessage) {
-    const response = await fetch('https://api.anthropic.com/v1/messages', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'x-api-key': apiKey,
-            'anthropic-version': '2023-06-01'
+/**
+ * Turns reply text into step / tags / item events as whole lines come in.
+ * 
+ * suggest replies are a STEPS line, one step per line, a TAGS line and the
+ * comma-separated tags; a reply without the markers is all steps.
+ * improve replies are one step per line.
+ * translate, draft and organize replies are labelled lines, read by the
+ * request's readLine(). count() is the steps (translated items, proposals)
+ * that came out.
+ */
+function createReplyParser(request) {
+    const task = request.task;
+    let buffer = '';
+    let section = 'steps';
+    let tagsText = '';
+    let count = 0;
+
+    const readLine = (line) => {
+        const trimmed = line.trim();
+        if (request.readLine) {
+            const event = trimmed ? request.readLine(trimmed) : null;
+            if (!event) return [];
+            if (['step', 'item', 'proposal'].includes(event.type)) count++;
+            return [event];
+        }
+        if (task === 'suggest' && /^STEPS:?$/.test(trimmed)) {
+            section = 'steps';
+            return [];
+        }
+        if (task === 'suggest' && /^TAGS:?/.test(trimmed)) {
+            section = 'tags';
+            tagsText += trimmed.replace(/^TAGS:?/, '') + ',';
+            return [];
+        }
+        if (section === 'tags') {
+            tagsText += trimmed + ',';
+            return [];
+        }
+
+        const text = trimmed.replace(/^\d+[\.\)\-]\s*/, '').replace(/^[-•*]\s*/, '').trim();
+        if (text.length === 0) return [];
+        return [{ type: 'step', index: count++, text }];
+    };
+
+    return {
+        push(chunk) {
+            buffer += chunk;
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            return lines.flatMap(readLine);
         },
-        body: JSON.stringify({
-            model: 'claude-haiku-4-5-20251001',
-            max_tokens: 2048,
-            system: systemPrompt,
-            messages: [{ role: 'user', content: userMessage }]
-        })
-    });
 
-    if (!response.ok) {
-        const err = await response.text();
-        console.error('[ai] Anthropic API error:', response.status, err);
-        throw new Error(`API error: ${response.status}`);
-    }
+        end() {
+            const events = readLine(buffer);
+            buffer = '';
+            if (task === 'suggest') {
+                const tags = tagsText
+                    .split(',')
+                    .map(t => t.trim().toLowerCase().replace(/^#/, ''))
+                    .filter(t => t.length > 0 && t.length < 30)
+                    .slice(0, 5);
+                events.push({ type: 'tags', tags });
+            }
+            return events;
+        },
 
-    const data = await response.json();
-    return data.content?.[0]?.text || '';
+        count() {
+            return count;
+        }
+    };
 }
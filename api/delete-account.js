@@ -179,6 +179,9 @@ export default async function handler(req, res) {
 
     // ---- 4. Delete user's own data ----
     await deleteFromTable('checklists', `user_id=eq.${userId}`);
+    await deleteFromTable('sop_reviews', `owner_id=eq.${userId}`);
+    await deleteFromTable('sop_versions', `user_id=eq.${userId}`);
+    await deleteFromTable('audit_log', `user_id=eq.${userId}`);
     await deleteFromTable('sops', `user_id=eq.${userId}`);
     await deleteFromTable('folders', `user_id=eq.${userId}`);
 
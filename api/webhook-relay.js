@@ -88,6 +88,27 @@ export default async function handler(req, res) {
         }
 
         // 3. Build payload
+        // Fill-in values are stored just after the insert this event fired on,
+        // so read them back from the row (docs/checklist-variables-migration.sql)
+        let variables = record.variables || {};
+        if (Object.keys(variables).length === 0 && record.id) {
+            const completionRes = await fetch(
+                `${SUPABASE_URL}/rest/v1/team_completions?id=eq.${encodeURIComponent(record.id)}&select=variables`,
+                {
+                    headers: {
+                        'apikey': SUPABASE_SERVICE_KEY,
+                        'Authorization': `Bearer ${SUPABASE_SERVICE_KEY}`
+                    }
+                }
+            );
+            if (completionRes.ok) {
+                const rows = await completionRes.json();
+                variables = rows?.[0]?.variables || {};
+            } else {
+                console.warn('[webhook-relay] Could not read variables:', await completionRes.text());
+            }
+        }
+
         const steps = record.steps || [];
         const notes = steps
             .filter(s => s.userNote)
@@ -102,6 +123,7 @@ export default async function handler(req, res) {
             completed_steps: record.completed_steps,
             total_steps: record.total_steps,
             notes: notes.length > 0 ? notes : undefined,
+            variables: Object.keys(variables).length > 0 ? variables : undefined,
             team_id: record.team_id
         };
 
@@ -55,7 +55,7 @@
         container: null,
         
         // Team state
-        teamRole: null,  // { role: 'owner'|'member'|'solo', teamId, teamName, ownerId }
+        teamRole: null,  // { role: 'owner'|'member'|'solo', teamId, teamName, ownerId, canApprove }
         activeInviteCode: null,  // For link-based team access refresh
         
         // Initialization status
@@ -865,7 +865,8 @@
                 role: 'member',
                 teamId: result.teamId,
                 teamName: result.teamName,
-                ownerId: null
+                ownerId: null,
+                canApprove: result.canApprove
             };
             
             // Create dashboard in team member mode with the fetched SOPs
@@ -1417,6 +1418,50 @@
                 .account-toggle input:checked + .account-toggle-slider::before {
                     transform: translateX(18px);
                 }
+                .account-usage-meter {
+                    margin-bottom: 0.5rem;
+                }
+                .account-usage-row {
+                    display: flex;
+                    justify-content: space-between;
+                    font-size: 0.78rem;
+                    color: #475569;
+                    margin-bottom: 0.2rem;
+                }
+                .account-usage-bar {
+                    height: 6px;
+                    background: #e2e8f0;
+                    border-radius: 3px;
+                    overflow: hidden;
+                }
+                .account-usage-bar span {
+                    display: block;
+                    height: 100%;
+                    background: #4f46e5;
+                }
+                .account-usage-bar.high span {
+                    background: #d97706;
+                }
+                .account-usage-bar.full span {
+                    background: #dc2626;
+                }
+                .account-usage-history {
+                    display: flex;
+                    align-items: flex-end;
+                    gap: 2px;
+                    height: 36px;
+                    margin: 0.6rem 0 0.3rem;
+                }
+                .account-usage-day {
+                    flex: 1;
+                    min-height: 2px;
+                    background: #c7d2fe;
+                    border-radius: 1px;
+                }
+                .account-usage-note {
+                    font-size: 0.72rem;
+                    color: #94a3b8;
+                }
                 .account-panel-footer {
                     padding: 1rem 1.25rem;
                     border-top: 1px solid #f3f4f6;
@@ -1819,13 +1864,20 @@
         });
         
         // Listen for background sync completion (after non-blocking sign-in)
+        // and for SOP changes the cloud turned down as stale
         if (StorageAdapter?.Sync?.onDataChange) {
-            StorageAdapter.Sync.onDataChange((event) => {
+            StorageAdapter.Sync.onDataChange((event, sop) => {
                 if (event === 'sync_complete') {
                     console.log('[app.js] Background sync complete — refreshing dashboard');
                     if (AppState.currentView === 'dashboard' && AppState.modules.dashboard) {
                         AppState.modules.dashboard.refresh();
                     }
+                } else if (event === 'sop_stale' && AppState.modules.dashboard) {
+                    // A change made on this device lost to a newer one made elsewhere — say so
+                    AppState.modules.dashboard._showNotification(
+                        `"${sop.title}" was changed on another device, so this change wasn't synced. Open and save it to merge both.`,
+                        'error'
+                    );
                 }
             });
         }
@@ -2245,6 +2297,15 @@
                 <hr class="account-divider">
                 ` : ''}
 
+                ${isPro ? `
+                <div class="account-section" id="account-ai-usage">
+                    <span class="account-label">AI usage</span>
+                    <span class="account-value-muted">Loading…</span>
+                </div>
+
+                <hr class="account-divider">
+                ` : ''}
+
                 ${isPro ? `
                 <div class="account-section">
                     <div style="display:flex;align-items:center;justify-content:space-between;gap:0.5rem;">
@@ -2410,6 +2471,8 @@
                 }
             });
 
+            if (isPro) loadAccountAIUsage();
+
         } else {
             // Not signed in view
             body.innerHTML = `
@@ -2451,6 +2514,61 @@
         }
     }
 
+    /**
+     * Fill the account panel's AI usage section from GET /api/ai
+     */
+    async function loadAccountAIUsage() {
+        if (typeof AIQuota === 'undefined') return;
+        let html;
+        try {
+            html = renderAIUsage(await AIQuota.fetchUsage());
+        } catch (e) {
+            console.warn('[App] AI usage unavailable:', e);
+            html = `
+                <span class="account-label">AI usage</span>
+                <span class="account-value-muted">Usage isn't available right now.</span>
+            `;
+        }
+        // The panel may have closed while loading
+        const section = document.getElementById('account-ai-usage');
+        if (section) section.innerHTML = html;
+    }
+
+    /**
+     * Meters for today, this month and the team pool, then credits per day
+     * for the last 30 days
+     */
+    function renderAIUsage(usage) {
+        const meter = (label, m) => {
+            const pct = m.limit ? Math.min(100, Math.round(m.used / m.limit * 100)) : 0;
+            const level = pct >= 90 ? 'full' : pct >= 75 ? 'high' : '';
+            return `
+                <div class="account-usage-meter">
+                    <div class="account-usage-row"><span>${label}</span><span>${m.used} / ${m.limit} credits</span></div>
+                    <div class="account-usage-bar ${level}"><span style="width:${pct}%"></span></div>
+                </div>
+            `;
+        };
+
+        const history = usage.history || [];
+        const peak = Math.max(1, ...history.map(day => day.units));
+        const bars = history.map(day => {
+            const actions = Object.entries(day.actions || {}).map(([action, n]) => `${n} ${action}`).join(', ');
+            const title = `${day.date}: ${day.units} credit${day.units === 1 ? '' : 's'}${actions ? ` (${actions})` : ''}`;
+            return `<span class="account-usage-day" title="${escapeHtml(title)}" style="height:${Math.round(day.units / peak * 100)}%"></span>`;
+        }).join('');
+        const weights = Object.entries(usage.weights || {}).map(([action, weight]) => `${action} ${weight}`).join(' · ');
+
+        return `
+            <span class="account-label">AI usage</span>
+            ${meter('Today', usage.daily)}
+            ${meter('This month', usage.monthly)}
+            ${usage.team ? meter('Team pool this month', usage.team) : ''}
+            <div class="account-usage-history" aria-label="AI credits per day, last 30 days">${bars}</div>
+            <span class="account-usage-note">Last 30 days · credits per call: ${escapeHtml(weights)}</span>
+        `;
+    }
+
     /**
      * Show change password modal
      */
@@ -0,0 +1,68 @@
+-- ============================================================================
+-- AI QUOTAS — Supabase Migration
+-- Run this in Supabase SQL Editor (Dashboard → SQL Editor → New query)
+-- ============================================================================
+
+-- api/ai.js counts AI calls in ai_usage, one row per account per UTC day.
+-- Calls now cost credits by action (suggest 1, improve 2, translate 3,
+-- draft 3, organize 3 per batch of SOPs — ACTION_WEIGHTS in
+-- api/_ai-quotas.js), limited per day and per month by plan, with an
+-- optional monthly pool shared by a team.
+--
+-- count:   calls that day
+-- units:   credits spent that day (what the limits count)
+-- actions: calls per action, e.g. { "suggest": 3, "improve": 1 }
+-- team_id: the account's team when its plan has a team pool
+--
+-- Only the service role (api/ai.js) reads or writes this table. Accounts see
+-- their usage through GET /api/ai.
+
+-- 1. TABLE (already exists where the daily limit was set up by hand)
+CREATE TABLE IF NOT EXISTS public.ai_usage (
+    user_email TEXT NOT NULL,
+    usage_date DATE NOT NULL,
+    count INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (user_email, usage_date)
+);
+
+-- The upsert below needs one row per account per day
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ai_usage_email_date ON public.ai_usage(user_email, usage_date);
+
+ALTER TABLE public.ai_usage ENABLE ROW LEVEL SECURITY;
+
+-- 2. NEW COLUMNS
+ALTER TABLE public.ai_usage ADD COLUMN IF NOT EXISTS units INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE public.ai_usage ADD COLUMN IF NOT EXISTS actions JSONB NOT NULL DEFAULT '{}'::jsonb;
+ALTER TABLE public.ai_usage ADD COLUMN IF NOT EXISTS team_id UUID REFERENCES teams(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_ai_usage_team_date ON public.ai_usage(team_id, usage_date) WHERE team_id IS NOT NULL;
+
+-- Every call used to cost one
+UPDATE public.ai_usage SET units = count WHERE units = 0 AND count > 0;
+
+-- 3. RECORD A CALL (atomic — two calls at once can't overwrite each other)
+CREATE OR REPLACE FUNCTION record_ai_usage(
+    p_email TEXT,
+    p_date DATE,
+    p_action TEXT,
+    p_units INTEGER,
+    p_team_id UUID DEFAULT NULL
+)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    INSERT INTO ai_usage (user_email, usage_date, count, units, actions, team_id)
+    VALUES (p_email, p_date, 1, p_units, jsonb_build_object(p_action, 1), p_team_id)
+    ON CONFLICT (user_email, usage_date) DO UPDATE SET
+        count = ai_usage.count + 1,
+        units = ai_usage.units + EXCLUDED.units,
+        actions = ai_usage.actions || jsonb_build_object(
+            p_action, COALESCE((ai_usage.actions->>p_action)::INTEGER, 0) + 1
+        ),
+        team_id = COALESCE(EXCLUDED.team_id, ai_usage.team_id);
+$$;
+
+-- Service role only: accounts must not be able to reset their own usage
+REVOKE EXECUTE ON FUNCTION record_ai_usage(TEXT, DATE, TEXT, INTEGER, UUID) FROM PUBLIC, anon, authenticated;
@@ -0,0 +1,268 @@
+-- ============================================================================
+-- APPROVAL WORKFLOW (draft → review → publish) — Supabase Migration
+-- Run this in Supabase SQL Editor (Dashboard → SQL Editor → New query)
+-- ============================================================================
+
+-- Each SOP row keeps two copies of its content:
+--   title / description / steps / tags  — the owner's working copy (drafts)
+--   published                           — the last approved revision
+-- Team members only ever see `published` (they read through SECURITY DEFINER
+-- functions, never the table), so a revision under review never
+-- replaces what they are running until an approver signs it off.
+--
+-- Approvers are team members flagged can_approve. They review through their
+-- team link (no account needed), like assignments and feedback.
+
+-- 1. COLUMNS
+ALTER TABLE public.sops ADD COLUMN IF NOT EXISTS published JSONB;
+ALTER TABLE public.sops ADD COLUMN IF NOT EXISTS published_at TIMESTAMPTZ;
+ALTER TABLE public.team_members ADD COLUMN IF NOT EXISTS can_approve BOOLEAN NOT NULL DEFAULT false;
+
+-- Existing Active SOPs keep serving members: their current content becomes the published revision
+UPDATE public.sops
+SET published = jsonb_build_object('title', title, 'description', description, 'steps', steps, 'tags', tags),
+    published_at = updated_at
+WHERE status = 'active' AND published IS NULL;
+
+-- 2. REVIEWS TABLE
+CREATE TABLE IF NOT EXISTS public.sop_reviews (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    owner_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    sop_id UUID REFERENCES public.sops(id) ON DELETE CASCADE NOT NULL,
+    sop_title TEXT NOT NULL,
+    snapshot JSONB NOT NULL,          -- the revision under review
+    published JSONB,                  -- what members saw when it was submitted (for the diff)
+    status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected', 'withdrawn')),
+    submitted_by TEXT,
+    submitted_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    reviewer_name TEXT,
+    comment TEXT,
+    decided_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_sop_reviews_owner ON public.sop_reviews(owner_id, submitted_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sop_reviews_pending ON public.sop_reviews(sop_id) WHERE status = 'pending';
+
+ALTER TABLE public.sop_reviews ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Owners can view own reviews" ON public.sop_reviews
+    FOR SELECT USING (auth.uid() = owner_id);
+
+CREATE POLICY "Owners can submit reviews" ON public.sop_reviews
+    FOR INSERT WITH CHECK (
+        auth.uid() = owner_id
+        AND status = 'pending'
+        AND EXISTS (SELECT 1 FROM public.sops s WHERE s.id = sop_id AND s.user_id = auth.uid())
+    );
+
+-- Owners may only withdraw their own pending reviews — never approve them
+CREATE POLICY "Owners can withdraw pending reviews" ON public.sop_reviews
+    FOR UPDATE USING (auth.uid() = owner_id AND status = 'pending')
+    WITH CHECK (status = 'withdrawn');
+
+-- 3. ENFORCE: no direct publishing when the team has approvers
+-- decide_sop_review (SECURITY DEFINER) runs as the function owner, so it passes.
+-- Updates that publish are refused. Inserts come from sync (a new SOP saved as
+-- Active, a first upload from another device), so they are let through but
+-- without `published`: the SOP reaches members only once it is approved.
+CREATE OR REPLACE FUNCTION public.guard_sop_publish()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF current_user = 'authenticated'
+       AND NEW.published IS NOT NULL
+       AND (TG_OP = 'INSERT' OR NEW.published IS DISTINCT FROM OLD.published)
+       AND EXISTS (
+           SELECT 1 FROM teams t
+           JOIN team_members tm ON tm.team_id = t.id
+           WHERE t.owner_id = NEW.user_id AND tm.can_approve
+       ) THEN
+        IF TG_OP = 'INSERT' THEN
+            NEW.published := NULL;
+            NEW.published_at := NULL;
+        ELSE
+            RAISE EXCEPTION 'This workspace has approvers — submit the SOP for review instead';
+        END IF;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS sops_guard_publish ON public.sops;
+CREATE TRIGGER sops_guard_publish
+    BEFORE INSERT OR UPDATE OF published ON public.sops
+    FOR EACH ROW EXECUTE FUNCTION public.guard_sop_publish();
+
+-- 4. MEMBERS SEE THE PUBLISHED REVISION ONLY
+-- A row policy can't hide columns: any SELECT on sops would hand members the
+-- working copy (title, description, steps) of a revision still under review.
+-- So members get no SELECT on sops at all. Signed-in members read through
+-- get_team_sops(), team links through get_sops_by_invite_code() — both
+-- SECURITY DEFINER and both return `published` only.
+DROP POLICY IF EXISTS "sops_select_team_member" ON sops;
+
+CREATE OR REPLACE FUNCTION get_team_sops()
+RETURNS JSON
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT COALESCE(json_agg(json_build_object(
+        'id', s.id,
+        'published', s.published,
+        'folder_id', s.folder_id,
+        'created_at', s.created_at,
+        'updated_at', COALESCE(s.published_at, s.updated_at)
+    ) ORDER BY s.updated_at DESC), '[]'::json)
+    FROM sops s
+    WHERE s.user_id = (
+        SELECT t.owner_id
+        FROM teams t
+        JOIN team_members tm ON tm.team_id = t.id
+        WHERE tm.user_id = auth.uid()
+        AND tm.status = 'active'
+        LIMIT 1
+    )
+    AND s.published IS NOT NULL
+    AND s.status <> 'archived';
+$$;
+
+REVOKE EXECUTE ON FUNCTION get_team_sops() FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION get_team_sops() TO authenticated;
+
+-- Replaces the earlier version: serves `published` instead of the working copy,
+-- and tells the client whether this link belongs to an approver.
+CREATE OR REPLACE FUNCTION get_sops_by_invite_code(code TEXT)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    member_row team_members%ROWTYPE;
+    team_row teams%ROWTYPE;
+BEGIN
+    SELECT * INTO member_row FROM team_members WHERE invite_code = code;
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Invalid or expired invite code');
+    END IF;
+
+    SELECT * INTO team_row FROM teams WHERE id = member_row.team_id;
+
+    RETURN json_build_object(
+        'success', true,
+        'team_name', team_row.name,
+        'team_id', team_row.id,
+        'can_approve', member_row.can_approve,
+        'sops', COALESCE((
+            SELECT json_agg(json_build_object(
+                'id', s.id,
+                'title', s.published->>'title',
+                'description', s.published->>'description',
+                'steps', s.published->'steps',
+                'tags', s.published->'tags',
+                'status', 'active',
+                'folder_id', s.folder_id,
+                'created_at', s.created_at,
+                'updated_at', COALESCE(s.published_at, s.updated_at)
+            ) ORDER BY s.updated_at DESC)
+            FROM sops s
+            WHERE s.user_id = team_row.owner_id
+            AND s.published IS NOT NULL
+            AND s.status <> 'archived'
+        ), '[]'::json)
+    );
+END;
+$$;
+
+-- 5. APPROVER RPCs (invite-code auth, like assignments)
+CREATE OR REPLACE FUNCTION get_pending_reviews_by_invite_code(p_invite_code TEXT)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    member_row team_members%ROWTYPE;
+    owner UUID;
+BEGIN
+    SELECT * INTO member_row FROM team_members WHERE invite_code = p_invite_code;
+    IF NOT FOUND OR NOT member_row.can_approve THEN
+        RETURN json_build_object('success', false, 'error', 'Not an approver');
+    END IF;
+
+    SELECT owner_id INTO owner FROM teams WHERE id = member_row.team_id;
+
+    RETURN json_build_object(
+        'success', true,
+        'reviews', COALESCE((
+            SELECT json_agg(json_build_object(
+                'id', r.id,
+                'sop_id', r.sop_id,
+                'sop_title', r.sop_title,
+                'snapshot', r.snapshot,
+                'published', r.published,
+                'submitted_by', r.submitted_by,
+                'submitted_at', r.submitted_at
+            ) ORDER BY r.submitted_at ASC)
+            FROM sop_reviews r
+            WHERE r.owner_id = owner AND r.status = 'pending'
+        ), '[]'::json)
+    );
+END;
+$$;
+
+CREATE OR REPLACE FUNCTION decide_sop_review(p_invite_code TEXT, p_review_id UUID, p_decision TEXT, p_comment TEXT)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    member_row team_members%ROWTYPE;
+    review_row sop_reviews%ROWTYPE;
+BEGIN
+    IF p_decision NOT IN ('approved', 'rejected') THEN
+        RETURN json_build_object('success', false, 'error', 'Invalid decision');
+    END IF;
+    IF p_decision = 'rejected' AND COALESCE(trim(p_comment), '') = '' THEN
+        RETURN json_build_object('success', false, 'error', 'Say what needs to change');
+    END IF;
+
+    SELECT * INTO member_row FROM team_members WHERE invite_code = p_invite_code;
+    IF NOT FOUND OR NOT member_row.can_approve THEN
+        RETURN json_build_object('success', false, 'error', 'Not an approver');
+    END IF;
+
+    SELECT r.* INTO review_row
+    FROM sop_reviews r
+    JOIN teams t ON t.owner_id = r.owner_id
+    WHERE r.id = p_review_id AND t.id = member_row.team_id;
+
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Review not found');
+    END IF;
+    IF review_row.status <> 'pending' THEN
+        RETURN json_build_object('success', false, 'error', 'This review was already ' || review_row.status);
+    END IF;
+
+    UPDATE sop_reviews
+    SET status = p_decision,
+        reviewer_name = COALESCE(member_row.name, 'Approver'),
+        comment = NULLIF(trim(p_comment), ''),
+        decided_at = NOW()
+    WHERE id = review_row.id;
+
+    IF p_decision = 'approved' THEN
+        UPDATE sops
+        SET published = review_row.snapshot,
+            published_at = NOW(),
+            status = CASE WHEN status = 'archived' THEN status ELSE 'active' END
+        WHERE id = review_row.sop_id;
+    END IF;
+
+    RETURN json_build_object('success', true);
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_pending_reviews_by_invite_code(TEXT) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION decide_sop_review(TEXT, UUID, TEXT, TEXT) TO anon, authenticated;
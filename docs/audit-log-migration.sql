@@ -0,0 +1,39 @@
+-- ============================================================================
+-- AUDIT LOG — Supabase Migration
+-- Run this in Supabase SQL Editor (Dashboard → SQL Editor → New query)
+-- ============================================================================
+
+-- Append-only record of who changed what: SOP edits (field-level before/after),
+-- deletes, duplicates, archives, folder changes and team assignments.
+--
+-- No foreign key to sops/folders on purpose: entries must outlive the thing
+-- they describe (a deleted SOP still shows up in the log by title).
+--
+-- changes: [{ field, before, after }]
+
+CREATE TABLE IF NOT EXISTS public.audit_log (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    entry_id TEXT NOT NULL UNIQUE,
+    actor_email TEXT,
+    action TEXT NOT NULL,
+    entity_type TEXT NOT NULL CHECK (entity_type IN ('sop', 'folder', 'assignment')),
+    entity_id TEXT,
+    entity_title TEXT,
+    changes JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_user_created ON public.audit_log(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON public.audit_log(user_id, entity_type, entity_id);
+
+ALTER TABLE public.audit_log ENABLE ROW LEVEL SECURITY;
+
+-- Append-only: owners can read and add entries. There is deliberately no
+-- UPDATE or DELETE policy, so entries can't be altered from the app.
+-- (Account deletion removes them with the service role key.)
+CREATE POLICY "Users can view own audit log" ON public.audit_log
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can append to own audit log" ON public.audit_log
+    FOR INSERT WITH CHECK (auth.uid() = user_id);
@@ -0,0 +1,84 @@
+-- ============================================================================
+-- CHECKLIST VARIABLES (fill-in placeholders) — Supabase Migration
+-- Run this in Supabase SQL Editor (Dashboard → SQL Editor → New query)
+-- ============================================================================
+
+-- SOP text can hold placeholders like {{customer_name}}; the worker fills them
+-- in when a checklist starts (lib/sop-variables.js). The values are stored on
+-- each team completion so Team Activity, its CSV export and the completion
+-- webhook (api/webhook-relay.js) can show which job a run was for.
+--
+-- variables: { "customer_name": "Acme Diner", "unit_number": "4B" }
+--
+-- The app only sends p_variables for runs that have values, so plain SOPs keep
+-- using the original record_team_completion until this has been run.
+
+-- 1. COLUMN
+ALTER TABLE public.team_completions ADD COLUMN IF NOT EXISTS variables JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- 2. RECORD (team member, invite-code auth)
+-- Overload of record_team_completion: records the completion through the
+-- original function (same invite-code checks), then stores the values.
+CREATE OR REPLACE FUNCTION record_team_completion(
+    p_invite_code TEXT,
+    p_sop_id TEXT,
+    p_sop_title TEXT,
+    p_steps JSONB,
+    p_completed_steps INTEGER,
+    p_total_steps INTEGER,
+    p_variables JSONB
+)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    v_result JSON;
+BEGIN
+    v_result := record_team_completion(p_invite_code, p_sop_id, p_sop_title, p_steps, p_completed_steps, p_total_steps);
+
+    IF COALESCE((v_result->>'success')::boolean, false) AND jsonb_typeof(p_variables) = 'object' THEN
+        UPDATE team_completions
+        SET variables = p_variables
+        WHERE id::text = v_result->>'completion_id';
+    END IF;
+
+    RETURN v_result;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION record_team_completion(TEXT, TEXT, TEXT, JSONB, INTEGER, INTEGER, JSONB) TO anon, authenticated;
+
+-- 3. READ (owner)
+-- Replaces the earlier version: returns whole rows, so new columns such as
+-- `variables` reach the dashboard without another change here.
+CREATE OR REPLACE FUNCTION get_team_completions(p_team_id UUID, p_limit INTEGER)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM teams WHERE id = p_team_id AND owner_id = auth.uid()) THEN
+        RETURN json_build_object('success', false, 'error', 'Not authorized');
+    END IF;
+
+    RETURN json_build_object(
+        'success', true,
+        'completions', COALESCE((
+            SELECT json_agg(row_to_json(tc) ORDER BY tc.completed_at DESC)
+            FROM (
+                SELECT * FROM team_completions
+                WHERE team_id = p_team_id
+                ORDER BY completed_at DESC
+                LIMIT p_limit
+            ) tc
+        ), '[]'::json)
+    );
+END;
+$$;
+
+-- ============================================================================
+-- WEBHOOK NOTE:
+-- The database webhook fires on INSERT, before step 2 stores the values, so
+-- api/webhook-relay.js reads `variables` back from the row before sending.
+-- ============================================================================
@@ -0,0 +1,15 @@
+-- ============================================================================
+-- SOP REVISION COUNTER (edit-conflict detection) — Supabase Migration
+-- Run this in Supabase SQL Editor (Dashboard → SQL Editor → New query)
+-- ============================================================================
+
+-- Every save from the editor bumps a SOP's revision by one. Before saving, the
+-- editor compares the cloud revision with the one it opened; if someone saved
+-- in between, it shows a three-way merge instead of overwriting their edit
+-- (lib/sop-merge.js).
+--
+-- The app only updates a row when its own revision is at least the stored one
+-- (saveSOP: .lte('revision', ...)), so a stale copy syncing from another
+-- device can't roll the SOP back. Rows from before this migration start at 0.
+
+ALTER TABLE public.sops ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,73 @@
+-- ============================================================================
+-- SOP TRANSLATIONS (multi-language SOPs) — Supabase Migration
+-- Run this in Supabase SQL Editor (Dashboard → SQL Editor → New query)
+-- ============================================================================
+
+-- A SOP can carry translations of its title, description, steps and notes
+-- (lib/sop-translations.js). Team members pick a language on their team link
+-- and their checklists start in it.
+--
+-- translations: {
+--   "source": "en",
+--   "keepTerms": ["Acme 3000"],
+--   "languages": {
+--     "es": {
+--       "title": { "text": "...", "source": "<fingerprint>" },
+--       "steps": { "<step id>": { "text": "...", "note": "...", "source": "<fingerprint>" } }
+--     }
+--   }
+-- }
+--
+-- Translations go through review with the rest of the SOP: they are part of
+-- the review snapshot and of `published`, so members only see approved ones.
+-- Completions keep the SOP's step ids whatever the language, so Team Activity
+-- merges runs across languages without any change here.
+
+-- 1. COLUMN (the owner's working copy)
+ALTER TABLE public.sops ADD COLUMN IF NOT EXISTS translations JSONB;
+
+-- 2. TEAM LINK (no auth, invite code)
+-- Replaces the version from approval-workflow-migration.sql: same rows, plus
+-- the published translations.
+CREATE OR REPLACE FUNCTION get_sops_by_invite_code(code TEXT)
+RETURNS JSON
+LANGUAGE plpgsql
+SECURITY DEFINER
+AS $$
+DECLARE
+    member_row team_members%ROWTYPE;
+    team_row teams%ROWTYPE;
+BEGIN
+    SELECT * INTO member_row FROM team_members WHERE invite_code = code;
+    IF NOT FOUND THEN
+        RETURN json_build_object('success', false, 'error', 'Invalid or expired invite code');
+    END IF;
+
+    SELECT * INTO team_row FROM teams WHERE id = member_row.team_id;
+
+    RETURN json_build_object(
+        'success', true,
+        'team_name', team_row.name,
+        'team_id', team_row.id,
+        'can_approve', member_row.can_approve,
+        'sops', COALESCE((
+            SELECT json_agg(json_build_object(
+                'id', s.id,
+                'title', s.published->>'title',
+                'description', s.published->>'description',
+                'steps', s.published->'steps',
+                'tags', s.published->'tags',
+                'translations', s.published->'translations',
+                'status', 'active',
+                'folder_id', s.folder_id,
+                'created_at', s.created_at,
+                'updated_at', COALESCE(s.published_at, s.updated_at)
+            ) ORDER BY s.updated_at DESC)
+            FROM sops s
+            WHERE s.user_id = team_row.owner_id
+            AND s.published IS NOT NULL
+            AND s.status <> 'archived'
+        ), '[]'::json)
+    );
+END;
+$$;
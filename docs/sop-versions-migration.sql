@@ -0,0 +1,37 @@
+-- ============================================================================
+-- SOP VERSION HISTORY — Supabase Migration
+-- Run this in Supabase SQL Editor (Dashboard → SQL Editor → New query)
+-- ============================================================================
+
+-- Every save of a SOP stores the previous state here, images included.
+-- The editor keeps a small local cache (last 5, images stripped); this table
+-- is the full history and is what makes versions follow the owner across devices.
+--
+-- snapshot: the SOP as the app stores it
+--   { id, title, description, folderId, status, tags, steps: [...], createdAt, updatedAt }
+
+CREATE TABLE IF NOT EXISTS public.sop_versions (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID REFERENCES public.profiles(id) ON DELETE CASCADE NOT NULL,
+    sop_id UUID REFERENCES public.sops(id) ON DELETE CASCADE NOT NULL,
+    snapshot JSONB NOT NULL,
+    saved_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_sop_versions_sop_saved ON public.sop_versions(sop_id, saved_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sop_versions_user_id ON public.sop_versions(user_id);
+
+ALTER TABLE public.sop_versions ENABLE ROW LEVEL SECURITY;
+
+-- Versions are append-only from the app: owners can read and add, not edit or
+-- delete. They go with their SOP (ON DELETE CASCADE), and account deletion
+-- runs with the service key.
+CREATE POLICY "Users can view own sop versions" ON public.sop_versions
+    FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can create own sop versions" ON public.sop_versions
+    FOR INSERT WITH CHECK (
+        auth.uid() = user_id
+        AND EXISTS (SELECT 1 FROM public.sops s WHERE s.id = sop_id AND s.user_id = auth.uid())
+    );
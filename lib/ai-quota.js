@@ -0,0 +1,189 @@
+/**
+ * AIQuota - The account's AI credits, as last reported by /api/ai
+ *
+ * Every /api/ai response carries X-AI-Quota-* headers (api/_ai-quotas.js):
+ * what the call cost, the credits each action costs, and what is left today,
+ * this month and — with a team pool — for the team. remember() keeps the
+ * latest, so the editor can warn before a limit is hit instead of after.
+ *
+ *   snapshot = {
+ *       weights: { suggest: 1, improve: 2 },
+ *       daily:   { limit, remaining },
+ *       monthly: { limit, remaining },
+ *       team:    { limit, remaining } | null,
+ *       resetsAt: ISO,          // next daily reset (UTC midnight)
+ *       seenAt: ISO
+ *   }
+ *
+ * The server has the final say; a stale snapshot only changes the warnings.
+ *
+ * STORAGE KEY: 'withoutme_ai_quota' — the latest snapshot
+ *
+ * CRITICAL: Load before the modules.
+ *
+ * @version 1.0.0
+ */
+
+(function(global) {
+    'use strict';
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    const STORAGE_KEY = 'withoutme_ai_quota';
+
+    // Warn once a call would leave less than this share of a limit
+    const LOW_SHARE = 0.1;
+
+    const METERS = [
+        { key: 'daily', period: 'today' },
+        { key: 'monthly', period: 'this month' },
+        { key: 'team', period: 'in your team\'s pool this month' }
+    ];
+
+    // ========================================================================
+    // SNAPSHOTS
+    // ========================================================================
+
+    /**
+     * Snapshot from a response's headers, or null when it has none
+     */
+    function fromHeaders(headers) {
+        const get = (name) => headers?.get?.(name);
+        const number = (name) => {
+            const value = get(name);
+            return value === null || value === undefined || value === '' ? null : Number(value);
+        };
+        const meter = (prefix) => {
+            const limit = number(`X-AI-Quota-${prefix}-Limit`);
+            const remaining = number(`X-AI-Quota-${prefix}-Remaining`);
+            return limit === null || remaining === null ? null : { limit, remaining };
+        };
+
+        const daily = meter('Daily');
+        if (!daily) return null;
+
+        const weights = {};
+        String(get('X-AI-Quota-Weights') || '').split(',').forEach(pair => {
+            const [action, weight] = pair.split('=').map(part => part.trim());
+            if (action && Number(weight) > 0) weights[action] = Number(weight);
+        });
+
+        return {
+            weights,
+            daily,
+            monthly: meter('Monthly'),
+            team: meter('Team'),
+            resetsAt: get('X-AI-Quota-Reset') || null,
+            seenAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Keep the quota from a response. Returns the snapshot (or null).
+     */
+    function remember(headers) {
+        const snapshot = fromHeaders(headers);
+        if (!snapshot) return null;
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(snapshot));
+        } catch (e) { /* quota info is a nicety — ignore storage errors */ }
+        return snapshot;
+    }
+
+    /**
+     * The latest snapshot, with limits that have reset since refilled
+     */
+    function current(now = new Date()) {
+        let snapshot;
+        try {
+            snapshot = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+        } catch (e) { return null; }
+        if (!snapshot?.daily) return null;
+
+        if (snapshot.resetsAt && now >= new Date(snapshot.resetsAt)) {
+            snapshot.daily = { ...snapshot.daily, remaining: snapshot.daily.limit };
+        }
+        if (snapshot.seenAt && snapshot.seenAt.slice(0, 7) !== now.toISOString().slice(0, 7)) {
+            if (snapshot.monthly) snapshot.monthly = { ...snapshot.monthly, remaining: snapshot.monthly.limit };
+            if (snapshot.team) snapshot.team = { ...snapshot.team, remaining: snapshot.team.limit };
+        }
+        return snapshot;
+    }
+
+    function costOf(action, snapshot = current()) {
+        return snapshot?.weights?.[action] || 1;
+    }
+
+    // ========================================================================
+    // WARNINGS
+    // ========================================================================
+
+    /**
+     * What to tell the user before running `action`:
+     * { blocked: message | null, low: message | null }
+     * blocked — the call would go over a limit (the server would refuse it)
+     * low     — it fits, but leaves little of a limit
+     */
+    function check(action, snapshot = current()) {
+        const result = { blocked: null, low: null };
+        if (!snapshot) return result;
+        const cost = costOf(action, snapshot);
+
+        for (const { key, period } of METERS) {
+            const meter = snapshot[key];
+            if (!meter) continue;
+            if (meter.remaining < cost) {
+                result.blocked = key === 'daily'
+                    ? `You've used today's AI credits (${meter.limit}). They reset at midnight UTC.`
+                    : key === 'monthly'
+                        ? `You've used this month's AI credits (${meter.limit}). They reset on the 1st.`
+                        : 'Your team\'s shared AI credits are used up for this month. They reset on the 1st.';
+                return result;
+            }
+            const left = meter.remaining - cost;
+            if (!result.low && left < meter.limit * LOW_SHARE) {
+                result.low = `${left} AI credit${left === 1 ? '' : 's'} left ${period}`;
+            }
+        }
+        return result;
+    }
+
+    // ========================================================================
+    // USAGE
+    // ========================================================================
+
+    /**
+     * The account's usage from GET /api/ai ({ plan, weights, daily, monthly,
+     * team, history }). Throws when it can't be loaded.
+     */
+    async function fetchUsage() {
+        const headers = {};
+        if (typeof SupabaseClient !== 'undefined' && SupabaseClient) {
+            try {
+                const { session } = await SupabaseClient.getSession();
+                if (session?.access_token) headers['Authorization'] = `Bearer ${session.access_token}`;
+            } catch (e) { /* proceed without auth — server will reject */ }
+        }
+
+        const response = await fetch('/api/ai', { method: 'GET', headers });
+        if (!response.ok) throw new Error(`API error: ${response.status}`);
+        remember(response.headers);
+        return response.json();
+    }
+
+    // ========================================================================
+    // EXPORT
+    // ========================================================================
+
+    global.AIQuota = {
+        fromHeaders,
+        remember,
+        current,
+        costOf,
+        check,
+        fetchUsage
+    };
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,429 @@
+/**
+ * AuditLog - Append-only change history
+ *
+ * Records who changed what, and when, across the workspace:
+ * - SOPs: created, edited (field-level before/after, including each step), deleted,
+ *   duplicated, archived / unarchived, submitted / approved / rejected / published
+ * - Folders: created, renamed / recolored, deleted
+ * - Team assignments: created, cancelled
+ *
+ * APPEND-ONLY RULE:
+ * - Entries are never edited or removed by the app
+ * - Local copy lives in localStorage (newest MAX_LOCAL_ENTRIES kept on this device)
+ * - When signed in, every entry is also inserted into Supabase `audit_log`,
+ *   whose RLS allows insert + select only (see docs/audit-log-migration.sql)
+ *
+ * ENTRY SHAPE:
+ * { id, at, actor: { id, email }, action, entityType, entityId, entityTitle, changes: [{ field, before, after }] }
+ *
+ * CRITICAL: Load after storage-adapter.js and before the modules that record entries.
+ *
+ * @version 1.0.0
+ */
+
+(function(global) {
+    'use strict';
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    const STORAGE_KEY = 'sop_tool_audit_log';
+
+    const MAX_LOCAL_ENTRIES = 2000;
+
+    const ACTION_LABELS = {
+        'sop.created': 'Created SOP',
+        'sop.updated': 'Edited SOP',
+        'sop.deleted': 'Deleted SOP',
+        'sop.duplicated': 'Duplicated SOP',
+        'sop.archived': 'Archived SOP',
+        'sop.unarchived': 'Unarchived SOP',
+        'sop.submitted': 'Submitted for review',
+        'sop.approved': 'Approved SOP',
+        'sop.rejected': 'Requested changes',
+        'sop.published': 'Published SOP',
+        'folder.created': 'Created folder',
+        'folder.updated': 'Edited folder',
+        'folder.deleted': 'Deleted folder',
+        'assignment.created': 'Assigned SOP',
+        'assignment.cancelled': 'Cancelled assignment'
+    };
+
+    // ========================================================================
+    // STORAGE
+    // ========================================================================
+
+    function _readLocal() {
+        try {
+            const raw = localStorage.getItem(STORAGE_KEY);
+            const entries = raw ? JSON.parse(raw) : [];
+            return Array.isArray(entries) ? entries : [];
+        } catch (e) {
+            console.warn('[AuditLog] Could not read local log:', e);
+            return [];
+        }
+    }
+
+    function _writeLocal(entries) {
+        try {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(entries.slice(-MAX_LOCAL_ENTRIES)));
+        } catch (e) {
+            // Storage full — keep the newer half rather than losing the entry
+            try {
+                localStorage.setItem(STORAGE_KEY, JSON.stringify(entries.slice(-Math.floor(MAX_LOCAL_ENTRIES / 2))));
+            } catch (e2) {
+                console.warn('[AuditLog] Could not write local log:', e2);
+            }
+        }
+    }
+
+    function _getActor() {
+        const user = typeof StorageAdapter !== 'undefined' && StorageAdapter.Auth
+            ? StorageAdapter.Auth.getUser()
+            : null;
+        return {
+            id: user?.id || null,
+            email: user?.email || null
+        };
+    }
+
+    // ========================================================================
+    // DIFF HELPERS
+    // ========================================================================
+
+    function _same(a, b) {
+        return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+    }
+
+    function _stepLabel(step, numbers) {
+        if (step.type === 'section') return `Section "${step.text || ''}"`;
+        if (step.type === 'block') return `Block "${step.name || ''}"`;
+        return `Step ${numbers[step.id] || '?'}`;
+    }
+
+    /**
+     * Ids in the longest subsequence shared by both orderings
+     */
+    function _longestCommonOrder(a, b) {
+        const table = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+        for (let i = a.length - 1; i >= 0; i--) {
+            for (let j = b.length - 1; j >= 0; j--) {
+                table[i][j] = a[i] === b[j]
+                    ? table[i + 1][j + 1] + 1
+                    : Math.max(table[i + 1][j], table[i][j + 1]);
+            }
+        }
+
+        const common = new Set();
+        let i = 0;
+        let j = 0;
+        while (i < a.length && j < b.length) {
+            if (a[i] === b[j]) {
+                common.add(a[i]);
+                i++;
+                j++;
+            } else if (table[i + 1][j] >= table[i][j + 1]) {
+                i++;
+            } else {
+                j++;
+            }
+        }
+        return common;
+    }
+
+    /**
+     * Settings that change how a step runs, flattened for comparison
+     */
+    function _stepSettings(step) {
+        return {
+            type: step.type || 'step',
+            level: step.level || 0,
+            note: step.note || '',
+            input: step.input || null,
+            required: !!step.required,
+            photoRequired: !!step.photoRequired,
+            estimate: step.estimate || null,
+            goto: step.goto || null,
+            branches: step.branches || null,
+            linkedSopId: step.linkedSopId || null,
+            image: step.image ? 'image' : null
+        };
+    }
+
+    function _describeSettings(step) {
+        const s = _stepSettings(step);
+        const parts = [];
+        if (s.type === 'decision') parts.push(`decision (${(s.branches || []).map(b => b.label).join(' / ')})`);
+        if (s.type === 'sop') parts.push(`runs SOP ${s.linkedSopId || '(none)'}`);
+        if (s.level) parts.push('sub-step');
+        if (s.input) parts.push(`records ${s.input.type}${s.input.unit ? ' ' + s.input.unit : ''}`);
+        if (s.required) parts.push('required');
+        if (s.photoRequired) parts.push('photo proof');
+        if (s.estimate) parts.push(`about ${s.estimate} min`);
+        if (s.goto) parts.push(`jumps to ${s.goto}`);
+        if (s.note) parts.push(`note: ${s.note}`);
+        if (s.image) parts.push('has image');
+        return parts.join(', ') || 'plain step';
+    }
+
+    /**
+     * Field-level changes between two versions of a SOP.
+     * Steps are matched by id, so a reworded step shows as one change.
+     * @param {Object} options - { folderName: id => name } to log folders by name
+     */
+    function diffSop(before, after, options = {}) {
+        const changes = [];
+        before = before || {};
+        after = after || {};
+
+        ['title', 'description', 'status'].forEach(field => {
+            if (!_same(before[field] || '', after[field] || '')) {
+                changes.push({ field, before: before[field] || '', after: after[field] || '' });
+            }
+        });
+
+        if ((before.folderId || '') !== (after.folderId || '')) {
+            const name = options.folderName || (id => id);
+            changes.push({ field: 'folder', before: before.folderId ? name(before.folderId) : '', after: after.folderId ? name(after.folderId) : '' });
+        }
+
+        const beforeTags = (before.tags || []).join(', ');
+        const afterTags = (after.tags || []).join(', ');
+        if (beforeTags !== afterTags) {
+            changes.push({ field: 'tags', before: beforeTags, after: afterTags });
+        }
+
+        const oldSteps = before.steps || [];
+        const newSteps = after.steps || [];
+        const oldNumbers = StepNumbers.number(oldSteps);
+        const newNumbers = StepNumbers.number(newSteps);
+        const oldById = new Map(oldSteps.map(s => [s.id, s]));
+        const newIds = new Set(newSteps.map(s => s.id));
+
+        // Steps outside the longest common order are the ones that actually moved
+        const keptOld = oldSteps.filter(s => newIds.has(s.id)).map(s => s.id);
+        const keptNew = newSteps.filter(s => oldById.has(s.id)).map(s => s.id);
+        const stayed = _longestCommonOrder(keptOld, keptNew);
+
+        newSteps.forEach(step => {
+            const label = _stepLabel(step, newNumbers);
+            const old = oldById.get(step.id);
+
+            if (!old) {
+                changes.push({ field: `${label} added`, before: '', after: step.text || step.name || '' });
+                return;
+            }
+
+            if (step.type === 'block') {
+                if ((old.blockVersion || 0) !== (step.blockVersion || 0)) {
+                    changes.push({ field: `${label} updated`, before: `version ${old.blockVersion || 1}`, after: `version ${step.blockVersion || 1}` });
+                }
+            } else {
+                if ((old.text || '') !== (step.text || '')) {
+                    changes.push({ field: `${label} text`, before: old.text || '', after: step.text || '' });
+                }
+                if (!_same(_stepSettings(old), _stepSettings(step))) {
+                    changes.push({ field: `${label} settings`, before: _describeSettings(old), after: _describeSettings(step) });
+                }
+            }
+            if (!stayed.has(step.id)) {
+                const unnumbered = !newNumbers[step.id];
+                changes.push({
+                    field: `${label} moved`,
+                    before: unnumbered ? `was item ${oldSteps.indexOf(old) + 1}` : `was step ${oldNumbers[step.id]}`,
+                    after: unnumbered ? `now item ${newSteps.indexOf(step) + 1}` : `now step ${newNumbers[step.id]}`
+                });
+            }
+        });
+
+        oldSteps.forEach(step => {
+            if (!newIds.has(step.id)) {
+                changes.push({ field: `${_stepLabel(step, oldNumbers)} removed`, before: step.text || step.name || '', after: '' });
+            }
+        });
+
+        // Translations (lib/sop-translations.js): one change per language
+        const oldLanguages = before.translations?.languages || {};
+        const newLanguages = after.translations?.languages || {};
+        const translated = entry => {
+            if (!entry) return '';
+            const count = Object.keys(entry.steps || {}).length + (entry.title ? 1 : 0) + (entry.description ? 1 : 0);
+            return `${count} item${count !== 1 ? 's' : ''} translated`;
+        };
+        new Set([...Object.keys(oldLanguages), ...Object.keys(newLanguages)]).forEach(code => {
+            if (_same(oldLanguages[code], newLanguages[code])) return;
+            const name = typeof SOPTranslations !== 'undefined' ? SOPTranslations.languageName(code) : code;
+            const was = translated(oldLanguages[code]);
+            const now = translated(newLanguages[code]);
+            changes.push({ field: `${name} translation`, before: was, after: now && now === was ? `${now}, reworded` : now });
+        });
+
+        return changes;
+    }
+
+    /**
+     * Field-level changes between two versions of a flat record (folders)
+     */
+    function diffFields(before, after, fields) {
+        return fields
+            .filter(field => !_same(before?.[field], after?.[field]))
+            .map(field => ({ field, before: before?.[field] ?? '', after: after?.[field] ?? '' }));
+    }
+
+    // ========================================================================
+    // RECORDING
+    // ========================================================================
+
+    /**
+     * Append an entry. Never throws — auditing must not block the edit itself.
+     * @param {string} action - One of ACTION_LABELS keys
+     * @param {Object} entity - { type, id, title }
+     * @param {Array} changes - [{ field, before, after }]
+     * @param {Object} options - { id, actor } for events that happened elsewhere
+     *   (e.g. an approver's decision); a fixed id keeps repeat syncs from duplicating it
+     */
+    function record(action, entity, changes = [], options = {}) {
+        try {
+            const entries = _readLocal();
+            if (options.id && entries.some(e => e.id === options.id)) return null;
+
+            const entry = {
+                id: options.id || `audit_${Date.now()}_${Math.random().toString(36).substr(2, 6)}`,
+                at: Date.now(),
+                actor: options.actor || _getActor(),
+                action,
+                entityType: entity.type,
+                entityId: entity.id || null,
+                entityTitle: entity.title || '',
+                changes: changes || []
+            };
+
+            entries.push(entry);
+            _writeLocal(entries);
+
+            if (typeof StorageAdapter !== 'undefined' && StorageAdapter.saveAuditEntry) {
+                StorageAdapter.saveAuditEntry(entry);
+            }
+
+            return entry;
+        } catch (e) {
+            console.warn('[AuditLog] Could not record entry:', action, e);
+            return null;
+        }
+    }
+
+    // ========================================================================
+    // READING
+    // ========================================================================
+
+    /**
+     * Entries from this device merged with the cloud log (when signed in), newest first
+     */
+    async function getEntries() {
+        const byId = new Map(_readLocal().map(e => [e.id, e]));
+
+        if (typeof StorageAdapter !== 'undefined' && StorageAdapter.getAuditEntries) {
+            try {
+                const cloud = await StorageAdapter.getAuditEntries();
+                (cloud || []).forEach(e => byId.set(e.id, e));
+            } catch (e) {
+                console.warn('[AuditLog] Cloud log unavailable:', e);
+            }
+        }
+
+        return Array.from(byId.values()).sort((a, b) => b.at - a.at);
+    }
+
+    /**
+     * @param {Array} entries
+     * @param {Object} filter - { entityType, entityId, entityTitle, action, actor, since, query }
+     */
+    function filterEntries(entries, filter = {}) {
+        const query = (filter.query || '').trim().toLowerCase();
+
+        return entries.filter(entry => {
+            if (filter.entityType && entry.entityType !== filter.entityType) return false;
+            // Match SOPs by id or title — cloud rows from another device carry that device's id
+            if (filter.entityId && entry.entityId !== filter.entityId &&
+                !(filter.entityTitle && entry.entityTitle === filter.entityTitle)) return false;
+            if (filter.action && entry.action !== filter.action) return false;
+            if (filter.actor && getActorLabel(entry) !== filter.actor) return false;
+            if (filter.since && entry.at < filter.since) return false;
+            if (query) {
+                const haystack = [
+                    entry.entityTitle,
+                    getActionLabel(entry.action),
+                    getActorLabel(entry),
+                    ...(entry.changes || []).map(c => `${c.field} ${c.before} ${c.after}`)
+                ].join(' ').toLowerCase();
+                if (!haystack.includes(query)) return false;
+            }
+            return true;
+        });
+    }
+
+    function getActionLabel(action) {
+        return ACTION_LABELS[action] || action;
+    }
+
+    function getActorLabel(entry) {
+        return entry.actor?.email || entry.actor?.name || 'Signed-out user';
+    }
+
+    // ========================================================================
+    // EXPORT
+    // ========================================================================
+
+    /**
+     * One row per changed field (or one row for entries without field changes)
+     */
+    function toCSV(entries) {
+        // Neutralize spreadsheet formula prefixes before quoting
+        const csvEscape = (val) => {
+            let str = String(val ?? '');
+            if (/^[=+\-@\t\r]/.test(str)) str = "'" + str;
+            if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+                return '"' + str.replace(/"/g, '""') + '"';
+            }
+            return str;
+        };
+
+        const rows = [['Date', 'Time', 'User', 'Action', 'Type', 'Item', 'Field', 'Before', 'After']];
+
+        entries.forEach(entry => {
+            const d = new Date(entry.at);
+            const base = [
+                d.toLocaleDateString(),
+                d.toLocaleTimeString(),
+                getActorLabel(entry),
+                getActionLabel(entry.action),
+                entry.entityType,
+                entry.entityTitle
+            ];
+            const changes = entry.changes && entry.changes.length ? entry.changes : [{ field: '', before: '', after: '' }];
+            changes.forEach(c => {
+                rows.push([...base, c.field, c.before, c.after]);
+            });
+        });
+
+        return rows.map(r => r.map(csvEscape).join(',')).join('\n');
+    }
+
+    // ========================================================================
+    // EXPORT TO GLOBAL SCOPE
+    // ========================================================================
+
+    global.AuditLog = {
+        ACTION_LABELS,
+        record,
+        diffSop,
+        diffFields,
+        getEntries,
+        filterEntries,
+        getActionLabel,
+        getActorLabel,
+        toCSV
+    };
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,442 @@
+/**
+ * CommandPalette - Ctrl/Cmd+K command palette and the "?" shortcuts overlay
+ *
+ * Each view registers a provider from its _attachEventListeners:
+ *
+ *   CommandPalette.register('dashboard', {
+ *       label: 'Dashboard',
+ *       isActive: () => !!this.container.querySelector('.dashboard-layout'),
+ *       commands: () => [{ title, group, hint?, keywords?, run }],
+ *       shortcuts: [{ keys: ['j', 'k'], description }]
+ *   });
+ *
+ * Views share one container, so only the provider whose isActive() is true
+ * is used. Registering again under the same name replaces the provider.
+ *
+ * GLOBAL KEYS (handled here):
+ * - Ctrl/Cmd+K  open / close the palette
+ * - ?           the shortcuts overlay (not while typing in a field)
+ * - Esc         close either
+ * View keys (j/k, space, n...) are handled by each view; they check
+ * isTyping() and isOpen() first so they never fire over a text field or
+ * the palette.
+ *
+ * Search is fuzzy: the query's letters must appear in order; runs of
+ * consecutive letters and letters at word starts rank higher.
+ *
+ * Builds its own overlay and styles on first use.
+ * CRITICAL: Load before the modules.
+ *
+ * Shortcut list: docs/keyboard-shortcuts.md
+ *
+ * @version 1.0.0
+ */
+
+(function(global) {
+    'use strict';
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    const MAX_RESULTS = 50;
+
+    const IS_MAC = typeof navigator !== 'undefined' && /Mac|iPhone|iPad/.test(navigator.platform || '');
+
+    const MOD_KEY = IS_MAC ? '⌘' : 'Ctrl';
+
+    const GLOBAL_SHORTCUTS = [
+        { keys: [`${MOD_KEY}+K`], description: 'Open the command palette' },
+        { keys: ['?'], description: 'Show keyboard shortcuts' },
+        { keys: ['Esc'], description: 'Close the palette or this list' }
+    ];
+
+    const providers = {};
+
+    let overlay = null;
+    let results = [];
+    let selected = 0;
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    function _escapeHtml(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Score `text` against `query`: { score, positions } or null when the
+     * query's letters don't all appear in order. Spaces in the query are ignored.
+     */
+    function fuzzyMatch(query, text) {
+        const q = String(query || '').toLowerCase().replace(/\s+/g, '');
+        const t = String(text || '').toLowerCase();
+        if (!q) return { score: 0, positions: [] };
+
+        const positions = [];
+        let score = 0;
+        let from = 0;
+        for (const ch of q) {
+            const at = t.indexOf(ch, from);
+            if (at === -1) return null;
+            const previous = positions[positions.length - 1];
+            score += 1;
+            if (previous !== undefined && at === previous + 1) score += 3;
+            if (at === 0 || /[\s\-_:/(]/.test(t[at - 1])) score += 5;
+            score -= Math.min(3, at - from) * 0.1;
+            positions.push(at);
+            from = at + 1;
+        }
+        // Shorter titles win ties ("Open" over "Opening checklist for...")
+        return { score: score - t.length * 0.01, positions };
+    }
+
+    function _highlight(text, positions) {
+        const marks = new Set(positions);
+        return [...String(text)].map((ch, i) => marks.has(i) ? `<mark>${_escapeHtml(ch)}</mark>` : _escapeHtml(ch)).join('');
+    }
+
+    /**
+     * Is the key event aimed at a text field (where letters must type, not act)?
+     */
+    function isTyping(e) {
+        const el = e.target;
+        if (!el || !el.tagName) return false;
+        return el.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(el.tagName);
+    }
+
+    function _activeProvider() {
+        return Object.values(providers).find(provider => {
+            try { return provider.isActive(); } catch (e) { return false; }
+        }) || null;
+    }
+
+    // ========================================================================
+    // REGISTRY
+    // ========================================================================
+
+    function register(name, provider) {
+        providers[name] = provider;
+    }
+
+    function unregister(name) {
+        delete providers[name];
+    }
+
+    // ========================================================================
+    // OVERLAY
+    // ========================================================================
+
+    function _injectStyles() {
+        if (document.getElementById('command-palette-styles')) return;
+        const styles = document.createElement('style');
+        styles.id = 'command-palette-styles';
+        styles.textContent = `
+            .cmdk-overlay {
+                position: fixed;
+                inset: 0;
+                z-index: 2000;
+                display: flex;
+                align-items: flex-start;
+                justify-content: center;
+                padding-top: 12vh;
+                background: rgba(17, 24, 39, 0.45);
+                font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            }
+            .cmdk-panel {
+                width: 92%;
+                max-width: 560px;
+                max-height: 70vh;
+                display: flex;
+                flex-direction: column;
+                background: #fff;
+                border-radius: 12px;
+                box-shadow: 0 20px 50px rgba(0, 0, 0, 0.25);
+                overflow: hidden;
+            }
+            .cmdk-input {
+                padding: 14px 16px;
+                border: none;
+                border-bottom: 1px solid #e5e7eb;
+                font-size: 16px;
+                outline: none;
+            }
+            .cmdk-list {
+                list-style: none;
+                margin: 0;
+                padding: 6px;
+                overflow-y: auto;
+            }
+            .cmdk-item {
+                display: flex;
+                align-items: center;
+                gap: 10px;
+                padding: 8px 10px;
+                border-radius: 6px;
+                font-size: 14px;
+                color: #1f2937;
+                cursor: pointer;
+            }
+            .cmdk-item.selected {
+                background: #eef2ff;
+            }
+            .cmdk-item mark {
+                background: none;
+                color: #4f46e5;
+                font-weight: 600;
+            }
+            .cmdk-group {
+                flex-shrink: 0;
+                min-width: 56px;
+                font-size: 11px;
+                font-weight: 600;
+                color: #9ca3af;
+                text-transform: uppercase;
+            }
+            .cmdk-title {
+                flex: 1;
+                min-width: 0;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
+            }
+            .cmdk-hint {
+                flex-shrink: 0;
+                font-size: 12px;
+                color: #9ca3af;
+            }
+            .cmdk-empty {
+                padding: 16px;
+                font-size: 14px;
+                color: #6b7280;
+                text-align: center;
+            }
+            .cmdk-footer {
+                padding: 8px 14px;
+                border-top: 1px solid #f3f4f6;
+                font-size: 12px;
+                color: #9ca3af;
+            }
+            .cmdk-shortcuts {
+                padding: 12px 18px 16px;
+                overflow-y: auto;
+            }
+            .cmdk-shortcuts h3 {
+                margin: 4px 0 10px;
+                font-size: 16px;
+            }
+            .cmdk-shortcuts h4 {
+                margin: 14px 0 6px;
+                font-size: 12px;
+                color: #6b7280;
+                text-transform: uppercase;
+            }
+            .cmdk-shortcut {
+                display: flex;
+                justify-content: space-between;
+                gap: 12px;
+                padding: 4px 0;
+                font-size: 14px;
+                color: #374151;
+            }
+            .cmdk-shortcut kbd {
+                display: inline-block;
+                min-width: 22px;
+                margin-left: 4px;
+                padding: 1px 6px;
+                border: 1px solid #d1d5db;
+                border-bottom-width: 2px;
+                border-radius: 4px;
+                background: #f9fafb;
+                font-family: inherit;
+                font-size: 12px;
+                text-align: center;
+            }
+        `;
+        document.head.appendChild(styles);
+    }
+
+    function _show(html) {
+        close();
+        _injectStyles();
+        overlay = document.createElement('div');
+        overlay.className = 'cmdk-overlay';
+        overlay.innerHTML = `<div class="cmdk-panel" role="dialog" aria-modal="true">${html}</div>`;
+        overlay.addEventListener('mousedown', (e) => {
+            if (e.target === overlay) close();
+        });
+        document.body.appendChild(overlay);
+    }
+
+    function close() {
+        if (overlay) overlay.remove();
+        overlay = null;
+        results = [];
+    }
+
+    function isOpen() {
+        return !!overlay;
+    }
+
+    // ========================================================================
+    // PALETTE
+    // ========================================================================
+
+    function _search(commands, query) {
+        if (!query.trim()) {
+            return commands.slice(0, MAX_RESULTS).map(command => ({ command, positions: [] }));
+        }
+        return commands
+            .map(command => {
+                const match = fuzzyMatch(query, command.title);
+                const keywordMatch = command.keywords ? fuzzyMatch(query, command.keywords) : null;
+                if (!match && !keywordMatch) return null;
+                // Keyword hits rank below title hits and highlight nothing
+                return match && (!keywordMatch || match.score >= keywordMatch.score - 2)
+                    ? { command, score: match.score, positions: match.positions }
+                    : { command, score: keywordMatch.score - 2, positions: [] };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, MAX_RESULTS);
+    }
+
+    function _renderResults(list) {
+        if (results.length === 0) {
+            list.innerHTML = '<li class="cmdk-empty">No matches</li>';
+            return;
+        }
+        list.innerHTML = results.map(({ command, positions }, i) => `
+            <li class="cmdk-item${i === selected ? ' selected' : ''}" role="option" data-index="${i}" aria-selected="${i === selected}">
+                <span class="cmdk-group">${_escapeHtml(command.group || '')}</span>
+                <span class="cmdk-title">${_highlight(command.title, positions)}</span>
+                ${command.hint ? `<span class="cmdk-hint">${_escapeHtml(command.hint)}</span>` : ''}
+            </li>
+        `).join('');
+        list.querySelector('.cmdk-item.selected')?.scrollIntoView({ block: 'nearest' });
+    }
+
+    function _run(index) {
+        const result = results[index];
+        if (!result) return;
+        close();
+        result.command.run();
+    }
+
+    /**
+     * Open the palette with the active view's commands
+     */
+    function open() {
+        const provider = _activeProvider();
+        if (!provider) return;
+        const commands = provider.commands() || [];
+
+        _show(`
+            <input type="text" class="cmdk-input" placeholder="Search SOPs, folders and actions…" aria-label="Search commands" autocomplete="off" />
+            <ul class="cmdk-list" role="listbox"></ul>
+            <div class="cmdk-footer">↑↓ to move · Enter to run · Esc to close · ? for shortcuts</div>
+        `);
+        const input = overlay.querySelector('.cmdk-input');
+        const list = overlay.querySelector('.cmdk-list');
+
+        const update = () => {
+            results = _search(commands, input.value);
+            selected = 0;
+            _renderResults(list);
+        };
+        input.addEventListener('input', update);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                if (results.length === 0) return;
+                selected = (selected + (e.key === 'ArrowDown' ? 1 : -1) + results.length) % results.length;
+                _renderResults(list);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                _run(selected);
+            }
+        });
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('.cmdk-item');
+            if (item) _run(parseInt(item.dataset.index));
+        });
+
+        update();
+        input.focus();
+    }
+
+    // ========================================================================
+    // SHORTCUTS OVERLAY
+    // ========================================================================
+
+    function _renderShortcuts(shortcuts) {
+        return shortcuts.map(({ keys, description }) => `
+            <div class="cmdk-shortcut">
+                <span>${_escapeHtml(description)}</span>
+                <span>${keys.map(key => `<kbd>${_escapeHtml(key)}</kbd>`).join('')}</span>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * List every shortcut that works on the current screen
+     */
+    function showShortcuts() {
+        const provider = _activeProvider();
+        _show(`
+            <div class="cmdk-shortcuts">
+                <h3>⌨️ Keyboard shortcuts</h3>
+                <h4>Everywhere</h4>
+                ${_renderShortcuts(GLOBAL_SHORTCUTS)}
+                ${provider?.shortcuts?.length ? `
+                <h4>${_escapeHtml(provider.label || 'This screen')}</h4>
+                ${_renderShortcuts(provider.shortcuts)}
+                ` : ''}
+            </div>
+        `);
+    }
+
+    // ========================================================================
+    // GLOBAL KEYS
+    // ========================================================================
+
+    if (typeof document !== 'undefined') {
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+                if (!isOpen() && !_activeProvider()) return;
+                e.preventDefault();
+                if (isOpen()) close();
+                else open();
+            } else if (e.key === 'Escape' && isOpen()) {
+                e.preventDefault();
+                close();
+            } else if (e.key === '?' && !e.ctrlKey && !e.metaKey && !isTyping(e) && _activeProvider()) {
+                e.preventDefault();
+                if (isOpen()) close();
+                else showShortcuts();
+            }
+        });
+    }
+
+    // ========================================================================
+    // EXPORT
+    // ========================================================================
+
+    global.CommandPalette = {
+        MOD_KEY,
+        register,
+        unregister,
+        open,
+        close,
+        isOpen,
+        isTyping,
+        showShortcuts,
+        fuzzyMatch
+    };
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,201 @@
+/**
+ * EditHistory - Undo / redo stack for the SOP editor
+ *
+ * Holds whole copies of the editor's form state ({ title, description,
+ * folderId, steps, tags, status, translations }):
+ *
+ *   { past: [state, ...], present: state, future: [state, ...] }
+ *
+ * record() is called after each change settles (the editor calls it where it
+ * saves its draft — right away for structural changes, after 500ms of typing),
+ * so a burst of keystrokes undoes as one step.
+ *
+ * Copies share their step image strings with each other instead of
+ * duplicating them. pack() keeps that true on disk: each image is stored once
+ * in an `images` table and steps refer to it by index, so the stack can ride
+ * along in the editor draft and survive draft recovery.
+ *
+ * No storage or DOM. CRITICAL: Load before the modules.
+ *
+ * @version 1.0.0
+ */
+
+(function(global) {
+    'use strict';
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    const MAX_STATES = 100;
+
+    // Packed into the draft — kept smaller, localStorage is tight
+    const MAX_PACKED_STATES = 30;
+
+    const FIELDS = ['title', 'description', 'folderId', 'steps', 'tags', 'status', 'translations'];
+
+    const IMAGE_REF = '@image:';
+
+    // ========================================================================
+    // STATE COPIES
+    // ========================================================================
+
+    /**
+     * Deep copy of the form state; step images are shared, not copied
+     */
+    function _copy(state) {
+        const copy = {};
+        FIELDS.forEach(field => {
+            if (field === 'steps') {
+                copy.steps = (state.steps || []).map(({ image, ...step }) => ({
+                    ...JSON.parse(JSON.stringify(step)),
+                    ...(image !== undefined ? { image } : {})
+                }));
+            } else if (field === 'tags') {
+                copy.tags = [...(state.tags || [])];
+            } else if (field === 'translations') {
+                copy.translations = state.translations ? JSON.parse(JSON.stringify(state.translations)) : null;
+            } else {
+                copy[field] = state[field];
+            }
+        });
+        return copy;
+    }
+
+    function _key(state) {
+        return JSON.stringify(FIELDS.map(field => state[field]));
+    }
+
+    // ========================================================================
+    // STACK
+    // ========================================================================
+
+    /**
+     * A new history starting at `state`
+     */
+    function create(state) {
+        const present = _copy(state);
+        return { past: [], present, future: [], key: _key(present) };
+    }
+
+    /**
+     * Make `state` the present if it changed. Clears redo.
+     * @returns {boolean} whether anything was recorded
+     */
+    function record(history, state) {
+        const key = _key(state);
+        if (key === history.key) return false;
+        history.past.push(history.present);
+        if (history.past.length > MAX_STATES) history.past.shift();
+        history.present = _copy(state);
+        history.key = key;
+        history.future = [];
+        return true;
+    }
+
+    /**
+     * Step back. Returns a copy of the state to show, or null at the start.
+     */
+    function undo(history) {
+        if (history.past.length === 0) return null;
+        history.future.push(history.present);
+        history.present = history.past.pop();
+        history.key = _key(history.present);
+        return _copy(history.present);
+    }
+
+    /**
+     * Step forward again. Returns a copy of the state to show, or null at the end.
+     */
+    function redo(history) {
+        if (history.future.length === 0) return null;
+        history.past.push(history.present);
+        history.present = history.future.pop();
+        history.key = _key(history.present);
+        return _copy(history.present);
+    }
+
+    function canUndo(history) {
+        return !!history && history.past.length > 0;
+    }
+
+    function canRedo(history) {
+        return !!history && history.future.length > 0;
+    }
+
+    // ========================================================================
+    // DRAFT STORAGE
+    // ========================================================================
+
+    /**
+     * JSON-ready copy of the stack (the newest states), each image stored once
+     */
+    function pack(history) {
+        const images = [];
+        const index = new Map();
+        const packState = (state) => ({
+            ...state,
+            steps: state.steps.map(step => {
+                if (!step.image || typeof step.image !== 'string') return step;
+                if (!index.has(step.image)) {
+                    index.set(step.image, images.length);
+                    images.push(step.image);
+                }
+                return { ...step, image: IMAGE_REF + index.get(step.image) };
+            })
+        });
+
+        const keep = Math.max(0, MAX_PACKED_STATES - 1 - history.future.length);
+        return {
+            past: (keep > 0 ? history.past.slice(-keep) : []).map(packState),
+            present: packState(history.present),
+            future: history.future.slice(-(MAX_PACKED_STATES - 1)).map(packState),
+            images
+        };
+    }
+
+    /**
+     * The stack back from pack(), continued to `state` (the recovered draft —
+     * the draft may have been written after the stack's last record).
+     * Falls back to a fresh history when the packed one is unusable.
+     */
+    function unpack(packed, state) {
+        if (!packed || !packed.present || !Array.isArray(packed.past) || !Array.isArray(packed.future)) {
+            return create(state);
+        }
+        const images = Array.isArray(packed.images) ? packed.images : [];
+        const unpackState = (s) => _copy({
+            ...s,
+            steps: (s.steps || []).map(step => {
+                if (typeof step.image !== 'string' || !step.image.startsWith(IMAGE_REF)) return step;
+                return { ...step, image: images[Number(step.image.slice(IMAGE_REF.length))] || null };
+            })
+        });
+
+        const present = unpackState(packed.present);
+        const history = {
+            past: packed.past.map(unpackState),
+            present,
+            future: packed.future.map(unpackState),
+            key: _key(present)
+        };
+        record(history, state);
+        return history;
+    }
+
+    // ========================================================================
+    // EXPORT
+    // ========================================================================
+
+    global.EditHistory = {
+        create,
+        record,
+        undo,
+        redo,
+        canUndo,
+        canRedo,
+        pack,
+        unpack
+    };
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,171 @@
+/**
+ * LibraryOrganizer - AI tag and folder proposals for a whole SOP library
+ *
+ * The dashboard's "Organize Library" sends SOP summaries to /api/ai (action
+ * 'organize') in batches and turns each reply into a proposal the user
+ * accepts or rejects before anything is saved:
+ *
+ *   { sopId, sopTitle, fromFolderId, toFolderId, newFolder, addTags }
+ *
+ * toFolderId is an existing folder to move to; newFolder is instead the name
+ * of a folder to create. Both are null when the SOP stays where it is.
+ * addTags are only the tags the SOP doesn't have yet. SOPs the reply leaves
+ * as they are get no proposal.
+ *
+ * Folders proposed for one batch are sent with the next under a "new:" id
+ * (folderList), so later SOPs can land in the same new folder.
+ *
+ * Pure functions, no storage or DOM. CRITICAL: Load before the modules.
+ *
+ * @version 1.0.0
+ */
+
+(function(global) {
+    'use strict';
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    // SOPs per /api/ai request — the most api/ai.js accepts
+    const BATCH_SIZE = 50;
+
+    // Steps of each SOP sent along with its title and description
+    const SUMMARY_STEPS = 8;
+
+    const NEW_FOLDER_PREFIX = 'new:';
+
+    // ========================================================================
+    // REQUESTS
+    // ========================================================================
+
+    /**
+     * What the model reads about one SOP. Section names count as steps; block
+     * references have no text of their own and are left out.
+     */
+    function summarize(sop) {
+        return {
+            id: sop.id,
+            title: (sop.title || 'Untitled SOP').slice(0, 500),
+            description: (sop.description || '').slice(0, 2000),
+            steps: (sop.steps || [])
+                .filter(step => step.type !== 'block' && (step.text || '').trim())
+                .slice(0, SUMMARY_STEPS)
+                .map(step => step.text.trim().slice(0, 500)),
+            tags: (sop.tags || []).slice(0, 30).map(tag => String(tag).slice(0, 50)),
+            folderId: sop.folderId || null
+        };
+    }
+
+    function batches(sops, size = BATCH_SIZE) {
+        const result = [];
+        for (let i = 0; i < sops.length; i += size) {
+            result.push(sops.slice(i, i + size));
+        }
+        return result;
+    }
+
+    /**
+     * The folders to offer: the workspace's, plus new ones proposed so far
+     */
+    function folderList(folders, newNames = []) {
+        return [
+            ...folders.map(f => ({ id: f.id, name: f.name })),
+            ...newNames.map(name => ({ id: NEW_FOLDER_PREFIX + name, name }))
+        ];
+    }
+
+    // ========================================================================
+    // PROPOSALS
+    // ========================================================================
+
+    function _sameName(a, b) {
+        return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+    }
+
+    /**
+     * The proposal for `sop` from its reply ({ folderId, newFolder, tags }),
+     * or null when the reply changes nothing
+     */
+    function proposalFor(sop, reply, folders) {
+        const current = folders.some(f => f.id === sop.folderId) ? sop.folderId : null;
+        let toFolderId = null;
+        let newFolder = null;
+
+        if (reply.folderId && reply.folderId.startsWith(NEW_FOLDER_PREFIX)) {
+            newFolder = reply.folderId.slice(NEW_FOLDER_PREFIX.length);
+        } else if (reply.folderId && folders.some(f => f.id === reply.folderId)) {
+            toFolderId = reply.folderId;
+        } else if (reply.newFolder && reply.newFolder.trim()) {
+            // A "new" folder that exists after all is a plain move
+            const existing = folders.find(f => _sameName(f.name, reply.newFolder));
+            if (existing) toFolderId = existing.id;
+            else newFolder = reply.newFolder.trim();
+        }
+        if (toFolderId === current) toFolderId = null;
+
+        const have = new Set((sop.tags || []).map(tag => tag.toLowerCase()));
+        const addTags = [...new Set((reply.tags || []).map(tag => tag.trim().toLowerCase()))]
+            .filter(tag => tag && !have.has(tag));
+
+        if (!toFolderId && !newFolder && addTags.length === 0) return null;
+        return {
+            sopId: sop.id,
+            sopTitle: sop.title || 'Untitled SOP',
+            fromFolderId: current,
+            toFolderId,
+            newFolder,
+            addTags
+        };
+    }
+
+    /**
+     * Names of the folders the proposals would create, each once (first
+     * spelling wins)
+     */
+    function newFolderNames(proposals) {
+        const names = [];
+        proposals.forEach(p => {
+            if (p.newFolder && !names.some(name => _sameName(name, p.newFolder))) names.push(p.newFolder);
+        });
+        return names;
+    }
+
+    /**
+     * The SOP with the accepted parts of its proposal applied. createdFolders
+     * maps each new folder's lowercased name to the id it was created with.
+     * Returns the same object when nothing applies.
+     */
+    function applyProposal(sop, proposal, accepted = { folder: true, tags: true }, createdFolders = {}) {
+        const next = { ...sop };
+        let changed = false;
+
+        if (accepted.folder) {
+            const target = proposal.newFolder ? createdFolders[proposal.newFolder.toLowerCase()] : proposal.toFolderId;
+            if (target && target !== sop.folderId) {
+                next.folderId = target;
+                changed = true;
+            }
+        }
+        if (accepted.tags && proposal.addTags.length > 0) {
+            next.tags = [...(sop.tags || []), ...proposal.addTags];
+            changed = true;
+        }
+        return changed ? next : sop;
+    }
+
+    // ========================================================================
+    // EXPORT
+    // ========================================================================
+
+    global.LibraryOrganizer = {
+        BATCH_SIZE,
+        summarize,
+        batches,
+        folderList,
+        proposalFor,
+        newFolderNames,
+        applyProposal
+    };
+
+})(typeof window !== 'undefined' ? window : this);
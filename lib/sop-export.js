@@ -0,0 +1,963 @@
+/**
+ * SOPExport - Hand SOPs over as files: Markdown, JSON, Word (.docx) and PDF
+ *
+ * Every format carries the step notes, images, tags and revision metadata
+ * (status, review state, created / updated / published dates, approver).
+ * Several SOPs (a folder) go into one file, one SOP after another.
+ *
+ * FORMATS:
+ * - Markdown: readable anywhere; images are embedded as data: URLs
+ * - JSON: the documented interchange format (docs/sop-export-format.md).
+ *   fromJSON() reads it back for the importer, so exports round-trip.
+ * - DOCX: written from scratch as an uncompressed zip
+ * - PDF: generated directly with the built-in Helvetica fonts, so only
+ *   Western European characters print; anything else shows as "?".
+ *   Print → Save as PDF keeps every script.
+ *
+ * Everything runs in the browser and returns Blobs / strings — the caller downloads them.
+ *
+ * CRITICAL: Load before the modules. Uses SOPWorkflow (when loaded) for review state
+ * and, when loaded, StepBlocks to expand step blocks, SOPLinks to flatten linked
+ * steps and StepDurations to read step estimates on import.
+ *
+ * @version 1.0.0
+ */
+
+(function(global) {
+    'use strict';
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    const JSON_FORMAT = 'withoutme.sops';
+    const JSON_VERSION = 1;
+
+    const FORMATS = {
+        markdown: { label: 'Markdown', extension: 'md', type: 'text/markdown;charset=utf-8' },
+        json: { label: 'JSON', extension: 'json', type: 'application/json;charset=utf-8' },
+        docx: { label: 'Word', extension: 'docx', type: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document' },
+        pdf: { label: 'PDF', extension: 'pdf', type: 'application/pdf' }
+    };
+
+    const INPUT_LABELS = {
+        number: 'Number reading',
+        yesno: 'Yes / No',
+        text: 'Short text',
+        select: 'Dropdown'
+    };
+
+    // Anything interpolated into markup on import must match these
+    const ID_PATTERN = /^[\w-]{1,100}$/;
+    const IMAGE_PATTERN = /^data:image\/(?:jpeg|png|gif|webp);base64,[A-Za-z0-9+/]+=*$/;
+
+    // ========================================================================
+    // SHARED HELPERS
+    // ========================================================================
+
+    function formatDate(value) {
+        if (!value) return '';
+        const date = new Date(value);
+        if (isNaN(date)) return '';
+        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+    }
+
+    function toIso(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        return isNaN(date) ? null : date.toISOString();
+    }
+
+    function describeTarget(target, steps, numbers) {
+        if (!target || target === 'next') return 'next step';
+        if (target === 'end') return 'end';
+        const step = steps.find(s => s.id === target);
+        if (!step) return 'next step';
+        return step.type === 'section' ? `section "${step.text}"` : `step ${numbers[step.id]}`;
+    }
+
+    function describeInput(step) {
+        const input = step.input;
+        if (!input || input.type === 'checkbox' || step.type === 'decision') return '';
+        let detail = INPUT_LABELS[input.type] || input.type;
+        if (input.type === 'number') {
+            const hasMin = typeof input.min === 'number';
+            const hasMax = typeof input.max === 'number';
+            const unit = input.unit ? ' ' + input.unit : '';
+            if (hasMin && hasMax) detail += ` (${input.min}–${input.max}${unit})`;
+            else if (hasMin) detail += ` (at least ${input.min}${unit})`;
+            else if (hasMax) detail += ` (at most ${input.max}${unit})`;
+            else if (unit) detail += ` (${input.unit})`;
+        } else if (input.type === 'select' && (input.options || []).length > 0) {
+            detail += `: ${input.options.join(' / ')}`;
+        }
+        return detail + (step.required ? ' · required' : '');
+    }
+
+    /**
+     * Status, review state and dates for the document header
+     */
+    function revisionOf(sop) {
+        const workflow = typeof SOPWorkflow !== 'undefined';
+        const published = workflow ? SOPWorkflow.getPublished(sop) : null;
+        return {
+            status: sop.status || 'draft',
+            state: workflow ? SOPWorkflow.getState(sop).label : (sop.status || 'draft'),
+            createdAt: sop.createdAt || null,
+            updatedAt: sop.updatedAt || sop.createdAt || null,
+            publishedAt: published?.publishedAt || null,
+            approvedBy: published?.approvedBy || null
+        };
+    }
+
+    function revisionLines(sop, folders) {
+        const revision = revisionOf(sop);
+        const folder = folders.find(f => f.id === sop.folderId);
+        const lines = [
+            ['Status', revision.state],
+            ['Folder', folder ? folder.name : 'Uncategorized'],
+            ['Created', formatDate(revision.createdAt)],
+            ['Last updated', formatDate(revision.updatedAt)]
+        ];
+        if (revision.publishedAt) {
+            lines.push(['Published', formatDate(revision.publishedAt) + (revision.approvedBy ? ` (approved by ${revision.approvedBy})` : '')]);
+        }
+        return lines.filter(([, value]) => value);
+    }
+
+    function fileName(name, format) {
+        const slug = String(name || 'sop').toLowerCase().replace(/[^\w]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'sop';
+        return `${slug}.${FORMATS[format].extension}`;
+    }
+
+    function decodeBase64(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    /**
+     * Decode a step image and read its pixel size from the JPEG / PNG header
+     * @returns {{ bytes, type: 'jpeg'|'png', width, height, components }|null}
+     */
+    function readImage(dataUrl) {
+        const match = /^data:image\/(jpeg|png);base64,(.+)$/.exec(dataUrl || '');
+        if (!match) return null;
+        const bytes = decodeBase64(match[2]);
+
+        if (match[1] === 'png') {
+            if (bytes.length < 24) return null;
+            const view = new DataView(bytes.buffer);
+            return { bytes, type: 'png', width: view.getUint32(16), height: view.getUint32(20), components: 3 };
+        }
+
+        let i = 2;
+        while (i + 9 < bytes.length) {
+            if (bytes[i] !== 0xFF) {
+                i++;
+                continue;
+            }
+            const marker = bytes[i + 1];
+            // Start-of-frame markers carry the size; C4, C8 and CC are not frames
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                return {
+                    bytes,
+                    type: 'jpeg',
+                    height: (bytes[i + 5] << 8) | bytes[i + 6],
+                    width: (bytes[i + 7] << 8) | bytes[i + 8],
+                    components: bytes[i + 9]
+                };
+            }
+            i += 2 + ((bytes[i + 2] << 8) | bytes[i + 3]);
+        }
+        return null;
+    }
+
+    function fitImage(image, maxWidth, maxHeight) {
+        const scale = Math.min(1, maxWidth / image.width, maxHeight / image.height);
+        return { width: image.width * scale, height: image.height * scale };
+    }
+
+    // ========================================================================
+    // MARKDOWN
+    // ========================================================================
+
+    function escapeMarkdown(text) {
+        return String(text || '').replace(/([\\`*_[\]<>#])/g, '\\$1').replace(/\s*\n\s*/g, ' ');
+    }
+
+    function sopToMarkdown(sop, folders) {
+        const steps = sop.steps || [];
+        const numbers = StepNumbers.number(steps);
+        const lines = [`# ${escapeMarkdown(sop.title)}`, ''];
+
+        lines.push(revisionLines(sop, folders).map(([label, value]) => `**${label}:** ${escapeMarkdown(value)}`).join('  \n'), '');
+        if (sop.description) lines.push(escapeMarkdown(sop.description), '');
+        if ((sop.tags || []).length > 0) lines.push(sop.tags.map(tag => `\\#${escapeMarkdown(tag)}`).join(' '), '');
+
+        let subCount = 0;
+        steps.forEach(step => {
+            if (step.type === 'section') {
+                lines.push('', `## ${escapeMarkdown(step.text)}`, '');
+                return;
+            }
+
+            const isSub = numbers[step.id].includes('.');
+            subCount = isSub ? subCount + 1 : 0;
+            const indent = isSub ? '   ' : '';
+            const detail = indent + '   ';
+
+            lines.push(`${indent}${isSub ? subCount : numbers[step.id]}. ${escapeMarkdown(step.text)}`);
+            if (step.note) lines.push(`${detail}> 💡 ${escapeMarkdown(step.note)}`);
+            if (step.type === 'decision') {
+                (step.branches || []).forEach(branch => {
+                    lines.push(`${detail}- ☐ ${escapeMarkdown(branch.label)} → ${escapeMarkdown(describeTarget(branch.goto, steps, numbers))}`);
+                });
+            } else if (step.goto && step.goto !== 'next') {
+                lines.push(`${detail}- ↪ Then go to ${escapeMarkdown(describeTarget(step.goto, steps, numbers))}`);
+            }
+            if (describeInput(step)) lines.push(`${detail}- ✏️ Records: ${escapeMarkdown(describeInput(step))}`);
+            if (step.photoRequired) lines.push(`${detail}- 📸 Photo proof required`);
+            if (step.image && IMAGE_PATTERN.test(step.image)) lines.push(`${detail}![Step ${numbers[step.id]}](${step.image})`);
+        });
+
+        return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    function toMarkdown(sops, { folders = [] } = {}) {
+        return sops.map(sop => sopToMarkdown(sop, folders)).join('\n\n---\n\n') + '\n';
+    }
+
+    // ========================================================================
+    // JSON (see docs/sop-export-format.md)
+    // ========================================================================
+
+    function exportStep(step) {
+        if (step.type === 'section') return { id: step.id, type: 'section', text: step.text || '' };
+        return {
+            id: step.id,
+            text: step.text || '',
+            note: step.note || '',
+            image: step.image || null,
+            ...(step.level === 1 ? { level: 1 } : {}),
+            ...(step.type === 'decision' ? { type: 'decision', branches: step.branches || [] } : {}),
+            ...(step.goto && step.goto !== 'next' ? { goto: step.goto } : {}),
+            ...(step.input ? { input: step.input } : {}),
+            ...(step.required ? { required: true } : {}),
+            ...(step.photoRequired ? { photoRequired: true } : {}),
+            ...(step.estimate ? { estimate: step.estimate } : {})
+        };
+    }
+
+    function toJSON(sops, { folders = [] } = {}) {
+        const folderIds = new Set(sops.map(sop => sop.folderId));
+        return JSON.stringify({
+            format: JSON_FORMAT,
+            version: JSON_VERSION,
+            exportedAt: new Date().toISOString(),
+            folders: folders
+                .filter(folder => folderIds.has(folder.id))
+                .map(({ id, name, icon, color }) => ({ id, name, icon, color })),
+            sops: sops.map(sop => {
+                const revision = revisionOf(sop);
+                return {
+                    id: sop.id,
+                    title: sop.title || '',
+                    description: sop.description || '',
+                    folderId: sop.folderId || null,
+                    tags: sop.tags || [],
+                    status: revision.status,
+                    createdAt: toIso(revision.createdAt),
+                    updatedAt: toIso(revision.updatedAt),
+                    revision: {
+                        state: revision.state,
+                        publishedAt: toIso(revision.publishedAt),
+                        approvedBy: revision.approvedBy
+                    },
+                    steps: (sop.steps || []).map(exportStep)
+                };
+            })
+        }, null, 2);
+    }
+
+    function cleanText(value, maxLength) {
+        return typeof value === 'string' ? value.slice(0, maxLength) : '';
+    }
+
+    function readInput(input) {
+        if (!input || !INPUT_LABELS[input.type]) return null;
+        if (input.type === 'number') {
+            return {
+                type: 'number',
+                unit: cleanText(input.unit, 20),
+                min: typeof input.min === 'number' ? input.min : null,
+                max: typeof input.max === 'number' ? input.max : null
+            };
+        }
+        if (input.type === 'select') {
+            const options = Array.isArray(input.options) ? input.options.filter(o => typeof o === 'string' && o.trim()) : [];
+            return { type: 'select', options: options.map(o => o.trim().slice(0, 100)) };
+        }
+        return { type: input.type };
+    }
+
+    /**
+     * Rebuild steps from an export, trusting nothing: ids that could break
+     * markup are replaced (and jumps remapped), images must be base64 data URLs.
+     */
+    function readSteps(rawSteps, warnings) {
+        const idMap = {};
+        const used = new Set();
+        let counter = 0;
+        let droppedImages = 0;
+
+        const steps = rawSteps.filter(raw => raw && typeof raw === 'object').map(raw => {
+            const prefix = raw.type === 'section' ? 'section' : 'step';
+            let id = typeof raw.id === 'string' && ID_PATTERN.test(raw.id) && !used.has(raw.id) ? raw.id : null;
+            if (!id) id = `${prefix}_import_${Date.now()}_${++counter}`;
+            used.add(id);
+            if (typeof raw.id === 'string') idMap[raw.id] = id;
+            return { raw, id };
+        });
+
+        const target = (goto) => goto === 'end' ? 'end' : (idMap[goto] || 'next');
+
+        const result = steps.map(({ raw, id }, i) => {
+            if (raw.type === 'section') return { id, type: 'section', text: cleanText(raw.text, 100), order: i + 1 };
+
+            const previous = steps[i - 1]?.raw;
+            let image = null;
+            if (raw.image) {
+                if (typeof raw.image === 'string' && IMAGE_PATTERN.test(raw.image)) image = raw.image;
+                else droppedImages++;
+            }
+
+            const step = {
+                id,
+                text: cleanText(raw.text, 2000),
+                note: cleanText(raw.note, 2000),
+                image,
+                order: i + 1
+            };
+            if (raw.level === 1 && previous && previous.type !== 'section') step.level = 1;
+
+            if (raw.type === 'decision' && Array.isArray(raw.branches)) {
+                step.type = 'decision';
+                step.branches = raw.branches.filter(b => b && typeof b === 'object').map((b, j) => ({
+                    id: typeof b.id === 'string' && ID_PATTERN.test(b.id) ? b.id : `branch_import_${Date.now()}_${i}_${j}`,
+                    label: cleanText(b.label, 60),
+                    goto: target(b.goto)
+                }));
+                return step;
+            }
+
+            if (raw.goto && raw.goto !== 'next') step.goto = target(raw.goto);
+            if (step.goto === 'next') delete step.goto;
+            const input = readInput(raw.input);
+            if (input) {
+                step.input = input;
+                if (raw.required) step.required = true;
+            }
+            if (raw.photoRequired) step.photoRequired = true;
+            const estimate = typeof StepDurations !== 'undefined' ? StepDurations.parseEstimate(raw.estimate) : null;
+            if (estimate) step.estimate = estimate;
+            return step;
+        });
+
+        if (droppedImages > 0) warnings.push(`${droppedImages} image${droppedImages === 1 ? '' : 's'} in an unsupported format ${droppedImages === 1 ? 'was' : 'were'} skipped.`);
+        return result;
+    }
+
+    /**
+     * Read a JSON export back. Rejects anything that isn't one with a user-facing message.
+     * Status and dates are not carried over — an imported copy starts as a new draft.
+     * @returns {{ sops: Array<{ title, description, steps, tags, folderName }>, warnings: string[] }}
+     */
+    function fromJSON(text) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (e) {
+            throw new Error('This JSON file could not be read.');
+        }
+
+        if (!data || data.format !== JSON_FORMAT || !Array.isArray(data.sops)) {
+            throw new Error('This JSON file is not a WithoutMe SOP export.');
+        }
+        if (data.version > JSON_VERSION) {
+            throw new Error('This export was made by a newer version of WithoutMe. Reload the app and try again.');
+        }
+
+        const warnings = [];
+        const folders = Array.isArray(data.folders) ? data.folders : [];
+        const sops = data.sops.filter(raw => raw && typeof raw === 'object').map(raw => {
+            const folder = folders.find(f => f && f.id === raw.folderId);
+            return {
+                title: cleanText(raw.title, 200) || 'Imported SOP',
+                description: cleanText(raw.description, 500),
+                steps: Array.isArray(raw.steps) ? readSteps(raw.steps, warnings) : [],
+                tags: Array.isArray(raw.tags) ? raw.tags.filter(t => typeof t === 'string').map(t => t.trim().toLowerCase().slice(0, 50)).filter(Boolean) : [],
+                folderName: folder && typeof folder.name === 'string' ? folder.name : null
+            };
+        });
+
+        return { sops, warnings: [...new Set(warnings)] };
+    }
+
+    // ========================================================================
+    // ZIP (stored, for .docx)
+    // ========================================================================
+
+    const CRC_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+
+    function crc32(bytes) {
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * @param {Array<{ name: string, data: string|Uint8Array }>} files
+     * @returns {Blob}
+     */
+    function buildZip(files) {
+        const encoder = new TextEncoder();
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = crc32(data);
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);
+            local.setUint16(4, 20, true);
+            local.setUint16(6, 0x0800, true);
+            local.setUint16(10, dosTime, true);
+            local.setUint16(12, dosDate, true);
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            parts.push(new Uint8Array(local.buffer), name, data);
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014b50, true);
+            entry.setUint16(4, 20, true);
+            entry.setUint16(6, 20, true);
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(12, dosTime, true);
+            entry.setUint16(14, dosDate, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            entry.setUint32(42, offset, true);
+            central.push(new Uint8Array(entry.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...parts, ...central, new Uint8Array(end.buffer)], { type: FORMATS.docx.type });
+    }
+
+    // ========================================================================
+    // DOCX
+    // ========================================================================
+
+    const EMU_PER_PX = 9525;
+
+    function escapeXml(text) {
+        return String(text || '')
+            // Control characters are not allowed in XML
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    function run(text, { bold = false, italic = false, color = null, size = null } = {}) {
+        const props = [
+            bold ? '<w:b/>' : '',
+            italic ? '<w:i/>' : '',
+            color ? `<w:color w:val="${color}"/>` : '',
+            size ? `<w:sz w:val="${size}"/>` : ''
+        ].join('');
+        return `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}<w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+    }
+
+    function paragraph(runs, { style = null, indent = 0, after = null, keepNext = false } = {}) {
+        const props = [
+            style ? `<w:pStyle w:val="${style}"/>` : '',
+            keepNext ? '<w:keepNext/>' : '',
+            after !== null ? `<w:spacing w:after="${after}"/>` : '',
+            indent ? `<w:ind w:left="${indent}"/>` : ''
+        ].join('');
+        return `<w:p>${props ? `<w:pPr>${props}</w:pPr>` : ''}${runs}</w:p>`;
+    }
+
+    function docxStyles() {
+        const heading = (id, name, size, outline) => `
+            <w:style w:type="paragraph" w:styleId="${id}">
+                <w:name w:val="${name}"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/>
+                <w:pPr><w:keepNext/><w:spacing w:before="240" w:after="120"/><w:outlineLvl w:val="${outline}"/></w:pPr>
+                <w:rPr><w:b/><w:sz w:val="${size}"/></w:rPr>
+            </w:style>`;
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+    <w:docDefaults>
+        <w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>
+        <w:pPrDefault><w:pPr><w:spacing w:after="120" w:line="264" w:lineRule="auto"/></w:pPr></w:pPrDefault>
+    </w:docDefaults>
+    <w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+    ${heading('Heading1', 'heading 1', 36, 0)}
+    ${heading('Heading2', 'heading 2', 28, 1)}
+</w:styles>`;
+    }
+
+    function sopToDocx(sop, folders, media) {
+        const steps = sop.steps || [];
+        const numbers = StepNumbers.number(steps);
+        const body = [paragraph(run(sop.title), { style: 'Heading1' })];
+
+        revisionLines(sop, folders).forEach(([label, value]) => {
+            body.push(paragraph(run(`${label}: `, { bold: true, color: '6B7280', size: 18 }) + run(value, { color: '6B7280', size: 18 }), { after: 0 }));
+        });
+        body.push(paragraph(''));
+        if (sop.description) body.push(paragraph(run(sop.description)));
+        if ((sop.tags || []).length > 0) {
+            body.push(paragraph(run(sop.tags.map(tag => `#${tag}`).join('  '), { color: '4F46E5', size: 18 })));
+        }
+
+        steps.forEach(step => {
+            if (step.type === 'section') {
+                body.push(paragraph(run(step.text), { style: 'Heading2' }));
+                return;
+            }
+
+            const indent = numbers[step.id].includes('.') ? 720 : 0;
+            const detailIndent = indent + 360;
+            body.push(paragraph(run(`${numbers[step.id]}. `, { bold: true }) + run(step.text), { indent, after: 60 }));
+
+            if (step.note) body.push(paragraph(run(`Note: ${step.note}`, { italic: true, color: '6B7280', size: 20 }), { indent: detailIndent, after: 60 }));
+            if (step.type === 'decision') {
+                (step.branches || []).forEach(branch => {
+                    body.push(paragraph(run(`☐ ${branch.label} → ${describeTarget(branch.goto, steps, numbers)}`, { color: '4338CA', size: 20 }), { indent: detailIndent, after: 0 }));
+                });
+            } else if (step.goto && step.goto !== 'next') {
+                body.push(paragraph(run(`Then go to ${describeTarget(step.goto, steps, numbers)}`, { color: '4338CA', size: 20 }), { indent: detailIndent, after: 60 }));
+            }
+            if (describeInput(step)) body.push(paragraph(run(`Records: ${describeInput(step)}  ________________`, { size: 20 }), { indent: detailIndent, after: 60 }));
+            if (step.photoRequired) body.push(paragraph(run('Photo proof required', { size: 20 }), { indent: detailIndent, after: 60 }));
+
+            const image = step.image ? readImage(step.image) : null;
+            if (image) {
+                media.push(image);
+                const n = media.length;
+                const size = fitImage(image, 420, 320);
+                const cx = Math.round(size.width * EMU_PER_PX);
+                const cy = Math.round(size.height * EMU_PER_PX);
+                body.push(paragraph(`<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="${n}" name="Picture ${n}"/><a:graphic xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:nvPicPr><pic:cNvPr id="${n}" name="image${n}.${image.type}"/><pic:cNvPicPr/></pic:nvPicPr><pic:blipFill><a:blip r:embed="rIdImage${n}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill><pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr></pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>`, { indent: detailIndent }));
+            }
+        });
+
+        return body.join('');
+    }
+
+    function toDocx(sops, { folders = [], title = '' } = {}) {
+        const media = [];
+        const pageBreak = '<w:p><w:r><w:br w:type="page"/></w:r></w:p>';
+        const body = sops.map(sop => sopToDocx(sop, folders, media)).join(pageBreak);
+        const docTitle = title || sops[0]?.title || 'SOPs';
+
+        const documentXml = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships" xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing">
+<w:body>${body}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body>
+</w:document>`;
+
+        const relationships = [
+            '<Relationship Id="rIdStyles" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>',
+            ...media.map((image, i) => `<Relationship Id="rIdImage${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/image${i + 1}.${image.type}"/>`)
+        ];
+
+        return buildZip([
+            {
+                name: '[Content_Types].xml',
+                data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+    <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+    <Default Extension="xml" ContentType="application/xml"/>
+    <Default Extension="jpeg" ContentType="image/jpeg"/>
+    <Default Extension="png" ContentType="image/png"/>
+    <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+    <Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>
+    <Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/>
+</Types>`
+            },
+            {
+                name: '_rels/.rels',
+                data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+    <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+    <Relationship Id="rId2" Type="http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties" Target="docProps/core.xml"/>
+</Relationships>`
+            },
+            {
+                name: 'docProps/core.xml',
+                data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">
+    <dc:title>${escapeXml(docTitle)}</dc:title>
+    <dc:creator>WithoutMe</dc:creator>
+    <dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created>
+</cp:coreProperties>`
+            },
+            {
+                name: 'word/_rels/document.xml.rels',
+                data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${relationships.join('')}</Relationships>`
+            },
+            { name: 'word/document.xml', data: documentXml },
+            { name: 'word/styles.xml', data: docxStyles() },
+            ...media.map((image, i) => ({ name: `word/media/image${i + 1}.${image.type}`, data: image.bytes }))
+        ]);
+    }
+
+    // ========================================================================
+    // PDF
+    // ========================================================================
+
+    // Standard Helvetica / Helvetica-Bold advance widths for ASCII 32–126 (per 1000 em)
+    const HELVETICA_WIDTHS = [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ];
+    const HELVETICA_BOLD_WIDTHS = [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ];
+
+    // Unicode → WinAnsiEncoding for the characters outside Latin-1 that it covers
+    const WIN_ANSI = {
+        '€': 0x80, '‚': 0x82, 'ƒ': 0x83, '„': 0x84, '…': 0x85, '†': 0x86, '‡': 0x87, 'ˆ': 0x88,
+        '‰': 0x89, 'Š': 0x8A, '‹': 0x8B, 'Œ': 0x8C, 'Ž': 0x8E, '‘': 0x91, '’': 0x92, '“': 0x93,
+        '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '˜': 0x98, '™': 0x99, 'š': 0x9A, '›': 0x9B,
+        'œ': 0x9C, 'ž': 0x9E, 'Ÿ': 0x9F
+    };
+    const PDF_REPLACEMENTS = { '→': '->', '↪': '->', '☐': '[ ]', '✓': 'v' };
+
+    /**
+     * Text as a WinAnsi byte string (one char per byte). Emoji are dropped;
+     * other characters the built-in fonts can't show become "?".
+     */
+    function toWinAnsi(text) {
+        let out = '';
+        for (const char of String(text || '')) {
+            const code = char.codePointAt(0);
+            if (PDF_REPLACEMENTS[char]) out += PDF_REPLACEMENTS[char];
+            else if (code === 0x09 || code === 0x0A || code === 0x0D) out += ' ';
+            else if (code >= 0x20 && code < 0x7F) out += char;
+            else if (code >= 0xA0 && code <= 0xFF) out += char;
+            else if (WIN_ANSI[char]) out += String.fromCharCode(WIN_ANSI[char]);
+            else if (code > 0xFFFF || (code >= 0x2600 && code <= 0x27BF) || code === 0xFE0F || code === 0x200D) continue;
+            else out += '?';
+        }
+        return out;
+    }
+
+    function charWidth(code, bold) {
+        const table = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+        if (code >= 32 && code <= 126) return table[code - 32];
+        if (code === 0x97 || code === 0x85 || code === 0x89) return 1000;
+        if (code === 0x91 || code === 0x92) return 222;
+        return 556;
+    }
+
+    function textWidth(text, size, bold) {
+        let width = 0;
+        for (let i = 0; i < text.length; i++) width += charWidth(text.charCodeAt(i), bold);
+        return width * size / 1000;
+    }
+
+    function wrapText(text, size, bold, maxWidth) {
+        const lines = [];
+        let line = '';
+        text.split(' ').forEach(word => {
+            const candidate = line ? `${line} ${word}` : word;
+            if (textWidth(candidate, size, bold) <= maxWidth) {
+                line = candidate;
+                return;
+            }
+            if (line) lines.push(line);
+            // Break words longer than a whole line
+            line = '';
+            for (const char of word) {
+                if (textWidth(line + char, size, bold) > maxWidth && line) {
+                    lines.push(line);
+                    line = '';
+                }
+                line += char;
+            }
+        });
+        if (line) lines.push(line);
+        return lines.length > 0 ? lines : [''];
+    }
+
+    function pdfString(text) {
+        return '(' + text.replace(/\\/g, '\\\\').replace(/\(/g, '\\(').replace(/\)/g, '\\)') + ')';
+    }
+
+    function hexColor(hex) {
+        const n = parseInt(hex, 16);
+        return [(n >> 16) & 255, (n >> 8) & 255, n & 255].map(c => (c / 255).toFixed(3)).join(' ');
+    }
+
+    function toPdf(sops, { folders = [], title = '' } = {}) {
+        const PAGE_WIDTH = 612;
+        const PAGE_HEIGHT = 792;
+        const MARGIN = 54;
+        const CONTENT_WIDTH = PAGE_WIDTH - MARGIN * 2;
+        const FOOTER_SPACE = 36;
+
+        const pages = [];
+        const images = [];
+        const imageIds = new Map();
+        let ops = null;
+        let y = 0;
+
+        const newPage = () => {
+            ops = [];
+            pages.push(ops);
+            y = PAGE_HEIGHT - MARGIN;
+        };
+
+        const ensureSpace = (height) => {
+            if (y - height < MARGIN + FOOTER_SPACE) newPage();
+        };
+
+        const write = (text, { size = 11, bold = false, italic = false, color = '1F2937', indent = 0, gap = 4 } = {}) => {
+            const font = bold ? 'F2' : (italic ? 'F3' : 'F1');
+            const lineHeight = size * 1.35;
+            wrapText(toWinAnsi(text), size, bold, CONTENT_WIDTH - indent).forEach(line => {
+                ensureSpace(lineHeight);
+                y -= lineHeight;
+                ops.push(`BT /${font} ${size} Tf ${hexColor(color)} rg ${MARGIN + indent} ${y.toFixed(2)} Td ${pdfString(line)} Tj ET`);
+            });
+            y -= gap;
+        };
+
+        const rule = (color = 'E5E7EB') => {
+            ensureSpace(8);
+            y -= 4;
+            ops.push(`${hexColor(color)} RG 0.75 w ${MARGIN} ${y.toFixed(2)} m ${PAGE_WIDTH - MARGIN} ${y.toFixed(2)} l S`);
+            y -= 8;
+        };
+
+        const drawImage = (dataUrl, indent) => {
+            const image = readImage(dataUrl);
+            // PDF can embed JPEG as-is; canvas-sanitized step images are always JPEG
+            if (!image || image.type !== 'jpeg' || (image.components !== 1 && image.components !== 3)) {
+                write('[Image not included]', { size: 9, italic: true, color: '9CA3AF', indent });
+                return;
+            }
+            if (!imageIds.has(dataUrl)) {
+                images.push(image);
+                imageIds.set(dataUrl, `Im${images.length}`);
+            }
+            const size = fitImage(image, Math.min(300, CONTENT_WIDTH - indent), 220);
+            ensureSpace(size.height + 6);
+            y -= size.height + 2;
+            ops.push(`q ${size.width.toFixed(2)} 0 0 ${size.height.toFixed(2)} ${MARGIN + indent} ${y.toFixed(2)} cm /${imageIds.get(dataUrl)} Do Q`);
+            y -= 8;
+        };
+
+        sops.forEach(sop => {
+            newPage();
+            const steps = sop.steps || [];
+            const numbers = StepNumbers.number(steps);
+
+            write(sop.title, { size: 20, bold: true, gap: 6 });
+            revisionLines(sop, folders).forEach(([label, value]) => {
+                write(`${label}: ${value}`, { size: 9, color: '6B7280', gap: 0 });
+            });
+            rule();
+            if (sop.description) write(sop.description, { size: 11, color: '374151', gap: 8 });
+            if ((sop.tags || []).length > 0) write(sop.tags.map(tag => `#${tag}`).join('   '), { size: 9, color: '4F46E5', gap: 10 });
+
+            steps.forEach(step => {
+                if (step.type === 'section') {
+                    ensureSpace(40);
+                    y -= 8;
+                    write(step.text, { size: 13, bold: true, gap: 0 });
+                    rule();
+                    return;
+                }
+
+                const isSub = numbers[step.id].includes('.');
+                const indent = isSub ? 28 : 0;
+                const textIndent = indent + (isSub ? 30 : 22);
+
+                // Number and the first line of text share a baseline
+                ensureSpace(16);
+                const baseline = y - 11 * 1.35;
+                ops.push(`BT /F2 11 Tf ${hexColor('4F46E5')} rg ${MARGIN + indent} ${baseline.toFixed(2)} Td ${pdfString(numbers[step.id] + '.')} Tj ET`);
+                write(step.text, { indent: textIndent, gap: 2 });
+
+                if (step.note) write(`Note: ${step.note}`, { size: 9.5, italic: true, color: '6B7280', indent: textIndent, gap: 2 });
+                if (step.type === 'decision') {
+                    (step.branches || []).forEach(branch => {
+                        write(`☐ ${branch.label} → ${describeTarget(branch.goto, steps, numbers)}`, { size: 10, color: '4338CA', indent: textIndent, gap: 1 });
+                    });
+                } else if (step.goto && step.goto !== 'next') {
+                    write(`Then go to ${describeTarget(step.goto, steps, numbers)}`, { size: 10, color: '4338CA', indent: textIndent, gap: 1 });
+                }
+                if (describeInput(step)) write(`Records: ${describeInput(step)}   ________________`, { size: 10, indent: textIndent, gap: 1 });
+                if (step.photoRequired) write('Photo proof required', { size: 10, indent: textIndent, gap: 1 });
+                if (step.image) drawImage(step.image, textIndent);
+                y -= 6;
+            });
+        });
+
+        // Footers need the page count
+        const footerLabel = toWinAnsi(`${title || sops[0]?.title || 'SOPs'} · Exported from WithoutMe ${formatDate(Date.now())}`);
+        pages.forEach((pageOps, i) => {
+            const text = `${footerLabel} · Page ${i + 1} of ${pages.length}`;
+            const x = (PAGE_WIDTH - textWidth(text, 8, false)) / 2;
+            pageOps.push(`BT /F1 8 Tf ${hexColor('6B7280')} rg ${x.toFixed(2)} ${MARGIN / 2} Td ${pdfString(text)} Tj ET`);
+        });
+
+        return buildPdf(pages, images, toWinAnsi(title || sops[0]?.title || 'SOPs'));
+    }
+
+    /**
+     * Serialize pages (content stream operators) and JPEG images into a PDF file
+     */
+    function buildPdf(pages, images, title) {
+        // Fixed objects: 1 catalog, 2 page tree, 3-5 fonts, 6 info; then images, then content + page pairs
+        const firstImage = 7;
+        const firstPage = firstImage + images.length;
+        const objects = [];
+        const latin1 = (text) => {
+            const bytes = new Uint8Array(text.length);
+            for (let i = 0; i < text.length; i++) bytes[i] = text.charCodeAt(i) & 0xFF;
+            return bytes;
+        };
+        const stream = (dict, data) => [latin1(`<< ${dict} /Length ${data.length} >>\nstream\n`), data, latin1('\nendstream')];
+
+        const pageIds = pages.map((_, i) => firstPage + i * 2 + 1);
+        const now = new Date();
+        const pad = (n) => String(n).padStart(2, '0');
+        const pdfDate = `D:${now.getUTCFullYear()}${pad(now.getUTCMonth() + 1)}${pad(now.getUTCDate())}${pad(now.getUTCHours())}${pad(now.getUTCMinutes())}${pad(now.getUTCSeconds())}Z`;
+
+        objects[1] = [latin1('<< /Type /Catalog /Pages 2 0 R >>')];
+        objects[2] = [latin1(`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`)];
+        objects[3] = [latin1('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>')];
+        objects[4] = [latin1('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>')];
+        objects[5] = [latin1('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Oblique /Encoding /WinAnsiEncoding >>')];
+        objects[6] = [latin1(`<< /Title ${pdfString(title)} /Producer (WithoutMe) /CreationDate (${pdfDate}) >>`)];
+
+        images.forEach((image, i) => {
+            const colorSpace = image.components === 1 ? '/DeviceGray' : '/DeviceRGB';
+            objects[firstImage + i] = stream(
+                `/Type /XObject /Subtype /Image /Width ${image.width} /Height ${image.height} /ColorSpace ${colorSpace} /BitsPerComponent 8 /Filter /DCTDecode`,
+                image.bytes
+            );
+        });
+
+        const xObjects = images.map((_, i) => `/Im${i + 1} ${firstImage + i} 0 R`).join(' ');
+        pages.forEach((pageOps, i) => {
+            const contentId = firstPage + i * 2;
+            objects[contentId] = stream('', latin1(pageOps.join('\n')));
+            objects[contentId + 1] = [latin1(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents ${contentId} 0 R /Resources << /Font << /F1 3 0 R /F2 4 0 R /F3 5 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> >>`)];
+        });
+
+        const parts = [latin1('%PDF-1.4\n%\xE2\xE3\xCF\xD3\n')];
+        const offsets = [];
+        let length = parts[0].length;
+        for (let id = 1; id < objects.length; id++) {
+            offsets[id] = length;
+            const chunk = [latin1(`${id} 0 obj\n`), ...objects[id], latin1('\nendobj\n')];
+            chunk.forEach(part => { length += part.length; });
+            parts.push(...chunk);
+        }
+
+        const xref = [`xref\n0 ${objects.length}\n0000000000 65535 f \n`];
+        for (let id = 1; id < objects.length; id++) xref.push(`${String(offsets[id]).padStart(10, '0')} 00000 n \n`);
+        xref.push(`trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 6 0 R >>\nstartxref\n${length}\n%%EOF\n`);
+        parts.push(latin1(xref.join('')));
+
+        return new Blob(parts, { type: FORMATS.pdf.type });
+    }
+
+    // ========================================================================
+    // ENTRY POINT
+    // ========================================================================
+
+    /**
+     * @param {Array} sops
+     * @param {'markdown'|'json'|'docx'|'pdf'} format
+     * @param {{ folders?: Array, title?: string, library?: Array }} context - title names multi-SOP
+     *   files; library is every SOP, to name the ones linked steps run
+     * @returns {{ blob: Blob, filename: string }}
+     */
+    function exportSops(sops, format, context = {}) {
+        // Step blocks go out as the steps they stand for
+        if (typeof StepBlocks !== 'undefined') sops = sops.map(StepBlocks.resolveSop);
+        // Linked SOP steps go out as plain steps naming the SOP they run
+        if (typeof SOPLinks !== 'undefined') sops = sops.map(sop => SOPLinks.flattenLinks(sop, context.library || sops));
+        const name = context.title || sops[0]?.title || 'sops';
+        let blob;
+        if (format === 'markdown') blob = new Blob([toMarkdown(sops, context)], { type: FORMATS.markdown.type });
+        else if (format === 'json') blob = new Blob([toJSON(sops, context)], { type: FORMATS.json.type });
+        else if (format === 'docx') blob = toDocx(sops, context);
+        else if (format === 'pdf') blob = toPdf(sops, context);
+        else throw new Error(`Unknown export format: ${format}`);
+        return { blob, filename: fileName(name, format) };
+    }
+
+    // ========================================================================
+    // EXPORT TO GLOBAL SCOPE
+    // ========================================================================
+
+    global.SOPExport = {
+        FORMATS,
+        JSON_FORMAT,
+        JSON_VERSION,
+        exportSops,
+        toMarkdown,
+        toJSON,
+        fromJSON
+    };
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,235 @@
+/**
+ * SOPFindReplace - Find and replace text across every SOP in the workspace
+ *
+ * Searches titles, descriptions, step text (section names included) and step
+ * notes. Each occurrence is its own match, so the dashboard can preview them
+ * one by one and let the user leave some out:
+ *
+ *   { key, sopId, sopTitle, field, stepId, stepNumber, index, length, match, replacement }
+ *
+ * field is 'title' | 'description' | 'text' | 'note'; stepNumber is the
+ * step's display number ("3.1", lib/step-numbers.js). stepId and stepNumber
+ * are null for the SOP's own fields. `key` is stable for one search, so
+ * include/exclude state can be kept by key.
+ *
+ * Block reference steps are left alone — their wording belongs to the shared
+ * step block library (lib/step-blocks.js) and is edited there.
+ *
+ * In regex mode the replacement may use $1, $<name> and $& like
+ * String.prototype.replace. Empty matches are skipped.
+ *
+ * A renamed SOP keeps its earlier titles in previousTitles (newest first):
+ * cloud rows are matched by title, and this is how the sync finds the row to
+ * rename instead of inserting a copy (lib/supabase-client.js). The editor's
+ * save records them through previousTitles() too.
+ *
+ * Pure functions, no storage or DOM. CRITICAL: Load before the modules.
+ *
+ * @version 1.0.0
+ */
+
+(function(global) {
+    'use strict';
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    const MAX_MATCHES = 1000;
+
+    // Earlier titles kept on a renamed SOP — enough for a few renames between syncs
+    const MAX_PREVIOUS_TITLES = 5;
+
+    const CONTEXT_CHARS = 40;
+
+    const FIELD_LABELS = {
+        title: 'Title',
+        description: 'Description',
+        text: 'Step',
+        note: 'Note'
+    };
+
+    // ========================================================================
+    // PATTERN
+    // ========================================================================
+
+    function _escapeRegex(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * The search as a global RegExp. Throws with a readable message when a
+     * regex doesn't compile.
+     * @param {string} query
+     * @param {Object} options - { regex, matchCase }
+     */
+    function buildPattern(query, options = {}) {
+        const flags = options.matchCase ? 'g' : 'gi';
+        if (!options.regex) return new RegExp(_escapeRegex(query), flags);
+        try {
+            return new RegExp(query, flags);
+        } catch (e) {
+            throw new Error(`Invalid regular expression: ${e.message.replace(/^Invalid regular expression: /, '')}`);
+        }
+    }
+
+    // ========================================================================
+    // FINDING
+    // ========================================================================
+
+    /**
+     * Text fields of a SOP that search covers: [{ field, stepId, stepNumber, value }]
+     */
+    function _fields(sop) {
+        const fields = [
+            { field: 'title', stepId: null, stepNumber: null, value: sop.title || '' },
+            { field: 'description', stepId: null, stepNumber: null, value: sop.description || '' }
+        ];
+        const numbers = StepNumbers.number(sop.steps);
+        (sop.steps || []).forEach(step => {
+            if (step.type === 'block') return;
+            const stepNumber = numbers[step.id] || null;
+            fields.push({ field: 'text', stepId: step.id, stepNumber, value: step.text || '' });
+            if (step.note) fields.push({ field: 'note', stepId: step.id, stepNumber, value: step.note });
+        });
+        return fields.filter(f => f.value);
+    }
+
+    /**
+     * Every match of the search in the given SOPs, SOP by SOP in list order
+     * @param {Array} sops
+     * @param {string} query
+     * @param {string} replacement
+     * @param {Object} options - { regex, matchCase }
+     * @returns {{ matches: Array, truncated: boolean }}
+     */
+    function findMatches(sops, query, replacement, options = {}) {
+        const matches = [];
+        if (!query) return { matches, truncated: false };
+
+        const pattern = buildPattern(query, options);
+        for (const sop of sops || []) {
+            for (const { field, stepId, stepNumber, value } of _fields(sop)) {
+                pattern.lastIndex = 0;
+                let m;
+                while ((m = pattern.exec(value)) !== null) {
+                    if (m[0].length === 0) {
+                        pattern.lastIndex++;
+                        continue;
+                    }
+                    if (matches.length >= MAX_MATCHES) return { matches, truncated: true };
+                    matches.push({
+                        key: `${sop.id}:${field}:${stepId || ''}:${m.index}`,
+                        sopId: sop.id,
+                        sopTitle: sop.title || 'Untitled SOP',
+                        field,
+                        stepId,
+                        stepNumber,
+                        index: m.index,
+                        length: m[0].length,
+                        match: m[0],
+                        replacement: _expand(value, m, pattern, replacement, options.regex)
+                    });
+                }
+            }
+        }
+        return { matches, truncated: false };
+    }
+
+    /**
+     * What one match turns into, with $-patterns expanded against the whole
+     * value so lookarounds and anchors behave as they did when searching
+     */
+    function _expand(value, m, pattern, replacement, regex) {
+        if (!regex) return replacement;
+        const sticky = new RegExp(pattern.source, pattern.flags.replace('g', '') + 'y');
+        sticky.lastIndex = m.index;
+        const result = value.replace(sticky, replacement);
+        // Everything after the match is unchanged, so the replacement is what sits between
+        return result.slice(m.index, result.length - (value.length - m.index - m[0].length));
+    }
+
+    /**
+     * Text around a match for the preview: { before, after } with ellipses
+     * where the value was cut
+     */
+    function context(sop, match) {
+        const found = _fields(sop).find(f => f.field === match.field && f.stepId === match.stepId);
+        const value = found ? found.value : '';
+        const start = Math.max(0, match.index - CONTEXT_CHARS);
+        const end = Math.min(value.length, match.index + match.length + CONTEXT_CHARS);
+        return {
+            before: (start > 0 ? '…' : '') + value.slice(start, match.index),
+            after: value.slice(match.index + match.length, end) + (end < value.length ? '…' : '')
+        };
+    }
+
+    function fieldLabel(match) {
+        const label = FIELD_LABELS[match.field] || match.field;
+        return match.stepNumber ? `${label} ${match.stepNumber}` : label;
+    }
+
+    // ========================================================================
+    // REPLACING
+    // ========================================================================
+
+    function _replaceIn(value, matches) {
+        // Right to left, so earlier indexes stay valid
+        return [...matches]
+            .sort((a, b) => b.index - a.index)
+            .reduce((text, m) => text.slice(0, m.index) + m.replacement + text.slice(m.index + m.length), value);
+    }
+
+    /**
+     * Earlier titles of `sop` once it is saved as `title`: its current title
+     * joins the front, `title` itself and repeats drop out
+     */
+    function previousTitles(sop, title) {
+        return [sop.title, ...(sop.previousTitles || [])]
+            .filter((earlier, i, all) => earlier && earlier !== title && all.indexOf(earlier) === i)
+            .slice(0, MAX_PREVIOUS_TITLES);
+    }
+
+    /**
+     * The SOP with the given matches replaced (only those for this SOP are
+     * used). Returns the same object when nothing applies.
+     */
+    function applyMatches(sop, matches) {
+        const own = matches.filter(m => m.sopId === sop.id);
+        if (own.length === 0) return sop;
+
+        const pick = (field, stepId) => own.filter(m => m.field === field && m.stepId === stepId);
+        const next = { ...sop };
+        ['title', 'description'].forEach(field => {
+            const found = pick(field, null);
+            if (found.length > 0) next[field] = _replaceIn(sop[field] || '', found);
+        });
+        if (next.title !== sop.title && sop.title) next.previousTitles = previousTitles(sop, next.title);
+        next.steps = (sop.steps || []).map(step => {
+            const text = pick('text', step.id);
+            const note = pick('note', step.id);
+            if (text.length === 0 && note.length === 0) return step;
+            return {
+                ...step,
+                ...(text.length > 0 ? { text: _replaceIn(step.text || '', text) } : {}),
+                ...(note.length > 0 ? { note: _replaceIn(step.note || '', note) } : {})
+            };
+        });
+        return next;
+    }
+
+    // ========================================================================
+    // EXPORT
+    // ========================================================================
+
+    global.SOPFindReplace = {
+        MAX_MATCHES,
+        buildPattern,
+        findMatches,
+        context,
+        fieldLabel,
+        previousTitles,
+        applyMatches
+    };
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,93 @@
+/**
+ * SOPHistory - Version snapshots taken before a SOP is overwritten
+ *
+ * Every change that saves over a SOP (the editor, a block update, find and
+ * replace) snapshots the old copy first:
+ * - the full copy, images included, goes to the cloud via StorageAdapter
+ *   when signed in (sop_versions)
+ * - a local cache keeps the last 5, images stripped to conserve the
+ *   localStorage budget
+ *
+ * STORAGE KEY: 'withoutme_sop_history_<sopId>' — [{ savedAt, snapshot }], oldest first
+ *
+ * CRITICAL: Load after storage-adapter.js and before the modules.
+ *
+ * @version 1.0.0
+ */
+
+(function(global) {
+    'use strict';
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    const KEY_PREFIX = 'withoutme_sop_history_';
+
+    const MAX_LOCAL = 5;
+
+    // ========================================================================
+    // HISTORY
+    // ========================================================================
+
+    /**
+     * Local versions of a SOP, oldest first
+     */
+    function load(sopId) {
+        if (!sopId) return [];
+        try {
+            const stored = localStorage.getItem(KEY_PREFIX + sopId);
+            return stored ? JSON.parse(stored) : [];
+        } catch (e) { return []; }
+    }
+
+    /**
+     * Snapshot a SOP as it is now, before a change overwrites it
+     */
+    function snapshot(sop) {
+        if (!sop?.id) return;
+
+        const savedAt = Date.now();
+        if (typeof StorageAdapter !== 'undefined' && StorageAdapter.saveSopVersion) {
+            StorageAdapter.saveSopVersion({ savedAt, snapshot: { ...sop } });
+        }
+
+        let history = load(sop.id);
+
+        // Strip images from snapshot to save space
+        history.push({
+            savedAt,
+            snapshot: {
+                ...sop,
+                steps: (sop.steps || []).map(s => ({
+                    ...s,
+                    image: s.image ? '[image]' : null
+                }))
+            }
+        });
+
+        // Cap at MAX_LOCAL versions (FIFO)
+        if (history.length > MAX_LOCAL) {
+            history = history.slice(-MAX_LOCAL);
+        }
+
+        const key = KEY_PREFIX + sop.id;
+        try {
+            localStorage.setItem(key, JSON.stringify(history));
+        } catch (e) {
+            // localStorage full — drop oldest and retry
+            history = history.slice(-3);
+            try { localStorage.setItem(key, JSON.stringify(history)); } catch (e2) { /* give up */ }
+        }
+    }
+
+    // ========================================================================
+    // EXPORT
+    // ========================================================================
+
+    global.SOPHistory = {
+        load,
+        snapshot
+    };
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,682 @@
+/**
+ * SOPImport - Turn Word, Markdown and plain-text files into SOPs
+ *
+ * Everything runs in the browser — files are never uploaded.
+ *
+ * WHAT IS DETECTED:
+ * - Title: Word "Title" / "Heading" styles, Markdown # headings, or a short first line
+ * - Description: paragraphs before the first step
+ * - Steps: numbered or bulleted lists ("1.", "1)", "-", "•", "Step 3:"); indented
+ *   or second-level list items become sub-steps
+ * - Sections: headings inside a procedure (and "Heading:" lines in .txt files)
+ * - Notes: paragraphs after a step are added to that step's note
+ * - Images: embedded .docx pictures and Markdown data: images, attached to the
+ *   step they follow (re-encoded through sanitizeImageFile)
+ *
+ * MULTI-PROCEDURE FILES:
+ * A file splits into several SOPs when two or more headings of the same level
+ * each have steps under them. The whole file as one SOP is offered too.
+ *
+ * .docx is a zip; it is unpacked with the browser's DecompressionStream.
+ * .json must be a WithoutMe export (lib/sop-export.js) and comes back as exported.
+ *
+ * CRITICAL: Load before the modules. Images need sanitizeImageFile (modules/sop-create.js).
+ *
+ * @version 1.0.0
+ */
+
+(function(global) {
+    'use strict';
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    const ACCEPT = '.docx,.md,.markdown,.txt,.json';
+
+    const MAX_FILE_SIZE = 20 * 1024 * 1024;
+    const MAX_STEPS = 50;
+    // Each sanitized image is ~60-80KB of localStorage
+    const MAX_IMAGES = 30;
+
+    const IMAGE_TYPES = {
+        png: 'image/png',
+        jpg: 'image/jpeg',
+        jpeg: 'image/jpeg',
+        gif: 'image/gif',
+        bmp: 'image/bmp',
+        webp: 'image/webp'
+    };
+
+    // Heading level for "Before you begin:" lines in .txt — sections only, never a split point
+    const SOFT_HEADING_LEVEL = 9;
+
+    // ========================================================================
+    // ENTRY POINT
+    // ========================================================================
+
+    /**
+     * Parse a file picked by the user.
+     * Resolves { fileName, sops, single, warnings } where sops is the file split
+     * into procedures and single is the whole file as one SOP (null when sops
+     * already has exactly one). Rejects with a user-facing message.
+     */
+    async function parseFile(file) {
+        if (!file) throw new Error('No file selected.');
+        if (file.size > MAX_FILE_SIZE) throw new Error('File too large. Please use a file under 20MB.');
+
+        const extension = (file.name.split('.').pop() || '').toLowerCase();
+        const warnings = [];
+        let blocks;
+
+        // Our own export: already structured, nothing to detect
+        if (extension === 'json') {
+            if (typeof SOPExport === 'undefined') throw new Error('JSON import is not available.');
+            const exported = SOPExport.fromJSON(await file.text());
+            if (exported.sops.length === 0) throw new Error('This export has no SOPs in it.');
+            return { fileName: file.name, sops: exported.sops, single: null, warnings: exported.warnings };
+        }
+
+        if (extension === 'docx') {
+            blocks = await parseDocx(await file.arrayBuffer(), warnings);
+        } else if (extension === 'md' || extension === 'markdown') {
+            blocks = parseMarkdown(await file.text(), warnings);
+        } else if (extension === 'txt') {
+            blocks = parseMarkdown(await file.text(), warnings, { plain: true });
+        } else if (extension === 'doc') {
+            throw new Error('Old .doc files are not supported. In Word, use File → Save As → .docx and try again.');
+        } else {
+            throw new Error('Unsupported file type. Use a .docx, .md, .txt or WithoutMe .json file.');
+        }
+
+        await sanitizeImages(blocks, warnings);
+
+        const fileTitle = file.name.replace(/\.[^.]+$/, '').replace(/[_-]+/g, ' ').trim();
+        const sops = buildSops(blocks, { split: true, fileTitle, warnings });
+        if (sops.length === 0 || sops.every(sop => sop.steps.length === 0)) {
+            throw new Error('No steps found. Put each step on its own line or in a numbered list.');
+        }
+
+        const single = sops.length > 1 ? buildSops(blocks, { split: false, fileTitle, warnings: [] })[0] : null;
+        return { fileName: file.name, sops, single, warnings: [...new Set(warnings)] };
+    }
+
+    // ========================================================================
+    // LINE MARKERS
+    // ========================================================================
+
+    /**
+     * Recognize a list marker at the start of a line.
+     * @returns {{ text: string, level: number }|null}
+     */
+    function matchListItem(line) {
+        let m = line.match(/^(?:[-*+•▪◦·‣–])\s+(?:\[[ xX]\]\s+)?(.*)$/);
+        if (m) return { text: m[1], level: 0 };
+
+        m = line.match(/^step\s*\d+\s*[:.)-]\s*(.*)$/i);
+        if (m) return { text: m[1], level: 0 };
+
+        m = line.match(/^\d{1,3}[.):]\s+(.*)$/);
+        if (m) return { text: m[1], level: 0 };
+
+        // "1.2 Check the valve" / "1.2. Check" — but not "1.5 kg of flour"
+        m = line.match(/^(\d{1,3}(?:\.\d{1,3})+)([.)]?)\s+(.*)$/);
+        if (m && (m[2] || /^[A-Z]/.test(m[3]))) return { text: m[3], level: 1 };
+
+        m = line.match(/^[a-z][.)]\s+(.*)$/);
+        if (m) return { text: m[1], level: 1 };
+
+        return null;
+    }
+
+    function indentWidth(line) {
+        const lead = line.match(/^[ \t]*/)[0];
+        return lead.replace(/\t/g, '    ').length;
+    }
+
+    // ========================================================================
+    // MARKDOWN / PLAIN TEXT
+    // ========================================================================
+
+    function cleanInline(text) {
+        return text
+            .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/<[^>]+>/g, ' ')
+            .replace(/(\*\*|__|~~)(.+?)\1/g, '$2')
+            .replace(/(^|[^\w*])\*(?!\s)([^*]+?)\*(?!\w)/g, '$1$2')
+            .replace(/(^|\W)_(?!\s)([^_]+?)_(?!\w)/g, '$1$2')
+            .replace(/`([^`]*)`/g, '$1')
+            .replace(/\\([\\`*_{}[\]()#+\-.!>])/g, '$1')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Markdown (and plain text, with plain: true) → blocks
+     * Blocks: { kind: 'heading', level, text } | { kind: 'para', text }
+     *       | { kind: 'item', level, text } | { kind: 'image', blob }
+     * Plain text keeps one paragraph per line, treats indentation as sub-steps
+     * and "Heading:" lines followed by a list as section headings.
+     */
+    function parseMarkdown(source, warnings, { plain = false } = {}) {
+        const lines = source.replace(/^﻿/, '').replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let para = null;
+        let lastItem = null;
+        let inFence = false;
+        let skippedImages = 0;
+
+        const flush = () => {
+            if (para) blocks.push(para);
+            para = null;
+        };
+
+        const nextLine = (i) => {
+            for (let j = i + 1; j < lines.length; j++) {
+                if (lines[j].trim()) return lines[j];
+            }
+            return '';
+        };
+
+        lines.forEach((raw, i) => {
+            if (!plain && /^\s*(```|~~~)/.test(raw)) {
+                flush();
+                inFence = !inFence;
+                return;
+            }
+
+            if (!raw.trim()) {
+                flush();
+                lastItem = null;
+                return;
+            }
+
+            if (inFence) {
+                blocks.push({ kind: 'para', text: raw.trim() });
+                return;
+            }
+
+            const line = raw.replace(/^\s*>\s?/, '');
+            const trimmed = line.trim();
+
+            // Setext heading: the underline turns the one-line paragraph above into a heading
+            const above = para || (plain && lines[i - 1]?.trim() && blocks[blocks.length - 1]);
+            if (above?.kind === 'para' && !above.joined && /^(=+|-+)$/.test(trimmed)) {
+                if (above !== para) blocks.pop();
+                blocks.push({ kind: 'heading', level: trimmed[0] === '=' ? 1 : 2, text: above.text });
+                para = null;
+                return;
+            }
+
+            const heading = trimmed.match(/^(#{1,6})\s+(.*?)\s*#*$/);
+            if (heading) {
+                flush();
+                lastItem = null;
+                blocks.push({ kind: 'heading', level: heading[1].length, text: cleanInline(heading[2]) });
+                return;
+            }
+
+            // Horizontal rule
+            if (/^([-*_])(\s*\1){2,}$/.test(trimmed)) {
+                flush();
+                lastItem = null;
+                return;
+            }
+
+            // Images come after the text on their line
+            const images = [];
+            const withoutImages = trimmed.replace(/!\[[^\]]*\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, (match, src) => {
+                if (/^data:image\//i.test(src)) images.push(src);
+                else skippedImages++;
+                return ' ';
+            });
+            const text = cleanInline(withoutImages);
+            const indent = indentWidth(raw);
+
+            if (text) {
+                const item = matchListItem(text);
+                if (item) {
+                    flush();
+                    const level = item.level > 0 || indent >= 2 ? 1 : 0;
+                    lastItem = { kind: 'item', level, text: item.text.trim() };
+                    if (lastItem.text) blocks.push(lastItem);
+                } else if (plain && indent >= 2 && lastItem) {
+                    flush();
+                    lastItem = { kind: 'item', level: 1, text };
+                    blocks.push(lastItem);
+                } else if (!plain && lastItem && (indent >= 2 || !para)) {
+                    // Continuation of the list item above
+                    lastItem.text += ' ' + text;
+                } else if (plain && /:$/.test(text) && text.length <= 80 && matchListItem(nextLine(i).trim())) {
+                    flush();
+                    lastItem = null;
+                    blocks.push({ kind: 'heading', level: SOFT_HEADING_LEVEL, text: text.slice(0, -1).trim() });
+                } else if (plain) {
+                    flush();
+                    lastItem = null;
+                    blocks.push({ kind: 'para', text });
+                } else if (para) {
+                    para.text += ' ' + text;
+                    para.joined = true;
+                } else {
+                    para = { kind: 'para', text };
+                }
+            }
+
+            if (images.length > 0) {
+                flush();
+                images.forEach(src => blocks.push({ kind: 'image', src }));
+            }
+        });
+        flush();
+
+        if (skippedImages > 0) {
+            warnings.push(`${skippedImages} linked image${skippedImages === 1 ? '' : 's'} skipped — only images embedded in the file can be imported.`);
+        }
+
+        return blocks.map(block => {
+            delete block.joined;
+            return block;
+        });
+    }
+
+    // ========================================================================
+    // DOCX
+    // ========================================================================
+
+    /**
+     * Read the central directory of a zip archive
+     * @returns {Map<string, { method, compressedSize, localOffset }>}
+     */
+    function readZipDirectory(buffer) {
+        const view = new DataView(buffer);
+        let end = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end < 0) throw new Error('This file is not a valid .docx document.');
+
+        const entries = new Map();
+        const decoder = new TextDecoder();
+        const count = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+
+        for (let i = 0; i < count; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) break;
+            const nameLength = view.getUint16(offset + 28, true);
+            const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+            entries.set(name, {
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                localOffset: view.getUint32(offset + 42, true)
+            });
+            offset += 46 + nameLength + view.getUint16(offset + 30, true) + view.getUint16(offset + 32, true);
+        }
+
+        return entries;
+    }
+
+    async function readZipEntry(buffer, entry) {
+        const view = new DataView(buffer);
+        const start = entry.localOffset + 30
+            + view.getUint16(entry.localOffset + 26, true)
+            + view.getUint16(entry.localOffset + 28, true);
+        const data = new Uint8Array(buffer, start, entry.compressedSize);
+
+        if (entry.method === 0) return data;
+        if (entry.method !== 8) throw new Error('This .docx uses an unsupported compression method.');
+        if (typeof DecompressionStream === 'undefined') {
+            throw new Error('This browser cannot open .docx files. Save the document as .txt and import that instead.');
+        }
+
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    function parseXml(bytes) {
+        return new DOMParser().parseFromString(new TextDecoder().decode(bytes), 'application/xml');
+    }
+
+    function childByTag(element, tagName) {
+        if (!element) return null;
+        return Array.from(element.children).find(child => child.tagName === tagName) || null;
+    }
+
+    /**
+     * styleId → { level: heading level (0 = Title) | null, list: bool, listLevel }
+     * Style ids are localized ("berschrift1"), so go by the English style name.
+     */
+    function readDocxStyles(stylesDoc) {
+        const styles = new Map();
+        if (!stylesDoc) return styles;
+
+        Array.from(stylesDoc.getElementsByTagName('w:style')).forEach(style => {
+            const id = style.getAttribute('w:styleId');
+            const name = (childByTag(style, 'w:name')?.getAttribute('w:val') || '').toLowerCase();
+            const pPr = childByTag(style, 'w:pPr');
+            const outline = childByTag(pPr, 'w:outlineLvl')?.getAttribute('w:val');
+            const heading = name.match(/^heading\s*(\d)$/);
+
+            let level = null;
+            if (name === 'title') level = 0;
+            else if (heading) level = parseInt(heading[1], 10);
+            else if (outline != null && parseInt(outline, 10) < 9) level = parseInt(outline, 10) + 1;
+
+            const listName = name.match(/^list (?:number|bullet|continue)\s*(\d)?$/);
+            styles.set(id, {
+                level,
+                list: !!listName || !!childByTag(pPr, 'w:numPr'),
+                listLevel: listName?.[1] ? parseInt(listName[1], 10) - 1 : 0
+            });
+        });
+
+        return styles;
+    }
+
+    function paragraphText(paragraph) {
+        let text = '';
+        Array.from(paragraph.getElementsByTagName('*')).forEach(node => {
+            if (node.tagName === 'w:t') text += node.textContent;
+            else if (node.tagName === 'w:tab' || node.tagName === 'w:br' || node.tagName === 'w:cr') text += ' ';
+        });
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    function paragraphImageIds(paragraph) {
+        const ids = [];
+        Array.from(paragraph.getElementsByTagName('a:blip')).forEach(blip => {
+            const id = blip.getAttribute('r:embed');
+            if (id) ids.push(id);
+        });
+        Array.from(paragraph.getElementsByTagName('v:imagedata')).forEach(image => {
+            const id = image.getAttribute('r:id');
+            if (id) ids.push(id);
+        });
+        return ids;
+    }
+
+    async function parseDocx(buffer, warnings) {
+        const entries = readZipDirectory(buffer);
+        const read = async (path) => entries.has(path) ? readZipEntry(buffer, entries.get(path)) : null;
+
+        const documentBytes = await read('word/document.xml');
+        if (!documentBytes) throw new Error('This file is not a valid .docx document.');
+
+        const documentXml = parseXml(documentBytes);
+        const stylesBytes = await read('word/styles.xml');
+        const styles = readDocxStyles(stylesBytes ? parseXml(stylesBytes) : null);
+
+        // Relationship id → zip path of embedded media
+        const media = new Map();
+        const relsBytes = await read('word/_rels/document.xml.rels');
+        if (relsBytes) {
+            Array.from(parseXml(relsBytes).getElementsByTagName('Relationship')).forEach(rel => {
+                if (rel.getAttribute('TargetMode') === 'External') return;
+                const target = rel.getAttribute('Target') || '';
+                media.set(rel.getAttribute('Id'), target.startsWith('/') ? target.slice(1) : `word/${target}`);
+            });
+        }
+
+        const blocks = [];
+        let unsupportedImages = 0;
+
+        const addParagraph = async (paragraph) => {
+            const pPr = childByTag(paragraph, 'w:pPr');
+            const styleId = childByTag(pPr, 'w:pStyle')?.getAttribute('w:val') || '';
+            const headingId = styleId.match(/^heading(\d)$/i);
+            const style = styles.get(styleId) || {
+                level: /^title$/i.test(styleId) ? 0 : (headingId ? parseInt(headingId[1], 10) : null),
+                list: /^list/i.test(styleId),
+                listLevel: 0
+            };
+            const numPr = childByTag(pPr, 'w:numPr');
+            const numId = childByTag(numPr, 'w:numId')?.getAttribute('w:val');
+            const ilvl = parseInt(childByTag(numPr, 'w:ilvl')?.getAttribute('w:val') || '0', 10);
+            const isList = numPr ? numId !== '0' : style.list;
+            const text = paragraphText(paragraph);
+
+            if (text) {
+                // Numbered headings carry numPr too — the heading style wins
+                if (style.level !== null) {
+                    blocks.push({ kind: 'heading', level: style.level, text });
+                } else if (isList) {
+                    const level = (numPr ? ilvl : style.listLevel) > 0 ? 1 : 0;
+                    blocks.push({ kind: 'item', level, text: matchListItem(text)?.text || text });
+                } else {
+                    // Typed-in numbering ("1. Unlock the door") counts as a list too
+                    const item = matchListItem(text);
+                    blocks.push(item ? { kind: 'item', level: item.level, text: item.text } : { kind: 'para', text });
+                }
+            }
+
+            for (const id of paragraphImageIds(paragraph)) {
+                const path = media.get(id);
+                const type = IMAGE_TYPES[(path?.split('.').pop() || '').toLowerCase()];
+                if (!path || !type || !entries.has(path)) {
+                    unsupportedImages++;
+                    continue;
+                }
+                const bytes = await read(path);
+                blocks.push({ kind: 'image', blob: new Blob([bytes], { type }) });
+            }
+        };
+
+        const walk = async (element) => {
+            for (const child of Array.from(element.children)) {
+                if (child.tagName === 'w:p') {
+                    await addParagraph(child);
+                } else if (child.tagName === 'w:tbl') {
+                    // One paragraph per table row: "Cell — Cell"; a leading "3." / "Step 3" cell numbers the row
+                    for (const row of Array.from(child.getElementsByTagName('w:tr'))) {
+                        const cells = Array.from(row.getElementsByTagName('w:tc'))
+                            .map(cell => Array.from(cell.getElementsByTagName('w:p')).map(paragraphText).filter(Boolean).join(' '))
+                            .filter(Boolean);
+                        const numbered = cells.length > 1 && /^(step\s*)?\d{1,3}[.):]?$/i.test(cells[0]);
+                        if (cells.length > 0) {
+                            const text = numbered ? `1. ${cells.slice(1).join(' — ')}` : cells.join(' — ');
+                            const item = matchListItem(text);
+                            blocks.push(item ? { kind: 'item', level: item.level, text: item.text } : { kind: 'para', text });
+                        }
+                    }
+                } else if (child.tagName === 'w:sdt' || child.tagName === 'w:sdtContent') {
+                    await walk(child);
+                }
+            }
+        };
+
+        const body = documentXml.getElementsByTagName('w:body')[0];
+        if (body) await walk(body);
+
+        if (unsupportedImages > 0) {
+            warnings.push(`${unsupportedImages} image${unsupportedImages === 1 ? '' : 's'} skipped — only PNG, JPEG, GIF, BMP and WebP pictures can be imported.`);
+        }
+
+        return blocks;
+    }
+
+    // ========================================================================
+    // IMAGES
+    // ========================================================================
+
+    /**
+     * Re-encode every image block through the editor's sanitizer, in place.
+     * Images that fail (or go over MAX_IMAGES) are dropped with a warning.
+     */
+    async function sanitizeImages(blocks, warnings) {
+        const images = blocks.filter(block => block.kind === 'image');
+        if (images.length === 0) return;
+
+        if (typeof sanitizeImageFile !== 'function') {
+            warnings.push('Images were skipped because the image tools are not loaded.');
+            images.forEach(block => { block.kind = 'dropped'; });
+            return;
+        }
+
+        let kept = 0;
+        let failed = 0;
+        for (const block of images) {
+            if (kept >= MAX_IMAGES) {
+                block.kind = 'dropped';
+                continue;
+            }
+            try {
+                const blob = block.blob || await (await fetch(block.src)).blob();
+                block.src = await sanitizeImageFile(blob);
+                delete block.blob;
+                kept++;
+            } catch (e) {
+                block.kind = 'dropped';
+                failed++;
+            }
+        }
+
+        if (images.length > MAX_IMAGES) {
+            warnings.push(`Only the first ${MAX_IMAGES} images were imported.`);
+        }
+        if (failed > 0) {
+            warnings.push(`${failed} image${failed === 1 ? '' : 's'} could not be read and ${failed === 1 ? 'was' : 'were'} skipped.`);
+        }
+    }
+
+    // ========================================================================
+    // BUILDING SOPS
+    // ========================================================================
+
+    let idCounter = 0;
+
+    function nextId(prefix) {
+        idCounter++;
+        return `${prefix}_import_${Date.now()}_${idCounter}`;
+    }
+
+    /**
+     * Blocks → SOPs. With split, picks the highest heading level under which
+     * at least two chunks have steps; anything outside those chunks is dropped.
+     */
+    function buildSops(sourceBlocks, { split, fileTitle, warnings }) {
+        const blocks = sourceBlocks.filter(block => block.kind !== 'dropped');
+
+        // A short first line above every heading is the document title
+        const first = blocks[0];
+        if (first?.kind === 'para' && first.text.length <= 120 && !/[.!?]$/.test(first.text)) {
+            blocks[0] = { kind: 'heading', level: 0, text: first.text };
+        }
+
+        if (split) {
+            const levels = [...new Set(blocks
+                .filter(b => b.kind === 'heading' && b.level !== SOFT_HEADING_LEVEL)
+                .map(b => b.level))].sort((a, b) => a - b);
+
+            for (const level of levels) {
+                const chunks = [];
+                blocks.forEach(block => {
+                    if ((block.kind === 'heading' && block.level <= level) || chunks.length === 0) chunks.push([]);
+                    chunks[chunks.length - 1].push(block);
+                });
+
+                const procedures = chunks.filter(chunk => chunk.some(b => b.kind === 'item'));
+                if (procedures.length < 2) continue;
+
+                if (chunks.some(chunk => !procedures.includes(chunk) && chunk.some(b => b.kind === 'para'))) {
+                    warnings.push('Text outside the detected procedures was left out.');
+                }
+                return procedures.map(chunk => buildSop(chunk, fileTitle, warnings));
+            }
+        }
+
+        // One SOP: the first top-level heading is its title
+        const top = Math.min(...blocks.filter(b => b.kind === 'heading').map(b => b.level));
+        const titleIndex = blocks.findIndex(b => b.kind === 'heading' && b.level === top);
+        const ordered = titleIndex > 0
+            ? [blocks[titleIndex], ...blocks.slice(0, titleIndex), ...blocks.slice(titleIndex + 1)]
+            : blocks;
+        return [buildSop(ordered, fileTitle, warnings)];
+    }
+
+    function buildSop(blocks, fileTitle, warnings) {
+        const sop = { title: '', description: '', steps: [], tags: [] };
+        const description = [];
+        const hasItems = blocks.some(b => b.kind === 'item');
+        let pendingImage = null;
+
+        const lastStep = () => {
+            const step = sop.steps[sop.steps.length - 1];
+            return step && step.type !== 'section' ? step : null;
+        };
+
+        const addStep = (text, level) => {
+            const previous = lastStep();
+            sop.steps.push({
+                id: nextId('step'),
+                text,
+                note: '',
+                image: pendingImage,
+                // A sub-step needs a main step right above it
+                ...(level > 0 && previous ? { level: 1 } : {})
+            });
+            pendingImage = null;
+        };
+
+        blocks.forEach((block, i) => {
+            if (block.kind === 'heading') {
+                if (!sop.title && i === 0) {
+                    sop.title = block.text;
+                } else {
+                    sop.steps.push({ id: nextId('section'), type: 'section', text: block.text.slice(0, 100) });
+                }
+            } else if (block.kind === 'item') {
+                addStep(block.text, block.level);
+            } else if (block.kind === 'para') {
+                // Without any list, every line is a step
+                if (!hasItems) addStep(block.text, 0);
+                else if (!lastStep() && !sop.steps.length) description.push(block.text);
+                else if (lastStep()) lastStep().note = [lastStep().note, block.text].filter(Boolean).join('\n');
+                else addStep(block.text, 0);
+            } else if (block.kind === 'image') {
+                const step = lastStep();
+                if (step && !step.image) step.image = block.src;
+                else pendingImage = block.src;
+            }
+        });
+
+        // A picture after the last step still belongs to it
+        if (pendingImage) {
+            const step = lastStep();
+            if (step && !step.image) step.image = pendingImage;
+        }
+
+        // Sections left with nothing under them
+        sop.steps = sop.steps.filter((step, i) => step.type !== 'section'
+            || (sop.steps[i + 1] && sop.steps[i + 1].type !== 'section'));
+
+        const stepCount = sop.steps.filter(s => s.type !== 'section').length;
+        if (stepCount > MAX_STEPS) {
+            let kept = 0;
+            sop.steps = sop.steps.filter(step => step.type === 'section' || ++kept <= MAX_STEPS);
+            warnings.push(`"${sop.title || fileTitle}" has ${stepCount} steps; only the first ${MAX_STEPS} were kept.`);
+        }
+
+        sop.title = (sop.title || fileTitle || 'Imported SOP').slice(0, 200);
+        sop.description = description.join('\n\n').slice(0, 500);
+        sop.steps.forEach((step, i) => {
+            step.order = i + 1;
+            if (step.type !== 'section' && !step.image) delete step.image;
+        });
+        return sop;
+    }
+
+    // ========================================================================
+    // EXPORT TO GLOBAL SCOPE
+    // ========================================================================
+
+    global.SOPImport = {
+        ACCEPT,
+        parseFile,
+        parseMarkdown,
+        buildSops
+    };
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,137 @@
+/**
+ * SOPLinks - Steps that run another SOP
+ *
+ * A linked step is { id, type: 'sop', linkedSopId, linkedSopTitle, text, note, goto? }.
+ * In the checklist it opens the linked SOP as a child checklist; finishing the
+ * child checks the step off in the parent.
+ *
+ * SOP ids aren't the same everywhere: this device's SOPs have local ids, while
+ * SOPs pulled to another device or seen through a team link carry cloud ids.
+ * So a link also keeps the title of the SOP it runs, and resolve() finds it by
+ * id first, then by that title — the same way sync matches SOPs.
+ *
+ * Links form a graph between SOPs. It must stay acyclic — a SOP that runs
+ * itself, directly or through others, could never finish — so the editor only
+ * offers targets that keep it that way and re-checks on save.
+ *
+ * Step blocks (lib/step-blocks.js) hold plain steps only, so links never hide
+ * inside one. Exports flatten links into plain steps that name the SOP.
+ *
+ * Pure functions over a SOP list, no storage or DOM. CRITICAL: Load before the modules.
+ *
+ * @version 1.0.0
+ */
+
+(function(global) {
+    'use strict';
+
+    // ========================================================================
+    // LINKS
+    // ========================================================================
+
+    function isLink(step) {
+        return step?.type === 'sop';
+    }
+
+    /**
+     * The SOP in `sops` a linked step runs, or null
+     */
+    function resolve(step, sops) {
+        if (!isLink(step)) return null;
+        const list = sops || [];
+        const title = step.linkedSopTitle;
+        return (step.linkedSopId && list.find(sop => sop.id === step.linkedSopId))
+            || (title && (list.find(sop => sop.title === title) || list.find(sop => (sop.previousTitles || []).includes(title))))
+            || null;
+    }
+
+    /**
+     * What a step stores to run `sop`
+     */
+    function linkTo(sop) {
+        return { linkedSopId: sop?.id || null, linkedSopTitle: sop?.title || null };
+    }
+
+    /**
+     * Ids of the SOPs in `sops` a SOP runs, once each
+     */
+    function linkedIds(sop, sops) {
+        return [...new Set((sop?.steps || []).map(step => resolve(step, sops)?.id).filter(Boolean))];
+    }
+
+    /**
+     * SOPs with a step that runs `sopId` — what breaks if it is deleted
+     */
+    function findUsages(sopId, sops) {
+        return (sops || []).filter(sop => sop.id !== sopId && linkedIds(sop, sops).includes(sopId));
+    }
+
+    /**
+     * Wording for a linked step with no instruction of its own
+     */
+    function runText(title) {
+        return title ? `Run the "${title}" SOP` : 'Run the linked SOP';
+    }
+
+    /**
+     * The SOP with its links turned into plain steps that name the SOP they
+     * run — for files that must stand on their own (export)
+     */
+    function flattenLinks(sop, sops) {
+        if (!sop || !(sop.steps || []).some(isLink)) return sop;
+        return {
+            ...sop,
+            steps: sop.steps.map(step => {
+                if (!isLink(step)) return step;
+                const { type, linkedSopId, linkedSopTitle, ...plain } = step;
+                return { ...plain, text: step.text || runText(resolve(step, sops)?.title || linkedSopTitle) };
+            })
+        };
+    }
+
+    // ========================================================================
+    // CYCLES
+    // ========================================================================
+
+    /**
+     * Can `fromId` reach `toId` by following links?
+     */
+    function reaches(fromId, toId, sops) {
+        const byId = new Map((sops || []).map(sop => [sop.id, sop]));
+        const seen = new Set();
+        const queue = [fromId];
+        while (queue.length > 0) {
+            const id = queue.shift();
+            if (id === toId) return true;
+            if (seen.has(id)) continue;
+            seen.add(id);
+            linkedIds(byId.get(id), sops).forEach(next => queue.push(next));
+        }
+        return false;
+    }
+
+    /**
+     * Would a step in `sopId` that runs `targetId` close a loop?
+     * A SOP not saved yet (sopId null) can't be linked to, so it never loops.
+     */
+    function wouldCycle(sopId, targetId, sops) {
+        if (!sopId) return false;
+        return reaches(targetId, sopId, sops);
+    }
+
+    // ========================================================================
+    // EXPORT
+    // ========================================================================
+
+    global.SOPLinks = {
+        isLink,
+        resolve,
+        linkTo,
+        runText,
+        linkedIds,
+        findUsages,
+        flattenLinks,
+        wouldCycle
+    };
+
+})(typeof window !== 'undefined' ? window : this);
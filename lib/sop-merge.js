@@ -0,0 +1,218 @@
+/**
+ * SOPMerge - Three-way merge for a SOP edited in two places at once
+ *
+ * Each save of a SOP bumps its `revision` counter. When the editor saves and
+ * finds a copy with a higher revision than the one it opened (another device
+ * or tab saved in between), it merges three versions:
+ * - base:   the SOP as it was when editing began
+ * - mine:   what is in the editor now
+ * - theirs: the newer saved copy
+ *
+ * Title, description, folder and keywords are merged as whole values; steps
+ * are merged one by one, matched by step id. A change made on only one side is
+ * taken automatically. The same thing changed differently on both sides — or
+ * a step edited on one side and deleted on the other — is a conflict, and the
+ * user picks mine or theirs for each one.
+ *
+ * Pure functions, no storage or DOM. CRITICAL: Load before the modules.
+ *
+ * @version 1.0.0
+ */
+
+(function(global) {
+    'use strict';
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    const FIELDS = [
+        { key: 'title', label: 'Title' },
+        { key: 'description', label: 'Description' },
+        { key: 'folderId', label: 'Folder' },
+        { key: 'tags', label: 'Keywords' }
+    ];
+
+    // ========================================================================
+    // HELPERS
+    // ========================================================================
+
+    /**
+     * JSON with sorted keys, so two copies of the same data compare equal
+     */
+    function canonical(value) {
+        if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort()
+                .filter(key => value[key] !== undefined)
+                .map(key => `${JSON.stringify(key)}:${canonical(value[key])}`)
+                .join(',')}}`;
+        }
+        return JSON.stringify(value ?? null);
+    }
+
+    function fieldValue(sop, key) {
+        if (key === 'tags') return sop.tags || [];
+        if (key === 'folderId') return sop.folderId || 'general';
+        return sop[key] || '';
+    }
+
+    /**
+     * Step content without its position; order is merged separately
+     */
+    function stepContent(step) {
+        if (!step) return null;
+        const { order, ...content } = step;
+        return content;
+    }
+
+    function same(a, b) {
+        return canonical(a) === canonical(b);
+    }
+
+    /**
+     * The classic three-way rule. `conflict` is true when both sides changed
+     * the value and ended up different.
+     */
+    function pick(base, mine, theirs) {
+        if (same(mine, theirs)) return { value: mine, conflict: false, fromTheirs: false };
+        if (same(mine, base)) return { value: theirs, conflict: false, fromTheirs: true };
+        if (same(theirs, base)) return { value: mine, conflict: false, fromTheirs: false };
+        return { value: mine, conflict: true, fromTheirs: false };
+    }
+
+    /**
+     * Did this side move steps that both it and base have?
+     */
+    function reordered(baseIds, sideIds) {
+        const inSide = new Set(sideIds);
+        const inBase = new Set(baseIds);
+        return canonical(baseIds.filter(id => inSide.has(id))) !== canonical(sideIds.filter(id => inBase.has(id)));
+    }
+
+    /**
+     * Step order: follow the side that reordered (mine when both or neither
+     * did), then slot the other side's new steps in after the step they
+     * followed there.
+     */
+    function mergeOrder(baseIds, mineIds, theirIds) {
+        const theirsLead = !reordered(baseIds, mineIds) && reordered(baseIds, theirIds);
+        const primary = theirsLead ? theirIds : mineIds;
+        const secondary = theirsLead ? mineIds : theirIds;
+
+        const order = [...primary];
+        secondary.forEach((id, i) => {
+            if (order.includes(id)) return;
+            let at = 0;
+            for (let j = i - 1; j >= 0; j--) {
+                const found = order.indexOf(secondary[j]);
+                if (found !== -1) {
+                    at = found + 1;
+                    break;
+                }
+            }
+            order.splice(at, 0, id);
+        });
+        return order;
+    }
+
+    /**
+     * Jumps to a step that didn't survive the merge fall back to "next"
+     */
+    function dropDanglingJumps(steps) {
+        const ids = new Set(steps.map(step => step.id));
+        const valid = target => !target || target === 'next' || target === 'end' || ids.has(target);
+        return steps.map(step => {
+            const next = { ...step };
+            if (!valid(next.goto)) delete next.goto;
+            if (Array.isArray(next.branches)) {
+                next.branches = next.branches.map(b => valid(b.goto) ? b : { ...b, goto: 'next' });
+            }
+            return next;
+        });
+    }
+
+    // ========================================================================
+    // MERGE
+    // ========================================================================
+
+    /**
+     * @param {Object} base - SOP when editing began
+     * @param {Object} mine - SOP from the editor
+     * @param {Object} theirs - newer saved SOP
+     * @param {Object} choices - { [conflict.key]: 'mine' | 'theirs' }; unresolved conflicts keep mine
+     * @returns {{ sop: Object, conflicts: Array, fromTheirs: number }}
+     *   conflicts: [{ key, type: 'field'|'step', label, base, mine, theirs }] — for steps,
+     *   mine/theirs are the step objects, or null where that side deleted the step.
+     *   fromTheirs: how many of their changes were taken without asking.
+     */
+    function merge(base, mine, theirs, choices = {}) {
+        const conflicts = [];
+        let fromTheirs = 0;
+        const sop = { ...mine };
+
+        const resolve = (key, result, mineValue, theirValue) => {
+            if (result.fromTheirs) fromTheirs++;
+            if (!result.conflict) return result.value;
+            return choices[key] === 'theirs' ? theirValue : mineValue;
+        };
+
+        FIELDS.forEach(({ key, label }) => {
+            const values = [base, mine, theirs].map(s => fieldValue(s, key));
+            const result = pick(...values);
+            if (result.conflict) {
+                conflicts.push({ key, type: 'field', label, base: values[0], mine: values[1], theirs: values[2] });
+            }
+            sop[key] = resolve(key, result, values[1], values[2]);
+        });
+
+        const byId = steps => new Map((steps || []).map(step => [step.id, step]));
+        const baseSteps = byId(base.steps);
+        const mySteps = byId(mine.steps);
+        const theirSteps = byId(theirs.steps);
+
+        const order = mergeOrder(
+            (base.steps || []).map(step => step.id),
+            (mine.steps || []).map(step => step.id),
+            (theirs.steps || []).map(step => step.id)
+        );
+
+        const steps = [];
+        order.forEach(id => {
+            const baseStep = stepContent(baseSteps.get(id));
+            const myStep = stepContent(mySteps.get(id));
+            const theirStep = stepContent(theirSteps.get(id));
+
+            const result = pick(baseStep, myStep, theirStep);
+            const key = `step:${id}`;
+            if (result.conflict) {
+                conflicts.push({ key, type: 'step', label: '', base: baseStep, mine: myStep, theirs: theirStep });
+            }
+            const chosen = resolve(key, result, myStep, theirStep);
+            if (chosen) steps.push(chosen);
+        });
+
+        sop.steps = dropDanglingJumps(steps).map((step, i) => ({ ...step, order: i + 1 }));
+
+        // Label step conflicts by where they sit in the merged SOP
+        const numbers = StepNumbers.number(sop.steps);
+        conflicts.forEach(conflict => {
+            if (conflict.type !== 'step') return;
+            const step = conflict.mine || conflict.theirs;
+            if (step.type === 'section') conflict.label = `Section "${step.text || ''}"`;
+            else if (step.type === 'block') conflict.label = `Block "${step.name || ''}"`;
+            else conflict.label = numbers[step.id] ? `Step ${numbers[step.id]}` : 'Deleted step';
+        });
+
+        return { sop, conflicts, fromTheirs };
+    }
+
+    // ========================================================================
+    // EXPORT
+    // ========================================================================
+
+    global.SOPMerge = {
+        merge
+    };
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,346 @@
+/**
+ * SOPTranslations - Translations of a SOP's title, description, steps and notes
+ *
+ * A SOP is written in one language (its source) and can carry translations
+ * into others:
+ *
+ *   sop.translations = {
+ *       source: 'en',
+ *       keepTerms: ['Acme 3000', 'PN-4411'],
+ *       languages: {
+ *           es: {
+ *               title:       { text, source },
+ *               description: { text, source },
+ *               steps: { [stepId]: { text, note, source } }
+ *           }
+ *       }
+ *   }
+ *
+ * `source` on each entry is a fingerprint of the original wording it was
+ * translated from. When the original changes, the fingerprints stop matching
+ * and the translation is stale until a translator updates it or marks it as
+ * still correct.
+ *
+ * keepTerms are words the author wants left as written in every language —
+ * product names, part numbers. AI translation (api/ai.js) keeps them intact.
+ *
+ * Translations are keyed by step id, so a checklist run in Spanish has the
+ * same step ids as one run in English and reports merge across languages.
+ *
+ * STALE RULE: localize() only uses up-to-date translations. A missing or
+ * stale one falls back to the original wording — an out-of-date instruction
+ * is worse than one in the source language.
+ *
+ * Step blocks (lib/step-blocks.js) and decision answers stay in the source
+ * language.
+ *
+ * STORAGE KEY: 'withoutme_member_language' — the language a team member
+ * picked on their team link
+ *
+ * CRITICAL: Load before the modules.
+ *
+ * @version 1.0.0
+ */
+
+(function(global) {
+    'use strict';
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    const DEFAULT_LANGUAGE = 'en';
+
+    const PREFERRED_LANGUAGE_KEY = 'withoutme_member_language';
+
+    // Names are shown in their own language, so a worker can find theirs
+    const LANGUAGES = [
+        { code: 'en', name: 'English' },
+        { code: 'es', name: 'Español' },
+        { code: 'fr', name: 'Français' },
+        { code: 'pt', name: 'Português' },
+        { code: 'ht', name: 'Kreyòl ayisyen' },
+        { code: 'tl', name: 'Tagalog' },
+        { code: 'vi', name: 'Tiếng Việt' },
+        { code: 'zh', name: '中文' },
+        { code: 'ko', name: '한국어' },
+        { code: 'ar', name: 'العربية' },
+        { code: 'ru', name: 'Русский' },
+        { code: 'uk', name: 'Українська' },
+        { code: 'pl', name: 'Polski' },
+        { code: 'de', name: 'Deutsch' },
+        { code: 'it', name: 'Italiano' },
+        { code: 'hi', name: 'हिन्दी' }
+    ];
+
+    // ========================================================================
+    // LANGUAGES
+    // ========================================================================
+
+    function languageName(code) {
+        return LANGUAGES.find(l => l.code === code)?.name || code;
+    }
+
+    function sourceLanguage(sop) {
+        return sop?.translations?.source || DEFAULT_LANGUAGE;
+    }
+
+    /**
+     * Languages a SOP is translated into (not counting its source)
+     */
+    function languages(sop) {
+        return Object.keys(sop?.translations?.languages || {});
+    }
+
+    /**
+     * Every language the given SOPs can be read in, sources included
+     */
+    function availableLanguages(sops) {
+        const codes = new Set();
+        (sops || []).forEach(sop => {
+            codes.add(sourceLanguage(sop));
+            languages(sop).forEach(code => codes.add(code));
+        });
+        return LANGUAGES.map(l => l.code).filter(code => codes.has(code))
+            .concat([...codes].filter(code => !LANGUAGES.some(l => l.code === code)));
+    }
+
+    function getPreferredLanguage() {
+        try {
+            return localStorage.getItem(PREFERRED_LANGUAGE_KEY) || null;
+        } catch (e) { return null; }
+    }
+
+    function setPreferredLanguage(code) {
+        try {
+            if (code) localStorage.setItem(PREFERRED_LANGUAGE_KEY, code);
+            else localStorage.removeItem(PREFERRED_LANGUAGE_KEY);
+        } catch (e) { /* private mode — the choice lasts this visit */ }
+    }
+
+    // ========================================================================
+    // FINGERPRINTS
+    // ========================================================================
+
+    /**
+     * Short hash of a piece of source wording (djb2). Surrounding whitespace
+     * doesn't count — saving trims it.
+     */
+    function fingerprint(text) {
+        const value = String(text || '').trim();
+        let hash = 5381;
+        for (let i = 0; i < value.length; i++) {
+            hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+        }
+        return (hash >>> 0).toString(36);
+    }
+
+    function _stepSource(step) {
+        return String(step.text || '').trim() + '\u0000' + String(step.note || '').trim();
+    }
+
+    /**
+     * Steps that get translated: everything with wording of its own
+     */
+    function _isTranslatable(step) {
+        return step && step.type !== 'block' && String(step.text || '').trim() !== '';
+    }
+
+    // ========================================================================
+    // EDITING
+    // ========================================================================
+
+    /**
+     * The translations object, created on first use. Mutates the SOP.
+     */
+    function _ensure(sop, lang) {
+        if (!sop.translations) sop.translations = { source: DEFAULT_LANGUAGE, languages: {} };
+        if (!sop.translations.languages) sop.translations.languages = {};
+        if (lang && !sop.translations.languages[lang]) sop.translations.languages[lang] = { steps: {} };
+        return lang ? sop.translations.languages[lang] : sop.translations;
+    }
+
+    function setSourceLanguage(sop, code) {
+        _ensure(sop).source = code;
+        delete sop.translations.languages[code];
+    }
+
+    function addLanguage(sop, code) {
+        if (code === sourceLanguage(sop)) return;
+        _ensure(sop, code);
+    }
+
+    function removeLanguage(sop, code) {
+        if (sop.translations?.languages) delete sop.translations.languages[code];
+    }
+
+    function keepTerms(sop) {
+        return sop?.translations?.keepTerms || [];
+    }
+
+    /**
+     * Set the do-not-translate terms (trimmed, duplicates dropped)
+     */
+    function setKeepTerms(sop, terms) {
+        const clean = [...new Set((terms || []).map(t => String(t).trim()).filter(Boolean))];
+        if (clean.length === 0) {
+            if (sop.translations) delete sop.translations.keepTerms;
+            return;
+        }
+        _ensure(sop).keepTerms = clean;
+    }
+
+    /**
+     * Set the translated title or description
+     * @param {string} field - 'title' | 'description'
+     */
+    function setField(sop, lang, field, text) {
+        const entry = _ensure(sop, lang);
+        if (!String(text || '').trim()) {
+            delete entry[field];
+            return;
+        }
+        entry[field] = { text, source: fingerprint(sop[field]) };
+    }
+
+    /**
+     * Set a step's translated text and/or note ({ text?, note? })
+     */
+    function setStep(sop, lang, step, values) {
+        const entry = _ensure(sop, lang);
+        const current = entry.steps[step.id] || { text: '', note: '' };
+        const next = { ...current, ...values, source: fingerprint(_stepSource(step)) };
+        if (!String(next.text || '').trim() && !String(next.note || '').trim()) {
+            delete entry.steps[step.id];
+            return;
+        }
+        entry.steps[step.id] = next;
+    }
+
+    /**
+     * Confirm a stale translation still fits the changed original
+     * @param {string} key - 'title' | 'description' | a step id
+     */
+    function markCurrent(sop, lang, key) {
+        const entry = sop.translations?.languages?.[lang];
+        if (!entry) return;
+        if (key === 'title' || key === 'description') {
+            if (entry[key]) entry[key].source = fingerprint(sop[key]);
+            return;
+        }
+        const step = (sop.steps || []).find(s => s.id === key);
+        if (step && entry.steps?.[key]) entry.steps[key].source = fingerprint(_stepSource(step));
+    }
+
+    /**
+     * Drop translations of steps that no longer exist. Mutates the SOP.
+     */
+    function prune(sop) {
+        if (!sop.translations?.languages) return sop;
+        const ids = new Set((sop.steps || []).filter(_isTranslatable).map(s => s.id));
+        Object.values(sop.translations.languages).forEach(entry => {
+            Object.keys(entry.steps || {}).forEach(id => {
+                if (!ids.has(id)) delete entry.steps[id];
+            });
+        });
+        if (languages(sop).length === 0 && sourceLanguage(sop) === DEFAULT_LANGUAGE && keepTerms(sop).length === 0) {
+            delete sop.translations;
+        }
+        return sop;
+    }
+
+    // ========================================================================
+    // STATUS
+    // ========================================================================
+
+    /**
+     * Where one translation stands, item by item:
+     * { items: [{ key, kind, step, state }], done, stale, missing, total }
+     * kind is 'title' | 'description' | 'step'; state is 'done' | 'stale' | 'missing'
+     */
+    function status(sop, lang) {
+        const entry = sop?.translations?.languages?.[lang] || {};
+        const items = [];
+        const add = (key, kind, step, found, source) => {
+            const state = !found ? 'missing' : found.source === fingerprint(source) ? 'done' : 'stale';
+            items.push({ key, kind, step, state });
+        };
+
+        add('title', 'title', null, entry.title, sop.title);
+        if (String(sop.description || '').trim()) add('description', 'description', null, entry.description, sop.description);
+        (sop.steps || []).filter(_isTranslatable).forEach(step => {
+            add(step.id, 'step', step, entry.steps?.[step.id], _stepSource(step));
+        });
+
+        const count = state => items.filter(item => item.state === state).length;
+        return { items, done: count('done'), stale: count('stale'), missing: count('missing'), total: items.length };
+    }
+
+    function isStale(sop, lang, key) {
+        return status(sop, lang).items.some(item => item.key === key && item.state === 'stale');
+    }
+
+    // ========================================================================
+    // READING
+    // ========================================================================
+
+    /**
+     * A copy of the SOP in the given language (STALE RULE). Step ids,
+     * structure and everything but wording stay as they are. Returns the SOP
+     * itself when there is nothing to translate into.
+     */
+    function localize(sop, lang) {
+        if (!sop || !lang || lang === sourceLanguage(sop)) return sop;
+        const entry = sop.translations?.languages?.[lang];
+        if (!entry) return sop;
+
+        const current = (found, source) => found && found.source === fingerprint(source) ? found : null;
+        const title = current(entry.title, sop.title);
+        const description = current(entry.description, sop.description);
+
+        return {
+            ...sop,
+            title: title ? title.text : sop.title,
+            description: description ? description.text : sop.description,
+            steps: (sop.steps || []).map(step => {
+                const found = _isTranslatable(step) ? current(entry.steps?.[step.id], _stepSource(step)) : null;
+                if (!found) return step;
+                return {
+                    ...step,
+                    text: String(found.text || '').trim() ? found.text : step.text,
+                    note: step.note && String(found.note || '').trim() ? found.note : step.note
+                };
+            }),
+            language: lang
+        };
+    }
+
+    // ========================================================================
+    // EXPORT
+    // ========================================================================
+
+    global.SOPTranslations = {
+        DEFAULT_LANGUAGE,
+        LANGUAGES,
+        languageName,
+        sourceLanguage,
+        languages,
+        availableLanguages,
+        getPreferredLanguage,
+        setPreferredLanguage,
+        fingerprint,
+        setSourceLanguage,
+        addLanguage,
+        removeLanguage,
+        keepTerms,
+        setKeepTerms,
+        setField,
+        setStep,
+        markCurrent,
+        prune,
+        status,
+        isStale,
+        localize
+    };
+
+})(typeof window !== 'undefined' ? window : this);
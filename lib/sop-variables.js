@@ -0,0 +1,141 @@
+/**
+ * SOPVariables - Fill-in placeholders in SOP text
+ *
+ * Authors write `{{customer_name}}` or `{{unit_number}}` into step text, notes,
+ * section names or decision options. When a checklist starts, the worker is
+ * asked for each value once; the checklist stores them as
+ *
+ *   checklist.variables = { customer_name: 'Acme Diner', unit_number: '4B' }
+ *
+ * and its steps are snapshotted with the values filled in. A placeholder left
+ * blank shows as its label in brackets ("[Customer name]").
+ *
+ * Names are letters, digits and underscores; they're matched case-insensitively
+ * and stored in lower case.
+ *
+ * Pure functions, no storage or DOM. CRITICAL: Load before the modules.
+ *
+ * @version 1.0.0
+ */
+
+(function(global) {
+    'use strict';
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    const PATTERN = /\{\{\s*([a-zA-Z][a-zA-Z0-9_]{0,39})\s*\}\}/g;
+
+    const MAX_VALUE_LENGTH = 200;
+
+    // ========================================================================
+    // FINDING
+    // ========================================================================
+
+    function _stepTexts(step) {
+        return [step.text, step.note, ...(step.branches || []).map(b => b.label)].filter(Boolean);
+    }
+
+    /**
+     * Placeholder names in a piece of text, in order of first use
+     */
+    function namesIn(text) {
+        const names = [];
+        String(text || '').replace(PATTERN, (match, name) => {
+            const key = name.toLowerCase();
+            if (!names.includes(key)) names.push(key);
+            return match;
+        });
+        return names;
+    }
+
+    /**
+     * Placeholder names a SOP uses, in order of first use
+     */
+    function find(sop) {
+        const names = [];
+        (sop?.steps || []).forEach(step => {
+            _stepTexts(step).forEach(text => {
+                namesIn(text).forEach(name => {
+                    if (!names.includes(name)) names.push(name);
+                });
+            });
+        });
+        return names;
+    }
+
+    /**
+     * "customer_name" → "Customer name"
+     */
+    function label(name) {
+        const words = String(name).replace(/_+/g, ' ').trim();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    // ========================================================================
+    // FILLING
+    // ========================================================================
+
+    /**
+     * Trimmed values for the given names; blanks are dropped
+     */
+    function clean(names, values) {
+        const cleaned = {};
+        names.forEach(name => {
+            const value = String(values?.[name] ?? '').trim().slice(0, MAX_VALUE_LENGTH);
+            if (value) cleaned[name] = value;
+        });
+        return cleaned;
+    }
+
+    function fill(text, values) {
+        if (!text) return text;
+        return String(text).replace(PATTERN, (match, name) => {
+            const key = name.toLowerCase();
+            return values?.[key] ? values[key] : `[${label(key)}]`;
+        });
+    }
+
+    /**
+     * The SOP with placeholders in its steps filled in (the same object when it has none)
+     */
+    function fillSop(sop, values) {
+        if (!sop || find(sop).length === 0) return sop;
+        return {
+            ...sop,
+            steps: sop.steps.map(step => ({
+                ...step,
+                text: fill(step.text, values),
+                ...(step.note ? { note: fill(step.note, values) } : {}),
+                ...(step.branches ? { branches: step.branches.map(b => ({ ...b, label: fill(b.label, values) })) } : {})
+            }))
+        };
+    }
+
+    /**
+     * "Customer name: Acme Diner · Unit number: 4B" — for lists, CSV and the like
+     */
+    function summarize(values, separator = ' · ') {
+        return Object.keys(values || {})
+            .filter(name => values[name])
+            .map(name => `${label(name)}: ${values[name]}`)
+            .join(separator);
+    }
+
+    // ========================================================================
+    // EXPORT
+    // ========================================================================
+
+    global.SOPVariables = {
+        MAX_VALUE_LENGTH,
+        namesIn,
+        find,
+        label,
+        clean,
+        fill,
+        fillSop,
+        summarize
+    };
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,215 @@
+/**
+ * SOPWorkflow - Draft → review → publish approval pipeline
+ *
+ * A SOP keeps two copies of its content:
+ * - The working copy (title, description, steps, tags, translations) — what the editor saves
+ * - sop.published — the last approved revision, the only copy team members see
+ *
+ * FLOW:
+ * - Editors save drafts freely; saving never changes what members see
+ * - With approvers designated (team members flagged "can approve"), the editor
+ *   submits the working copy for review. Approvers approve it (it becomes
+ *   sop.published) or request changes with a comment.
+ * - Without approvers (solo workspace), the owner publishes directly
+ * - While a new revision is in review, the previous published revision keeps serving members
+ *
+ * sop.review: { id, state: 'pending'|'approved'|'rejected', submittedAt, reviewer, comment, decidedAt }
+ * sop.published: { title, description, steps, tags, translations?, publishedAt, approvedBy }
+ *
+ * LEGACY: SOPs marked 'active' before this existed have no sop.published;
+ * their current content is treated as the published revision.
+ *
+ * CRITICAL: Load after storage-adapter.js and audit-log.js, before the modules.
+ *
+ * @version 1.0.0
+ */
+
+(function(global) {
+    'use strict';
+
+    // Cached from the team member list so the editor knows which button to show
+    const HAS_APPROVERS_KEY = 'withoutme_has_approvers';
+
+    // ========================================================================
+    // REVISIONS
+    // ========================================================================
+
+    /**
+     * The parts of a SOP that go through review
+     */
+    function snapshotOf(sop) {
+        return {
+            title: sop.title || '',
+            description: sop.description || '',
+            steps: sop.steps || [],
+            tags: sop.tags || [],
+            // Only when present, so revisions from before translations still compare equal
+            ...(sop.translations ? { translations: sop.translations } : {})
+        };
+    }
+
+    function getPublished(sop) {
+        if (!sop) return null;
+        if (sop.published) return sop.published;
+        if (sop.status === 'active') return { ...snapshotOf(sop), publishedAt: sop.updatedAt || null, approvedBy: null };
+        return null;
+    }
+
+    function hasUnpublishedChanges(sop) {
+        const published = getPublished(sop);
+        if (!published) return true;
+        return JSON.stringify(snapshotOf(published)) !== JSON.stringify(snapshotOf(sop));
+    }
+
+    /**
+     * Carry workflow fields from the stored SOP onto a freshly built save.
+     * Freezes a legacy 'active' SOP's content as its published revision before the edit lands.
+     */
+    function carryOver(previous, next) {
+        const published = getPublished(previous);
+        if (published) next.published = published;
+        if (previous?.review) next.review = previous.review;
+        return next;
+    }
+
+    // ========================================================================
+    // STATE
+    // ========================================================================
+
+    /**
+     * @returns {{ key: string, label: string }}
+     * keys: draft | in_review | changes_requested | published | published_changes | archived
+     */
+    function getState(sop) {
+        if (sop.status === 'archived') return { key: 'archived', label: 'Archived' };
+
+        const review = sop.review;
+        if (review?.state === 'pending') return { key: 'in_review', label: 'In review' };
+        if (review?.state === 'rejected') return { key: 'changes_requested', label: 'Changes requested' };
+
+        if (!getPublished(sop)) return { key: 'draft', label: 'Draft' };
+        return hasUnpublishedChanges(sop)
+            ? { key: 'published_changes', label: 'Published · unpublished edits' }
+            : { key: 'published', label: 'Published' };
+    }
+
+    /**
+     * True when the working copy changed after it was submitted
+     */
+    function isEditedSinceSubmit(sop) {
+        return !!(sop.review?.submittedAt && sop.updatedAt > sop.review.submittedAt);
+    }
+
+    function hasApprovers() {
+        return localStorage.getItem(HAS_APPROVERS_KEY) === '1';
+    }
+
+    function setHasApprovers(value) {
+        localStorage.setItem(HAS_APPROVERS_KEY, value ? '1' : '0');
+    }
+
+    // ========================================================================
+    // TRANSITIONS
+    // ========================================================================
+
+    /**
+     * Make the working copy the published revision (solo workspaces only —
+     * with approvers the server rejects direct publishes). Resolves { success, error };
+     * the SOP is only changed once the cloud accepted it.
+     */
+    async function publish(sop) {
+        if (typeof StorageAdapter !== 'undefined') {
+            const result = await StorageAdapter.publishSop(sop);
+            if (!result.success) return result;
+        }
+
+        const user = typeof StorageAdapter !== 'undefined' ? StorageAdapter.Auth.getUser() : null;
+        sop.published = {
+            ...snapshotOf(sop),
+            publishedAt: Date.now(),
+            approvedBy: user?.email || null
+        };
+        if (sop.status !== 'archived') sop.status = 'active';
+        delete sop.review;
+        return { success: true, error: null };
+    }
+
+    /**
+     * Send the working copy to approvers. Resolves { success, error }.
+     * Only the cloud can reach approvers, so this needs a signed-in owner.
+     */
+    async function submitForReview(sop) {
+        if (typeof StorageAdapter === 'undefined') {
+            return { success: false, error: 'Cloud sync not available' };
+        }
+
+        const result = await StorageAdapter.submitSopReview(sop);
+        if (!result.success) return result;
+
+        sop.review = {
+            id: result.reviewId,
+            state: 'pending',
+            submittedAt: Date.now(),
+            reviewer: null,
+            comment: '',
+            decidedAt: null
+        };
+        return { success: true, error: null };
+    }
+
+    /**
+     * Apply approver decisions fetched from the cloud to local SOPs.
+     * @param {Array} sops - Mutated in place
+     * @param {Array} reviews - [{ id, state, snapshot, reviewer, comment, decidedAt }]
+     * @returns {Array} [{ sop, review }] for each review newly decided since last sync
+     */
+    function applyReviews(sops, reviews) {
+        const decided = [];
+
+        sops.forEach(sop => {
+            if (!sop.review?.id || sop.review.state !== 'pending') return;
+            const review = reviews.find(r => r.id === sop.review.id);
+            if (!review || review.state === 'pending') return;
+
+            sop.review = {
+                ...sop.review,
+                state: review.state,
+                reviewer: review.reviewer,
+                comment: review.comment || '',
+                decidedAt: review.decidedAt
+            };
+
+            if (review.state === 'approved') {
+                sop.published = {
+                    ...snapshotOf(review.snapshot || sop),
+                    publishedAt: review.decidedAt,
+                    approvedBy: review.reviewer
+                };
+                if (sop.status !== 'archived') sop.status = 'active';
+            }
+
+            decided.push({ sop, review });
+        });
+
+        return decided;
+    }
+
+    // ========================================================================
+    // EXPORT TO GLOBAL SCOPE
+    // ========================================================================
+
+    global.SOPWorkflow = {
+        snapshotOf,
+        getPublished,
+        hasUnpublishedChanges,
+        carryOver,
+        getState,
+        isEditedSinceSubmit,
+        hasApprovers,
+        setHasApprovers,
+        publish,
+        submitForReview,
+        applyReviews
+    };
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,238 @@
+/**
+ * StepBlocks - Reusable step blocks shared across SOPs
+ *
+ * A block is a named run of steps ("Lockout / tagout", "Put on PPE") kept in
+ * one library. SOPs don't copy it — they hold a reference step:
+ *
+ *   { id, type: 'block', blockId, blockVersion, name, steps: [...] }
+ *
+ * `steps` on the reference is the block as it was when the SOP last saved it.
+ * The library copy wins whenever it's there; the cached copy keeps the SOP
+ * runnable where the library isn't (team members, another device, a block that
+ * was deleted).
+ *
+ * Updating a block bumps its version; the editor then refreshes every SOP that
+ * uses it (snapshotting each one into version history first), so SOP history,
+ * audit log and sync all see the new wording.
+ *
+ * RESOLVING:
+ * resolveSteps() expands references into plain steps for anything that runs
+ * or prints a SOP — checklists snapshot the resolved text at start, so a later
+ * block change never alters a checklist in progress. Expanded step ids are
+ * `${referenceId}_${stepId}`, unique even when a SOP uses a block twice; a jump
+ * to a reference lands on its first step.
+ *
+ * Block steps are plain: text, note and sub-step level.
+ *
+ * STORAGE KEY: 'sop_tool_step_blocks'
+ *
+ * CRITICAL: Load before the modules (SOPCreate, Checklist, Dashboard, SOPExport use it).
+ *
+ * @version 1.0.0
+ */
+
+(function(global) {
+    'use strict';
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    const STORAGE_KEY = 'sop_tool_step_blocks';
+
+    const MAX_BLOCK_STEPS = 20;
+
+    // ========================================================================
+    // STORAGE
+    // ========================================================================
+
+    function getBlocks() {
+        try {
+            const raw = localStorage.getItem(STORAGE_KEY);
+            const blocks = raw ? JSON.parse(raw) : [];
+            return Array.isArray(blocks) ? blocks : [];
+        } catch (e) {
+            console.warn('[StepBlocks] Could not read library:', e);
+            return [];
+        }
+    }
+
+    function _saveBlocks(blocks) {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(blocks));
+    }
+
+    function getBlock(blockId) {
+        return getBlocks().find(block => block.id === blockId) || null;
+    }
+
+    /**
+     * Clean up a block's steps: trimmed text, no empty steps, and no
+     * sub-step without a main step above it.
+     */
+    function _cleanSteps(steps) {
+        const now = Date.now();
+        return (steps || [])
+            .filter(step => (step.text || '').trim())
+            .slice(0, MAX_BLOCK_STEPS)
+            .map((step, i) => ({
+                id: step.id || `bstep_${now}_${i}`,
+                text: step.text.trim(),
+                note: (step.note || '').trim(),
+                ...(step.level === 1 && i > 0 ? { level: 1 } : {})
+            }));
+    }
+
+    /**
+     * Create a block, or update one (when `id` is given) and bump its version.
+     * @returns {Object} the saved block
+     */
+    function saveBlock({ id = null, name, steps }) {
+        const blocks = getBlocks();
+        const now = Date.now();
+        const existing = id ? blocks.find(block => block.id === id) : null;
+
+        const block = {
+            id: existing ? existing.id : `block_${now}`,
+            name: (name || '').trim().slice(0, 100),
+            steps: _cleanSteps(steps),
+            version: existing ? (existing.version || 1) + 1 : 1,
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+
+        if (existing) blocks[blocks.indexOf(existing)] = block;
+        else blocks.push(block);
+        _saveBlocks(blocks);
+        return block;
+    }
+
+    function deleteBlock(blockId) {
+        _saveBlocks(getBlocks().filter(block => block.id !== blockId));
+    }
+
+    // ========================================================================
+    // REFERENCES
+    // ========================================================================
+
+    function isReference(step) {
+        return step?.type === 'block';
+    }
+
+    function createReference(block) {
+        return {
+            id: `blockref_${Date.now()}`,
+            type: 'block',
+            blockId: block.id,
+            blockVersion: block.version,
+            name: block.name,
+            steps: block.steps.map(step => ({ ...step }))
+        };
+    }
+
+    /**
+     * The steps a reference stands for: the library's, else its cached copy
+     */
+    function currentSteps(reference) {
+        const block = getBlock(reference.blockId);
+        return (block ? block.steps : reference.steps) || [];
+    }
+
+    /**
+     * Point every reference to `block` at its latest version
+     */
+    function refreshReferences(steps, block) {
+        return (steps || []).map(step => (isReference(step) && step.blockId === block.id) ? {
+            ...step,
+            blockVersion: block.version,
+            name: block.name,
+            steps: block.steps.map(s => ({ ...s }))
+        } : step);
+    }
+
+    /**
+     * Turn references to a block into ordinary steps the SOP owns
+     */
+    function detachReferences(steps, blockId) {
+        return _expand(steps, step => isReference(step) && step.blockId === blockId);
+    }
+
+    function usesBlock(sop, blockId) {
+        return (sop.steps || []).some(step => isReference(step) && step.blockId === blockId);
+    }
+
+    function findUsages(blockId, sops) {
+        return (sops || []).filter(sop => usesBlock(sop, blockId));
+    }
+
+    // ========================================================================
+    // RESOLVING
+    // ========================================================================
+
+    /**
+     * Replace the references `matches` picks with their steps. Jumps to a
+     * replaced reference land on its first step; to an empty one, on whatever follows.
+     */
+    function _expand(steps, matches) {
+        const firstId = new Map();
+        const expanded = [];
+        (steps || []).forEach(step => {
+            if (!matches(step)) {
+                expanded.push(step);
+                return;
+            }
+            const inner = currentSteps(step);
+            inner.forEach((s, i) => {
+                const resolved = { ...s, id: `${step.id}_${s.id}`, image: null };
+                if (i === 0) delete resolved.level;
+                expanded.push(resolved);
+            });
+            firstId.set(step.id, inner.length > 0 ? `${step.id}_${inner[0].id}` : 'next');
+        });
+
+        const retarget = target => firstId.get(target) || target;
+        return expanded.map((step, i) => {
+            const next = { ...step, order: i + 1 };
+            if (next.goto) next.goto = retarget(next.goto);
+            if (next.branches) next.branches = next.branches.map(b => ({ ...b, goto: retarget(b.goto) }));
+            return next;
+        });
+    }
+
+    /**
+     * Expand references into plain steps. Steps without references come back as-is.
+     */
+    function resolveSteps(steps) {
+        if (!(steps || []).some(isReference)) return steps || [];
+        return _expand(steps, isReference);
+    }
+
+    /**
+     * The SOP with its references expanded (the same object when it has none)
+     */
+    function resolveSop(sop) {
+        if (!sop || !(sop.steps || []).some(isReference)) return sop;
+        return { ...sop, steps: resolveSteps(sop.steps) };
+    }
+
+    // ========================================================================
+    // EXPORT
+    // ========================================================================
+
+    global.StepBlocks = {
+        STORAGE_KEY,
+        MAX_BLOCK_STEPS,
+        getBlocks,
+        getBlock,
+        saveBlock,
+        deleteBlock,
+        isReference,
+        createReference,
+        currentSteps,
+        refreshReferences,
+        detachReferences,
+        findUsages,
+        resolveSteps,
+        resolveSop
+    };
+
+})(typeof window !== 'undefined' ? window : this);
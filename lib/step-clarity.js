@@ -0,0 +1,226 @@
+/**
+ * StepClarity - Offline clarity checks for SOP steps
+ *
+ * An instant, local alternative to the AI "Improve Clarity" flow. Each step
+ * is checked for:
+ * - long:     more than 25 words
+ * - verb:     doesn't start with an action ("The fryer should be..." instead of "Clean the fryer")
+ * - vague:    words that leave the worker guessing ("properly", "as needed")
+ * - multiple: more than one action in a step (a second sentence, "then", ";")
+ * - readability: a low Flesch reading ease score (steps of 8+ words only —
+ *   the formula is noise on short ones)
+ *
+ * lintStep() returns issues as
+ *
+ *   { rule, message, start, end }
+ *
+ * where start/end mark the words to underline; both are null when the issue
+ * is about the whole step.
+ *
+ * A step scores 100 less 20 per rule it breaks; a SOP's clarity score is the
+ * average over its regular steps (decision questions skip the verb check,
+ * sections and empty link steps aren't scored).
+ *
+ * English only; these are heuristics, so they hint rather than block saving.
+ *
+ * Pure functions, no storage or DOM. CRITICAL: Load before the modules.
+ *
+ * @version 1.0.0
+ */
+
+(function(global) {
+    'use strict';
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    const MAX_WORDS = 25;
+
+    const MIN_READABILITY = 50;
+
+    const READABILITY_MIN_WORDS = 8;
+
+    const ISSUE_PENALTY = 20;
+
+    // Words a step rarely starts with when it's phrased as an action
+    const NON_ACTION_STARTS = [
+        'a', 'an', 'the', 'this', 'that', 'these', 'those', 'there', 'it', 'its',
+        'i', 'we', 'you', 'your', 'our', 'they', 'their', 'he', 'she', 'someone', 'staff', 'employees',
+        'all', 'each', 'every', 'any', 'some',
+        'is', 'are', 'was', 'were', 'be', 'should', 'must', 'will', 'can', 'may', 'might', 'would', 'could',
+        'after', 'before', 'when', 'while', 'once', 'if', 'in', 'on', 'at', 'for', 'with', 'by', 'from', 'to',
+        'please', 'also', 'then', 'next', 'first', 'finally'
+    ];
+
+    const VAGUE_TERMS = [
+        { pattern: /\bproperly\b/gi, hint: 'what does "properly" look like? Name the check or the result.' },
+        { pattern: /\bappropriate(ly)?\b/gi, hint: 'say what is appropriate.' },
+        { pattern: /\badequate(ly)?\b/gi, hint: 'say how much is enough.' },
+        { pattern: /\bsufficient(ly)?\b/gi, hint: 'say how much is enough.' },
+        { pattern: /\bas (needed|necessary|required|appropriate)\b/gi, hint: 'say when it is needed.' },
+        { pattern: /\bif (needed|necessary|required)\b/gi, hint: 'say when it is needed.' },
+        { pattern: /\b(regularly|periodically|frequently|occasionally)\b/gi, hint: 'give the interval ("every 2 hours").' },
+        { pattern: /\b(soon|promptly|asap|quickly)\b/gi, hint: 'give a time limit ("within 10 minutes").' },
+        { pattern: /\b(a few|a little|a bit|some|several|enough)\b/gi, hint: 'give the amount.' },
+        { pattern: /\b(thoroughly|carefully|correctly)\b/gi, hint: 'say what makes it thorough or correct.' },
+        { pattern: /\b(etc\.?|and so on)(?=\W|$)/gi, hint: 'list the items instead.' }
+    ];
+
+    // A second action joined into the same step
+    const JOINERS = /\b(and then|then|after that|afterwards|next|also)\b|;/gi;
+
+    const RULE_LABELS = {
+        long: 'Too long',
+        verb: 'Start with an action',
+        vague: 'Vague',
+        multiple: 'More than one action',
+        readability: 'Hard to read'
+    };
+
+    // ========================================================================
+    // TEXT HELPERS
+    // ========================================================================
+
+    /**
+     * Words with their positions: [{ word, start, end }]. Placeholders like
+     * {{customer_name}} count as one word.
+     */
+    function _words(text) {
+        const words = [];
+        const pattern = /\{\{[^}]*\}\}|[A-Za-z0-9'’-]+/g;
+        let m;
+        while ((m = pattern.exec(text)) !== null) {
+            words.push({ word: m[0], start: m.index, end: m.index + m[0].length });
+        }
+        return words;
+    }
+
+    function _sentences(text) {
+        return text.split(/(?<=[.!?])\s+(?=[A-Z0-9])/).map(s => s.trim()).filter(s => /[A-Za-z0-9]/.test(s));
+    }
+
+    function _syllables(word) {
+        const w = word.toLowerCase().replace(/[^a-z]/g, '');
+        if (w.length <= 3) return 1;
+        const groups = w.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+        return Math.max(1, groups ? groups.length : 1);
+    }
+
+    /**
+     * Flesch reading ease: ~60+ plain English, under 50 hard going
+     */
+    function readability(text) {
+        const words = _words(text).filter(w => !w.word.startsWith('{{'));
+        if (words.length === 0) return 100;
+        const sentences = Math.max(1, _sentences(text).length);
+        const syllables = words.reduce((sum, w) => sum + _syllables(w.word), 0);
+        const score = 206.835 - 1.015 * (words.length / sentences) - 84.6 * (syllables / words.length);
+        return Math.min(100, Math.max(0, Math.round(score)));
+    }
+
+    // ========================================================================
+    // LINTING
+    // ========================================================================
+
+    /**
+     * Clarity issues in one step's text
+     * @param {string} text
+     * @param {Object} options - { question: true } for decision steps (no verb check)
+     * @returns {Array} [{ rule, message, start, end }]
+     */
+    function lintStep(text, options = {}) {
+        const issues = [];
+        const value = String(text || '');
+        const words = _words(value);
+        if (words.length === 0) return issues;
+
+        if (words.length > MAX_WORDS) {
+            issues.push({ rule: 'long', message: `${words.length} words — keep steps to ${MAX_WORDS} or fewer. Split it into steps or sub-steps.`, start: null, end: null });
+        }
+
+        const first = words[0];
+        const firstWord = first.word.toLowerCase();
+        if (!options.question && !first.word.startsWith('{{') &&
+            (NON_ACTION_STARTS.includes(firstWord) || /(ing|ly)$/.test(firstWord) && firstWord.length > 4)) {
+            issues.push({ rule: 'verb', message: `Start with what to do ("Check…", "Wipe…"), not "${first.word}".`, start: first.start, end: first.end });
+        }
+
+        VAGUE_TERMS.forEach(({ pattern, hint }) => {
+            pattern.lastIndex = 0;
+            let m;
+            while ((m = pattern.exec(value)) !== null) {
+                issues.push({ rule: 'vague', message: `"${m[0]}" is vague — ${hint}`, start: m.index, end: m.index + m[0].length });
+            }
+        });
+
+        const sentences = _sentences(value);
+        if (sentences.length > 1) {
+            const second = value.indexOf(sentences[1]);
+            issues.push({ rule: 'multiple', message: `${sentences.length} sentences — give each action its own step.`, start: second, end: second + sentences[1].length });
+        } else {
+            JOINERS.lastIndex = 0;
+            const m = JOINERS.exec(value);
+            // "Next" or "Then" opening the step is a verb problem, not a second action
+            if (m && m.index > first.start) {
+                issues.push({ rule: 'multiple', message: `"${m[0]}" joins two actions — give each one its own step.`, start: m.index, end: m.index + m[0].length });
+            }
+        }
+
+        if (words.length >= READABILITY_MIN_WORDS) {
+            const score = readability(value);
+            if (score < MIN_READABILITY) {
+                issues.push({ rule: 'readability', message: `Reading ease ${score}/100 — use shorter words and sentences.`, start: null, end: null });
+            }
+        }
+
+        return issues;
+    }
+
+    function _isScored(step) {
+        return step && step.type !== 'section' && step.type !== 'block' && String(step.text || '').trim() !== '';
+    }
+
+    function _stepScore(step) {
+        const rules = new Set(lintStep(step.text, { question: step.type === 'decision' }).map(issue => issue.rule));
+        return Math.max(0, 100 - rules.size * ISSUE_PENALTY);
+    }
+
+    /**
+     * Overall clarity of a list of steps (resolve step blocks first)
+     * @returns {{ score: number, issues: number, steps: number }|null} null when there is nothing to score
+     */
+    function scoreSteps(steps) {
+        const scored = (steps || []).filter(_isScored);
+        if (scored.length === 0) return null;
+        const total = scored.reduce((sum, step) => sum + _stepScore(step), 0);
+        const issues = scored.reduce((sum, step) => sum + lintStep(step.text, { question: step.type === 'decision' }).length, 0);
+        return { score: Math.round(total / scored.length), issues, steps: scored.length };
+    }
+
+    /**
+     * 'good' | 'fair' | 'poor'
+     */
+    function grade(score) {
+        if (score >= 80) return 'good';
+        if (score >= 60) return 'fair';
+        return 'poor';
+    }
+
+    function ruleLabel(rule) {
+        return RULE_LABELS[rule] || rule;
+    }
+
+    // ========================================================================
+    // EXPORT
+    // ========================================================================
+
+    global.StepClarity = {
+        lintStep,
+        readability,
+        scoreSteps,
+        grade,
+        ruleLabel
+    };
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,175 @@
+/**
+ * StepDurations - Estimated step times and how runs compare to them
+ *
+ * Authors give a step an `estimate` in whole minutes. Checklists snapshot it,
+ * so a run is always compared with the estimates it started with.
+ *
+ * ACTUAL TIMES come from the `completedAt` stamps, as in Team Activity's
+ * time-to-complete: a step took the time since the step checked off before it.
+ * The first step checked off has nothing to measure from, so run totals compare
+ * first-to-last check against the estimates of the steps after the first.
+ * Gaps under 5 seconds (Complete All) are not timed.
+ *
+ * OVER ESTIMATE means more than 25% over. A step or an employee runs over
+ * "consistently" when that happens in at least 60% of at least 3 timed runs.
+ *
+ * Pure functions, no storage or DOM. CRITICAL: Load before the modules.
+ *
+ * @version 1.0.0
+ */
+
+(function(global) {
+    'use strict';
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    const MAX_ESTIMATE = 480;
+
+    const OVER_TOLERANCE = 1.25;
+
+    const MIN_RUNS = 3;
+
+    const CONSISTENT_SHARE = 0.6;
+
+    const MIN_GAP_MS = 5000;
+
+    // ========================================================================
+    // ESTIMATES
+    // ========================================================================
+
+    /**
+     * A step's estimate in minutes, or 0 when it has none
+     */
+    function estimateOf(step) {
+        const minutes = Math.round(Number(step?.estimate));
+        return Number.isFinite(minutes) && minutes > 0 ? Math.min(minutes, MAX_ESTIMATE) : 0;
+    }
+
+    /**
+     * Clean up an estimate typed into the editor; null for none
+     */
+    function parseEstimate(value) {
+        const minutes = estimateOf({ estimate: value });
+        return minutes > 0 ? minutes : null;
+    }
+
+    /**
+     * Sum of the estimates of the given steps
+     */
+    function totalEstimate(steps) {
+        return (steps || []).reduce((sum, step) => sum + estimateOf(step), 0);
+    }
+
+    function isOver(actual, expected) {
+        return expected > 0 && actual > expected * OVER_TOLERANCE;
+    }
+
+    // ========================================================================
+    // ACTUAL TIMES
+    // ========================================================================
+
+    /**
+     * Minutes each checked step took: [{ step, minutes }]. The first step
+     * checked off and Complete All bursts are left out.
+     */
+    function stepTimings(steps) {
+        const done = (steps || [])
+            .filter(step => step.completed && step.completedAt && step.type !== 'section')
+            .sort((a, b) => a.completedAt - b.completedAt);
+        const timings = [];
+        for (let i = 1; i < done.length; i++) {
+            const gap = done[i].completedAt - done[i - 1].completedAt;
+            if (gap >= MIN_GAP_MS) timings.push({ step: done[i], minutes: gap / 60000 });
+        }
+        return timings;
+    }
+
+    /**
+     * A finished run's actual and expected minutes, or null when it can't be
+     * compared (no estimates, or not enough stamps)
+     */
+    function runTiming(steps) {
+        const done = (steps || [])
+            .filter(step => step.completed && step.completedAt && step.type !== 'section')
+            .sort((a, b) => a.completedAt - b.completedAt);
+        if (done.length < 2) return null;
+        const gap = done[done.length - 1].completedAt - done[0].completedAt;
+        const expected = totalEstimate(done.slice(1));
+        if (gap < MIN_GAP_MS || expected === 0) return null;
+        return { actual: gap / 60000, expected };
+    }
+
+    // ========================================================================
+    // REPORT
+    // ========================================================================
+
+    function _tally(map, key, seed, actual, expected) {
+        if (!map.has(key)) map.set(key, { ...seed, runs: 0, over: 0, actual: 0, expected: 0 });
+        const entry = map.get(key);
+        entry.runs++;
+        entry.actual += actual;
+        entry.expected += expected;
+        if (isOver(actual, expected)) entry.over++;
+    }
+
+    function _consistent(map) {
+        return [...map.values()]
+            .filter(entry => entry.runs >= MIN_RUNS && entry.over / entry.runs >= CONSISTENT_SHARE)
+            .map(entry => ({
+                ...entry,
+                avgActual: entry.actual / entry.runs,
+                avgExpected: entry.expected / entry.runs
+            }))
+            .sort((a, b) => (b.avgActual / b.avgExpected) - (a.avgActual / a.avgExpected));
+    }
+
+    /**
+     * Steps and employees that consistently run over estimate, from team
+     * completions ({ sop_id, sop_title, member_name, steps }).
+     * @returns {{ steps: Array, employees: Array }} each entry carries runs,
+     *   over, avgActual and avgExpected (minutes), plus stepId/sopTitle/text or name.
+     *   Steps are matched by id, so runs of the same SOP in different languages add up.
+     */
+    function overEstimateReport(completions) {
+        const steps = new Map();
+        const employees = new Map();
+
+        (completions || []).forEach(completion => {
+            stepTimings(completion.steps).forEach(({ step, minutes }) => {
+                const expected = estimateOf(step);
+                if (!expected) return;
+                _tally(steps, `${completion.sop_id}:${step.id}`, {
+                    stepId: step.id,
+                    sopTitle: completion.sop_title || '',
+                    text: step.text || ''
+                }, minutes, expected);
+            });
+
+            const run = runTiming(completion.steps);
+            if (run) {
+                const name = completion.member_name || 'Unknown';
+                _tally(employees, name, { name }, run.actual, run.expected);
+            }
+        });
+
+        return { steps: _consistent(steps), employees: _consistent(employees) };
+    }
+
+    // ========================================================================
+    // EXPORT
+    // ========================================================================
+
+    global.StepDurations = {
+        MAX_ESTIMATE,
+        estimateOf,
+        parseEstimate,
+        totalEstimate,
+        isOver,
+        stepTimings,
+        runTiming,
+        overEstimateReport
+    };
+
+})(typeof window !== 'undefined' ? window : this);
@@ -0,0 +1,79 @@
+/**
+ * StepNumbers - Display numbers for SOP steps ("3", "3.1")
+ *
+ * One numbering for the editor, checklists, print, export, review and audit
+ * trail, so a step is called the same thing everywhere:
+ *
+ * - Main steps count 1, 2, 3... across sections; section headings get no number
+ * - A sub-step (level 1) counts under the main step before it: 3.1, 3.2
+ * - A sub-step with no main step above it in its section (first under a
+ *   heading, or right after a step block) is numbered as a main step — the
+ *   editor drops its level in that case too
+ * - A step block reference's steps continue the count, keyed
+ *   `${referenceId}_${stepId}` like StepBlocks.resolveSteps(); the first one
+ *   always starts a main step, and the reference itself takes its number
+ *
+ * Pure functions, no storage or DOM. CRITICAL: Load before the modules.
+ *
+ * @version 1.0.0
+ */
+
+(function(global) {
+    'use strict';
+
+    // ========================================================================
+    // NUMBERING
+    // ========================================================================
+
+    /**
+     * Display numbers for a run of steps
+     * @param {Array} steps
+     * @param {Object} [options]
+     * @param {Function} [options.key] - (step, index) → what to key the number by; step.id by default
+     * @param {Function} [options.blockSteps] - (reference) → the steps a block reference
+     *   stands for; its cached `steps` by default
+     * @returns {Object} { [key]: '3' | '3.1' }
+     */
+    function number(steps, options = {}) {
+        const keyOf = options.key || (step => step.id);
+        const blockSteps = options.blockSteps || (reference => reference.steps || []);
+        const numbers = {};
+        let main = 0;
+        let sub = 0;
+        let hasParent = false;
+
+        const next = (step, first) => {
+            if (step.level === 1 && hasParent && !first) return `${main}.${++sub}`;
+            sub = 0;
+            hasParent = true;
+            return String(++main);
+        };
+
+        (steps || []).forEach((step, index) => {
+            if (step.type === 'section') {
+                hasParent = false;
+                return;
+            }
+            if (step.type === 'block') {
+                blockSteps(step).forEach((inner, i) => {
+                    const value = next(inner, i === 0);
+                    numbers[`${step.id}_${inner.id}`] = value;
+                    if (i === 0) numbers[keyOf(step, index)] = value;
+                });
+                hasParent = false;
+                return;
+            }
+            numbers[keyOf(step, index)] = next(step, false);
+        });
+        return numbers;
+    }
+
+    // ========================================================================
+    // EXPORT
+    // ========================================================================
+
+    global.StepNumbers = {
+        number
+    };
+
+})(typeof window !== 'undefined' ? window : this);
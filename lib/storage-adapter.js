@@ -44,7 +44,9 @@
         user: null,
         syncInProgress: false,
         authListeners: [],
-        dataListeners: []
+        dataListeners: [],
+        // "title:revision" of stale SOPs already reported — every save re-syncs them all
+        staleReported: new Set()
     };
 
     // Log initial state
@@ -185,6 +187,14 @@
                 console.log('[StorageAdapter] SupabaseClient.saveSOP result:', result);
                 if (result.success) {
                     _syncLog('SOP uploaded OK', { title: sop.title });
+                } else if (result.stale) {
+                    // Edited elsewhere since this copy was saved; the editor merges on next save
+                    _syncLog('SOP skipped, cloud has a newer revision', { title: sop.title, revision: sop.revision || 0 });
+                    const key = `${sop.title}:${sop.revision || 0}`;
+                    if (!_state.staleReported.has(key)) {
+                        _state.staleReported.add(key);
+                        _notifyDataListeners('sop_stale', sop);
+                    }
                 } else {
                     console.error('[StorageAdapter] SOP upload FAILED:', sop.title, result.error);
                 }
@@ -240,7 +250,7 @@
     }
 
     /**
-     * Merge two arrays by ID/title, preferring items with newer updatedAt
+     * Merge two arrays by ID/title, preferring the higher revision, then newer updatedAt
      * Returns merged array with all unique items
      */
     function _mergeByIdOrTitle(localItems, cloudItems, idField = 'id', titleField = 'title') {
@@ -261,11 +271,14 @@
                 // Cloud has item that local doesn't - add it
                 merged.set(key, cloudItem);
             } else {
-                // Both have it - keep the one with newer updatedAt
+                // Both have it - keep the higher revision (SOPs count saves);
+                // same revision or none, keep the one with newer updatedAt
+                const localRevision = localItem.revision || 0;
+                const cloudRevision = cloudItem.revision || 0;
                 const localTime = localItem.updatedAt || localItem.createdAt || 0;
                 const cloudTime = cloudItem.updatedAt || cloudItem.createdAt || 0;
                 
-                if (cloudTime > localTime) {
+                if (cloudRevision > localRevision || (cloudRevision === localRevision && cloudTime > localTime)) {
                     merged.set(key, cloudItem);
                 }
                 // else keep local (it's newer or same age)
@@ -440,11 +453,12 @@
     }
 
     /**
-     * Notify data change listeners
+     * Notify data change listeners ('sync_complete', or 'sop_stale' with the
+     * SOP the cloud turned down as older than its copy)
      */
-    function _notifyDataListeners(event) {
+    function _notifyDataListeners(event, detail) {
         _state.dataListeners.forEach(fn => {
-            try { fn(event); } catch (e) { console.error(e); }
+            try { fn(event, detail); } catch (e) { console.error(e); }
         });
     }
 
@@ -508,6 +522,79 @@
             console.log('[StorageAdapter] ========== saveSops() DONE ==========');
         },
 
+        /**
+         * The cloud copy of a SOP, to check its revision before saving over it.
+         * Resolves null when signed out / offline or when it isn't in the cloud.
+         */
+        async fetchSop(sop) {
+            if (!_canSync()) return null;
+            return SupabaseClient.fetchSOP(sop);
+        },
+
+        /**
+         * Keep a full copy (images included) of a SOP version in the cloud.
+         * Local history in sop-create stays capped; this is the unlimited store.
+         */
+        saveSopVersion(version) {
+            if (!_canSync()) return;
+            
+            SupabaseClient.saveSOPVersion(version)
+                .then(result => {
+                    if (!result.success) {
+                        console.warn('[StorageAdapter] SOP version upload failed:', version.snapshot?.title, result.error);
+                    }
+                })
+                .catch(e => {
+                    console.error('[StorageAdapter] SOP version sync EXCEPTION:', e);
+                });
+        },
+
+        /**
+         * Cloud versions of a SOP, newest first. Resolves null when cloud
+         * history is unavailable (signed out / offline) so callers can fall back.
+         */
+        async getSopVersions(sop) {
+            if (!_canSync()) return null;
+            const result = await SupabaseClient.fetchSOPVersions(sop);
+            return result.success ? result.versions : null;
+        },
+
+        // ----------------------------------------------------------------
+        // Approval workflow (see lib/sop-workflow.js)
+        // ----------------------------------------------------------------
+        
+        /**
+         * Send a SOP to approvers. Resolves { success, reviewId } or { success, error }.
+         */
+        async submitSopReview(sop) {
+            if (!_canSync()) {
+                return { success: false, error: 'Sign in to send SOPs for review' };
+            }
+            return SupabaseClient.submitSOPReview(sop);
+        },
+
+        /**
+         * Publish without review (solo workspaces). Signed-out workspaces
+         * publish locally only; signed-in ones must reach the cloud so members see it.
+         * Resolves { success, error }.
+         */
+        async publishSop(sop) {
+            if (!_state.isAuthenticated) return { success: true, error: null };
+            if (!_canSync()) {
+                return { success: false, error: "You're offline — connect to publish" };
+            }
+            return SupabaseClient.publishSOP(sop);
+        },
+
+        /**
+         * Owner's reviews from the cloud. Resolves null when signed out / offline.
+         */
+        async getSopReviews() {
+            if (!_canSync()) return null;
+            const result = await SupabaseClient.fetchSOPReviews();
+            return result.success ? result.reviews : null;
+        },
+
         // ----------------------------------------------------------------
         // Folders
         // ----------------------------------------------------------------
@@ -596,6 +683,33 @@
             _remove(STORAGE_KEYS.DRAFTS);
         },
 
+        // ----------------------------------------------------------------
+        // Audit log (append-only; local copy is kept by AuditLog itself)
+        // ----------------------------------------------------------------
+        
+        saveAuditEntry(entry) {
+            if (!_canSync()) return;
+            
+            SupabaseClient.insertAuditEntry(entry)
+                .then(result => {
+                    if (!result.success) {
+                        console.warn('[StorageAdapter] Audit entry upload failed:', entry.action, result.error);
+                    }
+                })
+                .catch(e => {
+                    console.error('[StorageAdapter] Audit entry sync EXCEPTION:', e);
+                });
+        },
+
+        /**
+         * Cloud audit entries, newest first. Resolves null when signed out / offline.
+         */
+        async getAuditEntries() {
+            if (!_canSync()) return null;
+            const result = await SupabaseClient.fetchAuditLog();
+            return result.success ? result.entries : null;
+        },
+
         // ----------------------------------------------------------------
         // Auth state
         // ----------------------------------------------------------------
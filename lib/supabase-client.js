@@ -46,6 +46,63 @@
         return;
     }
 
+    /**
+     * Published revision column for a new SOP row. Pre-workflow 'active' SOPs
+     * publish their current content (see lib/sop-workflow.js). When the
+     * workspace has approvers the database drops it on insert
+     * (guard_sop_publish), so a new SOP still goes through review.
+     */
+    function _publishedColumn(sop) {
+        if (sop.published) return sop.published;
+        if (sop.status === 'active') {
+            return { title: sop.title, description: sop.description || '', steps: sop.steps || [], tags: sop.tags || [], translations: sop.translations || null };
+        }
+        return null;
+    }
+
+    /**
+     * SOP row → app format
+     */
+    function _sopFromRow(sop) {
+        return {
+            id: sop.id,
+            title: sop.title,
+            description: sop.description,
+            folderId: sop.folder_id || 'general',
+            status: sop.status,
+            tags: sop.tags || [],
+            steps: sop.steps || [],
+            ...(sop.translations ? { translations: sop.translations } : {}),
+            ...(sop.published ? { published: sop.published } : {}),
+            revision: sop.revision || 0,
+            createdAt: new Date(sop.created_at).getTime(),
+            updatedAt: new Date(sop.updated_at).getTime()
+        };
+    }
+
+    /**
+     * The user's cloud row for a SOP. Rows are matched by title (local IDs
+     * don't map to cloud); a SOP renamed locally carries its earlier titles in
+     * previousTitles (newest first), so the rename updates the row it came
+     * from instead of inserting a second one. Resolves { data, error } like
+     * maybeSingle().
+     */
+    async function _findSopRow(userId, sop, columns = 'id') {
+        const titles = [sop.title, ...(sop.previousTitles || [])];
+        const { data, error } = await client
+            .from('sops')
+            .select(columns === '*' ? '*' : `${columns}, title`)
+            .eq('user_id', userId)
+            .in('title', titles);
+
+        if (error) return { data: null, error };
+        for (const title of titles) {
+            const row = (data || []).find(r => r.title === title);
+            if (row) return { data: row, error: null };
+        }
+        return { data: null, error: null };
+    }
+
     // ========================================================================
     // SUPABASE CLIENT API
     // ========================================================================
@@ -319,23 +376,35 @@
                 }
 
                 // Transform from DB format to app format
-                return (data || []).map(sop => ({
-                    id: sop.id,
-                    title: sop.title,
-                    description: sop.description,
-                    folderId: sop.folder_id || 'general',
-                    status: sop.status,
-                    tags: sop.tags || [],
-                    steps: sop.steps || [],
-                    createdAt: new Date(sop.created_at).getTime(),
-                    updatedAt: new Date(sop.updated_at).getTime()
-                }));
+                return (data || []).map(_sopFromRow);
             } catch (e) {
                 console.error('[SupabaseClient] Fetch SOPs exception:', e);
                 return [];
             }
         },
 
+        /**
+         * Fetch the cloud copy of a SOP (same matching strategy as saveSOP).
+         * Resolves null when there's no cloud copy or the fetch fails.
+         */
+        async fetchSOP(sop) {
+            try {
+                const { data: { user } } = await client.auth.getUser();
+                if (!user) return null;
+
+                const { data, error } = await _findSopRow(user.id, sop, '*');
+
+                if (error) {
+                    console.error('[SupabaseClient] Fetch SOP error:', error.message);
+                    return null;
+                }
+                return data ? _sopFromRow(data) : null;
+            } catch (e) {
+                console.error('[SupabaseClient] Fetch SOP exception:', e);
+                return null;
+            }
+        },
+
         /**
          * Fetch user's folders from Supabase
          */
@@ -460,7 +529,9 @@
                             description: sop.description || '',
                             status: sop.status || 'draft',
                             tags: sop.tags || [],
-                            steps: sop.steps || []
+                            steps: sop.steps || [],
+                            translations: sop.translations || null,
+                            published: _publishedColumn(sop)
                         });
                         if (error && !error.message.includes('duplicate')) {
                             errors.push('sop: ' + error.message);
@@ -521,13 +592,7 @@
                 console.log('[SupabaseClient] User authenticated:', user.id.substring(0, 8) + '...');
 
                 // Try to find existing SOP by title (since local IDs don't map to cloud)
-                // Use maybeSingle() instead of single() to avoid error when no match
-                const { data: existing, error: selectError } = await client
-                    .from('sops')
-                    .select('id')
-                    .eq('user_id', user.id)
-                    .eq('title', sop.title)
-                    .maybeSingle();
+                const { data: existing, error: selectError } = await _findSopRow(user.id, sop);
 
                 if (selectError) {
                     console.error('[SupabaseClient] Select error:', selectError);
@@ -536,20 +601,28 @@
                 console.log('[SupabaseClient] Existing SOP check:', existing ? `found id=${existing.id}` : 'not found');
 
                 if (existing) {
-                    // Update existing
+                    // Update existing — never over a newer revision, so a stale copy
+                    // on another device can't silently undo someone's edit
                     console.log('[SupabaseClient] Updating existing SOP:', existing.id);
-                    const { error } = await client.from('sops').update({
+                    const { data: updated, error } = await client.from('sops').update({
+                        title: sop.title,
                         description: sop.description || '',
                         status: sop.status || 'draft',
                         tags: sop.tags || [],
                         steps: sop.steps || [],
+                        translations: sop.translations || null,
+                        revision: sop.revision || 0,
                         updated_at: new Date().toISOString()
-                    }).eq('id', existing.id);
+                    }).eq('id', existing.id).lte('revision', sop.revision || 0).select('id');
 
                     if (error) {
                         console.error('[SupabaseClient] Update SOP error:', error.message, error);
                         return { success: false, error: error.message };
                     }
+                    if (!updated || updated.length === 0) {
+                        console.warn('[SupabaseClient] Cloud copy is a newer revision, not overwritten:', sop.title);
+                        return { success: false, error: 'Cloud copy is newer', stale: true };
+                    }
                     console.log('[SupabaseClient] SOP updated successfully');
                 } else {
                     // Insert new
@@ -561,7 +634,12 @@
                         description: sop.description || '',
                         status: sop.status || 'draft',
                         tags: sop.tags || [],
-                        steps: sop.steps || []
+                        steps: sop.steps || [],
+                        translations: sop.translations || null,
+                        revision: sop.revision || 0,
+                        // Updates never touch `published` — approvals write it server-side,
+                        // and the insert guard drops it when the workspace has approvers
+                        published: _publishedColumn(sop)
                     };
                     console.log('[SupabaseClient] Insert data:', insertData);
                     
@@ -614,6 +692,162 @@
                 return { success: false, error: e.message };
             }
         },
+
+        /**
+         * Store a version snapshot (images included) in sop_versions.
+         * Versions hang off the cloud SOP row, found by user_id + title or
+         * an earlier title (same matching strategy as saveSOP).
+         * Returns { success, error }.
+         */
+        async saveSOPVersion(version) {
+            try {
+                const { data: { user } } = await client.auth.getUser();
+                if (!user) return { success: false, error: 'Not authenticated' };
+
+                const snapshot = version.snapshot || {};
+                const { data: existing, error: selectError } = await _findSopRow(user.id, snapshot);
+
+                if (selectError) {
+                    console.error('[SupabaseClient] saveSOPVersion select error:', selectError.message);
+                    return { success: false, error: selectError.message };
+                }
+                if (!existing) {
+                    // SOP never reached the cloud — nothing to attach the version to
+                    return { success: false, error: 'SOP not synced' };
+                }
+
+                const { error } = await client.from('sop_versions').insert({
+                    user_id: user.id,
+                    sop_id: existing.id,
+                    snapshot,
+                    saved_at: new Date(version.savedAt || Date.now()).toISOString()
+                });
+
+                if (error) {
+                    console.error('[SupabaseClient] saveSOPVersion error:', error.message);
+                    return { success: false, error: error.message };
+                }
+                return { success: true, error: null };
+            } catch (e) {
+                console.error('[SupabaseClient] saveSOPVersion exception:', e);
+                return { success: false, error: e.message };
+            }
+        },
+
+        /**
+         * Fetch all stored versions of a SOP, newest first.
+         * Returns { success, versions: [{ id, savedAt, snapshot }] } or { success, error }.
+         */
+        async fetchSOPVersions(sop) {
+            try {
+                const { data: { user } } = await client.auth.getUser();
+                if (!user) return { success: false, error: 'Not authenticated' };
+
+                const { data: existing, error: selectError } = await _findSopRow(user.id, sop);
+
+                if (selectError) {
+                    console.error('[SupabaseClient] fetchSOPVersions select error:', selectError.message);
+                    return { success: false, error: selectError.message };
+                }
+                if (!existing) return { success: true, versions: [] };
+
+                const { data, error } = await client
+                    .from('sop_versions')
+                    .select('id, snapshot, saved_at')
+                    .eq('sop_id', existing.id)
+                    .order('saved_at', { ascending: false });
+
+                if (error) {
+                    console.error('[SupabaseClient] fetchSOPVersions error:', error.message);
+                    return { success: false, error: error.message };
+                }
+
+                return {
+                    success: true,
+                    versions: (data || []).map(row => ({
+                        id: row.id,
+                        savedAt: new Date(row.saved_at).getTime(),
+                        snapshot: row.snapshot || {}
+                    }))
+                };
+            } catch (e) {
+                console.error('[SupabaseClient] fetchSOPVersions exception:', e);
+                return { success: false, error: e.message };
+            }
+        },
+
+        /**
+         * Append one audit entry. The audit_log table has no update/delete
+         * policy, so rows written here can't be altered from the client.
+         */
+        async insertAuditEntry(entry) {
+            try {
+                const { data: { user } } = await client.auth.getUser();
+                if (!user) return { success: false, error: 'Not authenticated' };
+
+                const { error } = await client.from('audit_log').insert({
+                    user_id: user.id,
+                    entry_id: entry.id,
+                    actor_email: entry.actor?.email || user.email,
+                    action: entry.action,
+                    entity_type: entry.entityType,
+                    entity_id: entry.entityId,
+                    entity_title: entry.entityTitle,
+                    changes: entry.changes || [],
+                    created_at: new Date(entry.at).toISOString()
+                });
+
+                if (error) {
+                    console.error('[SupabaseClient] insertAuditEntry error:', error.message);
+                    return { success: false, error: error.message };
+                }
+                return { success: true, error: null };
+            } catch (e) {
+                console.error('[SupabaseClient] insertAuditEntry exception:', e);
+                return { success: false, error: e.message };
+            }
+        },
+
+        /**
+         * Fetch the workspace audit log, newest first.
+         * Returns { success, entries } in AuditLog entry shape, or { success, error }.
+         */
+        async fetchAuditLog(limit = 2000) {
+            try {
+                const { data: { user } } = await client.auth.getUser();
+                if (!user) return { success: false, error: 'Not authenticated' };
+
+                const { data, error } = await client
+                    .from('audit_log')
+                    .select('entry_id, actor_id:user_id, actor_email, action, entity_type, entity_id, entity_title, changes, created_at')
+                    .eq('user_id', user.id)
+                    .order('created_at', { ascending: false })
+                    .limit(limit);
+
+                if (error) {
+                    console.error('[SupabaseClient] fetchAuditLog error:', error.message);
+                    return { success: false, error: error.message };
+                }
+
+                return {
+                    success: true,
+                    entries: (data || []).map(row => ({
+                        id: row.entry_id,
+                        at: new Date(row.created_at).getTime(),
+                        actor: { id: row.actor_id, email: row.actor_email },
+                        action: row.action,
+                        entityType: row.entity_type,
+                        entityId: row.entity_id,
+                        entityTitle: row.entity_title || '',
+                        changes: row.changes || []
+                    }))
+                };
+            } catch (e) {
+                console.error('[SupabaseClient] fetchAuditLog exception:', e);
+                return { success: false, error: e.message };
+            }
+        },
+
         async saveFolder(folder) {
             try {
                 const { data: { user } } = await client.auth.getUser();
@@ -802,7 +1036,7 @@
 
                 const { data: members, error } = await client
                     .from('team_members')
-                    .select('id, name, role, status, invite_code, created_at')
+                    .select('id, name, role, status, invite_code, can_approve, created_at')
                     .eq('team_id', team.id)
                     .order('created_at', { ascending: true });
 
@@ -839,6 +1073,25 @@
             }
         },
 
+        /**
+         * Designate a team member as an approver (or take it away).
+         * Returns { success } or { success, error }.
+         */
+        async setMemberApprover(memberId, canApprove) {
+            try {
+                const { error } = await client
+                    .from('team_members')
+                    .update({ can_approve: !!canApprove })
+                    .eq('id', memberId);
+
+                if (error) return { success: false, error: error.message };
+
+                return { success: true };
+            } catch (e) {
+                return { success: false, error: e.message };
+            }
+        },
+
         /**
          * Fetch SOPs by invite code — calls SECURITY DEFINER RPC function.
          * No auth required. Team members click a link and see SOPs immediately.
@@ -873,6 +1126,7 @@
                     description: row.description,
                     steps: row.steps || [],
                     tags: row.tags || [],
+                    translations: row.translations || null,
                     status: row.status,
                     folderId: row.folder_id,
                     createdAt: row.created_at,
@@ -883,7 +1137,8 @@
                     success: true,
                     sops,
                     teamName: data.team_name || 'Team',
-                    teamId: data.team_id
+                    teamId: data.team_id,
+                    canApprove: !!data.can_approve
                 };
             } catch (e) {
                 console.error('[SupabaseClient] fetchSOPsByInviteCode exception:', e);
@@ -955,7 +1210,10 @@
                     p_sop_title: data.sopTitle || '',
                     p_steps: data.steps || [],
                     p_completed_steps: data.completedSteps || 0,
-                    p_total_steps: data.totalSteps || 0
+                    p_total_steps: data.totalSteps || 0,
+                    // Only sent when there are some, so databases without the
+                    // checklist-variables migration keep working for plain SOPs
+                    ...(Object.keys(data.variables || {}).length > 0 ? { p_variables: data.variables } : {})
                 });
 
                 if (error) {
@@ -1043,6 +1301,182 @@
             }
         },
 
+        // ================================================================
+        // APPROVAL WORKFLOW
+        // ================================================================
+
+        /**
+         * Submit a SOP's working copy for review (authenticated owner).
+         * Any earlier pending review of the same SOP is withdrawn.
+         * Returns { success, reviewId } or { success, error }.
+         */
+        async submitSOPReview(sop) {
+            try {
+                const { data: { user } } = await client.auth.getUser();
+                if (!user) return { success: false, error: 'Not authenticated' };
+
+                // Make sure the cloud row exists and holds the submitted content
+                const saved = await this.saveSOP(sop);
+                if (!saved.success) return saved;
+
+                const { data: existing, error: selectError } = await _findSopRow(user.id, sop, 'id, published');
+
+                if (selectError || !existing) {
+                    return { success: false, error: selectError?.message || 'SOP not synced' };
+                }
+
+                await client
+                    .from('sop_reviews')
+                    .update({ status: 'withdrawn' })
+                    .eq('sop_id', existing.id)
+                    .eq('status', 'pending');
+
+                const { data, error } = await client.from('sop_reviews').insert({
+                    owner_id: user.id,
+                    sop_id: existing.id,
+                    sop_title: sop.title,
+                    snapshot: {
+                        title: sop.title,
+                        description: sop.description || '',
+                        steps: sop.steps || [],
+                        tags: sop.tags || [],
+                        translations: sop.translations || null
+                    },
+                    published: existing.published || null,
+                    submitted_by: user.email
+                }).select('id').single();
+
+                if (error) {
+                    console.error('[SupabaseClient] submitSOPReview error:', error.message);
+                    return { success: false, error: error.message };
+                }
+                return { success: true, reviewId: data.id };
+            } catch (e) {
+                console.error('[SupabaseClient] submitSOPReview exception:', e);
+                return { success: false, error: e.message };
+            }
+        },
+
+        /**
+         * Publish a SOP's working copy without review (authenticated owner).
+         * Refused by the database when the owner's team has approvers.
+         */
+        async publishSOP(sop) {
+            try {
+                const { data: { user } } = await client.auth.getUser();
+                if (!user) return { success: false, error: 'Not authenticated' };
+
+                const saved = await this.saveSOP(sop);
+                if (!saved.success) return saved;
+
+                const { data: existing, error: selectError } = await _findSopRow(user.id, sop);
+                if (selectError || !existing) {
+                    return { success: false, error: selectError?.message || 'SOP not synced' };
+                }
+
+                const { error } = await client.from('sops').update({
+                    published: {
+                        title: sop.title,
+                        description: sop.description || '',
+                        steps: sop.steps || [],
+                        tags: sop.tags || [],
+                        translations: sop.translations || null
+                    },
+                    published_at: new Date().toISOString(),
+                    status: sop.status === 'archived' ? 'archived' : 'active'
+                }).eq('id', existing.id);
+
+                if (error) {
+                    console.error('[SupabaseClient] publishSOP error:', error.message);
+                    return { success: false, error: error.message };
+                }
+                return { success: true, error: null };
+            } catch (e) {
+                console.error('[SupabaseClient] publishSOP exception:', e);
+                return { success: false, error: e.message };
+            }
+        },
+
+        /**
+         * Fetch the owner's reviews so decisions can be applied locally.
+         * Returns { success, reviews: [{ id, state, snapshot, reviewer, comment, decidedAt }] }.
+         */
+        async fetchSOPReviews() {
+            try {
+                const { data: { user } } = await client.auth.getUser();
+                if (!user) return { success: false, error: 'Not authenticated' };
+
+                const { data, error } = await client
+                    .from('sop_reviews')
+                    .select('id, status, snapshot, reviewer_name, comment, decided_at')
+                    .eq('owner_id', user.id)
+                    .order('submitted_at', { ascending: false })
+                    .limit(200);
+
+                if (error) {
+                    console.error('[SupabaseClient] fetchSOPReviews error:', error.message);
+                    return { success: false, error: error.message };
+                }
+
+                return {
+                    success: true,
+                    reviews: (data || []).map(row => ({
+                        id: row.id,
+                        state: row.status,
+                        snapshot: row.snapshot,
+                        reviewer: row.reviewer_name,
+                        comment: row.comment || '',
+                        decidedAt: row.decided_at ? new Date(row.decided_at).getTime() : null
+                    }))
+                };
+            } catch (e) {
+                console.error('[SupabaseClient] fetchSOPReviews exception:', e);
+                return { success: false, error: e.message };
+            }
+        },
+
+        /**
+         * Fetch reviews waiting on an approver (unauthenticated, invite_code must have can_approve).
+         */
+        async fetchReviewsByInviteCode(inviteCode) {
+            try {
+                const { data: result, error } = await client.rpc('get_pending_reviews_by_invite_code', {
+                    p_invite_code: inviteCode
+                });
+                if (error) {
+                    console.error('[SupabaseClient] fetchReviewsByInviteCode error:', error);
+                    return { success: false, error: error.message };
+                }
+                return result || { success: false, reviews: [] };
+            } catch (e) {
+                console.error('[SupabaseClient] fetchReviewsByInviteCode exception:', e);
+                return { success: false, error: e.message };
+            }
+        },
+
+        /**
+         * Approve or reject a review (unauthenticated approver, invite_code ownership guard).
+         * @param {string} decision - 'approved' | 'rejected'
+         */
+        async decideSOPReview(inviteCode, reviewId, decision, comment) {
+            try {
+                const { data: result, error } = await client.rpc('decide_sop_review', {
+                    p_invite_code: inviteCode,
+                    p_review_id: reviewId,
+                    p_decision: decision,
+                    p_comment: comment || null
+                });
+                if (error) {
+                    console.error('[SupabaseClient] decideSOPReview error:', error);
+                    return { success: false, error: error.message };
+                }
+                return result || { success: false, error: 'No response' };
+            } catch (e) {
+                console.error('[SupabaseClient] decideSOPReview exception:', e);
+                return { success: false, error: e.message };
+            }
+        },
+
         // ================================================================
         // TASK ASSIGNMENTS (Phase 12F)
         // ================================================================
@@ -1217,31 +1651,16 @@
 
         /**
          * Fetch team SOPs for an authenticated team member.
-         * Returns array of SOPs from the team owner.
+         * Returns array of SOPs from the team owner — the approved revision
+         * only. Members can't select from sops directly; get_team_sops()
+         * (docs/approval-workflow-migration.sql) serves `published` alone.
          */
         async fetchTeamSOPs() {
             try {
                 const { data: { user } } = await client.auth.getUser();
                 if (!user) return [];
 
-                // Find which team this user belongs to (future: authenticated members)
-                const { data: membership } = await client
-                    .from('team_members')
-                    .select('team_id, teams(owner_id)')
-                    .eq('user_id', user.id)
-                    .eq('status', 'active')
-                    .limit(1)
-                    .maybeSingle();
-
-                if (!membership || !membership.teams?.owner_id) return [];
-
-                // Fetch owner's active SOPs
-                const { data: sops, error } = await client
-                    .from('sops')
-                    .select('*')
-                    .eq('user_id', membership.teams.owner_id)
-                    .eq('status', 'active')
-                    .order('updated_at', { ascending: false });
+                const { data: sops, error } = await client.rpc('get_team_sops');
 
                 if (error) {
                     console.error('[SupabaseClient] fetchTeamSOPs error:', error);
@@ -1250,11 +1669,12 @@
 
                 return (sops || []).map(row => ({
                     id: row.id,
-                    title: row.title,
-                    description: row.description,
-                    steps: row.steps || [],
-                    tags: row.tags || [],
-                    status: row.status,
+                    title: row.published.title,
+                    description: row.published.description,
+                    steps: row.published.steps || [],
+                    tags: row.published.tags || [],
+                    translations: row.published.translations || null,
+                    status: 'active',
                     folderId: row.folder_id,
                     createdAt: row.created_at,
                     updatedAt: row.updated_at
@@ -0,0 +1,524 @@
+/**
+ * WorkspaceBackup - Download the whole workspace as one file, and restore it
+ *
+ * Everything a guest owns lives in this browser's localStorage. One "clear
+ * site data" loses it, so the backup bundles all of it, images included:
+ * - SOPs, folders, checklists (with their photos), usage counts, dashboard prefs
+ * - The step block library
+ * - The unsaved editor draft, the local audit log
+ * - Per-SOP version history (withoutme_sop_history_*)
+ * - A few device settings (business type, digest opt-out, onboarding flags)
+ *
+ * Sign-in, sync, plan and team keys are never included — a backup is safe to
+ * hand around and restoring it can't sign anyone in or change a subscription.
+ * A file can still be edited by hand, so restore trusts none of it: every id
+ * that ends up in markup must be a plain id (step, branch and jump ids are
+ * remapped when they aren't, like SOPExport does), images must be image data,
+ * and folder icons and colors must come from the dashboard's own pickers.
+ *
+ * RESTORE MODES:
+ * - merge: SOPs, folders, checklists and step blocks with the same id are overwritten by the
+ *   backup; everything else on this device is kept
+ * - replace: this device ends up with exactly what the backup holds
+ * The audit log is append-only, so both modes only ever add entries to it.
+ *
+ * Works without an account. When signed in, the writes go through the
+ * localStorage routing in module-integration.js, so StorageAdapter syncs them.
+ *
+ * File format: docs/workspace-backup-format.md
+ *
+ * CRITICAL: Load after storage-adapter.js and before the modules.
+ *
+ * @version 1.0.0
+ */
+
+(function(global) {
+    'use strict';
+
+    // ========================================================================
+    // CONSTANTS
+    // ========================================================================
+
+    const FORMAT = 'withoutme.backup';
+    const VERSION = 1;
+
+    const MAX_FILE_SIZE = 100 * 1024 * 1024;
+
+    const KEYS = {
+        SOPS: 'sop_tool_sops',
+        FOLDERS: 'sop_tool_folders',
+        CHECKLISTS: 'sop_tool_checklists',
+        SOP_USAGE: 'sop_tool_sop_usage',
+        DASHBOARD_PREFS: 'sop_tool_dashboard_prefs',
+        DRAFTS: 'sop_tool_drafts',
+        AUDIT_LOG: 'sop_tool_audit_log',
+        STEP_BLOCKS: 'sop_tool_step_blocks'
+    };
+
+    const HISTORY_PREFIX = 'withoutme_sop_history_';
+
+    // Plain string values. Anything tied to an account or a device session stays out.
+    const SETTING_KEYS = [
+        'withoutme_business_type',
+        'withoutme_digest_optout',
+        'sop_tool_onboarded',
+        'sop_tool_first_sop_saved',
+        'sop_tool_run_nudge_dismissed'
+    ];
+
+    const ID_PATTERN = /^[\w-]{1,200}$/;
+    const IMAGE_PATTERN = /^data:image\/(?:jpeg|png|gif|webp);base64,[A-Za-z0-9+/]+=*$/;
+
+    // ========================================================================
+    // LOCAL STORAGE
+    // ========================================================================
+
+    function readJSON(key, fallback) {
+        try {
+            const raw = localStorage.getItem(key);
+            return raw === null ? fallback : JSON.parse(raw);
+        } catch (e) {
+            console.warn('[WorkspaceBackup] Could not read', key, e);
+            return fallback;
+        }
+    }
+
+    function historyKeys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(HISTORY_PREFIX)) keys.push(key);
+        }
+        return keys;
+    }
+
+    function countImages(sops, checklists) {
+        let count = 0;
+        sops.forEach(sop => (sop.steps || []).forEach(step => { if (step.image) count++; }));
+        checklists.forEach(cl => (cl.steps || []).forEach(step => { count += (step.photos || []).length; }));
+        return count;
+    }
+
+    // ========================================================================
+    // BACKUP
+    // ========================================================================
+
+    /**
+     * Everything on this device, as the archive object
+     */
+    function collect() {
+        const sops = readJSON(KEYS.SOPS, []);
+        const checklists = readJSON(KEYS.CHECKLISTS, []);
+
+        const history = {};
+        historyKeys().forEach(key => {
+            const versions = readJSON(key, null);
+            if (Array.isArray(versions)) history[key.slice(HISTORY_PREFIX.length)] = versions;
+        });
+
+        const settings = {};
+        SETTING_KEYS.forEach(key => {
+            const value = localStorage.getItem(key);
+            if (value !== null) settings[key] = value;
+        });
+
+        return {
+            format: FORMAT,
+            version: VERSION,
+            createdAt: new Date().toISOString(),
+            data: {
+                sops,
+                folders: readJSON(KEYS.FOLDERS, []),
+                checklists,
+                sopUsage: readJSON(KEYS.SOP_USAGE, {}),
+                dashboardPrefs: readJSON(KEYS.DASHBOARD_PREFS, {}),
+                draft: readJSON(KEYS.DRAFTS, null),
+                auditLog: readJSON(KEYS.AUDIT_LOG, []),
+                stepBlocks: readJSON(KEYS.STEP_BLOCKS, []),
+                history,
+                settings
+            }
+        };
+    }
+
+    /**
+     * What this device holds, for the backup dialog
+     */
+    function summarize(data = collect().data) {
+        return {
+            sops: data.sops.length,
+            folders: data.folders.length,
+            checklists: data.checklists.length,
+            images: countImages(data.sops, data.checklists),
+            history: Object.keys(data.history).length
+        };
+    }
+
+    /**
+     * @returns {{ blob: Blob, filename: string, counts: Object }}
+     */
+    function createBackup() {
+        const archive = collect();
+        const blob = new Blob([JSON.stringify(archive)], { type: 'application/json' });
+        return {
+            blob,
+            filename: `withoutme-backup-${archive.createdAt.slice(0, 10)}.json`,
+            counts: summarize(archive.data)
+        };
+    }
+
+    // ========================================================================
+    // VALIDATION
+    // ========================================================================
+
+    function isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    function isId(value) {
+        return typeof value === 'string' && ID_PATTERN.test(value);
+    }
+
+    /**
+     * Keep records with a usable id; later duplicates of an id are dropped
+     */
+    function readRecords(value, label, isValid, warnings) {
+        if (value === undefined) return [];
+        if (!Array.isArray(value)) throw new Error(`This backup is damaged: "${label}" is not a list.`);
+
+        const seen = new Set();
+        const records = value.filter(record => {
+            if (!isObject(record) || typeof record.id !== 'string' || !ID_PATTERN.test(record.id) || !isValid(record)) return false;
+            if (seen.has(record.id)) return false;
+            seen.add(record.id);
+            return true;
+        });
+        if (records.length < value.length) {
+            warnings.push(`${value.length - records.length} damaged ${label} entr${value.length - records.length === 1 ? 'y was' : 'ies were'} skipped.`);
+        }
+        return records;
+    }
+
+    /**
+     * Steps with every id made safe: step and branch ids that aren't plain ids
+     * (or repeat) get new ones and jumps follow them; jumps to nothing go to
+     * the next step. Block references need a plain block id; links to a SOP
+     * lose an id that isn't one. Images must be base64 image data.
+     */
+    function cleanSteps(rawSteps, warnings) {
+        if (!Array.isArray(rawSteps)) return [];
+        const idMap = {};
+        const used = new Set();
+        let counter = 0;
+        const newId = (prefix) => `${prefix}_restored_${Date.now()}_${++counter}`;
+
+        const steps = rawSteps.filter(isObject).filter(step => {
+            if (step.type !== 'block' || isId(step.blockId)) return true;
+            warnings.push('Some step block references were damaged and were left out.');
+            return false;
+        }).map(step => {
+            const id = isId(step.id) && !used.has(step.id) ? step.id : newId(step.type === 'section' ? 'section' : 'step');
+            used.add(id);
+            if (typeof step.id === 'string' && !(step.id in idMap)) idMap[step.id] = id;
+            return { ...step, id };
+        });
+
+        const target = (goto) => goto === 'end' || goto === 'next' ? goto : (idMap[goto] || 'next');
+
+        return steps.map(step => {
+            const clean = { ...step };
+            if (clean.goto !== undefined) {
+                clean.goto = target(clean.goto);
+                if (clean.goto === 'next') delete clean.goto;
+            }
+            if (Array.isArray(clean.branches)) {
+                clean.branches = clean.branches.filter(isObject).map(branch => ({
+                    ...branch,
+                    id: isId(branch.id) ? branch.id : newId('branch'),
+                    goto: target(branch.goto)
+                }));
+            } else {
+                delete clean.branches;
+            }
+            if (clean.linkedSopId !== undefined && !isId(clean.linkedSopId)) clean.linkedSopId = null;
+            if (clean.type === 'block') clean.steps = cleanSteps(clean.steps, warnings);
+            if (clean.image && !(typeof clean.image === 'string' && IMAGE_PATTERN.test(clean.image))) {
+                warnings.push('Some step images were not image data and were left out.');
+                clean.image = null;
+            }
+            return clean;
+        });
+    }
+
+    function cleanSop(sop, warnings) {
+        return {
+            ...sop,
+            folderId: isId(sop.folderId) ? sop.folderId : 'general',
+            steps: cleanSteps(sop.steps, warnings)
+        };
+    }
+
+    /**
+     * The editor draft: steps as above. Its undo stack is left behind rather
+     * than cleaned state by state — undo starts fresh after a restore.
+     */
+    function cleanDraft(draft, warnings) {
+        const { undoHistory, ...rest } = draft;
+        return { ...rest, folderId: isId(draft.folderId) ? draft.folderId : 'general', steps: cleanSteps(draft.steps, warnings) };
+    }
+
+    /**
+     * Icons and colors go into markup and styles as they are, so only the
+     * dashboard's own choices (modules/dashboard.js) are kept
+     */
+    function cleanFolder(folder) {
+        const colors = global.FOLDER_COLORS || [];
+        const icons = global.FOLDER_ICONS || [];
+        return {
+            ...folder,
+            color: colors.includes(folder.color) ? folder.color : (colors[0] || '#6366f1'),
+            icon: icons.includes(folder.icon) ? folder.icon : '📁'
+        };
+    }
+
+    function cleanChecklist(checklist, warnings) {
+        if (!Array.isArray(checklist.steps)) return checklist;
+        const steps = checklist.steps.map(step => {
+            if (!isObject(step) || !Array.isArray(step.photos)) return step;
+            const photos = step.photos.filter(photo => typeof photo === 'string' && IMAGE_PATTERN.test(photo));
+            if (photos.length < step.photos.length) {
+                warnings.push('Some checklist photos were not image data and were left out.');
+            }
+            return { ...step, photos };
+        });
+        return { ...checklist, steps };
+    }
+
+    /**
+     * Check an archive and normalize its data. Throws an Error with a
+     * message the user can act on.
+     */
+    function validate(archive) {
+        if (!isObject(archive) || archive.format !== FORMAT) {
+            throw new Error('This is not a WithoutMe backup file.');
+        }
+        if (typeof archive.version !== 'number' || archive.version > VERSION) {
+            throw new Error('This backup was made by a newer version of WithoutMe. Reload the app and try again.');
+        }
+        if (!isObject(archive.data)) {
+            throw new Error('This backup is damaged: it has no workspace data.');
+        }
+
+        const raw = archive.data;
+        const warnings = [];
+
+        const sops = readRecords(raw.sops, 'SOP', sop => typeof sop.title === 'string' && Array.isArray(sop.steps), warnings)
+            .map(sop => cleanSop(sop, warnings));
+        const folders = readRecords(raw.folders, 'folder', folder => typeof folder.name === 'string', warnings)
+            .map(cleanFolder);
+        const checklists = readRecords(raw.checklists, 'checklist', () => true, warnings)
+            .map(checklist => cleanChecklist(checklist, warnings));
+        const stepBlocks = readRecords(raw.stepBlocks, 'step block', block => typeof block.name === 'string' && Array.isArray(block.steps), warnings)
+            .map(block => ({ ...block, steps: cleanSteps(block.steps, warnings) }));
+
+        const sopUsage = {};
+        if (isObject(raw.sopUsage)) {
+            Object.entries(raw.sopUsage).forEach(([id, count]) => {
+                if (typeof count === 'number' && count >= 0) sopUsage[id] = count;
+            });
+        }
+
+        const history = {};
+        if (isObject(raw.history)) {
+            Object.entries(raw.history).forEach(([id, versions]) => {
+                if (!ID_PATTERN.test(id) || !Array.isArray(versions)) return;
+                // A version can be restored into the editor, so its steps get the same cleanup
+                history[id] = versions.filter(isObject).map(version => isObject(version.snapshot)
+                    ? { ...version, snapshot: { ...version.snapshot, steps: cleanSteps(version.snapshot.steps, warnings) } }
+                    : version);
+            });
+        }
+
+        const settings = {};
+        if (isObject(raw.settings)) {
+            SETTING_KEYS.forEach(key => {
+                if (typeof raw.settings[key] === 'string') settings[key] = raw.settings[key];
+            });
+        }
+
+        const data = {
+            sops,
+            folders,
+            checklists,
+            sopUsage,
+            dashboardPrefs: isObject(raw.dashboardPrefs) ? raw.dashboardPrefs : {},
+            draft: isObject(raw.draft) ? cleanDraft(raw.draft, warnings) : null,
+            auditLog: Array.isArray(raw.auditLog) ? raw.auditLog.filter(entry => isObject(entry) && typeof entry.id === 'string') : [],
+            stepBlocks,
+            history,
+            settings
+        };
+
+        return {
+            createdAt: typeof archive.createdAt === 'string' ? archive.createdAt : null,
+            data,
+            counts: summarize(data),
+            warnings: [...new Set(warnings)]
+        };
+    }
+
+    /**
+     * @param {File} file
+     * @returns {Promise<Object>} validated backup, see validate()
+     */
+    async function readBackup(file) {
+        if (file.size > MAX_FILE_SIZE) {
+            throw new Error('This file is too large to be a WithoutMe backup.');
+        }
+        let archive;
+        try {
+            archive = JSON.parse(await file.text());
+        } catch (e) {
+            throw new Error('This is not a WithoutMe backup file.');
+        }
+        return { fileName: file.name, ...validate(archive) };
+    }
+
+    // ========================================================================
+    // RESTORE
+    // ========================================================================
+
+    /**
+     * Split incoming and local records into added / overwritten / removed
+     */
+    function compare(incoming, local, mode) {
+        const localIds = new Set(local.map(record => record.id));
+        const incomingIds = new Set(incoming.map(record => record.id));
+        return {
+            added: incoming.filter(record => !localIds.has(record.id)),
+            overwritten: incoming.filter(record => localIds.has(record.id)),
+            removed: mode === 'replace' ? local.filter(record => !incomingIds.has(record.id)) : []
+        };
+    }
+
+    /**
+     * What restore() would change, without changing anything
+     * @param {Object} backup - from readBackup()
+     * @param {'merge'|'replace'} mode
+     */
+    function planRestore(backup, mode) {
+        const { data } = backup;
+        return {
+            mode,
+            sops: compare(data.sops, readJSON(KEYS.SOPS, []), mode),
+            folders: compare(data.folders, readJSON(KEYS.FOLDERS, []), mode),
+            checklists: compare(data.checklists, readJSON(KEYS.CHECKLISTS, []), mode)
+        };
+    }
+
+    /**
+     * Local records with the backup's laid over them by id. New ones go first
+     * for SOPs (newest-first lists) and last for everything else.
+     */
+    function mergeRecords(local, incoming, { prepend = false } = {}) {
+        const byId = new Map(incoming.map(record => [record.id, record]));
+        const merged = local.map(record => byId.get(record.id) || record);
+        const localIds = new Set(local.map(record => record.id));
+        const added = incoming.filter(record => !localIds.has(record.id));
+        return prepend ? [...added, ...merged] : [...merged, ...added];
+    }
+
+    /**
+     * Write the backup into localStorage. If any write doesn't stick (storage
+     * full), every key is put back the way it was and an Error is thrown.
+     * @returns {Object} the plan that was applied
+     */
+    function restore(backup, mode) {
+        const { data } = backup;
+        const plan = planRestore(backup, mode);
+        const replace = mode === 'replace';
+
+        const writes = {};
+        writes[KEYS.SOPS] = replace ? data.sops : mergeRecords(readJSON(KEYS.SOPS, []), data.sops, { prepend: true });
+        writes[KEYS.FOLDERS] = replace ? data.folders : mergeRecords(readJSON(KEYS.FOLDERS, []), data.folders);
+        writes[KEYS.CHECKLISTS] = replace ? data.checklists : mergeRecords(readJSON(KEYS.CHECKLISTS, []), data.checklists);
+        writes[KEYS.STEP_BLOCKS] = replace ? data.stepBlocks : mergeRecords(readJSON(KEYS.STEP_BLOCKS, []), data.stepBlocks);
+
+        const usage = replace ? {} : readJSON(KEYS.SOP_USAGE, {});
+        Object.entries(data.sopUsage).forEach(([id, count]) => {
+            usage[id] = Math.max(usage[id] || 0, count);
+        });
+        writes[KEYS.SOP_USAGE] = usage;
+
+        // Merge keeps this device's own view settings and unsaved draft
+        const localPrefs = readJSON(KEYS.DASHBOARD_PREFS, null);
+        writes[KEYS.DASHBOARD_PREFS] = replace || !localPrefs ? data.dashboardPrefs : localPrefs;
+        const localDraft = readJSON(KEYS.DRAFTS, null);
+        writes[KEYS.DRAFTS] = replace || !localDraft ? data.draft : localDraft;
+
+        const auditIds = new Set();
+        writes[KEYS.AUDIT_LOG] = [...readJSON(KEYS.AUDIT_LOG, []), ...data.auditLog]
+            .filter(entry => !auditIds.has(entry.id) && auditIds.add(entry.id))
+            .sort((a, b) => String(a.at).localeCompare(String(b.at)));
+
+        Object.entries(data.history).forEach(([id, versions]) => {
+            writes[HISTORY_PREFIX + id] = versions;
+        });
+        const staleHistory = replace
+            ? historyKeys().filter(key => !data.history[key.slice(HISTORY_PREFIX.length)])
+            : [];
+
+        const settings = {};
+        Object.entries(data.settings).forEach(([key, value]) => {
+            if (replace || localStorage.getItem(key) === null) settings[key] = value;
+        });
+
+        // Snapshot every key we touch so a failed restore leaves nothing half-written
+        const touched = [...Object.keys(writes), ...staleHistory, ...Object.keys(settings)];
+        const snapshot = {};
+        touched.forEach(key => { snapshot[key] = localStorage.getItem(key); });
+
+        try {
+            Object.entries(writes).forEach(([key, value]) => {
+                if (value === null) {
+                    localStorage.removeItem(key);
+                    return;
+                }
+                const serialized = JSON.stringify(value);
+                localStorage.setItem(key, serialized);
+                if (localStorage.getItem(key) !== serialized) throw new Error(`Could not write ${key}`);
+            });
+            staleHistory.forEach(key => localStorage.removeItem(key));
+            Object.entries(settings).forEach(([key, value]) => localStorage.setItem(key, value));
+        } catch (e) {
+            console.error('[WorkspaceBackup] Restore failed, rolling back:', e);
+            touched.forEach(key => {
+                try {
+                    if (snapshot[key] === null) localStorage.removeItem(key);
+                    else localStorage.setItem(key, snapshot[key]);
+                } catch (e2) {
+                    console.error('[WorkspaceBackup] Rollback failed for', key, e2);
+                }
+            });
+            throw new Error('Not enough storage space in this browser to restore this backup. Nothing was changed.');
+        }
+
+        return plan;
+    }
+
+    // ========================================================================
+    // EXPORT
+    // ========================================================================
+
+    global.WorkspaceBackup = {
+        FORMAT,
+        VERSION,
+        summarize,
+        createBackup,
+        validate,
+        readBackup,
+        planRestore,
+        restore
+    };
+
+})(typeof window !== 'undefined' ? window : this);
@@ -9,12 +9,15 @@
  * - Track completion timestamps
  * - Notes per step
  * - View completed checklists in read-only mode
+ * - Keyboard: j/k move between steps, space checks off the current one;
+ *   Ctrl/Cmd+K command palette (lib/command-palette.js)
  * 
  * SNAPSHOT RULE:
  * Checklists are immutable snapshots of SOPs at creation time.
  * - When a checklist is created, it captures the SOP's steps at that exact moment
  * - Subsequent edits to the SOP do NOT affect existing checklists
  * - Each checklist stores `sopSnapshotAt` to track when it was captured
+ * - Step block references are resolved into plain steps, so block edits don't reach it either
  * - "Restart" creates a NEW checklist from the CURRENT SOP (with warning if SOP changed)
  * - If the source SOP is deleted, existing checklists remain functional
  * 
@@ -25,6 +28,56 @@
  * - Status transitions are saved immediately to localStorage
  * - Dashboard filters use persisted status directly (no inference)
  * 
+ * BRANCHING RULE:
+ * Decision steps (type 'decision') carry labeled branches that jump ahead.
+ * - The worker picks a branch; only steps on the chosen path are shown
+ * - completedSteps / totalSteps count the active path, not every SOP step
+ * - The path stops at an unanswered decision, so it can't be "complete" yet
+ * - Steps that fall off the path (worker changed their mind) are cleared
+ * 
+ * SECTION RULE:
+ * Section headings (type 'section') live in the same flat steps array.
+ * - Sections are never checked off and don't count toward progress
+ * - Sub-steps (level 1) are numbered under their parent step, e.g. "3.2"
+ * - Each section shows its own progress and can be collapsed
+ * 
+ * TYPED STEP RULE:
+ * Steps with an `input` (number, yesno, text, select) capture a `value`.
+ * - A step can't be checked while its entry is invalid, or empty when `required`
+ * - Committing a valid entry checks the step off
+ * - Number readings outside min/max need confirmation and are flagged `outOfRange`
+ * 
+ * PHOTO EVIDENCE RULE:
+ * Any step can carry `photos` (sanitized JPEG data URLs, max 3) taken by the worker.
+ * - Steps marked `photoRequired` can't be checked off until a photo is attached
+ * - Photos travel with the steps into recordTeamCompletion for the owner
+ * 
+ * LINKED SOP RULE:
+ * A step of type 'sop' runs another SOP as a child checklist.
+ * - The child is created the first time the worker opens the step; it keeps
+ *   `parentChecklistId` / `parentStepId`, the parent step keeps `childChecklistId`
+ * - The step can't be checked off by hand: it follows the child's completion
+ * - Back from a child returns to its parent
+ * - A linked SOP that no longer exists is snapshotted as a plain step
+ * 
+ * VARIABLE RULE:
+ * Placeholders like {{customer_name}} in a SOP are filled in at start (lib/sop-variables.js).
+ * - startFromSOP asks for the values first; they're stored as `checklist.variables`
+ * - The snapshot holds the filled-in text, so the steps read as the worker saw them
+ * - A linked SOP reuses the parent's values and only asks for the ones it lacks
+ * - Values travel with recordTeamCompletion (Team Activity, CSV, webhook)
+ * 
+ * ESTIMATE RULE:
+ * Steps can carry an `estimate` in minutes (lib/step-durations.js), snapshotted with the step.
+ * - The header shows time since the checklist started vs the estimate for the active path
+ * - It ticks live while in progress and turns amber once over the estimate
+ * 
+ * LANGUAGE RULE:
+ * A team member's checklists start in the language they picked (lib/sop-translations.js).
+ * - The snapshot holds the translated wording; missing or out-of-date translations stay in the original
+ * - Step ids don't change, so completions merge with runs in other languages
+ * - `language` and `sourceTitle` are stored; completions and flagged issues report the original title
+ * 
  * STORAGE KEY: 'sop_tool_checklists'
  * 
  * @module Checklist
@@ -40,6 +93,8 @@
         FOLDERS: 'sop_tool_folders'
     };
 
+    const MAX_STEP_PHOTOS = 3;
+    
     const CHECKLIST_STATUS = {
         IN_PROGRESS: 'in_progress',
         COMPLETED: 'completed',
@@ -71,7 +126,9 @@
             this.currentSOP = null;
             this.folders = [];
             this.saveTimer = null;
+            this.elapsedTimer = null;
             this.readOnly = false;  // True when viewing completed checklists
+            this.collapsedSections = new Set();  // Section ids folded in the current view
             
             this.callbacks = {
                 onComplete: null,
@@ -113,7 +170,20 @@
         }
         
         _saveChecklists(checklists) {
-            localStorage.setItem(CHECKLIST_STORAGE_KEYS.CHECKLISTS, JSON.stringify(checklists));
+            const serialized = JSON.stringify(checklists);
+            try {
+                localStorage.setItem(CHECKLIST_STORAGE_KEYS.CHECKLISTS, serialized);
+                // The storage layer logs a quota error instead of throwing — read the write back
+                if (localStorage.getItem(CHECKLIST_STORAGE_KEYS.CHECKLISTS) !== serialized) {
+                    throw new Error('Checklists were not saved');
+                }
+                return true;
+            } catch (e) {
+                // Photos are the usual culprit when the ~5MB localStorage budget runs out
+                console.warn('Checklist: Could not save checklists:', e);
+                this._showNotification('Storage is full — remove some photos or old checklists.', 'error');
+                return false;
+            }
         }
         
         _loadSOPs() {
@@ -125,19 +195,44 @@
             return this._loadSOPs().find(s => s.id === sopId) || null;
         }
         
-        createFromSOP(sopId) {
-            const sop = this._getSOP(sopId);
-            if (!sop) {
+        /**
+         * The SOP a linked step runs - by id, then by title, since a team
+         * member's or another device's copy has different ids
+         */
+        _getLinkedSOP(step) {
+            if (typeof SOPLinks === 'undefined') return this._getSOP(step.linkedSopId);
+            return SOPLinks.resolve(step, this._loadSOPs());
+        }
+        
+        createFromSOP(sopId, values = {}) {
+            const stored = this._getSOP(sopId);
+            if (!stored) {
                 console.warn('Checklist: Cannot create checklist - SOP not found:', sopId);
                 return null;
             }
             
-            // Defensive check: SOP must have steps
-            if (!sop.steps || sop.steps.length === 0) {
+            // LANGUAGE RULE: checklists start in the language the team member picked.
+            // Only the wording changes — step ids stay, so reports merge across languages.
+            const language = typeof SOPTranslations !== 'undefined' ? SOPTranslations.getPreferredLanguage() : null;
+            const localized = language ? SOPTranslations.localize(stored, language) : stored;
+            
+            // Step blocks expand to their current wording here, as part of the snapshot
+            const resolved = typeof StepBlocks !== 'undefined' ? StepBlocks.resolveSop(localized) : localized;
+            
+            // VARIABLE RULE: placeholders are filled in as part of the snapshot too
+            const variables = typeof SOPVariables !== 'undefined' ? SOPVariables.clean(SOPVariables.find(resolved), values) : {};
+            const sop = typeof SOPVariables !== 'undefined' ? SOPVariables.fillSop(resolved, variables) : resolved;
+            
+            // Defensive check: SOP must have steps (section headings alone don't count)
+            if (!sop.steps || !sop.steps.some(step => step.type !== 'section')) {
                 console.warn('Checklist: Cannot create checklist - SOP has no steps:', sopId);
                 return null;
             }
             
+            // LINKED SOP RULE: steps whose SOP can't be found fall back to plain
+            // steps that still say which SOP to run
+            const linkedSops = sop.steps.map(step => step.type === 'sop' ? this._getLinkedSOP(step) : null);
+            
             // SNAPSHOT RULE: Checklists capture SOP state at creation time.
             // Subsequent edits to the SOP do not affect this checklist.
             const checklist = {
@@ -147,15 +242,44 @@
                 sopSnapshotAt: sop.updatedAt || sop.createdAt || Date.now(), // Track SOP version
                 folderId: sop.folderId,
                 status: CHECKLIST_STATUS.IN_PROGRESS,
-                steps: sop.steps.map((step, i) => ({
-                    id: step.id || 'step_' + i,
+                variables: variables,
+                ...(localized.language ? { language: localized.language, sourceTitle: stored.title } : {}),
+                steps: sop.steps.map((step, i) => step.type === 'section' ? {
+                    id: step.id || 'section_' + i,
+                    type: 'section',
                     text: step.text || '',
+                    order: i + 1
+                } : ({
+                    id: step.id || 'step_' + i,
+                    text: step.text || (step.type === 'sop' ? this._linkedSopText(linkedSops[i]?.title || step.linkedSopTitle) : ''),
                     note: step.note || '',
                     image: step.image || null,
                     userNote: '',
                     completed: false,
                     completedAt: null,
-                    order: i + 1
+                    order: i + 1,
+                    ...(step.type === 'decision' ? {
+                        type: 'decision',
+                        branches: (step.branches || []).map(b => ({ id: b.id, label: b.label || '', goto: b.goto || 'next' })),
+                        chosenBranchId: null,
+                        chosenBranchLabel: null
+                    } : {}),
+                    ...(linkedSops[i] ? {
+                        type: 'sop',
+                        linkedSopId: linkedSops[i].id,
+                        linkedSopTitle: linkedSops[i].title,
+                        childChecklistId: null
+                    } : {}),
+                    ...(step.goto ? { goto: step.goto } : {}),
+                    ...(step.level === 1 ? { level: 1 } : {}),
+                    ...(step.photoRequired ? { photoRequired: true } : {}),
+                    ...(step.estimate ? { estimate: step.estimate } : {}),
+                    ...(step.input && step.type !== 'decision' ? {
+                        input: { ...step.input },
+                        required: !!step.required,
+                        value: null,
+                        outOfRange: false
+                    } : {})
                 })),
                 createdAt: Date.now(),
                 updatedAt: Date.now(),
@@ -164,6 +288,9 @@
                 totalSteps: sop.steps.length
             };
             
+            // Branching SOPs start with only the path up to the first decision
+            this._applyPath(checklist);
+            
             const checklists = this._loadChecklists();
             checklists.unshift(checklist);
             this._saveChecklists(checklists);
@@ -173,7 +300,7 @@
         
         _updateChecklist(checklist) {
             checklist.updatedAt = Date.now();
-            checklist.completedSteps = checklist.steps.filter(s => s.completed).length;
+            this._applyPath(checklist);
             
             // Handle completion state transitions
             const allComplete = checklist.completedSteps === checklist.totalSteps;
@@ -207,6 +334,8 @@
             }
             
             this._saveChecklists(checklists);
+            
+            if (checklist.parentChecklistId) this._syncParentStep(checklist);
             return checklist;
         }
         
@@ -231,7 +360,12 @@
             return this._loadChecklists().find(c => c.id === checklistId) || null;
         }
         
-        startFromSOP(sopId) {
+        /**
+         * @param {string} sopId
+         * @param {Object|null} values - placeholder values; null asks for them
+         *   first when the SOP has any (VARIABLE RULE)
+         */
+        startFromSOP(sopId, values = null) {
             if (!sopId) {
                 console.error('Checklist: startFromSOP called without sopId');
                 return;
@@ -247,8 +381,18 @@
                 return;
             }
             
+            const names = this._getVariableNames(sop);
+            if (values === null && names.length > 0) {
+                this._showVariablesForm(sop.title, names, {},
+                    entered => this.startFromSOP(sopId, entered),
+                    () => {
+                        if (this.callbacks.onBack) this.callbacks.onBack();
+                    });
+                return;
+            }
+            
             this.currentSOP = sop;
-            this.currentChecklist = this.createFromSOP(sopId);
+            this.currentChecklist = this.createFromSOP(sopId, values || {});
             
             // Handle case where checklist creation failed (e.g., no steps)
             if (!this.currentChecklist) {
@@ -341,6 +485,9 @@
             
             const checklist = this.currentChecklist;
             const folder = this.folders.find(f => f.id === checklist.folderId);
+            const parent = checklist.parentChecklistId ? this.getChecklist(checklist.parentChecklistId) : null;
+            const variablesSummary = typeof SOPVariables !== 'undefined' ? SOPVariables.summarize(checklist.variables) : '';
+            const feedbackNumbers = this._getPathNumbers(checklist, this._applyPath(checklist));
             
             // Safe progress calculation (avoid division by zero)
             const totalSteps = checklist.totalSteps || 1;
@@ -375,7 +522,9 @@
                         '<strong>Checklist Complete!</strong>' +
                         '<p>Completed on ' + new Date(checklist.completedAt).toLocaleString() + '</p>' +
                     '</div>' +
-                    (isReadOnly ? '' : '<button class="btn btn-primary" id="btn-restart">🔄 Start New</button>') +
+                    (isReadOnly ? '' : parent
+                        ? '<button class="btn btn-primary" id="btn-to-parent">↩ Back to ' + this._escapeHtml(parent.sopTitle) + '</button>'
+                        : '<button class="btn btn-primary" id="btn-restart">🔄 Start New</button>') +
                 '</div>';
             }
             
@@ -388,7 +537,7 @@
                         (isTeamSession ? '<button class="btn btn-secondary" id="btn-flag-issue">🚩 Flag Issue</button>' : '') +
                     '</div>' +
                     '<div class="footer-right">' +
-                        '<button class="btn btn-primary" id="btn-done">← Back to Dashboard</button>' +
+                        '<button class="btn btn-primary" id="btn-done">← Back to ' + (parent ? this._escapeHtml(parent.sopTitle) : 'Dashboard') + '</button>' +
                     '</div>' +
                 '</footer>';
             } else {
@@ -411,7 +560,9 @@
                     '<div class="header-left">' +
                         '<button class="btn-back" id="btn-back">← Back</button>' +
                         '<div class="header-info">' +
+                            (parent ? '<p class="checklist-parent">Part of <strong>' + this._escapeHtml(parent.sopTitle) + '</strong></p>' : '') +
                             '<h2>' + this._escapeHtml(checklist.sopTitle) + '</h2>' +
+                            (variablesSummary ? '<p class="checklist-variables">' + this._escapeHtml(variablesSummary) + '</p>' : '') +
                             '<div class="header-meta">' +
                                 '<span class="folder-badge" style="background: ' + (folder?.color || '#6b7280') + '20; color: ' + (folder?.color || '#6b7280') + '">' +
                                     (folder?.icon || '📁') + ' ' + this._escapeHtml(folder?.name || 'General') +
@@ -419,6 +570,9 @@
                                 '<span class="status-badge status-' + checklist.status + (isReadOnly ? ' readonly' : '') + '">' +
                                     statusBadgeText +
                                 '</span>' +
+                                (checklist.language && typeof SOPTranslations !== 'undefined'
+                                    ? '<span class="language-badge">🌐 ' + this._escapeHtml(SOPTranslations.languageName(checklist.language)) + '</span>'
+                                    : '') +
                             '</div>' +
                         '</div>' +
                     '</div>' +
@@ -430,6 +584,7 @@
                             '</div>' +
                             '<span class="progress-percent">' + progress + '%</span>' +
                         '</div>' +
+                        '<p class="progress-time" id="progress-time"></p>' +
                     '</div>' +
                 '</header>' +
                 infoBanner +
@@ -453,9 +608,9 @@
                             '<label class="feedback-label">Which step? (optional)</label>' +
                             '<select class="feedback-select" id="feedback-step">' +
                                 '<option value="">General feedback</option>' +
-                                (this.currentChecklist ? this.currentChecklist.steps.map((s, i) =>
-                                    '<option value="' + (i + 1) + '">Step ' + (i + 1) + ': ' + this._escapeHtml((s.text || '').substring(0, 40)) + '</option>'
-                                ).join('') : '') +
+                                this._getActivePath(checklist).filter(stepIndex => checklist.steps[stepIndex].type !== 'section').map((stepIndex, i) =>
+                                    '<option value="' + (i + 1) + '">Step ' + feedbackNumbers[stepIndex] + ': ' + this._escapeHtml((checklist.steps[stepIndex].text || '').substring(0, 40)) + '</option>'
+                                ).join('') +
                             '</select>' +
                             '<label class="feedback-label">What\'s the issue?</label>' +
                             '<textarea class="feedback-textarea" id="feedback-comment" placeholder="Describe the problem..." maxlength="500" rows="3"></textarea>' +
@@ -468,6 +623,8 @@
                     '</div>' +
                 '</div>' +
             '</div>';
+            
+            this._startElapsedTimer();
         }
         
         _renderSteps() {
@@ -476,55 +633,198 @@
             }
             
             const isReadOnly = this.readOnly;
+            const steps = this.currentChecklist.steps;
             
-            return this.currentChecklist.steps.map((step, index) => {
-                const isCompleted = step.completed;
-                
-                // In read-only mode, show static checkmark; otherwise show interactive checkbox
-                let checkboxHtml;
-                if (isReadOnly) {
-                    checkboxHtml = '<div class="step-checkbox readonly">' +
-                        '<span class="checkbox-static' + (isCompleted ? ' checked' : '') + '">' +
-                            (isCompleted ? '✓' : '') +
-                        '</span>' +
-                    '</div>';
-                } else {
-                    checkboxHtml = '<div class="step-checkbox">' +
-                        '<input type="checkbox" id="step-' + index + '" class="step-check" data-step-index="' + index + '"' + (isCompleted ? ' checked' : '') + ' />' +
-                        '<label for="step-' + index + '" class="checkbox-label">' +
-                            '<span class="checkbox-custom"></span>' +
-                        '</label>' +
-                    '</div>';
-                }
-                
-                // User notes input (only show when not read-only)
-                let userNoteHtml = '';
-                if (!isReadOnly && this.options.showNotes) {
-                    userNoteHtml = '<div class="step-user-note">' +
-                        '<input type="text" class="user-note-input" data-step-index="' + index + '" placeholder="Your notes..." value="' + this._escapeHtml(step.userNote || '') + '" />' +
-                    '</div>';
-                } else if (isReadOnly && step.userNote) {
-                    // Show user note as static text in read-only mode
-                    userNoteHtml = '<p class="step-user-note-readonly">📝 ' + this._escapeHtml(step.userNote) + '</p>';
-                }
+            // Only steps on the chosen path are shown (BRANCHING RULE)
+            const path = this._getActivePath(this.currentChecklist);
+            const numbers = this._getPathNumbers(this.currentChecklist, path);
+            
+            // Group path steps under their section headings (SECTION RULE)
+            const groups = this._groupPathBySection(this.currentChecklist, path);
+            
+            const stepsHtml = groups.map(group => {
+                const rowsHtml = group.indexes.map(index => this._renderStep(index, numbers[index])).join('');
+                if (!group.section) return rowsHtml;
                 
-                return '<div class="checklist-step' + (isCompleted ? ' completed' : '') + (isReadOnly ? ' readonly' : '') + '" data-step-index="' + index + '">' +
-                    checkboxHtml +
-                    '<div class="step-content">' +
-                        '<div class="step-number">' + (index + 1) + '</div>' +
-                        '<div class="step-text-container">' +
-                            '<p class="step-text">' + this._escapeHtml(step.text) + '</p>' +
-                            (step.note ? '<p class="step-note">💡 ' + this._escapeHtml(step.note) + '</p>' : '') +
-                            (step.image ? '<img src="' + step.image + '" alt="Step image" class="step-image" />' : '') +
-                            userNoteHtml +
-                        '</div>' +
-                    '</div>' +
-                    '<div class="step-status">' +
-                        (isCompleted && this.options.showTimestamps && step.completedAt ? 
-                            '<span class="completed-time">✓ ' + this._formatTime(step.completedAt) + '</span>' : '') +
-                    '</div>' +
+                const progress = this._getSectionProgress(this.currentChecklist, group);
+                const isCollapsed = this.collapsedSections.has(group.section.id);
+                return '<div class="checklist-section' + (isCollapsed ? ' collapsed' : '') + (progress.done === progress.total && progress.total > 0 ? ' section-done' : '') + '" data-section-id="' + this._escapeHtml(group.section.id) + '">' +
+                    '<button type="button" class="checklist-section-header" data-section-toggle="' + this._escapeHtml(group.section.id) + '" aria-expanded="' + !isCollapsed + '">' +
+                        '<span class="section-caret">▾</span>' +
+                        '<span class="section-title">' + this._escapeHtml(group.section.text) + '</span>' +
+                        '<span class="section-progress">' + progress.done + ' / ' + progress.total + '</span>' +
+                    '</button>' +
+                    '<div class="checklist-section-steps">' + rowsHtml + '</div>' +
                 '</div>';
             }).join('');
+            
+            // Path stops at an unanswered decision — hint that more steps follow
+            const lastStep = steps[path[path.length - 1]];
+            const awaitingChoice = lastStep && lastStep.type === 'decision' && !lastStep.chosenBranchId;
+            const pendingHtml = (awaitingChoice && !isReadOnly)
+                ? '<div class="path-pending">Pick an option above to see the next steps.</div>'
+                : '';
+            
+            return stepsHtml + pendingHtml;
+        }
+        
+        _renderStep(index, number) {
+            const isReadOnly = this.readOnly;
+            const step = this.currentChecklist.steps[index];
+            const isCompleted = step.completed;
+            const isDecision = step.type === 'decision';
+            const isLink = step.type === 'sop';
+            const isSubStep = step.level === 1;
+            
+            // In read-only mode, show static checkmark; otherwise show interactive checkbox
+            let checkboxHtml;
+            if (isDecision) {
+                checkboxHtml = '<div class="step-checkbox step-decision-icon' + (isCompleted ? ' answered' : '') + '">🔀</div>';
+            } else if (isLink) {
+                checkboxHtml = '<div class="step-checkbox step-decision-icon' + (isCompleted ? ' answered' : '') + '">' + (isCompleted ? '✓' : '🔗') + '</div>';
+            } else if (isReadOnly) {
+                checkboxHtml = '<div class="step-checkbox readonly">' +
+                    '<span class="checkbox-static' + (isCompleted ? ' checked' : '') + '">' +
+                        (isCompleted ? '✓' : '') +
+                    '</span>' +
+                '</div>';
+            } else {
+                checkboxHtml = '<div class="step-checkbox">' +
+                    '<input type="checkbox" id="step-' + index + '" class="step-check" data-step-index="' + index + '"' + (isCompleted ? ' checked' : '') + ' />' +
+                    '<label for="step-' + index + '" class="checkbox-label">' +
+                        '<span class="checkbox-custom"></span>' +
+                    '</label>' +
+                '</div>';
+            }
+            
+            // User notes input (only show when not read-only)
+            let userNoteHtml = '';
+            if (!isReadOnly && this.options.showNotes) {
+                userNoteHtml = '<div class="step-user-note">' +
+                    '<input type="text" class="user-note-input" data-step-index="' + index + '" placeholder="Your notes..." value="' + this._escapeHtml(step.userNote || '') + '" />' +
+                '</div>';
+            } else if (isReadOnly && step.userNote) {
+                // Show user note as static text in read-only mode
+                userNoteHtml = '<p class="step-user-note-readonly">📝 ' + this._escapeHtml(step.userNote) + '</p>';
+            }
+            
+            const valueHtml = this._renderStepValue(step, index);
+            const photosHtml = (isDecision || isLink) ? '' : this._renderStepPhotos(step, index);
+            const linkHtml = isLink ? this._renderLinkedSop(step, index) : '';
+            
+            // Decision options: pick one to continue down that branch
+            let branchesHtml = '';
+            if (isDecision && isReadOnly) {
+                branchesHtml = step.chosenBranchLabel
+                    ? '<p class="step-branch-chosen">→ ' + this._escapeHtml(step.chosenBranchLabel) + '</p>'
+                    : '';
+            } else if (isDecision) {
+                branchesHtml = '<div class="step-branches">' +
+                    (step.branches || []).map(branch =>
+                        '<button type="button" class="branch-option' + (step.chosenBranchId === branch.id ? ' selected' : '') + '" data-step-index="' + index + '" data-branch-id="' + this._escapeHtml(branch.id) + '">' +
+                            this._escapeHtml(branch.label) +
+                        '</button>'
+                    ).join('') +
+                '</div>';
+            }
+            
+            return '<div class="checklist-step' + (isCompleted ? ' completed' : '') + (isDecision || isLink ? ' decision' : '') + (isSubStep ? ' sub-step' : '') + (isReadOnly ? ' readonly' : '') + '" data-step-index="' + index + '">' +
+                checkboxHtml +
+                '<div class="step-content">' +
+                    '<div class="step-number">' + number + '</div>' +
+                    '<div class="step-text-container">' +
+                        '<p class="step-text">' + this._escapeHtml(step.text) +
+                            (step.required ? ' <span class="step-required" title="Required">*</span>' : '') +
+                        '</p>' +
+                        (step.note ? '<p class="step-note">💡 ' + this._escapeHtml(step.note) + '</p>' : '') +
+                        (step.estimate && !isReadOnly ? '<p class="step-note">⏱ About ' + this._formatMinutes(step.estimate) + '</p>' : '') +
+                        (step.image ? '<img src="' + step.image + '" alt="Step image" class="step-image" />' : '') +
+                        branchesHtml +
+                        linkHtml +
+                        valueHtml +
+                        photosHtml +
+                        userNoteHtml +
+                    '</div>' +
+                '</div>' +
+                '<div class="step-status">' +
+                    (isCompleted && this.options.showTimestamps && step.completedAt ? 
+                        '<span class="completed-time">✓ ' + this._formatTime(step.completedAt) + '</span>' : '') +
+                '</div>' +
+            '</div>';
+        }
+        
+        /**
+         * Entry control for a typed step (TYPED STEP RULE), or the recorded value
+         * in read-only mode.
+         */
+        _renderStepValue(step, index) {
+            const input = step.input;
+            if (!input) return '';
+            
+            if (this.readOnly) {
+                if (step.value === null || step.value === undefined || step.value === '') return '';
+                return '<p class="step-value-readonly' + (step.outOfRange ? ' out-of-range' : '') + '">' +
+                    (step.outOfRange ? '⚠️ ' : '✏️ ') + this._escapeHtml(this._formatStepValue(step)) +
+                    (step.outOfRange ? ' (outside ' + this._escapeHtml(this._describeRange(input)) + ')' : '') +
+                '</p>';
+            }
+            
+            const value = step.value ?? '';
+            let controlHtml = '';
+            if (input.type === 'number') {
+                const range = this._describeRange(input);
+                controlHtml = '<input type="number" step="any" inputmode="decimal" class="step-value-input" data-step-index="' + index + '" value="' + this._escapeHtml(String(value)) + '" placeholder="Reading" />' +
+                    (input.unit ? '<span class="step-value-unit">' + this._escapeHtml(input.unit) + '</span>' : '') +
+                    (range ? '<span class="step-value-hint">OK: ' + this._escapeHtml(range) + '</span>' : '');
+            } else if (input.type === 'yesno') {
+                controlHtml = ['yes', 'no'].map(option =>
+                    '<button type="button" class="step-value-option' + (value === option ? ' selected' : '') + '" data-step-index="' + index + '" data-value="' + option + '">' +
+                        (option === 'yes' ? 'Yes' : 'No') +
+                    '</button>'
+                ).join('');
+            } else if (input.type === 'select') {
+                controlHtml = '<select class="step-value-input" data-step-index="' + index + '">' +
+                    '<option value="">Choose…</option>' +
+                    (input.options || []).map(option =>
+                        '<option value="' + this._escapeHtml(option) + '"' + (value === option ? ' selected' : '') + '>' + this._escapeHtml(option) + '</option>'
+                    ).join('') +
+                '</select>';
+            } else {
+                controlHtml = '<input type="text" class="step-value-input step-value-text" data-step-index="' + index + '" value="' + this._escapeHtml(String(value)) + '" placeholder="Type your answer..." maxlength="200" />';
+            }
+            
+            return '<div class="step-value' + (step.outOfRange ? ' out-of-range' : '') + '">' +
+                controlHtml +
+                '<p class="step-value-error" id="step-value-error-' + index + '"' + (step.outOfRange ? '' : ' style="display:none;"') + '>' +
+                    (step.outOfRange ? '⚠️ Outside ' + this._escapeHtml(this._describeRange(input)) : '') +
+                '</p>' +
+            '</div>';
+        }
+        
+        /**
+         * Photo evidence thumbnails plus the add button (PHOTO EVIDENCE RULE).
+         */
+        _renderStepPhotos(step, index) {
+            const photos = step.photos || [];
+            if (this.readOnly) {
+                if (photos.length === 0) return '';
+                return '<div class="step-photos">' +
+                    photos.map(photo => '<img src="' + photo + '" alt="Step photo" class="step-photo-thumb" />').join('') +
+                '</div>';
+            }
+            
+            const needsPhoto = step.photoRequired && photos.length === 0;
+            return '<div class="step-photos">' +
+                photos.map((photo, photoIndex) =>
+                    '<div class="step-photo">' +
+                        '<img src="' + photo + '" alt="Step photo" class="step-photo-thumb" />' +
+                        '<button type="button" class="step-photo-remove" data-step-index="' + index + '" data-photo-index="' + photoIndex + '" title="Remove photo" aria-label="Remove photo">✕</button>' +
+                    '</div>'
+                ).join('') +
+                (photos.length < MAX_STEP_PHOTOS
+                    ? '<button type="button" class="step-photo-add' + (needsPhoto ? ' required' : '') + '" data-step-index="' + index + '">📷 ' + (needsPhoto ? 'Add photo (required)' : 'Add photo') + '</button>'
+                    : '') +
+            '</div>';
         }
         
         _formatTime(timestamp) {
@@ -539,6 +839,10 @@
             // Flag issue button (team sessions — available in both read-only and interactive modes)
             document.getElementById('btn-flag-issue')?.addEventListener('click', () => this._showFlagIssueModal());
             
+            // Command palette, j/k and space (lib/command-palette.js)
+            this._registerCommands();
+            this._attachShortcuts();
+            
             // Skip interactive handlers in read-only mode
             if (this.readOnly) {
                 return;
@@ -548,6 +852,9 @@
             document.getElementById('steps-checklist')?.addEventListener('change', (e) => {
                 if (e.target.classList.contains('step-check')) {
                     this._toggleStep(parseInt(e.target.dataset.stepIndex), e.target.checked);
+                } else if (e.target.classList.contains('step-value-input')) {
+                    // Committed entry (blur / enter / pick) — check the step off if valid
+                    this._setStepValue(parseInt(e.target.dataset.stepIndex), e.target.value, true);
                 }
             });
             
@@ -555,13 +862,52 @@
             document.getElementById('steps-checklist')?.addEventListener('input', (e) => {
                 if (e.target.classList.contains('user-note-input')) {
                     this._updateStepNote(parseInt(e.target.dataset.stepIndex), e.target.value);
+                } else if (e.target.classList.contains('step-value-input')) {
+                    this._setStepValue(parseInt(e.target.dataset.stepIndex), e.target.value, false);
                 }
             });
             
-            // Step row click (toggles checkbox)
+            // Step row click (toggles checkbox; decision rows pick a branch)
             document.getElementById('steps-checklist')?.addEventListener('click', (e) => {
+                const sectionBtn = e.target.closest('.checklist-section-header');
+                if (sectionBtn) {
+                    this._toggleSection(sectionBtn.dataset.sectionToggle);
+                    return;
+                }
+                const linkBtn = e.target.closest('.step-link-open');
+                if (linkBtn) {
+                    this._openLinkedSop(parseInt(linkBtn.dataset.stepIndex));
+                    return;
+                }
+                const branchBtn = e.target.closest('.branch-option');
+                if (branchBtn) {
+                    this._chooseBranch(parseInt(branchBtn.dataset.stepIndex), branchBtn.dataset.branchId);
+                    return;
+                }
+                const photoAdd = e.target.closest('.step-photo-add');
+                if (photoAdd) {
+                    this._addStepPhoto(parseInt(photoAdd.dataset.stepIndex));
+                    return;
+                }
+                const photoRemove = e.target.closest('.step-photo-remove');
+                if (photoRemove) {
+                    this._removeStepPhoto(parseInt(photoRemove.dataset.stepIndex), parseInt(photoRemove.dataset.photoIndex));
+                    return;
+                }
+                const valueBtn = e.target.closest('.step-value-option');
+                if (valueBtn) {
+                    const index = parseInt(valueBtn.dataset.stepIndex);
+                    const step = this.currentChecklist.steps[index];
+                    // Tapping the selected answer again clears it
+                    this._setStepValue(index, step && step.value === valueBtn.dataset.value ? '' : valueBtn.dataset.value, true);
+                    const group = valueBtn.parentElement;
+                    group.querySelectorAll('.step-value-option').forEach(btn => {
+                        btn.classList.toggle('selected', btn.dataset.value === this.currentChecklist.steps[index].value);
+                    });
+                    return;
+                }
                 const stepEl = e.target.closest('.checklist-step');
-                if (stepEl && !e.target.closest('.step-checkbox') && !e.target.closest('.user-note-input')) {
+                if (stepEl && !e.target.closest('.step-checkbox') && !e.target.closest('.user-note-input') && !e.target.closest('.step-value') && !e.target.closest('.step-photos')) {
                     const index = parseInt(stepEl.dataset.stepIndex);
                     const checkbox = document.getElementById('step-' + index);
                     if (checkbox) {
@@ -582,6 +928,134 @@
             document.getElementById('btn-restart')?.addEventListener('click', () => {
                 this._handleRestart();
             });
+            document.getElementById('btn-to-parent')?.addEventListener('click', () => this._handleBack());
+        }
+        
+        // ================================================================
+        // COMMAND PALETTE & SHORTCUTS
+        // ================================================================
+        
+        _isShown() {
+            return !!this.currentChecklist && !!this.container.querySelector('#steps-checklist');
+        }
+        
+        _registerCommands() {
+            if (typeof CommandPalette === 'undefined') return;
+            CommandPalette.register('checklist', {
+                label: 'Checklist',
+                isActive: () => this._isShown(),
+                commands: () => this._getCommands(),
+                shortcuts: this.readOnly ? [] : [
+                    { keys: ['j'], description: 'Next step' },
+                    { keys: ['k'], description: 'Previous step' },
+                    { keys: ['Space'], description: 'Check off / uncheck the current step' }
+                ]
+            });
+        }
+        
+        _getCommands() {
+            const commands = [];
+            const button = (id, title, keywords) => {
+                const btn = document.getElementById(id);
+                if (btn && !btn.disabled) commands.push({ group: 'Action', title, keywords, run: () => btn.click() });
+            };
+            if (!this.readOnly) {
+                commands.push({ group: 'Action', title: 'Check off the current step', hint: 'Space', run: () => this._toggleCurrentStep() });
+                button('btn-mark-all', 'Complete all steps', 'mark finish');
+                button('btn-save-exit', 'Save & exit');
+                button('btn-reset', 'Reset checklist', 'clear');
+            }
+            button('btn-restart', 'Start again', 'restart new');
+            button('btn-to-parent', 'Back to the parent checklist');
+            commands.push({ group: 'Action', title: 'Back', keywords: 'dashboard exit', run: () => this._handleBack() });
+            
+            // Jump to a step
+            this._getKeyboardRows().forEach(row => {
+                const step = this.currentChecklist.steps[parseInt(row.dataset.stepIndex)];
+                if (!step) return;
+                const number = row.querySelector('.step-number')?.textContent.trim();
+                commands.push({
+                    group: 'Step',
+                    title: (number ? number + '. ' : '') + (step.text || 'Step'),
+                    hint: step.completed ? '✓' : '',
+                    run: () => this._setCurrentRow(row)
+                });
+            });
+            return commands;
+        }
+        
+        /**
+         * Step rows on screen that can be checked off (not in collapsed sections)
+         */
+        _getKeyboardRows() {
+            return [...this.container.querySelectorAll('#steps-checklist .checklist-step')]
+                .filter(row => row.offsetParent !== null && document.getElementById('step-' + row.dataset.stepIndex));
+        }
+        
+        /**
+         * The current step: the one moved to with j/k, else the first one not yet done
+         */
+        _getCurrentRow(rows) {
+            return rows.find(row => row.classList.contains('kb-current')) ||
+                rows.find(row => !row.classList.contains('completed')) || null;
+        }
+        
+        _setCurrentRow(row) {
+            this.container.querySelectorAll('.checklist-step.kb-current').forEach(el => el.classList.remove('kb-current'));
+            if (!row) return;
+            row.classList.add('kb-current');
+            row.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+        }
+        
+        /**
+         * Same as tapping the row. Checking a step off moves on to the next open one.
+         */
+        _toggleCurrentStep() {
+            const rows = this._getKeyboardRows();
+            const row = this._getCurrentRow(rows);
+            if (!row) return;
+            const index = parseInt(row.dataset.stepIndex);
+            const checkbox = document.getElementById('step-' + index);
+            if (!checkbox) return;
+            
+            checkbox.checked = !checkbox.checked;
+            this._toggleStep(index, checkbox.checked);
+            
+            // The list may have re-rendered (branch paths, completion) — find rows again
+            const after = this._getKeyboardRows();
+            const same = after.find(r => parseInt(r.dataset.stepIndex) === index);
+            if (same && same.classList.contains('completed')) {
+                const next = after.slice(after.indexOf(same) + 1).find(r => !r.classList.contains('completed'));
+                this._setCurrentRow(next || same);
+            } else {
+                this._setCurrentRow(same || null);
+            }
+        }
+        
+        _attachShortcuts() {
+            if (this._shortcutHandler) {
+                document.removeEventListener('keydown', this._shortcutHandler);
+            }
+            this._shortcutHandler = (e) => {
+                if (this.readOnly || !this._isShown() || e.ctrlKey || e.metaKey || e.altKey) return;
+                if (typeof CommandPalette !== 'undefined' && (CommandPalette.isOpen() || CommandPalette.isTyping(e))) return;
+                if (document.getElementById('feedback-modal')?.style.display === 'flex') return;
+                
+                if (e.key === 'j' || e.key === 'k') {
+                    const rows = this._getKeyboardRows();
+                    if (rows.length === 0) return;
+                    e.preventDefault();
+                    const current = rows.indexOf(this._getCurrentRow(rows));
+                    const next = current === -1
+                        ? (e.key === 'j' ? 0 : rows.length - 1)
+                        : Math.min(rows.length - 1, Math.max(0, current + (e.key === 'j' ? 1 : -1)));
+                    this._setCurrentRow(rows[next]);
+                } else if (e.key === ' ' && (e.target === document.body || e.target.closest?.('.checklist-step'))) {
+                    e.preventDefault();
+                    this._toggleCurrentStep();
+                }
+            };
+            document.addEventListener('keydown', this._shortcutHandler);
         }
         
         /**
@@ -634,10 +1108,29 @@
             const step = this.currentChecklist.steps[index];
             if (!step) return;
             
+            // TYPED STEP RULE: entry must be valid before the step can be checked
+            if (completed && step.input) {
+                const error = this._validateStepValue(step);
+                if (error || (step.outOfRange && !this._confirmOutOfRange(step))) {
+                    const checkbox = document.getElementById('step-' + index);
+                    if (checkbox) checkbox.checked = false;
+                    if (error) this._showStepValueError(index, error);
+                    return;
+                }
+            }
+            
+            // PHOTO EVIDENCE RULE: required photo must be attached first
+            if (completed && this._needsPhoto(step)) {
+                const checkbox = document.getElementById('step-' + index);
+                if (checkbox) checkbox.checked = false;
+                this._showNotification('Add a photo to check off this step', 'info');
+                return;
+            }
+            
             step.completed = completed;
             step.completedAt = completed ? Date.now() : null;
             
-            const stepEl = document.querySelector('[data-step-index="' + index + '"]');
+            const stepEl = document.querySelector('.checklist-step[data-step-index="' + index + '"]');
             if (stepEl) {
                 stepEl.classList.toggle('completed', completed);
                 const statusEl = stepEl.querySelector('.step-status');
@@ -656,6 +1149,348 @@
             }
         }
         
+        // ================================================================
+        // TYPED STEPS (number, yes/no, text, dropdown)
+        // ================================================================
+        
+        /**
+         * Store a typed step's entry. `commit` is true for a finished entry
+         * (change event or answer button): a valid one checks the step off.
+         * An entry that becomes invalid unchecks a completed step.
+         */
+        _setStepValue(index, rawValue, commit) {
+            if (!this.currentChecklist) return;
+            const step = this.currentChecklist.steps[index];
+            if (!step || !step.input) return;
+            
+            const text = String(rawValue ?? '').trim();
+            if (step.input.type === 'number') {
+                const num = text === '' ? null : Number(text);
+                step.value = num === null || isNaN(num) ? (text || null) : num;
+            } else {
+                step.value = text || null;
+            }
+            step.outOfRange = this._isOutOfRange(step);
+            
+            const error = this._validateStepValue(step);
+            this._showStepValueError(index, error);
+            
+            const checkbox = document.getElementById('step-' + index);
+            if (step.completed && error) {
+                if (checkbox) checkbox.checked = false;
+                this._toggleStep(index, false);
+            } else if (commit && !error && step.value !== null && !step.completed) {
+                if (checkbox) checkbox.checked = true;
+                this._toggleStep(index, true);
+            } else {
+                this._scheduleSave();
+            }
+        }
+        
+        /**
+         * Returns an error message for the step's entry, or null if it's acceptable.
+         * Out-of-range readings are valid here — they're confirmed, not rejected.
+         */
+        _validateStepValue(step) {
+            const input = step.input;
+            if (!input) return null;
+            const isEmpty = step.value === null || step.value === undefined || step.value === '';
+            if (isEmpty) {
+                if (!step.required) return null;
+                if (input.type === 'number') return 'Enter a reading first';
+                if (input.type === 'text') return 'Enter an answer first';
+                return 'Pick an answer first';
+            }
+            if (input.type === 'number' && typeof step.value !== 'number') return 'Enter a number';
+            if (input.type === 'yesno' && step.value !== 'yes' && step.value !== 'no') return 'Pick Yes or No';
+            if (input.type === 'select' && !(input.options || []).includes(step.value)) return 'Pick one of the choices';
+            return null;
+        }
+        
+        _isOutOfRange(step) {
+            const input = step.input;
+            if (!input || input.type !== 'number' || typeof step.value !== 'number') return false;
+            return (typeof input.min === 'number' && step.value < input.min) ||
+                (typeof input.max === 'number' && step.value > input.max);
+        }
+        
+        _confirmOutOfRange(step) {
+            return confirm(this._formatStepValue(step) + ' is outside the acceptable range (' + this._describeRange(step.input) + ').\n\nCheck this step off anyway? The reading will be flagged.');
+        }
+        
+        _showStepValueError(index, error) {
+            const errorEl = document.getElementById('step-value-error-' + index);
+            if (!errorEl) return;
+            const step = this.currentChecklist.steps[index];
+            const message = error || (step.outOfRange ? '⚠️ Outside ' + this._describeRange(step.input) : '');
+            errorEl.textContent = message;
+            errorEl.style.display = message ? '' : 'none';
+            errorEl.parentElement?.classList.toggle('out-of-range', !error && step.outOfRange);
+        }
+        
+        _describeRange(input) {
+            if (!input || input.type !== 'number') return '';
+            const unit = input.unit ? ' ' + input.unit : '';
+            const hasMin = typeof input.min === 'number';
+            const hasMax = typeof input.max === 'number';
+            if (hasMin && hasMax) return input.min + '–' + input.max + unit;
+            if (hasMin) return 'at least ' + input.min + unit;
+            if (hasMax) return 'at most ' + input.max + unit;
+            return '';
+        }
+        
+        _formatStepValue(step) {
+            if (step.value === null || step.value === undefined) return '';
+            if (step.input?.type === 'yesno') return step.value === 'yes' ? 'Yes' : 'No';
+            if (step.input?.type === 'number' && step.input.unit) return step.value + ' ' + step.input.unit;
+            return String(step.value);
+        }
+        
+        // ================================================================
+        // PHOTO EVIDENCE
+        // ================================================================
+        
+        _needsPhoto(step) {
+            return !!step.photoRequired && !(step.photos || []).length;
+        }
+        
+        /**
+         * Take or pick a photo for a step. Goes through the same canvas
+         * re-encode as editor images (sanitizeImageFile), a bit larger so
+         * details like labels and gauges stay legible.
+         */
+        _addStepPhoto(index) {
+            if (!this.currentChecklist) return;
+            const step = this.currentChecklist.steps[index];
+            if (!step) return;
+            
+            if (typeof sanitizeImageFile !== 'function') {
+                console.warn('Checklist: sanitizeImageFile unavailable — is sop-create.js loaded?');
+                this._showNotification('Photos are unavailable right now.', 'error');
+                return;
+            }
+            
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = 'image/*';
+            input.style.display = 'none';
+            document.body.appendChild(input);
+            
+            input.addEventListener('change', () => {
+                const file = input.files?.[0];
+                document.body.removeChild(input);
+                if (!file) return;
+                
+                sanitizeImageFile(file, { maxWidth: 800, quality: 0.6 }).then(photo => {
+                    step.photos = (step.photos || []).concat(photo).slice(0, MAX_STEP_PHOTOS);
+                    
+                    // A photo was the only thing missing — check the step off
+                    const ready = step.photoRequired && !step.completed && step.type !== 'decision' &&
+                        !(step.input && (this._validateStepValue(step) || step.value === null || step.value === undefined));
+                    this._refreshStepRow(index);
+                    if (ready) {
+                        this._toggleStep(index, true);
+                    } else {
+                        this._saveProgress();
+                    }
+                }).catch(err => {
+                    this._showNotification(err.message, 'error');
+                });
+            });
+            
+            input.click();
+        }
+        
+        _removeStepPhoto(index, photoIndex) {
+            if (!this.currentChecklist) return;
+            const step = this.currentChecklist.steps[index];
+            if (!step || !step.photos) return;
+            
+            step.photos = step.photos.filter((_, i) => i !== photoIndex);
+            if (step.completed && this._needsPhoto(step)) {
+                step.completed = false;
+                step.completedAt = null;
+            }
+            this._refreshStepRow(index);
+            this._saveProgress();
+            this._updateProgress();
+        }
+        
+        /**
+         * Re-render one step row in place (keeps scroll position and other inputs).
+         */
+        _refreshStepRow(index) {
+            const stepEl = this.container.querySelector('.checklist-step[data-step-index="' + index + '"]');
+            if (!stepEl) return;
+            const path = this._getActivePath(this.currentChecklist);
+            const numbers = this._getPathNumbers(this.currentChecklist, path);
+            stepEl.outerHTML = this._renderStep(index, numbers[index]);
+        }
+        
+        // ================================================================
+        // BRANCHING (decision steps)
+        // ================================================================
+        
+        /**
+         * Walk the steps from the top, following chosen branches and jumps.
+         * Returns step indexes on the worker's path. Stops at an unanswered decision.
+         * Jumps that are unknown or point backward fall through to the next step,
+         * so the walk always terminates.
+         */
+        _getActivePath(checklist) {
+            const steps = checklist?.steps || [];
+            const indexById = {};
+            steps.forEach((s, i) => { indexById[s.id] = i; });
+            
+            const path = [];
+            let i = 0;
+            while (i < steps.length) {
+                const step = steps[i];
+                path.push(i);
+                
+                let target = step.goto || 'next';
+                if (step.type === 'decision') {
+                    const branch = (step.branches || []).find(b => b.id === step.chosenBranchId);
+                    if (!branch) break;
+                    target = branch.goto || 'next';
+                }
+                if (target === 'end') break;
+                
+                const next = target === 'next' ? i + 1 : indexById[target];
+                i = (next === undefined || next <= i) ? i + 1 : next;
+            }
+            return path;
+        }
+        
+        /**
+         * Recompute progress counts for the active path. Returns the path.
+         */
+        _applyPath(checklist) {
+            const path = this._getActivePath(checklist);
+            const stepIndexes = path.filter(i => checklist.steps[i].type !== 'section');
+            checklist.totalSteps = stepIndexes.length;
+            checklist.completedSteps = stepIndexes.filter(i => checklist.steps[i].completed).length;
+            return path;
+        }
+        
+        // ================================================================
+        // SECTIONS & SUB-STEPS
+        // ================================================================
+        
+        /**
+         * Display numbers for the steps on the path, keyed by step index
+         * (lib/step-numbers.js)
+         */
+        _getPathNumbers(checklist, path) {
+            return StepNumbers.number(path.map(i => checklist.steps[i]), { key: (step, n) => path[n] });
+        }
+        
+        /**
+         * Split the path into runs of steps under each section heading.
+         * Steps before the first heading form a group with no section.
+         */
+        _groupPathBySection(checklist, path) {
+            const groups = [];
+            let current = null;
+            path.forEach(i => {
+                const step = checklist.steps[i];
+                if (step.type === 'section') {
+                    current = { section: step, indexes: [] };
+                    groups.push(current);
+                    return;
+                }
+                if (!current) {
+                    current = { section: null, indexes: [] };
+                    groups.push(current);
+                }
+                current.indexes.push(i);
+            });
+            return groups;
+        }
+        
+        _getSectionProgress(checklist, group) {
+            return {
+                done: group.indexes.filter(i => checklist.steps[i].completed).length,
+                total: group.indexes.length
+            };
+        }
+        
+        /**
+         * Update section progress labels in place (no re-render, keeps focus in notes).
+         */
+        _refreshSectionProgress() {
+            const checklist = this.currentChecklist;
+            const path = this._getActivePath(checklist);
+            this._groupPathBySection(checklist, path).forEach(group => {
+                if (!group.section) return;
+                const el = this.container.querySelector('.checklist-section[data-section-id="' + CSS.escape(group.section.id) + '"]');
+                if (!el) return;
+                const progress = this._getSectionProgress(checklist, group);
+                el.classList.toggle('section-done', progress.total > 0 && progress.done === progress.total);
+                const label = el.querySelector('.section-progress');
+                if (label) label.textContent = progress.done + ' / ' + progress.total;
+            });
+        }
+        
+        _toggleSection(sectionId) {
+            if (this.collapsedSections.has(sectionId)) {
+                this.collapsedSections.delete(sectionId);
+            } else {
+                this.collapsedSections.add(sectionId);
+            }
+            const el = this.container.querySelector('.checklist-section[data-section-id="' + CSS.escape(sectionId) + '"]');
+            if (!el) return;
+            const collapsed = this.collapsedSections.has(sectionId);
+            el.classList.toggle('collapsed', collapsed);
+            el.querySelector('.checklist-section-header')?.setAttribute('aria-expanded', String(!collapsed));
+        }
+        
+        /**
+         * Worker picked an option on a decision step. Picking the selected option
+         * again clears it. Steps that drop off the new path lose their progress.
+         */
+        _chooseBranch(index, branchId) {
+            if (!this.currentChecklist) return;
+            
+            const checklist = this.currentChecklist;
+            const step = checklist.steps[index];
+            if (!step || step.type !== 'decision') return;
+            
+            const branch = (step.branches || []).find(b => b.id === branchId);
+            const clearing = !branch || step.chosenBranchId === branchId;
+            
+            step.chosenBranchId = clearing ? null : branch.id;
+            step.chosenBranchLabel = clearing ? null : branch.label;
+            step.completed = !clearing;
+            step.completedAt = clearing ? null : Date.now();
+            
+            const onPath = new Set(this._getActivePath(checklist));
+            checklist.steps.forEach((s, i) => {
+                if (onPath.has(i) || (!s.completed && !s.chosenBranchId && (s.value === null || s.value === undefined) && !(s.photos || []).length)) return;
+                s.completed = false;
+                s.completedAt = null;
+                if (s.input) {
+                    s.value = null;
+                    s.outOfRange = false;
+                }
+                if (s.photos) s.photos = [];
+                if (s.type === 'decision') {
+                    s.chosenBranchId = null;
+                    s.chosenBranchLabel = null;
+                }
+            });
+            
+            const listEl = document.getElementById('steps-checklist');
+            if (listEl) listEl.innerHTML = this._renderSteps();
+            
+            this._scheduleSave();
+            this._updateProgress();
+            
+            if (this.callbacks.onStepChange) {
+                this.callbacks.onStepChange(step, index, checklist);
+            }
+        }
+        
         _updateStepNote(index, note) {
             if (!this.currentChecklist) return;
             const step = this.currentChecklist.steps[index];
@@ -683,7 +1518,7 @@
             }
             
             const checklist = this.currentChecklist;
-            checklist.completedSteps = checklist.steps.filter(s => s.completed).length;
+            this._applyPath(checklist);
             
             // Safe progress calculation (avoid division by zero)
             const totalSteps = checklist.totalSteps || 1;
@@ -697,6 +1532,9 @@
             if (progressText) progressText.textContent = checklist.completedSteps + ' / ' + checklist.totalSteps + ' steps';
             if (progressPercent) progressPercent.textContent = progress + '%';
             
+            this._refreshSectionProgress();
+            this._updateElapsed();
+            
             // Handle completion state transition
             const allComplete = checklist.completedSteps === checklist.totalSteps;
             
@@ -721,7 +1559,10 @@
         }
         
         _showCompletionCelebration() {
-            this._showNotification('🎉 Checklist completed!', 'success');
+            const parent = this.currentChecklist.parentChecklistId ? this.getChecklist(this.currentChecklist.parentChecklistId) : null;
+            this._showNotification(parent
+                ? '🎉 Done — checked off in "' + parent.sopTitle + '"'
+                : '🎉 Checklist completed!', 'success');
             
             // GA4: Track checklist completion
             if (typeof gtag === 'function') {
@@ -750,12 +1591,17 @@
             
             console.log('[Checklist] Recording team completion:', checklist.sopTitle);
             
+            // Report the branch taken — steps off the chosen path are left out
+            const path = this._applyPath(checklist);
+            
             SupabaseClient.recordTeamCompletion(inviteCode, {
                 sopId: checklist.sopId,
-                sopTitle: checklist.sopTitle,
-                steps: checklist.steps,
-                completedSteps: checklist.completedSteps || checklist.steps.filter(s => s.completed).length,
-                totalSteps: checklist.totalSteps || checklist.steps.length
+                // The owner reads activity in the SOP's own language
+                sopTitle: checklist.sourceTitle || checklist.sopTitle,
+                steps: path.map(i => checklist.steps[i]).filter(step => step.type !== 'section'),
+                variables: checklist.variables || {},
+                completedSteps: checklist.completedSteps,
+                totalSteps: checklist.totalSteps
             }).then(result => {
                 if (result.success) {
                     console.log('[Checklist] Team completion recorded successfully');
@@ -796,13 +1642,25 @@
         _resetAll() {
             if (!this.currentChecklist) return;
             this.currentChecklist.steps.forEach(step => {
+                if (step.type === 'section') return;
                 step.completed = false;
                 step.completedAt = null;
                 step.userNote = '';
+                if (step.type === 'decision') {
+                    step.chosenBranchId = null;
+                    step.chosenBranchLabel = null;
+                }
+                if (step.input) {
+                    step.value = null;
+                    step.outOfRange = false;
+                }
+                if (step.photos) step.photos = [];
+                // The old child run stays in history; the next open starts a fresh one
+                if (step.type === 'sop') step.childChecklistId = null;
             });
             this.currentChecklist.status = CHECKLIST_STATUS.IN_PROGRESS;
             this.currentChecklist.completedAt = null;
-            this.currentChecklist.completedSteps = 0;
+            this._applyPath(this.currentChecklist);
             this._saveProgress();
             this._render();
             this._attachEventListeners();
@@ -812,18 +1670,242 @@
         _markAllComplete() {
             if (!this.currentChecklist) return;
             const now = Date.now();
-            this.currentChecklist.steps.forEach(step => {
-                if (!step.completed) {
-                    step.completed = true;
-                    step.completedAt = now;
+            const steps = this.currentChecklist.steps;
+            // Decisions can't be answered for the worker — complete the path up to the next one
+            // Typed steps with a missing or invalid entry are left for the worker too
+            const path = this._getActivePath(this.currentChecklist);
+            const needsEntry = [];
+            path.forEach(i => {
+                const step = steps[i];
+                if (step.completed || step.type === 'decision' || step.type === 'section' || step.type === 'sop') return;
+                if ((step.input && (this._validateStepValue(step) || step.outOfRange)) || this._needsPhoto(step)) {
+                    needsEntry.push(i);
+                    return;
                 }
+                step.completed = true;
+                step.completedAt = now;
             });
+            const numbers = this._getPathNumbers(this.currentChecklist, path);
+            const pending = path.find(i => steps[i].type === 'decision' && !steps[i].chosenBranchId);
+            const pendingLinks = path.filter(i => steps[i].type === 'sop' && !steps[i].completed);
+            if (needsEntry.length > 0) {
+                this._showNotification((needsEntry.length === 1 ? 'Step ' : 'Steps ') + needsEntry.map(i => numbers[i]).join(', ') + ' still need an entry or photo', 'info');
+            } else if (pending !== undefined) {
+                this._showNotification('Pick an option at step ' + numbers[pending] + ' to continue', 'info');
+            } else if (pendingLinks.length > 0) {
+                this._showNotification((pendingLinks.length === 1 ? 'Step ' : 'Steps ') + pendingLinks.map(i => numbers[i]).join(', ') + ' check off when their linked SOP is finished', 'info');
+            }
             this._saveProgress();
             this._updateProgress();
             this._render();
             this._attachEventListeners();
         }
         
+        // ====================================================================
+        // LINKED SOPS
+        // ====================================================================
+        
+        /**
+         * Start / continue button for a linked SOP step, or its status in read-only mode
+         */
+        _renderLinkedSop(step, index) {
+            const child = step.childChecklistId ? this.getChecklist(step.childChecklistId) : null;
+            const title = this._escapeHtml(step.linkedSopTitle || 'linked SOP');
+            
+            if (this.readOnly) {
+                return '<p class="step-branch-chosen">🔗 ' + title + (step.completed ? ' — done' : ' — not finished') + '</p>';
+            }
+            
+            let label;
+            if (!child) label = '▶ Start "' + title + '"';
+            else if (child.status === CHECKLIST_STATUS.COMPLETED) label = '👁️ View "' + title + '"';
+            else label = '▶ Continue "' + title + '" (' + child.completedSteps + '/' + child.totalSteps + ')';
+            
+            return '<div class="step-branches">' +
+                '<button type="button" class="branch-option step-link-open" data-step-index="' + index + '">' + label + '</button>' +
+            '</div>';
+        }
+        
+        /**
+         * Text for a linked step with no instruction of its own
+         */
+        _linkedSopText(title) {
+            if (typeof SOPLinks !== 'undefined') return SOPLinks.runText(title);
+            return title ? 'Run the "' + title + '" SOP' : 'Run the linked SOP';
+        }
+        
+        /**
+         * Open the child checklist for a linked SOP step, creating it on first open
+         */
+        _openLinkedSop(index, values = null) {
+            const checklist = this.currentChecklist;
+            const step = checklist?.steps[index];
+            if (!step || step.type !== 'sop') return;
+            
+            let child = step.childChecklistId ? this.getChecklist(step.childChecklistId) : null;
+            if (!child) {
+                const linked = this._getLinkedSOP(step);
+                if (!linked) {
+                    this._showNotification('"' + step.linkedSopTitle + '" no longer exists', 'error');
+                    return;
+                }
+                
+                // VARIABLE RULE: only ask for what the parent run doesn't already know
+                const known = checklist.variables || {};
+                const names = this._getVariableNames(linked);
+                if (values === null && names.some(name => !known[name])) {
+                    this._showVariablesForm(linked.title, names, known,
+                        entered => this._openLinkedSop(index, entered),
+                        () => {
+                            this._render();
+                            this._attachEventListeners();
+                        });
+                    return;
+                }
+                
+                child = this.createFromSOP(linked.id, values || known);
+                if (!child) {
+                    this._showNotification('Cannot start "' + step.linkedSopTitle + '" - it has no steps', 'error');
+                    return;
+                }
+                step.childChecklistId = child.id;
+                this._saveProgress();
+                
+                child.parentChecklistId = checklist.id;
+                child.parentStepId = step.id;
+                this._updateChecklist(child);
+            } else {
+                this._saveProgress();
+            }
+            
+            if (child.status === CHECKLIST_STATUS.COMPLETED) this.viewCompleted(child.id);
+            else this.resumeChecklist(child.id);
+        }
+        
+        // ====================================================================
+        // VARIABLES
+        // ====================================================================
+        
+        /**
+         * Placeholder names a SOP asks for, step blocks included
+         */
+        _getVariableNames(sop) {
+            if (typeof SOPVariables === 'undefined') return [];
+            return SOPVariables.find(typeof StepBlocks !== 'undefined' ? StepBlocks.resolveSop(sop) : sop);
+        }
+        
+        /**
+         * Ask for placeholder values before a checklist starts
+         */
+        _showVariablesForm(title, names, preset, onStart, onCancel) {
+            this.container.className = 'checklist-container';
+            this.container.innerHTML = '<div class="checklist-layout">' +
+                '<header class="checklist-header">' +
+                    '<div class="header-left">' +
+                        '<button class="btn-back" id="btn-variables-cancel">← Back</button>' +
+                        '<div class="header-info">' +
+                            '<h2>' + this._escapeHtml(title) + '</h2>' +
+                            '<p class="variables-intro">Fill in the details for this run. They appear in the steps and in the completion record.</p>' +
+                        '</div>' +
+                    '</div>' +
+                '</header>' +
+                '<form class="variables-form" id="variables-form">' +
+                    names.map(name =>
+                        '<label class="feedback-label" for="variable-' + name + '">' + this._escapeHtml(SOPVariables.label(name)) + '</label>' +
+                        '<input type="text" class="variables-input" id="variable-' + name + '" data-variable="' + name + '" maxlength="' + SOPVariables.MAX_VALUE_LENGTH + '" value="' + this._escapeHtml(preset[name] || '') + '" />'
+                    ).join('') +
+                    '<div class="checklist-footer">' +
+                        '<div class="footer-left"></div>' +
+                        '<div class="footer-right">' +
+                            '<button type="submit" class="btn btn-primary">▶ Start Checklist</button>' +
+                        '</div>' +
+                    '</div>' +
+                '</form>' +
+            '</div>';
+            
+            const form = document.getElementById('variables-form');
+            form?.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const values = { ...preset };
+                form.querySelectorAll('.variables-input').forEach(input => {
+                    values[input.dataset.variable] = input.value;
+                });
+                onStart(values);
+            });
+            document.getElementById('btn-variables-cancel')?.addEventListener('click', onCancel);
+            form?.querySelector('.variables-input')?.focus();
+        }
+        
+        /**
+         * Mirror a child checklist's completion onto the parent step that runs it
+         */
+        _syncParentStep(child) {
+            const parent = this.getChecklist(child.parentChecklistId);
+            const step = parent?.steps.find(s => s.id === child.parentStepId && s.childChecklistId === child.id);
+            if (!step) return;
+            
+            const done = child.status === CHECKLIST_STATUS.COMPLETED;
+            if (step.completed === done) return;
+            step.completed = done;
+            step.completedAt = done ? child.completedAt : null;
+            this._updateChecklist(parent);
+        }
+        
+        // ====================================================================
+        // ESTIMATES
+        // ====================================================================
+        
+        /**
+         * Expected minutes for the active path (ESTIMATE RULE)
+         */
+        _getExpectedMinutes(checklist) {
+            if (typeof StepDurations === 'undefined') return 0;
+            return StepDurations.totalEstimate(this._getActivePath(checklist).map(i => checklist.steps[i]));
+        }
+        
+        _startElapsedTimer() {
+            if (this.elapsedTimer) clearInterval(this.elapsedTimer);
+            this.elapsedTimer = null;
+            this._updateElapsed();
+            if (this.currentChecklist?.status === CHECKLIST_STATUS.IN_PROGRESS && this._getExpectedMinutes(this.currentChecklist) > 0) {
+                this.elapsedTimer = setInterval(() => this._updateElapsed(), 30000);
+            }
+        }
+        
+        /**
+         * "⏱ 12 min of ~25 min" in the header
+         */
+        _updateElapsed() {
+            const el = document.getElementById('progress-time');
+            const checklist = this.currentChecklist;
+            if (!el || !checklist) {
+                // View was left without going through _navigateBack
+                if (this.elapsedTimer) clearInterval(this.elapsedTimer);
+                this.elapsedTimer = null;
+                return;
+            }
+            
+            const expected = this._getExpectedMinutes(checklist);
+            if (expected === 0) {
+                el.style.display = 'none';
+                return;
+            }
+            const end = checklist.completedAt || Date.now();
+            const elapsed = Math.max(0, Math.round((end - checklist.createdAt) / 60000));
+            const over = elapsed > expected;
+            el.style.display = '';
+            el.className = 'progress-time' + (over ? ' over' : '');
+            el.textContent = '⏱ ' + this._formatMinutes(elapsed) + ' of ~' + this._formatMinutes(expected) + (over ? ' — over estimate' : '');
+        }
+        
+        _formatMinutes(minutes) {
+            if (minutes < 1) return '<1 min';
+            if (minutes < 60) return minutes + ' min';
+            const hrs = Math.floor(minutes / 60);
+            const mins = minutes % 60;
+            return mins > 0 ? hrs + 'h ' + mins + 'm' : hrs + 'h';
+        }
+        
         _saveAndExit() {
             if (this.currentChecklist) this._saveProgress();
             this._showNotification('Progress saved', 'success');
@@ -839,6 +1921,12 @@
          * Navigate back to dashboard (internal)
          */
         _navigateBack() {
+            // A child checklist returns to the checklist that opened it (LINKED SOP RULE)
+            const parentId = this.currentChecklist?.parentChecklistId;
+            if (parentId && this.getChecklist(parentId)) {
+                this.resumeChecklist(parentId);
+                return;
+            }
             if (this.callbacks.onBack) {
                 this.callbacks.onBack();
             } else {
@@ -871,6 +1959,9 @@
         
         destroy() {
             if (this.saveTimer) clearTimeout(this.saveTimer);
+            if (this.elapsedTimer) clearInterval(this.elapsedTimer);
+            if (this._shortcutHandler) document.removeEventListener('keydown', this._shortcutHandler);
+            if (typeof CommandPalette !== 'undefined') CommandPalette.unregister('checklist');
             this.container.innerHTML = '';
             document.getElementById('checklist-styles')?.remove();
         }
@@ -933,7 +2024,7 @@
                 if (typeof SupabaseClient !== 'undefined') {
                     const result = await SupabaseClient.submitFeedback(inviteCode, {
                         sopId: this.currentChecklist.sopId,
-                        sopTitle: this.currentChecklist.sopTitle,
+                        sopTitle: this.currentChecklist.sourceTitle || this.currentChecklist.sopTitle,
                         stepNumber,
                         comment
                     });
@@ -966,7 +2057,7 @@
             
             const styles = document.createElement('style');
             styles.id = 'checklist-styles';
-            styles.textContent = '.checklist-container{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;color:#1f2937;background:#f9fafb;min-height:100vh;display:flex;flex-direction:column}.checklist-layout{max-width:800px;margin:0 auto;padding:1.5rem;width:100%;display:flex;flex-direction:column;min-height:100vh}.checklist-header{display:flex;justify-content:space-between;align-items:flex-start;gap:1.5rem;margin-bottom:1rem;padding-bottom:1rem;border-bottom:1px solid #f3f4f6}.header-left{display:flex;align-items:flex-start;gap:1rem}.btn-back{padding:.5rem .875rem;background:#fff;border:1px solid #d1d5db;border-radius:6px;cursor:pointer;font-size:.875rem;white-space:nowrap;transition:all .2s ease}.btn-back:hover{background:#f5f5f5;border-color:#9ca3af}.header-info h2{margin:0 0 .5rem;font-size:1.25rem;line-height:1.4}.header-meta{display:flex;gap:.5rem;flex-wrap:wrap}.folder-badge,.status-badge{padding:.25rem .625rem;border-radius:4px;font-size:.75rem;font-weight:500;line-height:1.4}.status-in_progress{background:#fef3c7;color:#92400e}.status-completed{background:#d1fae5;color:#065f46}.status-badge.readonly{background:#e0e7ff;color:#4338ca}.info-banner{padding:.625rem 1rem;border-radius:8px;margin-bottom:1rem;text-align:center}.info-banner-autosave{background:#f0fdf4;border:1px solid #bbf7d0}.info-banner-readonly{background:#eef2ff;border:1px solid #c7d2fe}.info-text{font-size:.75rem;color:#6b7280;line-height:1.5}.info-banner-readonly .info-text{color:#4338ca}.progress-info{display:flex;align-items:center;gap:.75rem}.progress-text{font-size:.8rem;color:#6b7280;white-space:nowrap;line-height:1.4}.progress-bar{width:120px;height:8px;background:#e5e7eb;border-radius:4px;overflow:hidden}.progress-fill{height:100%;background:linear-gradient(90deg,#6366f1,#8b5cf6);border-radius:4px;transition:width .3s ease}.progress-percent{font-size:.875rem;font-weight:600;color:#6366f1;min-width:40px}.completion-banner{display:flex;align-items:center;gap:1rem;padding:1.125rem 1.25rem;background:linear-gradient(135deg,#d1fae5,#a7f3d0);border:1px solid #6ee7b7;border-radius:10px;margin-bottom:1.5rem}.completion-icon{font-size:2rem}.completion-text{flex:1}.completion-text strong{display:block;font-size:1rem;color:#065f46;line-height:1.4}.completion-text p{margin:.375rem 0 0;font-size:.8rem;color:#047857;line-height:1.5}.checklist-main{flex:1}.steps-checklist{display:flex;flex-direction:column;gap:.875rem}.checklist-step{display:flex;align-items:flex-start;gap:.875rem;padding:1.125rem;background:#fff;border:1px solid #f3f4f6;border-radius:10px;cursor:pointer;transition:all .2s ease}.checklist-step:hover{border-color:#d1d5db;box-shadow:0 2px 8px rgba(0,0,0,.04)}.checklist-step.readonly{cursor:default}.checklist-step.readonly:hover{border-color:#e5e7eb;box-shadow:none}.checklist-step.completed{background:#f0fdf4;border-color:#bbf7d0}.checklist-step.completed .step-text{text-decoration:line-through;color:#6b7280}.step-checkbox{position:relative;flex-shrink:0}.step-checkbox.readonly{cursor:default}.checkbox-static{display:flex;align-items:center;justify-content:center;width:24px;height:24px;border:2px solid #d1d5db;border-radius:6px;background:#fff;font-size:14px;color:#fff}.checkbox-static.checked{background:#22c55e;border-color:#22c55e}.step-check{position:absolute;opacity:0;width:0;height:0}.checkbox-label{display:block;cursor:pointer}.checkbox-custom{display:block;width:24px;height:24px;border:2px solid #d1d5db;border-radius:6px;background:#fff;transition:all .2s ease;position:relative}.checkbox-custom::after{content:"✓";position:absolute;top:50%;left:50%;transform:translate(-50%,-50%) scale(0);font-size:14px;color:#fff;transition:transform .15s}.step-check:checked+.checkbox-label .checkbox-custom{background:#22c55e;border-color:#22c55e}.step-check:checked+.checkbox-label .checkbox-custom::after{transform:translate(-50%,-50%) scale(1)}.step-check:focus+.checkbox-label .checkbox-custom{box-shadow:0 0 0 3px rgba(34,197,94,.2)}.step-content{flex:1;display:flex;gap:.875rem;min-width:0}.step-number{min-width:28px;height:28px;display:flex;align-items:center;justify-content:center;background:#e5e7eb;color:#6b7280;border-radius:50%;font-size:.75rem;font-weight:600;flex-shrink:0}.checklist-step.completed .step-number{background:#22c55e;color:#fff}.step-text-container{flex:1;min-width:0}.step-text{margin:0;font-size:.95rem;line-height:1.55;transition:all .15s}.step-note{margin:.5rem 0 0;font-size:.8rem;color:#6b7280;line-height:1.5}.step-user-note{margin-top:.625rem}.step-user-note-readonly{margin:.5rem 0 0;font-size:.8rem;color:#4b5563;font-style:italic;line-height:1.5}.step-image{max-width:100%;max-height:200px;border-radius:6px;border:1px solid #e5e7eb;margin-top:.5rem;display:block}.user-note-input{width:100%;padding:.5rem .625rem;border:1px solid #e5e7eb;border-radius:6px;font-size:.8rem;line-height:1.5;background:#f9fafb;box-sizing:border-box;transition:all .2s ease}.user-note-input:focus{outline:none;border-color:#6366f1;background:#fff;box-shadow:0 0 0 3px rgba(99,102,241,.1)}.step-status{flex-shrink:0}.completed-time{font-size:.7rem;color:#22c55e;white-space:nowrap}.checklist-footer{display:flex;justify-content:space-between;align-items:center;margin-top:1.5rem;padding-top:1.25rem;border-top:1px solid #f3f4f6}.footer-left,.footer-right{display:flex;gap:.625rem}.btn{padding:.625rem 1.25rem;border:none;border-radius:8px;font-size:.85rem;font-weight:500;cursor:pointer;transition:all .2s ease;line-height:1.4}.btn:focus{outline:none;box-shadow:0 0 0 3px rgba(99,102,241,.15)}.btn:disabled{opacity:.5;cursor:not-allowed}.btn-primary{background:#6366f1;color:#fff;box-shadow:0 1px 3px rgba(99,102,241,.2);font-weight:600}.btn-primary:hover:not(:disabled){background:#4f46e5;box-shadow:0 2px 6px rgba(99,102,241,.25)}.btn-secondary{background:#fff;color:#6b7280;border:1px solid #e5e7eb;font-weight:400}.btn-secondary:hover:not(:disabled){background:#f9fafb;border-color:#d1d5db;color:#374151}.btn-danger-subtle{background:#fef2f2;color:#b91c1c;border:1px solid #fecaca}.btn-danger-subtle:hover:not(:disabled){background:#fee2e2;border-color:#fca5a5}.empty-state{text-align:center;padding:3rem 2rem;color:#6b7280;line-height:1.5}.notification-toast{position:fixed;bottom:1.5rem;right:1.5rem;padding:.875rem 1.25rem;background:#1f2937;color:#fff;border-radius:8px;font-size:.85rem;line-height:1.4;z-index:1001;animation:slideIn .3s ease}.notification-toast.success{background:#059669}.notification-toast.error{background:#dc2626}.notification-toast.info{background:#2563eb}@keyframes slideIn{from{transform:translateX(100%);opacity:0}to{transform:translateX(0);opacity:1}}@media(max-width:640px){.checklist-layout{padding:1rem}.checklist-header{flex-direction:column;gap:1rem}.progress-info{width:100%;justify-content:space-between}.progress-bar{flex:1}.checklist-footer{flex-direction:column;gap:.75rem}.footer-left,.footer-right{width:100%;justify-content:center}}.feedback-modal-overlay{position:fixed;top:0;left:0;right:0;bottom:0;background:rgba(0,0,0,.5);display:flex;align-items:center;justify-content:center;z-index:1000}.feedback-modal{background:#fff;border-radius:12px;max-width:420px;width:90%;padding:1.5rem;box-shadow:0 8px 30px rgba(0,0,0,.15)}.feedback-modal-header{display:flex;justify-content:space-between;align-items:center;margin-bottom:1rem}.feedback-modal-header h3{margin:0;font-size:1.1rem}.feedback-modal-body{display:flex;flex-direction:column;gap:.5rem}.feedback-label{font-size:.8rem;font-weight:600;color:#374151}.feedback-select{padding:.5rem;border:1px solid #d1d5db;border-radius:6px;font-size:.85rem}.feedback-textarea{padding:.5rem;border:1px solid #d1d5db;border-radius:6px;font-size:.85rem;resize:vertical;font-family:inherit}.feedback-textarea:focus{outline:none;border-color:#6366f1;box-shadow:0 0 0 3px rgba(99,102,241,.1)}.feedback-char-count{font-size:.7rem;color:#9ca3af;text-align:right}.feedback-modal-footer{display:flex;justify-content:flex-end;gap:.5rem;margin-top:1rem}';
+            styles.textContent = '.checklist-container{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;color:#1f2937;background:#f9fafb;min-height:100vh;display:flex;flex-direction:column}.checklist-layout{max-width:800px;margin:0 auto;padding:1.5rem;width:100%;display:flex;flex-direction:column;min-height:100vh}.checklist-header{display:flex;justify-content:space-between;align-items:flex-start;gap:1.5rem;margin-bottom:1rem;padding-bottom:1rem;border-bottom:1px solid #f3f4f6}.header-left{display:flex;align-items:flex-start;gap:1rem}.btn-back{padding:.5rem .875rem;background:#fff;border:1px solid #d1d5db;border-radius:6px;cursor:pointer;font-size:.875rem;white-space:nowrap;transition:all .2s ease}.btn-back:hover{background:#f5f5f5;border-color:#9ca3af}.header-info h2{margin:0 0 .5rem;font-size:1.25rem;line-height:1.4}.header-meta{display:flex;gap:.5rem;flex-wrap:wrap}.folder-badge,.status-badge{padding:.25rem .625rem;border-radius:4px;font-size:.75rem;font-weight:500;line-height:1.4}.status-in_progress{background:#fef3c7;color:#92400e}.status-completed{background:#d1fae5;color:#065f46}.status-badge.readonly{background:#e0e7ff;color:#4338ca}.info-banner{padding:.625rem 1rem;border-radius:8px;margin-bottom:1rem;text-align:center}.info-banner-autosave{background:#f0fdf4;border:1px solid #bbf7d0}.info-banner-readonly{background:#eef2ff;border:1px solid #c7d2fe}.info-text{font-size:.75rem;color:#6b7280;line-height:1.5}.info-banner-readonly .info-text{color:#4338ca}.progress-info{display:flex;align-items:center;gap:.75rem}.progress-text{font-size:.8rem;color:#6b7280;white-space:nowrap;line-height:1.4}.progress-bar{width:120px;height:8px;background:#e5e7eb;border-radius:4px;overflow:hidden}.progress-fill{height:100%;background:linear-gradient(90deg,#6366f1,#8b5cf6);border-radius:4px;transition:width .3s ease}.progress-percent{font-size:.875rem;font-weight:600;color:#6366f1;min-width:40px}.completion-banner{display:flex;align-items:center;gap:1rem;padding:1.125rem 1.25rem;background:linear-gradient(135deg,#d1fae5,#a7f3d0);border:1px solid #6ee7b7;border-radius:10px;margin-bottom:1.5rem}.completion-icon{font-size:2rem}.completion-text{flex:1}.completion-text strong{display:block;font-size:1rem;color:#065f46;line-height:1.4}.completion-text p{margin:.375rem 0 0;font-size:.8rem;color:#047857;line-height:1.5}.checklist-main{flex:1}.steps-checklist{display:flex;flex-direction:column;gap:.875rem}.checklist-step{display:flex;align-items:flex-start;gap:.875rem;padding:1.125rem;background:#fff;border:1px solid #f3f4f6;border-radius:10px;cursor:pointer;transition:all .2s ease}.checklist-step:hover{border-color:#d1d5db;box-shadow:0 2px 8px rgba(0,0,0,.04)}.checklist-step.readonly{cursor:default}.checklist-step.readonly:hover{border-color:#e5e7eb;box-shadow:none}.checklist-step.completed{background:#f0fdf4;border-color:#bbf7d0}.checklist-step.completed .step-text{text-decoration:line-through;color:#6b7280}.step-checkbox{position:relative;flex-shrink:0}.step-checkbox.readonly{cursor:default}.checkbox-static{display:flex;align-items:center;justify-content:center;width:24px;height:24px;border:2px solid #d1d5db;border-radius:6px;background:#fff;font-size:14px;color:#fff}.checkbox-static.checked{background:#22c55e;border-color:#22c55e}.step-check{position:absolute;opacity:0;width:0;height:0}.checkbox-label{display:block;cursor:pointer}.checkbox-custom{display:block;width:24px;height:24px;border:2px solid #d1d5db;border-radius:6px;background:#fff;transition:all .2s ease;position:relative}.checkbox-custom::after{content:"✓";position:absolute;top:50%;left:50%;transform:translate(-50%,-50%) scale(0);font-size:14px;color:#fff;transition:transform .15s}.step-check:checked+.checkbox-label .checkbox-custom{background:#22c55e;border-color:#22c55e}.step-check:checked+.checkbox-label .checkbox-custom::after{transform:translate(-50%,-50%) scale(1)}.step-check:focus+.checkbox-label .checkbox-custom{box-shadow:0 0 0 3px rgba(34,197,94,.2)}.step-content{flex:1;display:flex;gap:.875rem;min-width:0}.step-number{min-width:28px;height:28px;display:flex;align-items:center;justify-content:center;background:#e5e7eb;color:#6b7280;border-radius:50%;font-size:.75rem;font-weight:600;flex-shrink:0}.checklist-step.completed .step-number{background:#22c55e;color:#fff}.step-text-container{flex:1;min-width:0}.step-text{margin:0;font-size:.95rem;line-height:1.55;transition:all .15s}.step-note{margin:.5rem 0 0;font-size:.8rem;color:#6b7280;line-height:1.5}.step-user-note{margin-top:.625rem}.step-user-note-readonly{margin:.5rem 0 0;font-size:.8rem;color:#4b5563;font-style:italic;line-height:1.5}.step-image{max-width:100%;max-height:200px;border-radius:6px;border:1px solid #e5e7eb;margin-top:.5rem;display:block}.user-note-input{width:100%;padding:.5rem .625rem;border:1px solid #e5e7eb;border-radius:6px;font-size:.8rem;line-height:1.5;background:#f9fafb;box-sizing:border-box;transition:all .2s ease}.user-note-input:focus{outline:none;border-color:#6366f1;background:#fff;box-shadow:0 0 0 3px rgba(99,102,241,.1)}.step-status{flex-shrink:0}.completed-time{font-size:.7rem;color:#22c55e;white-space:nowrap}.checklist-footer{display:flex;justify-content:space-between;align-items:center;margin-top:1.5rem;padding-top:1.25rem;border-top:1px solid #f3f4f6}.footer-left,.footer-right{display:flex;gap:.625rem}.btn{padding:.625rem 1.25rem;border:none;border-radius:8px;font-size:.85rem;font-weight:500;cursor:pointer;transition:all .2s ease;line-height:1.4}.btn:focus{outline:none;box-shadow:0 0 0 3px rgba(99,102,241,.15)}.btn:disabled{opacity:.5;cursor:not-allowed}.btn-primary{background:#6366f1;color:#fff;box-shadow:0 1px 3px rgba(99,102,241,.2);font-weight:600}.btn-primary:hover:not(:disabled){background:#4f46e5;box-shadow:0 2px 6px rgba(99,102,241,.25)}.btn-secondary{background:#fff;color:#6b7280;border:1px solid #e5e7eb;font-weight:400}.btn-secondary:hover:not(:disabled){background:#f9fafb;border-color:#d1d5db;color:#374151}.btn-danger-subtle{background:#fef2f2;color:#b91c1c;border:1px solid #fecaca}.btn-danger-subtle:hover:not(:disabled){background:#fee2e2;border-color:#fca5a5}.empty-state{text-align:center;padding:3rem 2rem;color:#6b7280;line-height:1.5}.notification-toast{position:fixed;bottom:1.5rem;right:1.5rem;padding:.875rem 1.25rem;background:#1f2937;color:#fff;border-radius:8px;font-size:.85rem;line-height:1.4;z-index:1001;animation:slideIn .3s ease}.notification-toast.success{background:#059669}.notification-toast.error{background:#dc2626}.notification-toast.info{background:#2563eb}@keyframes slideIn{from{transform:translateX(100%);opacity:0}to{transform:translateX(0);opacity:1}}@media(max-width:640px){.checklist-layout{padding:1rem}.checklist-header{flex-direction:column;gap:1rem}.progress-info{width:100%;justify-content:space-between}.progress-bar{flex:1}.checklist-footer{flex-direction:column;gap:.75rem}.footer-left,.footer-right{width:100%;justify-content:center}}.feedback-modal-overlay{position:fixed;top:0;left:0;right:0;bottom:0;background:rgba(0,0,0,.5);display:flex;align-items:center;justify-content:center;z-index:1000}.feedback-modal{background:#fff;border-radius:12px;max-width:420px;width:90%;padding:1.5rem;box-shadow:0 8px 30px rgba(0,0,0,.15)}.feedback-modal-header{display:flex;justify-content:space-between;align-items:center;margin-bottom:1rem}.feedback-modal-header h3{margin:0;font-size:1.1rem}.feedback-modal-body{display:flex;flex-direction:column;gap:.5rem}.feedback-label{font-size:.8rem;font-weight:600;color:#374151}.feedback-select{padding:.5rem;border:1px solid #d1d5db;border-radius:6px;font-size:.85rem}.feedback-textarea{padding:.5rem;border:1px solid #d1d5db;border-radius:6px;font-size:.85rem;resize:vertical;font-family:inherit}.feedback-textarea:focus{outline:none;border-color:#6366f1;box-shadow:0 0 0 3px rgba(99,102,241,.1)}.feedback-char-count{font-size:.7rem;color:#9ca3af;text-align:right}.feedback-modal-footer{display:flex;justify-content:flex-end;gap:.5rem;margin-top:1rem}.step-decision-icon{display:flex;align-items:center;justify-content:center;width:24px;height:24px;border:2px solid #c7d2fe;border-radius:6px;background:#eef2ff;font-size:13px}.step-decision-icon.answered{border-color:#22c55e;background:#f0fdf4}.checklist-step.decision{cursor:default}.checklist-step.decision.completed .step-text{text-decoration:none;color:#1f2937}.step-branches{display:flex;flex-wrap:wrap;gap:.5rem;margin-top:.75rem}.branch-option{padding:.45rem 1rem;border:1px solid #c7d2fe;border-radius:999px;background:#fff;color:#4338ca;font-size:.85rem;font-weight:500;cursor:pointer;transition:all .15s ease}.branch-option:hover{background:#eef2ff;border-color:#a5b4fc}.branch-option.selected{background:#6366f1;border-color:#6366f1;color:#fff}.step-branch-chosen{margin:.5rem 0 0;font-size:.85rem;font-weight:600;color:#4338ca}.path-pending{padding:.875rem 1rem;border:1px dashed #c7d2fe;border-radius:10px;text-align:center;font-size:.8rem;color:#6366f1;background:#f5f3ff}.step-required{color:#dc2626;font-weight:700}.step-value{display:flex;flex-wrap:wrap;align-items:center;gap:.5rem;margin-top:.625rem}.step-value-input{padding:.5rem .625rem;border:1px solid #d1d5db;border-radius:6px;font-size:.9rem;line-height:1.4;background:#fff;box-sizing:border-box;max-width:220px;font-family:inherit}.step-value-input[type=number]{width:120px}.step-value-text{width:100%;max-width:none}.step-value-input:focus{outline:none;border-color:#6366f1;box-shadow:0 0 0 3px rgba(99,102,241,.1)}.step-value-unit{font-size:.85rem;color:#374151;font-weight:500}.step-value-hint{font-size:.75rem;color:#9ca3af}.step-value-option{padding:.4rem 1.1rem;border:1px solid #d1d5db;border-radius:999px;background:#fff;color:#374151;font-size:.85rem;font-weight:500;cursor:pointer;transition:all .15s ease}.step-value-option:hover{border-color:#6366f1;color:#4f46e5}.step-value-option.selected{background:#6366f1;border-color:#6366f1;color:#fff}.step-value-error{flex-basis:100%;margin:0;font-size:.75rem;color:#dc2626}.step-value.out-of-range .step-value-input{border-color:#f59e0b;background:#fffbeb}.step-value.out-of-range .step-value-error{color:#b45309}.checklist-step.completed .step-value-input{background:#f9fafb}.step-value-readonly{margin:.5rem 0 0;font-size:.85rem;font-weight:500;color:#374151}.step-value-readonly.out-of-range{color:#b45309}.step-photos{display:flex;flex-wrap:wrap;align-items:center;gap:.5rem;margin-top:.625rem}.step-photo{position:relative}.step-photo-thumb{display:block;width:72px;height:72px;object-fit:cover;border-radius:6px;border:1px solid #e5e7eb}.step-photo-remove{position:absolute;top:-6px;right:-6px;width:20px;height:20px;border:none;border-radius:50%;background:#1f2937;color:#fff;font-size:10px;line-height:1;cursor:pointer}.step-photo-add{padding:.4rem .75rem;border:1px dashed #d1d5db;border-radius:6px;background:#fff;color:#6b7280;font-size:.8rem;cursor:pointer;transition:all .15s ease}.step-photo-add:hover{border-color:#6366f1;color:#4f46e5}.step-photo-add.required{border-color:#f59e0b;color:#b45309;background:#fffbeb}.checklist-section{display:flex;flex-direction:column;gap:.875rem}.checklist-section+.checklist-section,.checklist-step+.checklist-section{margin-top:.5rem}.checklist-section-header{display:flex;align-items:center;gap:.625rem;width:100%;padding:.5rem .25rem;background:none;border:none;border-bottom:2px solid #e5e7eb;cursor:pointer;text-align:left;font-family:inherit;color:#374151}.checklist-section-header:hover .section-title{color:#4f46e5}.section-caret{font-size:.75rem;color:#9ca3af;transition:transform .2s ease}.checklist-section.collapsed .section-caret{transform:rotate(-90deg)}.section-title{flex:1;font-size:.95rem;font-weight:600;line-height:1.4}.section-progress{font-size:.75rem;color:#6b7280;white-space:nowrap}.checklist-section.section-done .checklist-section-header{border-bottom-color:#bbf7d0}.checklist-section.section-done .section-progress{color:#059669;font-weight:600}.checklist-section-steps{display:flex;flex-direction:column;gap:.875rem}.checklist-section.collapsed .checklist-section-steps{display:none}.checklist-step.sub-step{margin-left:2.25rem;padding:.875rem 1rem}.checklist-step.sub-step .step-number{min-width:34px;border-radius:14px}@media(max-width:640px){.checklist-step.sub-step{margin-left:1rem}}.checklist-parent{margin:0 0 .25rem;font-size:.75rem;color:#6366f1;line-height:1.4}.step-link-open{text-align:left}.checklist-variables{margin:-.25rem 0 .5rem;font-size:.8rem;color:#4b5563;line-height:1.5}.variables-intro{margin:0;font-size:.8rem;color:#6b7280;line-height:1.5}.variables-form{display:flex;flex-direction:column;gap:.375rem;max-width:420px}.variables-input{padding:.625rem .75rem;border:1px solid #d1d5db;border-radius:6px;font-size:.9rem;font-family:inherit;margin-bottom:.5rem}.variables-input:focus{outline:none;border-color:#6366f1;box-shadow:0 0 0 3px rgba(99,102,241,.1)}.progress-time{margin:.375rem 0 0;font-size:.75rem;color:#6b7280;text-align:right}.progress-time.over{color:#b45309;font-weight:500}.language-badge{padding:.25rem .625rem;border-radius:4px;font-size:.75rem;font-weight:500;line-height:1.4;background:#eef2ff;color:#4338ca}.checklist-step.kb-current{border-color:#6366f1;box-shadow:0 0 0 2px rgba(99,102,241,.25)}';
             document.head.appendChild(styles);
         }
     }
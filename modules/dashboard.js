@@ -11,6 +11,16 @@
  * - Collapsible folder sections
  * - Most Used SOPs tracking
  * - In-progress and completed checklists display
+ * - Audit log of SOP, folder and assignment changes (filter + CSV export)
+ * - Approval workflow: review badges, approver designation, approver review queue
+ * - Import SOPs from .docx, .md and .txt files, several per file (lib/sop-import.js)
+ * - Export a SOP or a whole folder as Markdown, JSON, Word or PDF (lib/sop-export.js)
+ * - Back up the whole workspace to one file and restore it (lib/workspace-backup.js)
+ * - Find and replace text across all SOPs, match by match (lib/sop-find-replace.js)
+ * - Pro: AI "Organize" proposes tags and a folder (new folders included) for
+ *   every SOP, applied only once accepted in a review table (lib/library-organizer.js)
+ * - Ctrl/Cmd+K command palette; j/k/Enter to move through and open SOP cards (lib/command-palette.js)
+ * - Team link: members pick the language SOPs and checklists are shown in (lib/sop-translations.js)
  * 
  * STORAGE KEYS:
  * - 'sop_tool_sops' - All SOP documents
@@ -374,9 +384,10 @@
             
             // Load SOPs
             if (isTeamMember && this.options.teamSOPs) {
-                // Team members see owner's active SOPs from cloud
+                // Team members see owner's active SOPs from cloud, in the language they picked
+                const language = typeof SOPTranslations !== 'undefined' ? SOPTranslations.getPreferredLanguage() : null;
                 this.state.sops = this.options.teamSOPs.map(sop => ({
-                    ...sop,
+                    ...(language ? SOPTranslations.localize(sop, language) : sop),
                     _teamSop: true  // Flag for read-only rendering
                 }));
             } else {
@@ -435,10 +446,36 @@
             localStorage.setItem(STORAGE_KEYS.SOPS, JSON.stringify(this.state.sops));
         }
         
+        /**
+         * Record an in-place change to a SOP. Every change gets a new revision:
+         * the cloud only takes a copy newer than its own, and an editor open
+         * elsewhere merges against it instead of saving over it.
+         */
+        _touchSop(sop, now = Date.now()) {
+            sop.revision = (sop.revision || 0) + 1;
+            sop.updatedAt = now;
+        }
+        
         _saveFolders() {
             localStorage.setItem(STORAGE_KEYS.FOLDERS, JSON.stringify(this.state.folders));
         }
         
+        /**
+         * Write a key and check it stuck. The storage layer logs a quota error
+         * instead of throwing, so reading the write back is the only way to
+         * tell a full store. Returns false when the write didn't land.
+         */
+        _writeVerified(key, value) {
+            const serialized = JSON.stringify(value);
+            try {
+                localStorage.setItem(key, serialized);
+            } catch (e) {
+                console.warn('Dashboard: Could not save', key, e);
+                return false;
+            }
+            return localStorage.getItem(key) === serialized;
+        }
+        
         _saveUsage() {
             localStorage.setItem(STORAGE_KEYS.SOP_USAGE, JSON.stringify(this.state.sopUsage));
         }
@@ -479,7 +516,7 @@
                     const titleMatch = sop.title?.toLowerCase().includes(query);
                     const descMatch = sop.description?.toLowerCase().includes(query);
                     const tagMatch = sop.tags?.some(tag => tag.toLowerCase().includes(query));
-                    const stepMatch = sop.steps?.some(s => s.text?.toLowerCase().includes(query));
+                    const stepMatch = this._resolvedSteps(sop).some(s => s.text?.toLowerCase().includes(query));
                     return titleMatch || descMatch || tagMatch || stepMatch;
                 });
             }
@@ -517,6 +554,22 @@
             return sorted;
         }
         
+        /**
+         * A SOP's steps with step blocks expanded, for searching, counting and printing
+         */
+        _resolvedSteps(sop) {
+            if (typeof StepBlocks === 'undefined') return sop.steps || [];
+            return StepBlocks.resolveSteps(sop.steps);
+        }
+        
+        /**
+         * SOPs with a step that runs this one (lib/sop-links.js)
+         */
+        _linkedFrom(sop) {
+            if (typeof SOPLinks === 'undefined') return [];
+            return SOPLinks.findUsages(sop.id, this.state.sops);
+        }
+        
         /**
          * Extract hashtags from text
          * @param {string} text - Text to search for hashtags
@@ -546,7 +599,7 @@
             
             // Check steps
             if (sop.steps) {
-                for (const step of sop.steps) {
+                for (const step of this._resolvedSteps(sop)) {
                     const stepHashtags = this._extractHashtags(step.text);
                     if (stepHashtags.includes(hashtagLower)) return true;
                     
@@ -638,6 +691,9 @@
             
             this.state.folders.push(newFolder);
             this._saveFolders();
+            this._recordAudit('folder.created', 'folder', newFolder, [
+                { field: 'name', before: '', after: newFolder.name }
+            ]);
             this.refresh();
             
             return newFolder;
@@ -650,12 +706,17 @@
             const index = this.state.folders.findIndex(f => f.id === folderId);
             if (index === -1) return null;
             
+            const previous = this.state.folders[index];
             this.state.folders[index] = {
                 ...this.state.folders[index],
                 ...updates
             };
             
             this._saveFolders();
+            if (typeof AuditLog !== 'undefined') {
+                const changes = AuditLog.diffFields(previous, this.state.folders[index], ['name', 'icon', 'color']);
+                if (changes.length > 0) this._recordAudit('folder.updated', 'folder', this.state.folders[index], changes);
+            }
             this.refresh();
             
             return this.state.folders[index];
@@ -679,6 +740,7 @@
             this.state.sops.forEach(sop => {
                 if (sop.folderId === folderId) {
                     sop.folderId = 'general';
+                    this._touchSop(sop);
                     movedCount++;
                 }
             });
@@ -690,6 +752,9 @@
             // Remove the folder
             this.state.folders = this.state.folders.filter(f => f.id !== folderId);
             this._saveFolders();
+            this._recordAudit('folder.deleted', 'folder', folder, [
+                { field: 'SOPs moved to General', before: '', after: String(movedCount) }
+            ]);
             
             this._showNotification(`Folder "${folder.name}" deleted. ${movedCount} SOPs moved to General.`, 'success');
             this.refresh();
@@ -786,10 +851,14 @@
                         <div class="team-banner">
                             <span class="team-banner-icon">👥</span>
                             <span class="team-banner-text">${this._escapeHtml(teamName)}</span>
+                            ${this._renderMemberLanguagePicker()}
                         </div>
                         
                         <!-- Assigned to You (Phase 12F) -->
                         <div id="team-assignments-section" style="display:none;"></div>
+                        
+                        <!-- Waiting for your approval (approvers only) -->
+                        <div id="team-reviews-section" style="display:none;"></div>
                         ` : ''}
                         
                         <!-- Header -->
@@ -813,9 +882,33 @@
                             
                             ${!isTeamMember ? `
                             <div class="quick-actions">
+                                <button class="btn btn-secondary btn-audit-log" id="btn-audit-log" title="Who changed what">
+                                    🧾 Audit Log
+                                </button>
                                 <button class="btn btn-secondary" id="btn-browse-templates">
                                     📄 Start from Template
                                 </button>
+                                ${typeof SOPImport !== 'undefined' ? `
+                                <button class="btn btn-secondary" id="btn-import-sops" title="Word (.docx), Markdown, text or WithoutMe JSON files">
+                                    📥 Import
+                                </button>
+                                <input type="file" id="import-sops-input" accept="${SOPImport.ACCEPT}" hidden />
+                                ` : ''}
+                                ${typeof SOPFindReplace !== 'undefined' ? `
+                                <button class="btn btn-secondary" id="btn-find-replace" title="Find and replace text across all SOPs">
+                                    🔎 Find & Replace
+                                </button>
+                                ` : ''}
+                                ${typeof LibraryOrganizer !== 'undefined' ? `
+                                <button class="btn btn-secondary" id="btn-organize-library" title="AI suggests tags and a folder for every SOP">
+                                    🗂️ Organize
+                                </button>
+                                ` : ''}
+                                ${typeof WorkspaceBackup !== 'undefined' ? `
+                                <button class="btn btn-secondary" id="btn-backup" title="Download or restore everything in this browser">
+                                    💾 Backup
+                                </button>
+                                ` : ''}
                                 <button class="btn btn-primary" id="btn-create-sop">
                                     ➕ Create SOP
                                 </button>
@@ -960,6 +1053,143 @@
                     </div>
                 </div>
 
+                <!-- Audit Log Modal -->
+                <div class="modal-overlay" id="audit-modal" style="display: none;">
+                    <div class="modal-content audit-content">
+                        <div class="modal-header">
+                            <h3>🧾 Audit Log</h3>
+                            <button class="btn-close" id="btn-close-audit">✕</button>
+                        </div>
+                        <div class="modal-body">
+                            <div class="audit-filters">
+                                <select class="form-input" id="audit-filter-item"></select>
+                                <select class="form-input" id="audit-filter-type">
+                                    <option value="">All changes</option>
+                                    <option value="sop">SOPs</option>
+                                    <option value="folder">Folders</option>
+                                    <option value="assignment">Assignments</option>
+                                </select>
+                                <select class="form-input" id="audit-filter-actor"></select>
+                                <select class="form-input" id="audit-filter-range">
+                                    <option value="">All time</option>
+                                    <option value="7">Last 7 days</option>
+                                    <option value="30">Last 30 days</option>
+                                    <option value="90">Last 90 days</option>
+                                </select>
+                                <input type="search" class="form-input" id="audit-filter-search" placeholder="Search changes..." />
+                            </div>
+                            <div class="audit-list" id="audit-list"></div>
+                        </div>
+                        <div class="modal-footer">
+                            <button class="btn btn-secondary" id="btn-export-audit">⬇️ Export CSV</button>
+                            <button class="btn btn-primary" id="btn-done-audit">Done</button>
+                        </div>
+                    </div>
+                </div>
+                
+                <!-- Export Modal -->
+                <div class="modal-overlay" id="export-modal" style="display: none;">
+                    <div class="modal-content export-content">
+                        <div class="modal-header">
+                            <h3>⬇️ Export</h3>
+                            <button class="btn-close" id="btn-close-export">✕</button>
+                        </div>
+                        <div class="modal-body">
+                            <p class="export-summary" id="export-summary"></p>
+                            <div class="export-formats">
+                                <button class="export-format" data-export-format="pdf">
+                                    <strong>📕 PDF</strong>
+                                    <span>Ready to send or file</span>
+                                </button>
+                                <button class="export-format" data-export-format="docx">
+                                    <strong>📘 Word</strong>
+                                    <span>Edit in Word or Google Docs</span>
+                                </button>
+                                <button class="export-format" data-export-format="markdown">
+                                    <strong>📝 Markdown</strong>
+                                    <span>Wikis, Notion, GitHub</span>
+                                </button>
+                                <button class="export-format" data-export-format="json">
+                                    <strong>🧩 JSON</strong>
+                                    <span>Backup, or import into another workspace</span>
+                                </button>
+                            </div>
+                            <p class="export-hint">Includes notes, images, keywords and revision details. The PDF uses built-in fonts — for non-Latin text, use 🖨️ Print and save as PDF.</p>
+                        </div>
+                    </div>
+                </div>
+                
+                <!-- Backup & Restore Modal -->
+                <div class="modal-overlay" id="backup-modal" style="display: none;">
+                    <div class="modal-content backup-content">
+                        <div class="modal-header">
+                            <h3>💾 Backup & Restore</h3>
+                            <button class="btn-close" id="btn-close-backup">✕</button>
+                        </div>
+                        <div class="modal-body" id="backup-body"></div>
+                        <div class="modal-footer" id="backup-footer"></div>
+                    </div>
+                    <input type="file" id="backup-file-input" accept=".json,application/json" hidden />
+                </div>
+                
+                <!-- Find & Replace Modal -->
+                <div class="modal-overlay" id="find-replace-modal" style="display: none;">
+                    <div class="modal-content find-replace-content">
+                        <div class="modal-header">
+                            <h3>🔎 Find & Replace</h3>
+                            <button class="btn-close" id="btn-close-find-replace">✕</button>
+                        </div>
+                        <div class="modal-body">
+                            <div class="fr-fields">
+                                <input type="text" class="form-input" id="fr-find" placeholder="Find" autocomplete="off" />
+                                <input type="text" class="form-input" id="fr-replace" placeholder="Replace with" autocomplete="off" />
+                            </div>
+                            <div class="fr-options">
+                                <label><input type="checkbox" id="fr-match-case" /> Match case</label>
+                                <label><input type="checkbox" id="fr-regex" /> Regular expression</label>
+                                <button class="btn btn-secondary" id="btn-fr-search">Find</button>
+                            </div>
+                            <div class="fr-results" id="fr-results"></div>
+                        </div>
+                        <div class="modal-footer" id="find-replace-footer"></div>
+                    </div>
+                </div>
+                
+                <!-- Organize Library Modal -->
+                <div class="modal-overlay" id="organize-modal" style="display: none;">
+                    <div class="modal-content organize-content">
+                        <div class="modal-header">
+                            <h3>🗂️ Organize Library</h3>
+                            <button class="btn-close" id="btn-close-organize">✕</button>
+                        </div>
+                        <div class="modal-body">
+                            <div class="organize-results" id="organize-results"></div>
+                        </div>
+                        <div class="modal-footer" id="organize-footer"></div>
+                    </div>
+                </div>
+                
+                <!-- Import SOPs Modal -->
+                <div class="modal-overlay" id="import-sops-modal" style="display: none;">
+                    <div class="modal-content import-content">
+                        <div class="modal-header">
+                            <h3>📥 Import SOPs</h3>
+                            <button class="btn-close" id="btn-close-import">✕</button>
+                        </div>
+                        <div class="modal-body">
+                            <div id="import-preview"></div>
+                            <div class="form-group">
+                                <label>Save to folder</label>
+                                <select class="form-input" id="import-folder"></select>
+                            </div>
+                        </div>
+                        <div class="modal-footer">
+                            <button class="btn btn-secondary" id="btn-cancel-import">Cancel</button>
+                            <button class="btn btn-primary" id="btn-confirm-import">Import</button>
+                        </div>
+                    </div>
+                </div>
+                
                 <!-- Mobile Folder Manager -->
                 <div class="modal-overlay" id="mobile-folder-manager" style="display: none;">
                     <div class="mobile-fm-sheet">
@@ -977,6 +1207,23 @@
                 </div>
                 ` : ''}
                 
+                ${isTeamMember && this.options.teamRole?.canApprove ? `
+                <!-- Review Modal (approvers) -->
+                <div class="modal-overlay" id="review-modal" style="display: none;">
+                    <div class="modal-content review-content">
+                        <div class="modal-header">
+                            <h3>📝 Review SOP</h3>
+                            <button class="btn-close" id="btn-close-review">✕</button>
+                        </div>
+                        <div class="modal-body" id="review-body"></div>
+                        <div class="modal-footer">
+                            <button class="btn btn-secondary" id="btn-reject-review">✋ Request Changes</button>
+                            <button class="btn btn-primary" id="btn-approve-review">✅ Approve & Publish</button>
+                        </div>
+                    </div>
+                </div>
+                ` : ''}
+                
                 <!-- Notification Toast -->
                 <div class="notification-toast" id="notification-toast" style="display: none;">
                     <span class="notification-message"></span>
@@ -1025,6 +1272,9 @@
                             <button class="folder-action-btn" data-action="edit-folder" data-folder-id="${folder.id}" title="Edit">✏️</button>
                             <button class="folder-action-btn" data-action="delete-folder" data-folder-id="${folder.id}" title="Delete">🗑️</button>
                             ` : ''}
+                            ${count > 0 && typeof SOPExport !== 'undefined' ? `
+                            <button class="folder-action-btn" data-action="export-folder" data-folder-id="${folder.id}" title="Export folder">⬇️</button>
+                            ` : ''}
                         </div>
                         ` : ''}
                     </div>
@@ -1140,6 +1390,7 @@
                         ${inProgress.map(checklist => {
                             const progress = Math.round((checklist.completedSteps / checklist.totalSteps) * 100);
                             const folder = this.state.folders.find(f => f.id === checklist.folderId);
+                            const details = this._summarizeVariables(checklist.variables);
                             return `
                                 <div class="checklist-card" data-checklist-id="${checklist.id}">
                                     <div class="checklist-card-main">
@@ -1148,6 +1399,7 @@
                                         </span>
                                         <div class="checklist-info">
                                             <h4>${this._escapeHtml(checklist.sopTitle)}</h4>
+                                            ${details ? `<p class="checklist-variables">${this._escapeHtml(details)}</p>` : ''}
                                             <div class="checklist-progress">
                                                 <div class="mini-progress-bar">
                                                     <div class="mini-progress-fill" style="width: ${progress}%"></div>
@@ -1195,12 +1447,14 @@
                             const completedTime = checklist.completedAt
                                 ? new Date(checklist.completedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
                                 : '';
+                            const details = this._summarizeVariables(checklist.variables);
                             return `
                                 <div class="checklist-card completed-checklist-card" data-completed-checklist-id="${checklist.id}">
                                     <div class="checklist-card-main">
                                         <span class="checklist-complete-icon">✓</span>
                                         <div class="checklist-info">
                                             <h4>${this._escapeHtml(checklist.sopTitle)}</h4>
+                                            ${details ? `<p class="checklist-variables">${this._escapeHtml(details)}</p>` : ''}
                                             <div class="checklist-completed-date">
                                                 <span>Completed ${completedDate} at ${completedTime}</span>
                                             </div>
@@ -1415,9 +1669,13 @@
         _renderSopCard(sop) {
             const folder = this.state.folders.find(f => f.id === sop.folderId);
             const updatedDate = new Date(sop.updatedAt || sop.createdAt).toLocaleDateString();
-            const stepCount = sop.steps?.length || 0;
-            const isRecent = this._isRecentlyEdited(sop);
+            const stepCount = this._resolvedSteps(sop).filter(s => s.type !== 'section').length;
             const isReadOnly = sop._teamSop || false;
+            const estimate = typeof StepDurations !== 'undefined' ? StepDurations.totalEstimate(this._resolvedSteps(sop)) : 0;
+            // Clarity is an authoring hint — team members only run SOPs
+            const clarity = !isReadOnly && typeof StepClarity !== 'undefined' ? StepClarity.scoreSteps(this._resolvedSteps(sop)) : null;
+            const usedIn = this._linkedFrom(sop);
+            const isRecent = this._isRecentlyEdited(sop);
             
             // Team members see Use + Print only; owners/solo see all actions
             const actionsHtml = isReadOnly ? `
@@ -1425,9 +1683,14 @@
                         <button class="action-btn checklist-btn" data-action="checklist" data-sop-id="${sop.id}" title="Use as checklist">
                             ✅ Use
                         </button>
-                        <button class="action-btn print-btn" data-action="print" data-sop-id="${sop.id}" title="Print / Export PDF">
+                        <button class="action-btn print-btn" data-action="print" data-sop-id="${sop.id}" title="Print">
                             🖨️
                         </button>
+                        ${typeof SOPExport !== 'undefined' ? `
+                        <button class="action-btn export-btn" data-action="export" data-sop-id="${sop.id}" title="Export as Markdown, JSON, Word or PDF">
+                            ⬇️
+                        </button>
+                        ` : ''}
                     </div>
             ` : `
                     <div class="sop-card-actions">
@@ -1445,9 +1708,17 @@
                         <button class="action-btn duplicate-btn" data-action="duplicate" data-sop-id="${sop.id}" title="Duplicate SOP">
                             📋
                         </button>
-                        <button class="action-btn print-btn" data-action="print" data-sop-id="${sop.id}" title="Print / Export PDF">
+                        <button class="action-btn print-btn" data-action="print" data-sop-id="${sop.id}" title="Print">
                             🖨️
                         </button>
+                        ${typeof SOPExport !== 'undefined' ? `
+                        <button class="action-btn export-btn" data-action="export" data-sop-id="${sop.id}" title="Export as Markdown, JSON, Word or PDF">
+                            ⬇️
+                        </button>
+                        ` : ''}
+                        <button class="action-btn archive-btn" data-action="archive" data-sop-id="${sop.id}" title="${sop.status === 'archived' ? 'Unarchive SOP' : 'Archive SOP'}">
+                            ${sop.status === 'archived' ? '📤' : '📦'}
+                        </button>
                         <button class="action-btn delete-btn" data-action="delete" data-sop-id="${sop.id}" title="Delete SOP">
                             🗑️
                         </button>
@@ -1460,6 +1731,7 @@
                     <div class="sop-card-main">
                         <div class="sop-card-header">
                             <span class="sop-status status-${sop.status || 'draft'}">${sop.status || 'draft'}</span>
+                            ${!isReadOnly ? this._renderWorkflowBadge(sop) : ''}
                         </div>
                         
                         <h4 class="sop-title">${this._renderWithHashtags(sop.title)}</h4>
@@ -1467,7 +1739,12 @@
                         
                         <div class="sop-meta">
                             <span class="meta-item">📝 ${stepCount} steps</span>
+                            ${estimate > 0 ? `<span class="meta-item" title="Sum of the step estimates">⏱ ~${this._formatDuration(estimate)}</span>` : ''}
+                            ${clarity ? `<span class="meta-item clarity-score clarity-${StepClarity.grade(clarity.score)}" title="${clarity.issues} clarity hint${clarity.issues !== 1 ? 's' : ''} — open the SOP to see them">✍️ ${clarity.score}</span>` : ''}
                             <span class="meta-item">🕐 ${updatedDate}</span>
+                            ${usedIn.length > 0 ? `
+                            <span class="meta-item" title="Run from: ${this._escapeHtml(usedIn.map(s => s.title).join(', '))}">🔗 Used in ${usedIn.length} SOP${usedIn.length !== 1 ? 's' : ''}</span>
+                            ` : ''}
                         </div>
                         
                         ${sop.tags && sop.tags.length > 0 ? `
@@ -1501,6 +1778,10 @@
         // ====================================================================
         
         _attachEventListeners() {
+            // Command palette and j/k/Enter (lib/command-palette.js)
+            this._registerCommands();
+            this._attachShortcuts();
+            
             // Dismiss first-run nudge (delegated — survives re-renders)
             this.container.addEventListener('click', (e) => {
                 const btn = e.target.closest('[data-action="dismiss-run-nudge"]');
@@ -1561,6 +1842,9 @@
                         this._moveFolderUp(folderId);
                     } else if (action === 'move-folder-down') {
                         this._moveFolderDown(folderId);
+                    } else if (action === 'export-folder') {
+                        const folder = this.state.folders.find(f => f.id === folderId);
+                        this._showExportModal(this.state.sops.filter(s => s.folderId === folderId), folder?.name || 'Folder');
                     } else {
                         console.warn('Dashboard: Unknown folder action:', action);
                     }
@@ -1597,6 +1881,36 @@
                 }
             });
             
+            // Audit log
+            document.getElementById('btn-audit-log')?.addEventListener('click', () => {
+                this._showAuditLog();
+            });
+            
+            // File import
+            document.getElementById('btn-import-sops')?.addEventListener('click', () => {
+                document.getElementById('import-sops-input')?.click();
+            });
+            document.getElementById('import-sops-input')?.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) this._handleImportFile(file);
+            });
+            
+            // Find & replace
+            document.getElementById('btn-find-replace')?.addEventListener('click', () => {
+                this._showFindReplaceModal();
+            });
+            
+            // Organize library (AI)
+            document.getElementById('btn-organize-library')?.addEventListener('click', () => {
+                this._showOrganizeModal();
+            });
+            
+            // Workspace backup
+            document.getElementById('btn-backup')?.addEventListener('click', () => {
+                this._showBackupModal();
+            });
+            
             // Template browser buttons
             document.getElementById('btn-browse-templates')?.addEventListener('click', () => {
                 this._openTemplateModal();
@@ -1805,6 +2119,19 @@
                 this._attachTeamManagementListeners();
             }
             
+            // Team member's reading language (lib/sop-translations.js)
+            document.getElementById('member-language')?.addEventListener('change', (e) => {
+                SOPTranslations.setPreferredLanguage(e.target.value);
+                this.refresh();
+            });
+            
+            // Approval workflow: owners pick up decisions, approvers see their queue
+            if (role === 'member') {
+                if (this.options.teamRole?.canApprove) this._loadPendingReviews();
+            } else {
+                this._syncReviews();
+            }
+            
             // Team activity (Phase 9 — completion tracking for owners)
             if (role === 'owner') {
                 this._loadTeamCompletions();
@@ -1825,7 +2152,7 @@
             }
             
             // Block destructive actions on team SOPs (read-only)
-            if (sop._teamSop && ['edit', 'delete', 'duplicate'].includes(action)) {
+            if (sop._teamSop && ['edit', 'delete', 'duplicate', 'archive'].includes(action)) {
                 this._showNotification('This SOP is read-only', 'error');
                 return;
             }
@@ -1849,17 +2176,23 @@
                     }
                     break;
                     
-                case 'delete':
-                    if (confirm(`Delete "${sop.title}"?\n\nThis SOP and all its steps will be permanently removed. This cannot be undone.`)) {
+                case 'delete': {
+                    const usedIn = this._linkedFrom(sop);
+                    const usedInWarning = usedIn.length > 0
+                        ? `\n\n⚠️ Used in ${usedIn.map(s => `"${s.title}"`).join(', ')}. Those steps will become plain steps.`
+                        : '';
+                    if (confirm(`Delete "${sop.title}"?\n\nThis SOP and all its steps will be permanently removed. This cannot be undone.${usedInWarning}`)) {
                         this.state.sops = this.state.sops.filter(s => s.id !== sopId);
                         delete this.state.sopUsage[sopId];
                         this._saveSops();
                         this._saveUsage();
+                        this._recordAudit('sop.deleted', 'sop', sop);
                         this._showNotification('SOP deleted', 'error');
                         if (this.callbacks.onDeleteSOP) this.callbacks.onDeleteSOP(sop);
                         this.refresh();
                     }
                     break;
+                }
                     
                 case 'duplicate':
                     const now = Date.now();
@@ -1868,6 +2201,7 @@
                         id: `sop_${now}`,
                         title: `Copy of ${sop.title}`,
                         status: 'draft',
+                        revision: 1,
                         steps: sop.steps ? sop.steps.map(step => ({
                             ...step,
                             id: `step_${now}_${Math.random().toString(36).substr(2, 9)}`
@@ -1875,16 +2209,40 @@
                         createdAt: now,
                         updatedAt: now
                     };
+                    // A copy starts unpublished, outside any review
+                    delete duplicatedSop.published;
+                    delete duplicatedSop.review;
                     this.state.sops.unshift(duplicatedSop);
                     this._saveSops();
+                    this._recordAudit('sop.duplicated', 'sop', duplicatedSop, [
+                        { field: 'copied from', before: '', after: sop.title }
+                    ]);
                     this._showNotification('SOP duplicated', 'success');
                     this.refresh();
                     break;
+                
+                case 'archive': {
+                    const archiving = sop.status !== 'archived';
+                    const previousStatus = sop.status || 'draft';
+                    sop.status = archiving ? 'archived' : 'active';
+                    this._touchSop(sop);
+                    this._saveSops();
+                    this._recordAudit(archiving ? 'sop.archived' : 'sop.unarchived', 'sop', sop, [
+                        { field: 'status', before: previousStatus, after: sop.status }
+                    ]);
+                    this._showNotification(archiving ? 'SOP archived' : 'SOP restored to active', 'success');
+                    this.refresh();
+                    break;
+                }
                     
                 case 'print':
                     this._printSop(sop);
                     break;
                 
+                case 'export':
+                    this._showExportModal([sop], sop.title);
+                    break;
+                
                 case 'assign':
                     this._showAssignModal(sop);
                     break;
@@ -1901,16 +2259,53 @@
             const folder = this.state.folders.find(f => f.id === sop.folderId);
             const folderName = folder ? folder.name : 'Uncategorized';
             const updatedDate = new Date(sop.updatedAt || Date.now()).toLocaleDateString();
-            const steps = sop.steps || [];
+            const steps = this._resolvedSteps(sop);
             const tags = sop.tags || [];
+            const stepCount = steps.filter(s => s.type !== 'section').length;
+            
+            const numbers = StepNumbers.number(steps);
+            
+            // Decision steps print their options; jumps print as "go to step N"
+            const describeTarget = (target) => {
+                if (!target || target === 'next') return 'next step';
+                if (target === 'end') return 'end';
+                const targetStep = steps.find(s => s.id === target);
+                if (!targetStep) return 'next step';
+                return targetStep.type === 'section'
+                    ? `section "${this._escapeHtml(targetStep.text)}"`
+                    : `step ${numbers[targetStep.id]}`;
+            };
+            
+            // Typed steps print a blank to fill in on paper
+            const describeInput = (step) => {
+                const input = step.input;
+                if (!input || step.type === 'decision') return '';
+                const req = step.required ? ' <span class="step-required">*</span>' : '';
+                if (input.type === 'yesno') return `<div class="step-field">☐ Yes &nbsp; ☐ No${req}</div>`;
+                if (input.type === 'select') return `<div class="step-field">${(input.options || []).map(o => `☐ ${this._escapeHtml(o)}`).join(' &nbsp; ')}${req}</div>`;
+                if (input.type === 'number') {
+                    const hasMin = typeof input.min === 'number';
+                    const hasMax = typeof input.max === 'number';
+                    const range = hasMin && hasMax ? `${input.min}–${input.max}` : hasMin ? `≥ ${input.min}` : hasMax ? `≤ ${input.max}` : '';
+                    return `<div class="step-field">Reading: ________ ${this._escapeHtml(input.unit || '')}${range ? ` <span class="step-field-hint">(OK: ${range})</span>` : ''}${req}</div>`;
+                }
+                return `<div class="step-field">Answer: ______________________________${req}</div>`;
+            };
             
-            const stepsHtml = steps.map((step, i) => `
-                <div class="step">
-                    <div class="step-number">${i + 1}</div>
+            const stepsHtml = steps.map(step => step.type === 'section' ? `
+                <div class="section-heading">${this._escapeHtml(step.text)}</div>
+            ` : `
+                <div class="step${step.level === 1 && numbers[step.id].includes('.') ? ' sub-step' : ''}">
+                    <div class="step-number">${numbers[step.id]}</div>
                     <div class="step-content">
                         <div class="step-text">${this._escapeHtml(step.text)}</div>
                         ${step.note ? `<div class="step-note">Note: ${this._escapeHtml(step.note)}</div>` : ''}
                         ${step.image ? `<img src="${step.image}" style="max-width:100%;max-height:300px;border-radius:4px;margin-top:8px;" />` : ''}
+                        ${step.type === 'decision' ? (step.branches || []).map(b => `
+                            <div class="step-branch">☐ ${this._escapeHtml(b.label)} → ${describeTarget(b.goto)}</div>
+                        `).join('') : ''}
+                        ${step.type !== 'decision' && step.goto && step.goto !== 'next' ? `<div class="step-branch">Then go to ${describeTarget(step.goto)}</div>` : ''}
+                        ${describeInput(step)}
                     </div>
                 </div>
             `).join('');
@@ -1947,6 +2342,13 @@
         .step-content { flex: 1; padding-top: 3px; }
         .step-text { font-size: 14px; color: #1f2937; }
         .step-note { font-size: 12px; color: #6b7280; margin-top: 4px; font-style: italic; }
+        .step-branch { font-size: 13px; color: #4338ca; margin-top: 4px; }
+        .step-field { font-size: 13px; color: #374151; margin-top: 6px; }
+        .step-field-hint { color: #6b7280; font-size: 12px; }
+        .step-required { color: #dc2626; font-weight: 700; }
+        .section-heading { font-size: 15px; font-weight: 700; color: #1f2937; border-bottom: 1px solid #e5e7eb; padding-bottom: 6px; margin: 24px 0 14px; break-after: avoid; }
+        .step.sub-step { margin-left: 42px; }
+        .step.sub-step .step-number { width: auto; min-width: 28px; padding: 0 6px; border-radius: 14px; background: #a5b4fc; }
         
         .footer { margin-top: 32px; padding-top: 16px; border-top: 1px solid #e5e7eb; font-size: 11px; color: #4b5563; text-align: center; }
     </style>
@@ -1957,7 +2359,7 @@
         <div class="meta">
             <span class="meta-item"><span class="status status-${sop.status || 'draft'}">${sop.status || 'draft'}</span></span>
             <span class="meta-item">📂 ${this._escapeHtml(folderName)}</span>
-            <span class="meta-item">📝 ${steps.length} steps</span>
+            <span class="meta-item">📝 ${stepCount} steps</span>
             <span class="meta-item">🕐 Updated ${updatedDate}</span>
         </div>
     </div>
@@ -2206,6 +2608,7 @@
                         </div>
                     </div>
                     <div class="ta-stats-bar" id="ta-stats-bar"></div>
+                    <div class="ta-estimates" id="ta-estimates"></div>
                     <div class="team-activity-content" id="team-activity-content">
                         <p class="team-activity-loading">Loading team activity...</p>
                     </div>
@@ -2281,6 +2684,30 @@
             return completions.filter(c => new Date(c.completed_at) >= cutoff);
         }
         
+        /**
+         * Photo evidence thumbnails from a team completion step.
+         * Only data:image URLs produced by the checklist's canvas re-encode are shown.
+         */
+        _renderStepPhotos(step) {
+            const photos = (step.photos || []).filter(p => typeof p === 'string' && /^data:image\/(jpeg|png|webp);base64,[A-Za-z0-9+\/=]+$/.test(p));
+            if (photos.length === 0) return '';
+            return `
+                <span class="ta-step-photos">
+                    ${photos.map(photo => `<img src="${photo}" alt="Step photo" class="ta-step-photo" title="Click to enlarge" />`).join('')}
+                </span>
+            `;
+        }
+        
+        /**
+         * Format a typed step's recorded value (number + unit, Yes/No, text).
+         */
+        _formatStepValue(step) {
+            if (!step.input || step.value === null || step.value === undefined || step.value === '') return '';
+            if (step.input.type === 'yesno') return step.value === 'yes' ? 'Yes' : 'No';
+            if (step.input.type === 'number' && step.input.unit) return `${step.value} ${step.input.unit}`;
+            return String(step.value);
+        }
+        
         /**
          * Calculate time-to-complete from step timestamps.
          * Returns duration in minutes, or null if not enough data.
@@ -2315,6 +2742,77 @@
             return mins > 0 ? hrs + 'h ' + mins + 'm' : hrs + 'h';
         }
         
+        /**
+         * A run's time against its step estimates, or null when it can't be compared
+         */
+        _runTiming(steps) {
+            if (typeof StepDurations === 'undefined') return null;
+            const run = StepDurations.runTiming(steps);
+            if (!run) return null;
+            return {
+                expectedStr: this._formatDuration(run.expected),
+                over: StepDurations.isOver(run.actual, run.expected)
+            };
+        }
+        
+        /**
+         * Steps and employees that keep running over their estimates
+         * (lib/step-durations.js), for the date-range set.
+         */
+        _renderEstimateReport(completions) {
+            const el = document.getElementById('ta-estimates');
+            if (!el) return;
+            if (typeof StepDurations === 'undefined') {
+                el.innerHTML = '';
+                return;
+            }
+            
+            const report = StepDurations.overEstimateReport(completions);
+            if (report.steps.length === 0 && report.employees.length === 0) {
+                el.innerHTML = '';
+                return;
+            }
+            
+            const compare = (entry) => `${this._formatDuration(Math.round(entry.avgActual))} vs ~${this._formatDuration(Math.round(entry.avgExpected))}`;
+            const overOf = (entry) => `over in ${entry.over} of ${entry.runs} runs`;
+            el.innerHTML = `
+                <details class="ta-estimates-panel">
+                    <summary>⏱ Running over estimate: ${report.steps.length} step${report.steps.length !== 1 ? 's' : ''}, ${report.employees.length} employee${report.employees.length !== 1 ? 's' : ''}</summary>
+                    ${report.steps.length > 0 ? `
+                    <div class="ta-estimates-label">Steps (average time)</div>
+                    ${report.steps.slice(0, 10).map(entry => this._sourceStepLabel(entry)).map(entry => `
+                        <div class="ta-estimates-row">
+                            <span class="ta-estimates-name">${this._escapeHtml(entry.text)} <span class="ta-estimates-sop">${this._escapeHtml(entry.sopTitle)}</span></span>
+                            <span class="ta-estimates-value" title="${overOf(entry)}">${compare(entry)}</span>
+                        </div>
+                    `).join('')}
+                    ` : ''}
+                    ${report.employees.length > 0 ? `
+                    <div class="ta-estimates-label">Employees (average run)</div>
+                    ${report.employees.map(entry => `
+                        <div class="ta-estimates-row">
+                            <span class="ta-estimates-name">${this._escapeHtml(entry.name)}</span>
+                            <span class="ta-estimates-value" title="${overOf(entry)}">${compare(entry)}</span>
+                        </div>
+                    `).join('')}
+                    ` : ''}
+                </details>
+            `;
+        }
+        
+        /**
+         * A report entry labelled with the step's own wording — completions carry
+         * the language the checklist ran in (lib/sop-translations.js). Cloud SOP ids
+         * differ from local ones, so the step is found by its id.
+         */
+        _sourceStepLabel(entry) {
+            for (const sop of this.state.sops) {
+                const step = (sop.steps || []).find(s => s.id === entry.stepId);
+                if (step) return { ...entry, text: step.text || entry.text, sopTitle: sop.title };
+            }
+            return entry;
+        }
+        
         /**
          * Build stats bar: per-employee completion count for the filtered set.
          */
@@ -2356,6 +2854,7 @@
             if (all.length === 0) {
                 contentEl.innerHTML = '<p class="team-activity-empty">No completions yet. Once your team runs checklists, their progress will appear here.</p>';
                 this._renderStatsBar([]);
+                this._renderEstimateReport([]);
                 return;
             }
             
@@ -2369,6 +2868,7 @@
             
             // Update stats bar (always shows full date-range set, not employee-filtered)
             this._renderStatsBar(this._filterByDateRange(all, this._taDateRange));
+            this._renderEstimateReport(this._filterByDateRange(all, this._taDateRange));
             
             if (filtered.length === 0) {
                 const rangeLabel = this._taDateRange === 'all' ? '' : ' for this period';
@@ -2394,12 +2894,15 @@
                                 const steps = c.steps || [];
                                 const duration = this._calcTimeToComplete(steps);
                                 const durationStr = duration !== null ? this._formatDuration(duration) : '';
+                                const timing = this._runTiming(steps);
+                                const variables = this._summarizeVariables(c.variables);
                                 return `
                                     <div class="ta-completion-row">
                                         <div class="ta-completion-summary" data-completion-id="${c.id}">
                                             <span class="ta-check">✅</span>
                                             <span class="ta-sop-title">${this._escapeHtml(c.sop_title)}</span>
-                                            ${durationStr ? `<span class="ta-duration">⏱ ${durationStr}</span>` : ''}
+                                            ${variables ? `<span class="ta-variables">${this._escapeHtml(variables)}</span>` : ''}
+                                            ${durationStr ? `<span class="ta-duration${timing?.over ? ' ta-over' : ''}"${timing ? ` title="Estimate ~${timing.expectedStr}"` : ''}>⏱ ${durationStr}${timing ? ` / ~${timing.expectedStr}` : ''}</span>` : ''}
                                             <span class="ta-time">${time}</span>
                                             <span class="ta-expand-arrow" data-completion-id="${c.id}">▶</span>
                                         </div>
@@ -2409,12 +2912,16 @@
                                                     ? new Date(step.completedAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })
                                                     : '';
                                                 const hasNote = step.userNote && step.userNote.trim();
+                                                const value = this._formatStepValue(step);
                                                 return `
                                                     <div class="ta-step ${step.completed ? 'ta-step-done' : ''}">
                                                         <span class="ta-step-num">${i + 1}</span>
                                                         <div class="ta-step-content">
                                                             <span class="ta-step-text">${this._escapeHtml(step.text || '')}</span>
+                                                            ${step.chosenBranchLabel ? `<span class="ta-step-branch">🔀 ${this._escapeHtml(step.chosenBranchLabel)}</span>` : ''}
+                                                            ${value ? `<span class="ta-step-value${step.outOfRange ? ' ta-out-of-range' : ''}">${step.outOfRange ? '⚠️' : '✏️'} ${this._escapeHtml(value)}</span>` : ''}
                                                             ${hasNote ? `<span class="ta-step-note">📝 ${this._escapeHtml(step.userNote)}</span>` : ''}
+                                                            ${this._renderStepPhotos(step)}
                                                         </div>
                                                         ${stepTime ? `<span class="ta-step-time">${stepTime}</span>` : ''}
                                                     </div>
@@ -2491,6 +2998,13 @@
             
             // Delegated listener for all team activity clicks
             section.addEventListener('click', (e) => {
+                // Enlarge / shrink a photo from a completion
+                const photo = e.target.closest('.ta-step-photo');
+                if (photo) {
+                    photo.classList.toggle('ta-step-photo-expanded');
+                    return;
+                }
+                
                 // Expand/collapse completion details
                 const summary = e.target.closest('.ta-completion-summary');
                 if (summary) {
@@ -2579,6 +3093,14 @@
             }
         }
 
+        /**
+         * Fill-in values a run was started with ("Customer name: Acme · Unit number: 4B")
+         */
+        _summarizeVariables(variables, separator) {
+            if (typeof SOPVariables === 'undefined' || !variables) return '';
+            return SOPVariables.summarize(variables, separator);
+        }
+        
         /**
          * Export currently filtered team activity to CSV.
          */
@@ -2613,7 +3135,7 @@
                 return s;
             };
 
-            const header = ['Date', 'Time', 'Employee', 'SOP Title', 'Steps Completed', 'Total Steps', 'Time to Complete', 'Notes'];
+            const header = ['Date', 'Time', 'Employee', 'SOP Title', 'Details', 'Steps Completed', 'Total Steps', 'Time to Complete', 'Estimate', 'Notes'];
             const rows = [header.join(',')];
 
             filtered.forEach(c => {
@@ -2623,6 +3145,7 @@
                 const steps = c.steps || [];
                 const duration = this._calcTimeToComplete(steps);
                 const durationStr = duration !== null ? this._formatDuration(duration) : '';
+                const timing = this._runTiming(steps);
 
                 // Collect notes
                 const notes = steps
@@ -2635,76 +3158,447 @@
                     csvEscape(time),
                     csvEscape(c.member_name || 'Unknown'),
                     csvEscape(c.sop_title),
+                    csvEscape(this._summarizeVariables(c.variables, ' | ')),
                     c.completed_steps || steps.filter(s => s.completed).length,
                     c.total_steps || steps.length,
                     csvEscape(durationStr),
+                    csvEscape(timing ? timing.expectedStr : ''),
                     csvEscape(notes)
                 ].join(','));
             });
 
-            // Download
+            const rangeLabel = this._taDateRange || 'all';
+            this._downloadCSV(rows.join('\n'), `team-activity-${rangeLabel}-${new Date().toISOString().split('T')[0]}.csv`);
+        }
+        
+        /**
+         * Download CSV text (BOM-prefixed so Excel reads UTF-8)
+         */
+        _downloadCSV(csv, filename) {
             const bom = '\uFEFF';
-            const blob = new Blob([bom + rows.join('\n')], { type: 'text/csv;charset=utf-8;' });
+            this._downloadFile(new Blob([bom + csv], { type: 'text/csv;charset=utf-8;' }), filename);
+            this._showNotification('CSV exported', 'success');
+        }
+        
+        _downloadFile(blob, filename) {
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
-            const rangeLabel = this._taDateRange || 'all';
             a.href = url;
-            a.download = `team-activity-${rangeLabel}-${new Date().toISOString().split('T')[0]}.csv`;
+            a.download = filename;
             document.body.appendChild(a);
             a.click();
             document.body.removeChild(a);
             URL.revokeObjectURL(url);
-            this._showNotification('CSV exported', 'success');
         }
         
         // ====================================================================
-        // TASK ASSIGNMENTS (Phase 12F)
+        // AUDIT LOG
         // ====================================================================
-
-        _renderAssignedTasks() {
-            return `
-                <section class="assigned-tasks-section" id="assigned-tasks">
-                    <div class="section-header">
-                        <h3>📌 Assigned Tasks <span class="assigned-badge" id="assigned-badge" style="display:none;"></span></h3>
-                    </div>
-                    <div class="assigned-tasks-content" id="assigned-tasks-content">
-                        <p class="team-activity-loading">Loading assignments...</p>
+        
+        /**
+         * Append to the audit log (no-op if lib/audit-log.js isn't loaded)
+         * @param {string} action - e.g. 'sop.deleted', 'folder.created'
+         * @param {string} type - 'sop' | 'folder' | 'assignment'
+         * @param {Object} item - The SOP / folder / assignment ({ id, title|name })
+         * @param {Array} changes - [{ field, before, after }]
+         * @param {Object} options - Passed to AuditLog.record ({ id, actor })
+         */
+        _recordAudit(action, type, item, changes = [], options = {}) {
+            if (typeof AuditLog === 'undefined' || !item) return;
+            AuditLog.record(action, { type, id: item.id, title: item.title || item.name || '' }, changes, options);
+        }
+        
+        /**
+         * Open the workspace audit log, optionally narrowed to one SOP
+         */
+        async _showAuditLog(sopId = null) {
+            const modal = document.getElementById('audit-modal');
+            if (!modal || typeof AuditLog === 'undefined') return;
+            
+            const list = document.getElementById('audit-list');
+            list.innerHTML = '<p class="empty-message">Loading history...</p>';
+            modal.style.display = 'flex';
+            
+            const hide = () => { modal.style.display = 'none'; };
+            document.getElementById('btn-close-audit').onclick = hide;
+            document.getElementById('btn-done-audit').onclick = hide;
+            modal.onclick = (e) => { if (e.target === modal) hide(); };
+            document.getElementById('btn-export-audit').onclick = () => this._exportAuditCSV();
+            
+            this._auditEntries = await AuditLog.getEntries();
+            
+            // Items: one option per SOP/folder ever logged — deleted ones included
+            const items = new Map();
+            this._auditEntries.forEach(entry => {
+                if (entry.entityType === 'assignment' || !entry.entityId) return;
+                const key = `${entry.entityType}:${entry.entityId}`;
+                if (!items.has(key)) items.set(key, entry);
+            });
+            const itemLabel = (entry) => {
+                const exists = entry.entityType === 'sop'
+                    ? this.state.sops.some(s => s.id === entry.entityId)
+                    : this.state.folders.some(f => f.id === entry.entityId);
+                return `${entry.entityType === 'folder' ? '📁' : '📄'} ${entry.entityTitle || 'Untitled'}${exists ? '' : ' (deleted)'}`;
+            };
+            const itemSelect = document.getElementById('audit-filter-item');
+            itemSelect.innerHTML = '<option value="">All SOPs & folders</option>' +
+                Array.from(items.entries())
+                    .sort((a, b) => (a[1].entityTitle || '').localeCompare(b[1].entityTitle || ''))
+                    .map(([key, entry]) => `<option value="${this._escapeHtml(key)}">${this._escapeHtml(itemLabel(entry))}</option>`)
+                    .join('');
+            if (sopId && items.has(`sop:${sopId}`)) itemSelect.value = `sop:${sopId}`;
+            
+            const actors = [...new Set(this._auditEntries.map(e => AuditLog.getActorLabel(e)))].sort();
+            const actorSelect = document.getElementById('audit-filter-actor');
+            actorSelect.innerHTML = '<option value="">Everyone</option>' +
+                actors.map(a => `<option value="${this._escapeHtml(a)}">${this._escapeHtml(a)}</option>`).join('');
+            
+            ['audit-filter-item', 'audit-filter-type', 'audit-filter-actor', 'audit-filter-range'].forEach(id => {
+                document.getElementById(id).onchange = () => this._renderAuditEntries();
+            });
+            document.getElementById('audit-filter-search').oninput = () => this._renderAuditEntries();
+            
+            this._renderAuditEntries();
+        }
+        
+        _getFilteredAuditEntries() {
+            const filter = {};
+            const item = document.getElementById('audit-filter-item')?.value;
+            if (item) {
+                const [type, ...idParts] = item.split(':');
+                const id = idParts.join(':');
+                const latest = this._auditEntries.find(e => e.entityType === type && e.entityId === id);
+                filter.entityType = type;
+                filter.entityId = id;
+                filter.entityTitle = latest?.entityTitle;
+            }
+            const type = document.getElementById('audit-filter-type')?.value;
+            if (type) filter.entityType = type;
+            filter.actor = document.getElementById('audit-filter-actor')?.value || '';
+            const days = parseInt(document.getElementById('audit-filter-range')?.value, 10);
+            if (days) filter.since = Date.now() - days * 24 * 60 * 60 * 1000;
+            filter.query = document.getElementById('audit-filter-search')?.value || '';
+            
+            return AuditLog.filterEntries(this._auditEntries || [], filter);
+        }
+        
+        _renderAuditEntries() {
+            const list = document.getElementById('audit-list');
+            if (!list) return;
+            
+            const entries = this._getFilteredAuditEntries();
+            if (entries.length === 0) {
+                list.innerHTML = '<p class="empty-message">No changes recorded for this filter.</p>';
+                return;
+            }
+            
+            const MAX_SHOWN = 200;
+            const renderValue = (val) => val === '' || val === null || val === undefined
+                ? '<span class="audit-empty">—</span>'
+                : this._escapeHtml(String(val));
+            
+            list.innerHTML = entries.slice(0, MAX_SHOWN).map(entry => {
+                const when = new Date(entry.at);
+                const changes = entry.changes || [];
+                return `
+                    <div class="audit-entry">
+                        <div class="audit-entry-head">
+                            <span class="audit-action audit-${this._escapeHtml(entry.entityType)}">${this._escapeHtml(AuditLog.getActionLabel(entry.action))}</span>
+                            <span class="audit-title">${this._escapeHtml(entry.entityTitle || 'Untitled')}</span>
+                        </div>
+                        <div class="audit-meta">${this._escapeHtml(AuditLog.getActorLabel(entry))} · ${when.toLocaleDateString()} ${when.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</div>
+                        ${changes.length > 0 ? `
+                        <table class="audit-changes">
+                            <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+                            <tbody>
+                                ${changes.map(c => `
+                                <tr>
+                                    <td class="audit-field">${this._escapeHtml(c.field)}</td>
+                                    <td class="audit-before">${renderValue(c.before)}</td>
+                                    <td class="audit-after">${renderValue(c.after)}</td>
+                                </tr>
+                                `).join('')}
+                            </tbody>
+                        </table>
+                        ` : ''}
                     </div>
-                </section>
-            `;
+                `;
+            }).join('') + (entries.length > MAX_SHOWN
+                ? `<p class="audit-more">Showing the latest ${MAX_SHOWN} of ${entries.length} changes. Export CSV for the full list.</p>`
+                : '');
         }
-
-        async _loadAssignments() {
-            if (!window.SupabaseClient) return;
-            try {
-                const teamMembers = await window.SupabaseClient.fetchTeamMembers();
-                this._teamMembersCache = teamMembers || [];
-
-                const teamId = this.options.teamRole?.teamId || teamMembers?.[0]?.team_id;
-                if (!teamId) {
-                    const el = document.getElementById('assigned-tasks-content');
-                    if (el) el.innerHTML = '<p class="team-activity-empty">No team set up yet.</p>';
-                    return;
-                }
-                const result = await window.SupabaseClient.fetchTeamAssignments(teamId);
-                this._assignmentsData = result?.success ? (result.assignments || []) : [];
-                this._renderAssignedTasksContent();
-            } catch (e) {
-                console.error('[Dashboard] _loadAssignments error:', e);
+        
+        _exportAuditCSV() {
+            const entries = this._getFilteredAuditEntries();
+            if (entries.length === 0) {
+                this._showNotification('No changes in current filter to export', 'error');
+                return;
             }
+            this._downloadCSV(AuditLog.toCSV(entries), `audit-log-${new Date().toISOString().split('T')[0]}.csv`);
         }
-
-        _renderAssignedTasksContent() {
-            const el = document.getElementById('assigned-tasks-content');
-            if (!el) return;
-
-            const assignments = this._assignmentsData || [];
-            const today = new Date().toISOString().split('T')[0];
-
-            // Split into open (assigned) and recently completed
-            const open = assignments.filter(a => a.status === 'assigned');
-            const completed = assignments.filter(a => a.status === 'completed').slice(0, 10);
-
+        
+        // ====================================================================
+        // APPROVAL WORKFLOW
+        // ====================================================================
+        
+        _renderWorkflowBadge(sop) {
+            if (typeof SOPWorkflow === 'undefined') return '';
+            
+            const state = SOPWorkflow.getState(sop);
+            const badges = {
+                in_review: { label: '⏳ In review', title: 'Waiting for an approver' },
+                changes_requested: { label: '✋ Changes requested', title: sop.review?.comment || '' },
+                published_changes: { label: '✏️ Unpublished edits', title: 'Your team still sees the published version' }
+            };
+            const badge = badges[state.key];
+            if (!badge) return '';
+            
+            return `<span class="sop-workflow-badge workflow-${state.key}" title="${this._escapeHtml(badge.title)}">${badge.label}</span>`;
+        }
+        
+        /**
+         * Pull approver decisions from the cloud and apply them to local SOPs
+         */
+        async _syncReviews() {
+            if (typeof SOPWorkflow === 'undefined' || typeof StorageAdapter === 'undefined') return;
+            if (!this.state.sops.some(s => s.review?.state === 'pending')) return;
+            
+            // refresh() re-attaches listeners — one check a minute is plenty
+            if (this._reviewsSyncedAt && Date.now() - this._reviewsSyncedAt < 60000) return;
+            this._reviewsSyncedAt = Date.now();
+            
+            const reviews = await StorageAdapter.getSopReviews();
+            if (!reviews) return;
+            
+            const decided = SOPWorkflow.applyReviews(this.state.sops, reviews);
+            if (decided.length === 0) return;
+            
+            decided.forEach(({ sop }) => this._touchSop(sop));
+            this._saveSops();
+            decided.forEach(({ sop, review }) => {
+                this._recordAudit(
+                    review.state === 'approved' ? 'sop.approved' : 'sop.rejected',
+                    'sop',
+                    sop,
+                    review.comment ? [{ field: 'comment', before: '', after: review.comment }] : [],
+                    { id: `audit_review_${review.id}`, actor: { id: null, email: null, name: review.reviewer || 'Approver' } }
+                );
+            });
+            
+            if (decided.length === 1) {
+                const { sop, review } = decided[0];
+                this._showNotification(review.state === 'approved'
+                    ? `"${sop.title}" was approved by ${review.reviewer || 'an approver'} and is now live`
+                    : `${review.reviewer || 'An approver'} requested changes on "${sop.title}"`,
+                review.state === 'approved' ? 'success' : 'info');
+            } else {
+                this._showNotification(`${decided.length} SOP reviews came back — check the badges on your SOPs`, 'info');
+            }
+            
+            this._applyFiltersAndSort();
+            this.refresh();
+        }
+        
+        /**
+         * Language picker on the team link banner. Shown once any team SOP is
+         * translated; SOPs and new checklists follow the choice.
+         */
+        _renderMemberLanguagePicker() {
+            if (typeof SOPTranslations === 'undefined' || !this.options.teamSOPs?.length) return '';
+            const codes = SOPTranslations.availableLanguages(this.options.teamSOPs);
+            if (codes.length < 2) return '';
+            
+            const current = SOPTranslations.getPreferredLanguage() || SOPTranslations.sourceLanguage(this.options.teamSOPs[0]);
+            return `
+                <label class="team-language" title="Language for SOPs and checklists">
+                    🌐
+                    <select id="member-language" class="team-language-select">
+                        ${codes.map(code => `
+                            <option value="${this._escapeHtml(code)}" ${code === current ? 'selected' : ''}>${this._escapeHtml(SOPTranslations.languageName(code))}</option>
+                        `).join('')}
+                    </select>
+                </label>
+            `;
+        }
+        
+        /**
+         * Approver queue (team link view). Cached so refresh() doesn't refetch.
+         */
+        async _loadPendingReviews(force = false) {
+            const inviteCode = localStorage.getItem('withoutme_team_invite_code');
+            if (!inviteCode || !window.SupabaseClient) return;
+            
+            if (!this._pendingReviews || force) {
+                const result = await SupabaseClient.fetchReviewsByInviteCode(inviteCode);
+                this._pendingReviews = result?.success ? (result.reviews || []) : [];
+            }
+            this._renderPendingReviews();
+        }
+        
+        _renderPendingReviews() {
+            const section = document.getElementById('team-reviews-section');
+            if (!section) return;
+            
+            const reviews = this._pendingReviews || [];
+            if (reviews.length === 0) {
+                section.innerHTML = '';
+                section.style.display = 'none';
+                return;
+            }
+            
+            section.innerHTML = `
+                <section class="team-reviews-banner">
+                    <div class="section-header"><h3>📝 Waiting for your approval (${reviews.length})</h3></div>
+                    <div class="team-reviews-list">
+                        ${reviews.map(r => `
+                            <button type="button" class="team-review-card" data-review-id="${r.id}">
+                                <span class="team-review-title">${this._escapeHtml(r.sop_title)}</span>
+                                <span class="team-review-meta">${r.published ? 'Update' : 'New SOP'} · sent ${new Date(r.submitted_at).toLocaleDateString()}</span>
+                            </button>
+                        `).join('')}
+                    </div>
+                </section>
+            `;
+            section.style.display = 'block';
+            
+            section.querySelectorAll('.team-review-card').forEach(card => {
+                card.addEventListener('click', () => this._showReviewModal(card.dataset.reviewId));
+            });
+        }
+        
+        _showReviewModal(reviewId) {
+            const review = (this._pendingReviews || []).find(r => r.id === reviewId);
+            const modal = document.getElementById('review-modal');
+            const body = document.getElementById('review-body');
+            if (!review || !modal || !body) return;
+            
+            const snapshot = review.snapshot || {};
+            const changes = review.published && typeof AuditLog !== 'undefined'
+                ? AuditLog.diffSop(review.published, snapshot)
+                : [];
+            
+            const steps = this._resolvedSteps(snapshot);
+            const numbers = StepNumbers.number(steps);
+            const stepsHtml = steps.map(step => {
+                if (step.type === 'section') {
+                    return `<li class="review-section">${this._escapeHtml(step.text)}</li>`;
+                }
+                return `<li class="review-step ${step.level === 1 ? 'sub-step' : ''}"><span class="review-step-num">${numbers[step.id]}.</span> ${this._escapeHtml(step.text)}</li>`;
+            }).join('');
+            
+            body.innerHTML = `
+                <div class="review-sop-title">${this._escapeHtml(snapshot.title || review.sop_title)}</div>
+                <p class="review-meta">
+                    ${review.published ? 'Changes to a published SOP — the team keeps the current version until you approve.' : 'New SOP — not visible to the team until you approve.'}
+                    Sent ${new Date(review.submitted_at).toLocaleString()}.
+                </p>
+                ${changes.length > 0 ? `
+                <h4 class="review-heading">What changed</h4>
+                <table class="audit-changes">
+                    <thead><tr><th>Field</th><th>Before</th><th>After</th></tr></thead>
+                    <tbody>
+                        ${changes.map(c => `
+                        <tr>
+                            <td class="audit-field">${this._escapeHtml(c.field)}</td>
+                            <td class="audit-before">${this._escapeHtml(String(c.before ?? '')) || '<span class="audit-empty">—</span>'}</td>
+                            <td class="audit-after">${this._escapeHtml(String(c.after ?? '')) || '<span class="audit-empty">—</span>'}</td>
+                        </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                ` : ''}
+                <h4 class="review-heading">Steps as they will be published</h4>
+                <ul class="review-steps">${stepsHtml}</ul>
+                <label class="review-comment-label" for="review-comment">Comment <span class="review-hint">(required to request changes)</span></label>
+                <textarea id="review-comment" class="form-input" rows="3" maxlength="1000" placeholder="What should change?"></textarea>
+            `;
+            modal.style.display = 'flex';
+            
+            const hide = () => { modal.style.display = 'none'; };
+            document.getElementById('btn-close-review').onclick = hide;
+            modal.onclick = (e) => { if (e.target === modal) hide(); };
+            document.getElementById('btn-approve-review').onclick = () => this._decideReview(review, 'approved');
+            document.getElementById('btn-reject-review').onclick = () => this._decideReview(review, 'rejected');
+        }
+        
+        async _decideReview(review, decision) {
+            const commentEl = document.getElementById('review-comment');
+            const comment = commentEl ? commentEl.value.trim() : '';
+            if (decision === 'rejected' && !comment) {
+                this._showNotification('Add a comment saying what needs to change', 'error');
+                commentEl?.focus();
+                return;
+            }
+            
+            const buttons = ['btn-approve-review', 'btn-reject-review'].map(id => document.getElementById(id));
+            buttons.forEach(btn => { if (btn) btn.disabled = true; });
+            
+            const inviteCode = localStorage.getItem('withoutme_team_invite_code');
+            const result = await SupabaseClient.decideSOPReview(inviteCode, review.id, decision, comment);
+            
+            buttons.forEach(btn => { if (btn) btn.disabled = false; });
+            
+            if (!result.success) {
+                this._showNotification('Could not save your decision: ' + (result.error || 'unknown'), 'error');
+                return;
+            }
+            
+            document.getElementById('review-modal').style.display = 'none';
+            this._pendingReviews = this._pendingReviews.filter(r => r.id !== review.id);
+            this._renderPendingReviews();
+            this._showNotification(decision === 'approved'
+                ? 'Approved — the team sees this version next time they open their link'
+                : 'Sent back with your comments', 'success');
+        }
+        
+        // ====================================================================
+        // TASK ASSIGNMENTS (Phase 12F)
+        // ====================================================================
+
+        _renderAssignedTasks() {
+            return `
+                <section class="assigned-tasks-section" id="assigned-tasks">
+                    <div class="section-header">
+                        <h3>📌 Assigned Tasks <span class="assigned-badge" id="assigned-badge" style="display:none;"></span></h3>
+                    </div>
+                    <div class="assigned-tasks-content" id="assigned-tasks-content">
+                        <p class="team-activity-loading">Loading assignments...</p>
+                    </div>
+                </section>
+            `;
+        }
+
+        async _loadAssignments() {
+            if (!window.SupabaseClient) return;
+            try {
+                const teamMembers = await window.SupabaseClient.fetchTeamMembers();
+                this._teamMembersCache = teamMembers || [];
+
+                const teamId = this.options.teamRole?.teamId || teamMembers?.[0]?.team_id;
+                if (!teamId) {
+                    const el = document.getElementById('assigned-tasks-content');
+                    if (el) el.innerHTML = '<p class="team-activity-empty">No team set up yet.</p>';
+                    return;
+                }
+                const result = await window.SupabaseClient.fetchTeamAssignments(teamId);
+                this._assignmentsData = result?.success ? (result.assignments || []) : [];
+                this._renderAssignedTasksContent();
+            } catch (e) {
+                console.error('[Dashboard] _loadAssignments error:', e);
+            }
+        }
+
+        _renderAssignedTasksContent() {
+            const el = document.getElementById('assigned-tasks-content');
+            if (!el) return;
+
+            const assignments = this._assignmentsData || [];
+            const today = new Date().toISOString().split('T')[0];
+
+            // Split into open (assigned) and recently completed
+            const open = assignments.filter(a => a.status === 'assigned');
+            const completed = assignments.filter(a => a.status === 'completed').slice(0, 10);
+
             // Count overdue
             const overdue = open.filter(a => a.due_date < today);
             const badge = document.getElementById('assigned-badge');
@@ -2776,6 +3670,10 @@
                     if (!confirm('Cancel this assignment?')) return;
                     const ok = await window.SupabaseClient.deleteAssignment(id);
                     if (ok) {
+                        const cancelled = this._assignmentsData.find(a => a.id === id);
+                        this._recordAudit('assignment.cancelled', 'assignment', { id, title: cancelled?.sop_title }, [
+                            { field: 'assigned to', before: cancelled?.member_name || '', after: '' }
+                        ]);
                         this._assignmentsData = this._assignmentsData.filter(a => a.id !== id);
                         this._renderAssignedTasksContent();
                         this._showNotification('Assignment cancelled', 'success');
@@ -2859,6 +3757,10 @@
 
                 if (result.success) {
                     hide();
+                    this._recordAudit('assignment.created', 'assignment', { id: result.id || null, title: sop.title }, [
+                        { field: 'assigned to', before: '', after: memberName },
+                        { field: 'due date', before: '', after: dueDate }
+                    ]);
                     this._showNotification(`Assigned to ${memberName}`, 'success');
                     this._loadAssignments(); // Refresh
                 } else {
@@ -2984,6 +3886,11 @@
             // Filter out owner from the display list
             const displayMembers = members.filter(m => m.role !== 'owner');
             
+            // The editor reads this to offer "Submit for review" instead of "Publish"
+            if (typeof SOPWorkflow !== 'undefined') {
+                SOPWorkflow.setHasApprovers(displayMembers.some(m => m.can_approve));
+            }
+            
             if (displayMembers.length === 0) {
                 listEl.innerHTML = '<p class="team-empty">No team members yet. Share an invite link to get started.</p>';
                 return;
@@ -3000,6 +3907,10 @@
                     <div class="member-info">
                         <span class="member-email">${this._escapeHtml(m.name || 'Unnamed invite')}</span>
                         <span class="member-status status-badge-${m.status}">${m.status}</span>
+                        <button class="member-approver ${m.can_approve ? 'is-approver' : ''}" data-member-id="${m.id}" data-can-approve="${m.can_approve ? '1' : ''}"
+                            title="${m.can_approve ? 'Approves SOP changes before the team sees them — click to remove' : 'Let this person approve SOP changes'}">
+                            ${m.can_approve ? '✅ Approver' : '+ Approver'}
+                        </button>
                     </div>
                     <div class="member-actions">
                         ${inviteLink ? `
@@ -3026,6 +3937,23 @@
                 });
             });
             
+            // Approver toggle
+            listEl.querySelectorAll('.member-approver').forEach(btn => {
+                btn.addEventListener('click', async (e) => {
+                    const memberId = e.currentTarget.dataset.memberId;
+                    const canApprove = !e.currentTarget.dataset.canApprove;
+                    const result = await SupabaseClient.setMemberApprover(memberId, canApprove);
+                    if (result.success) {
+                        this._showNotification(canApprove
+                            ? 'Approver added — SOP changes now need their sign-off'
+                            : 'Approver removed', 'success');
+                        this._loadTeamMembers();
+                    } else {
+                        this._showNotification('Failed: ' + result.error, 'error');
+                    }
+                });
+            });
+            
             // Attach remove listeners
             listEl.querySelectorAll('.member-remove').forEach(btn => {
                 btn.addEventListener('click', async (e) => {
@@ -3087,89 +4015,1106 @@
         }
         
         // ====================================================================
-        // TEMPLATE BROWSER
+        // FILE EXPORT
         // ====================================================================
         
-        _openTemplateModal() {
-            const modal = document.getElementById('template-modal');
-            if (modal) modal.style.display = 'flex';
+        /**
+         * @param {Array} sops - One SOP, or every SOP in a folder
+         * @param {string} name - Names the file
+         */
+        _showExportModal(sops, name) {
+            const modal = document.getElementById('export-modal');
+            if (!modal || typeof SOPExport === 'undefined' || sops.length === 0) return;
+            
+            const hide = () => { modal.style.display = 'none'; };
+            document.getElementById('btn-close-export').onclick = hide;
+            modal.onclick = (e) => { if (e.target === modal) hide(); };
+            
+            document.getElementById('export-summary').innerHTML = sops.length === 1
+                ? `<strong>${this._escapeHtml(sops[0].title)}</strong>`
+                : `<strong>${this._escapeHtml(name)}</strong> — ${sops.length} SOPs in one file`;
+            
+            modal.querySelectorAll('[data-export-format]').forEach(button => {
+                button.onclick = () => {
+                    const format = button.dataset.exportFormat;
+                    try {
+                        const { blob, filename } = SOPExport.exportSops(sops, format, {
+                            folders: this.state.folders,
+                            title: sops.length === 1 ? sops[0].title : name,
+                            library: this.state.sops
+                        });
+                        this._downloadFile(blob, filename);
+                    } catch (e) {
+                        console.error('Dashboard: Export failed:', e);
+                        this._showNotification('Export failed. Please try again.', 'error');
+                        return;
+                    }
+                    hide();
+                    this._showNotification(`Exported as ${SOPExport.FORMATS[format].label}`, 'success');
+                };
+            });
+            
+            modal.style.display = 'flex';
         }
         
-        _closeTemplateModal() {
-            const modal = document.getElementById('template-modal');
-            if (modal) modal.style.display = 'none';
-        }
+        // ====================================================================
+        // FILE IMPORT
+        // ====================================================================
         
-        _selectTemplate(templateId) {
-            const tpl = SOP_TEMPLATES.find(t => t.id === templateId);
-            if (!tpl) return;
-            
-            this._closeTemplateModal();
+        async _handleImportFile(file) {
+            const modal = document.getElementById('import-sops-modal');
+            const preview = document.getElementById('import-preview');
+            if (!modal || !preview) return;
+            
+            const hide = () => {
+                modal.style.display = 'none';
+                this._importState = null;
+            };
+            document.getElementById('btn-close-import').onclick = hide;
+            document.getElementById('btn-cancel-import').onclick = hide;
+            modal.onclick = (e) => { if (e.target === modal) hide(); };
+            document.getElementById('btn-confirm-import').onclick = () => this._importSelected();
             
-            // Check if the template's target folder exists, fall back to general
-            const folderExists = this.state.folders.some(f => f.id === tpl.folderId);
+            preview.innerHTML = `<p class="empty-message">Reading ${this._escapeHtml(file.name)}...</p>`;
+            document.getElementById('btn-confirm-import').disabled = true;
+            modal.style.display = 'flex';
             
-            if (this.callbacks.onCreateSOP) {
-                this.callbacks.onCreateSOP({
-                    title: tpl.title,
-                    description: tpl.description,
-                    folderId: folderExists ? tpl.folderId : 'general',
-                    steps: tpl.steps.map(s => ({ text: s.text, note: s.note || '' })),
-                    tags: tpl.tags || []
-                });
+            try {
+                const result = await SOPImport.parseFile(file);
+                this._importState = { result, split: true };
+            } catch (e) {
+                hide();
+                this._showNotification(e.message || 'Could not read that file', 'error');
+                return;
             }
+            
+            // JSON exports remember their folders; otherwise default to the folder being viewed
+            const current = this.state.selectedFolderId;
+            const hasFolders = this._importState.result.sops.some(sop => sop.folderName);
+            document.getElementById('import-folder').innerHTML = `
+                ${hasFolders ? '<option value="" selected>📂 Same folders as in the file</option>' : ''}
+                ${this.state.folders.map(folder => `
+                    <option value="${folder.id}" ${!hasFolders && folder.id === current ? 'selected' : ''}>${folder.icon || '📁'} ${this._escapeHtml(folder.name)}</option>
+                `).join('')}
+            `;
+            
+            this._renderImportPreview();
         }
         
-        _attachTemplateModalListeners() {
-            document.getElementById('btn-close-template-modal')?.addEventListener('click', () => this._closeTemplateModal());
+        /**
+         * The SOPs on offer: split per procedure, or the whole file as one
+         */
+        _getImportCandidates() {
+            const { result, split } = this._importState;
+            return split || !result.single ? result.sops : [result.single];
+        }
+        
+        _renderImportPreview() {
+            const preview = document.getElementById('import-preview');
+            if (!preview || !this._importState) return;
+            
+            const { result, split } = this._importState;
+            const candidates = this._getImportCandidates();
+            
+            preview.innerHTML = `
+                <p class="import-file">From <strong>${this._escapeHtml(result.fileName)}</strong> — everything is saved as a draft.</p>
+                ${result.single ? `
+                <label class="import-split">
+                    <input type="checkbox" id="import-split" ${split ? 'checked' : ''} />
+                    Split into ${result.sops.length} SOPs by heading
+                </label>
+                ` : ''}
+                ${result.warnings.length > 0 ? `
+                <ul class="import-warnings">
+                    ${result.warnings.map(w => `<li>⚠️ ${this._escapeHtml(w)}</li>`).join('')}
+                </ul>
+                ` : ''}
+                <div class="import-list">
+                    ${candidates.map((sop, i) => {
+                        const stepCount = sop.steps.filter(step => step.type !== 'section').length;
+                        const imageCount = sop.steps.filter(step => step.image).length;
+                        return `
+                            <div class="import-item">
+                                <label class="import-item-header">
+                                    <input type="checkbox" data-import-index="${i}" checked />
+                                    <span class="import-item-title">${this._escapeHtml(sop.title)}</span>
+                                    <span class="import-item-meta">${stepCount} step${stepCount !== 1 ? 's' : ''}${imageCount > 0 ? ` · ${imageCount} image${imageCount !== 1 ? 's' : ''}` : ''}</span>
+                                </label>
+                                <details>
+                                    <summary>Preview</summary>
+                                    ${sop.description ? `<p class="import-item-desc">${this._escapeHtml(sop.description)}</p>` : ''}
+                                    <ol class="import-outline">
+                                        ${sop.steps.map(step => step.type === 'section'
+                                            ? `<li class="import-outline-section">${this._escapeHtml(step.text)}</li>`
+                                            : `<li class="${step.level === 1 ? 'import-outline-sub' : ''}">${this._escapeHtml(step.text)}${step.image ? ' 🖼️' : ''}${step.note ? `<div class="import-outline-note">💡 ${this._escapeHtml(step.note)}</div>` : ''}</li>`
+                                        ).join('')}
+                                    </ol>
+                                </details>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+            `;
             
-            document.getElementById('template-modal')?.addEventListener('click', (e) => {
-                if (e.target.id === 'template-modal') this._closeTemplateModal();
+            document.getElementById('import-split')?.addEventListener('change', (e) => {
+                this._importState.split = e.target.checked;
+                this._renderImportPreview();
             });
+            preview.querySelectorAll('[data-import-index]').forEach(box => {
+                box.addEventListener('change', () => this._updateImportButton());
+            });
+            this._updateImportButton();
+        }
+        
+        _updateImportButton() {
+            const count = document.querySelectorAll('#import-preview [data-import-index]:checked').length;
+            const button = document.getElementById('btn-confirm-import');
+            if (!button) return;
+            button.disabled = count === 0;
+            button.textContent = `Import ${count} SOP${count !== 1 ? 's' : ''}`;
+        }
+        
+        _importSelected() {
+            if (!this._importState) return;
+            
+            const candidates = this._getImportCandidates();
+            const chosen = Array.from(document.querySelectorAll('#import-preview [data-import-index]:checked'))
+                .map(box => candidates[parseInt(box.dataset.importIndex, 10)])
+                .filter(Boolean);
+            if (chosen.length === 0) return;
+            
+            // Empty value: match each SOP's folder from the file by name
+            const selectedFolder = document.getElementById('import-folder')?.value;
+            const folderFor = (sop) => {
+                if (selectedFolder) return selectedFolder;
+                const name = (sop.folderName || '').toLowerCase();
+                return this.state.folders.find(f => f.name.toLowerCase() === name)?.id || 'general';
+            };
+            const fileName = this._importState.result.fileName;
+            const now = Date.now();
+            const created = chosen.map((sop, i) => ({
+                id: `sop_${now}_${i}`,
+                title: sop.title,
+                description: sop.description,
+                folderId: folderFor(sop),
+                steps: sop.steps.map(step => ({ ...step })),
+                tags: sop.tags || [],
+                status: 'draft',
+                createdAt: now,
+                updatedAt: now
+            }));
             
-            document.querySelector('.template-grid')?.addEventListener('click', (e) => {
-                const card = e.target.closest('.template-card');
-                if (card) this._selectTemplate(card.dataset.templateId);
+            this.state.sops.unshift(...created);
+            if (!this._writeVerified(STORAGE_KEYS.SOPS, this.state.sops)) {
+                // Embedded images can push past the browser's storage quota
+                this.state.sops = this.state.sops.filter(sop => !created.includes(sop));
+                this._showNotification('Not enough storage space for this import. Try fewer SOPs or a file with fewer images.', 'error');
+                return;
+            }
+            
+            created.forEach(sop => {
+                this._recordAudit('sop.created', 'sop', sop, [
+                    { field: 'imported from', before: '', after: fileName }
+                ]);
             });
+            
+            document.getElementById('import-sops-modal').style.display = 'none';
+            this._importState = null;
+            this._showNotification(`📥 Imported ${created.length} SOP${created.length !== 1 ? 's' : ''} as drafts`, 'success');
+            this.refresh();
         }
         
         // ====================================================================
-        // NOTIFICATIONS
+        // WORKSPACE BACKUP
         // ====================================================================
         
-        _showNotification(message, type = 'info') {
-            // Use a body-level toast so it survives view switches and re-renders
-            let toast = document.getElementById('app-notification-toast');
-            if (!toast) {
-                toast = document.createElement('div');
-                toast.id = 'app-notification-toast';
-                toast.innerHTML = '<span class="notification-message"></span>';
-                document.body.appendChild(toast);
+        _showBackupModal() {
+            const modal = document.getElementById('backup-modal');
+            if (!modal || typeof WorkspaceBackup === 'undefined') return;
+            
+            const hide = () => {
+                modal.style.display = 'none';
+                this._backupState = null;
+            };
+            document.getElementById('btn-close-backup').onclick = hide;
+            modal.onclick = (e) => { if (e.target === modal) hide(); };
+            
+            const input = document.getElementById('backup-file-input');
+            input.onchange = (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) this._handleBackupFile(file);
+            };
+            
+            this._backupState = null;
+            const counts = WorkspaceBackup.summarize();
+            const signedIn = typeof StorageAdapter !== 'undefined' && StorageAdapter.Auth.isAuthenticated();
+            document.getElementById('backup-body').innerHTML = `
+                <div class="backup-option">
+                    <h4>⬇️ Download backup</h4>
+                    <p>One file with everything in this browser: ${counts.sops} SOP${counts.sops !== 1 ? 's' : ''}, ${counts.folders} folder${counts.folders !== 1 ? 's' : ''}, ${counts.checklists} checklist${counts.checklists !== 1 ? 's' : ''}${counts.images > 0 ? `, ${counts.images} image${counts.images !== 1 ? 's' : ''}` : ''}, version history and settings.</p>
+                    <button class="btn btn-primary" id="btn-download-backup">Download backup</button>
+                </div>
+                <div class="backup-option">
+                    <h4>♻️ Restore from a backup</h4>
+                    <p>You'll see what gets added or overwritten before anything changes.</p>
+                    <button class="btn btn-secondary" id="btn-choose-backup">Choose backup file...</button>
+                </div>
+                ${signedIn ? '' : `
+                <p class="backup-hint">Without an account, your SOPs live only in this browser. Clearing browser data deletes them — keep a backup somewhere safe.</p>
+                `}
+            `;
+            document.getElementById('backup-footer').innerHTML = `
+                <button class="btn btn-secondary" id="btn-done-backup">Close</button>
+            `;
+            
+            document.getElementById('btn-download-backup').onclick = () => this._downloadBackup();
+            document.getElementById('btn-choose-backup').onclick = () => input.click();
+            document.getElementById('btn-done-backup').onclick = hide;
+            
+            modal.style.display = 'flex';
+        }
+        
+        _downloadBackup() {
+            try {
+                const { blob, filename } = WorkspaceBackup.createBackup();
+                this._downloadFile(blob, filename);
+            } catch (e) {
+                console.error('Dashboard: Backup failed:', e);
+                this._showNotification('Backup failed. Please try again.', 'error');
+                return;
             }
+            this._showNotification('💾 Backup downloaded', 'success');
+        }
+        
+        async _handleBackupFile(file) {
+            const body = document.getElementById('backup-body');
+            body.innerHTML = `<p class="empty-message">Reading ${this._escapeHtml(file.name)}...</p>`;
+            document.getElementById('backup-footer').innerHTML = '';
             
-            const msgEl = toast.querySelector('.notification-message');
-            if (!msgEl) return;
+            try {
+                this._backupState = { backup: await WorkspaceBackup.readBackup(file), mode: 'merge' };
+            } catch (e) {
+                this._showBackupModal();
+                this._showNotification(e.message || 'Could not read that file', 'error');
+                return;
+            }
             
-            toast.className = `notification-toast ${type}`;
-            msgEl.textContent = message;
-            toast.style.display = 'block';
+            document.getElementById('backup-footer').innerHTML = `
+                <button class="btn btn-secondary" id="btn-back-backup">Back</button>
+                <button class="btn btn-primary" id="btn-confirm-restore">Restore</button>
+            `;
+            document.getElementById('btn-back-backup').onclick = () => this._showBackupModal();
+            document.getElementById('btn-confirm-restore').onclick = () => this._applyRestore();
             
-            if (toast._hideTimer) clearTimeout(toast._hideTimer);
-            toast._hideTimer = setTimeout(() => {
-                toast.style.display = 'none';
-            }, 3000);
+            this._renderRestorePreview();
         }
         
-        // ====================================================================
-        // STYLES
-        // ====================================================================
+        _renderRestorePreview() {
+            const body = document.getElementById('backup-body');
+            if (!body || !this._backupState) return;
+            
+            const { backup, mode } = this._backupState;
+            const plan = WorkspaceBackup.planRestore(backup, mode);
+            const created = backup.createdAt ? new Date(backup.createdAt) : null;
+            const names = (records) => records.map(r => this._escapeHtml(r.title || r.name || r.sopTitle || r.id)).join(', ');
+            const group = (label, counts) => [
+                counts.added.length > 0 ? `<li class="restore-added">➕ ${counts.added.length} new ${label}: ${names(counts.added)}</li>` : '',
+                counts.overwritten.length > 0 ? `<li class="restore-overwritten">↻ ${counts.overwritten.length} overwritten ${label}: ${names(counts.overwritten)}</li>` : '',
+                counts.removed.length > 0 ? `<li class="restore-removed">✕ ${counts.removed.length} removed ${label}: ${names(counts.removed)}</li>` : ''
+            ].join('');
+            const changes = [group('SOP(s)', plan.sops), group('folder(s)', plan.folders), group('checklist(s)', plan.checklists)].join('');
+            
+            body.innerHTML = `
+                <p class="backup-file">
+                    <strong>${this._escapeHtml(backup.fileName)}</strong>
+                    ${created && !isNaN(created) ? ` — made ${created.toLocaleString()}` : ''}<br>
+                    ${backup.counts.sops} SOPs, ${backup.counts.folders} folders, ${backup.counts.checklists} checklists${backup.counts.images > 0 ? `, ${backup.counts.images} images` : ''}
+                </p>
+                ${backup.warnings.length > 0 ? `
+                <ul class="import-warnings">
+                    ${backup.warnings.map(w => `<li>⚠️ ${this._escapeHtml(w)}</li>`).join('')}
+                </ul>
+                ` : ''}
+                <div class="restore-modes">
+                    <label class="restore-mode">
+                        <input type="radio" name="restore-mode" value="merge" ${mode === 'merge' ? 'checked' : ''} />
+                        <span><strong>Merge</strong> — add what's missing, overwrite matching items, keep everything else</span>
+                    </label>
+                    <label class="restore-mode">
+                        <input type="radio" name="restore-mode" value="replace" ${mode === 'replace' ? 'checked' : ''} />
+                        <span><strong>Replace</strong> — make this browser an exact copy of the backup</span>
+                    </label>
+                </div>
+                ${changes ? `<ul class="restore-changes">${changes}</ul>` : '<p class="empty-message">This browser already matches the backup.</p>'}
+            `;
+            
+            body.querySelectorAll('input[name="restore-mode"]').forEach(radio => {
+                radio.addEventListener('change', (e) => {
+                    this._backupState.mode = e.target.value;
+                    this._renderRestorePreview();
+                });
+            });
+        }
         
-        _injectStyles() {
-            if (document.getElementById('dashboard-styles-v2')) return;
+        _applyRestore() {
+            if (!this._backupState) return;
+            
+            const { backup, mode } = this._backupState;
+            if (mode === 'replace') {
+                const removed = WorkspaceBackup.planRestore(backup, mode).sops.removed.length;
+                const warning = removed > 0
+                    ? `Replace everything in this browser with the backup?\n\n${removed} SOP${removed !== 1 ? 's' : ''} not in the backup will be deleted.`
+                    : 'Replace everything in this browser with the backup?';
+                if (!confirm(warning)) return;
+            }
             
-            const styles = document.createElement('style');
-            styles.id = 'dashboard-styles-v2';
-            styles.textContent = `
+            let plan;
+            try {
+                plan = WorkspaceBackup.restore(backup, mode);
+            } catch (e) {
+                this._showNotification(e.message || 'Restore failed', 'error');
+                return;
+            }
+            
+            const source = [{ field: 'restored from', before: '', after: backup.fileName }];
+            plan.sops.added.forEach(sop => this._recordAudit('sop.created', 'sop', sop, source));
+            plan.sops.overwritten.forEach(sop => this._recordAudit('sop.updated', 'sop', sop, source));
+            plan.sops.removed.forEach(sop => {
+                this._recordAudit('sop.deleted', 'sop', sop, source);
+                if (this.callbacks.onDeleteSOP) this.callbacks.onDeleteSOP(sop);
+            });
+            plan.folders.added.forEach(folder => this._recordAudit('folder.created', 'folder', folder, source));
+            plan.folders.overwritten.forEach(folder => this._recordAudit('folder.updated', 'folder', folder, source));
+            plan.folders.removed.forEach(folder => this._recordAudit('folder.deleted', 'folder', folder, source));
+            
+            document.getElementById('backup-modal').style.display = 'none';
+            this._backupState = null;
+            this._showNotification(`♻️ Restored ${plan.sops.added.length + plan.sops.overwritten.length} SOP${plan.sops.added.length + plan.sops.overwritten.length !== 1 ? 's' : ''} from backup`, 'success');
+            this.refresh();
+        }
+        
+        // ====================================================================
+        // COMMAND PALETTE & SHORTCUTS
+        // ====================================================================
+        
+        _isShown() {
+            return !!this.container.querySelector('.dashboard-layout');
+        }
+        
+        _registerCommands() {
+            if (typeof CommandPalette === 'undefined') return;
+            CommandPalette.register('dashboard', {
+                label: 'Dashboard',
+                isActive: () => this._isShown(),
+                commands: () => this._getCommands(),
+                shortcuts: [
+                    { keys: ['j'], description: 'Next SOP' },
+                    { keys: ['k'], description: 'Previous SOP' },
+                    { keys: ['Enter'], description: 'Open the selected SOP (run it, for team SOPs)' }
+                ]
+            });
+        }
+        
+        /**
+         * Palette entries: actions first, then folders, then every SOP's actions
+         */
+        _getCommands() {
+            const isTeamMember = this.options.teamRole?.role === 'member';
+            const isTeamOwner = this.options.teamRole?.role === 'owner';
+            const commands = [];
+            
+            if (!isTeamMember) {
+                commands.push({ group: 'Action', title: 'New SOP', keywords: 'create add', run: () => document.getElementById('btn-create-sop')?.click() });
+                commands.push({ group: 'Action', title: 'Start from template', run: () => this._openTemplateModal() });
+                if (typeof SOPImport !== 'undefined') {
+                    commands.push({ group: 'Action', title: 'Import SOPs from a file', run: () => document.getElementById('import-sops-input')?.click() });
+                }
+                if (typeof SOPFindReplace !== 'undefined') {
+                    commands.push({ group: 'Action', title: 'Find and replace across SOPs', run: () => this._showFindReplaceModal() });
+                }
+                if (typeof LibraryOrganizer !== 'undefined') {
+                    commands.push({ group: 'Action', title: 'Organize library with AI', keywords: 'tags folders sort', run: () => this._showOrganizeModal() });
+                }
+                if (typeof WorkspaceBackup !== 'undefined') {
+                    commands.push({ group: 'Action', title: 'Backup & restore', run: () => this._showBackupModal() });
+                }
+                commands.push({ group: 'Action', title: 'Audit log', keywords: 'history changes', run: () => this._showAuditLog() });
+            }
+            
+            const goToFolder = (folderId) => {
+                this.state.selectedFolderId = folderId;
+                this._applyFiltersAndSort();
+                this.refresh();
+            };
+            commands.push({ group: 'Folder', title: 'All SOPs', keywords: 'folders everything', run: () => goToFolder(null) });
+            this.state.folders.forEach(folder => {
+                commands.push({ group: 'Folder', title: folder.name, hint: 'Switch folder', run: () => goToFolder(folder.id) });
+            });
+            
+            this.state.sops.forEach(sop => {
+                const title = sop.title || 'Untitled SOP';
+                const run = (action) => () => this._handleSopAction(action, sop.id);
+                if (!sop._teamSop) {
+                    commands.push({ group: 'SOP', title, hint: 'Edit', keywords: (sop.tags || []).join(' '), run: run('edit') });
+                }
+                commands.push({ group: 'SOP', title: `Run checklist: ${title}`, hint: 'Run', run: run('checklist') });
+                commands.push({ group: 'SOP', title: `Print: ${title}`, hint: 'Print', run: run('print') });
+                if (isTeamOwner && !sop._teamSop) {
+                    commands.push({ group: 'SOP', title: `Assign: ${title}`, hint: 'Assign', run: run('assign') });
+                }
+            });
+            
+            return commands;
+        }
+        
+        /**
+         * j / k move a highlight through the visible SOP cards, Enter opens it
+         */
+        _attachShortcuts() {
+            if (this._shortcutHandler) {
+                document.removeEventListener('keydown', this._shortcutHandler);
+            }
+            this._shortcutHandler = (e) => {
+                if (!this._isShown() || e.ctrlKey || e.metaKey || e.altKey) return;
+                if (typeof CommandPalette !== 'undefined' && (CommandPalette.isOpen() || CommandPalette.isTyping(e))) return;
+                if (document.querySelector('.modal-overlay[style*="flex"]')) return;
+                
+                const cards = [...this.container.querySelectorAll('.sop-card')].filter(card => card.offsetParent !== null);
+                const current = cards.findIndex(card => card.classList.contains('kb-focus'));
+                
+                if (e.key === 'j' || e.key === 'k') {
+                    if (cards.length === 0) return;
+                    e.preventDefault();
+                    const next = current === -1
+                        ? (e.key === 'j' ? 0 : cards.length - 1)
+                        : Math.min(cards.length - 1, Math.max(0, current + (e.key === 'j' ? 1 : -1)));
+                    cards.forEach(card => card.classList.remove('kb-focus'));
+                    cards[next].classList.add('kb-focus');
+                    cards[next].scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+                } else if (e.key === 'Enter' && current !== -1 && e.target === document.body) {
+                    e.preventDefault();
+                    const sop = this.state.sops.find(s => s.id === cards[current].dataset.sopId);
+                    if (sop) this._handleSopAction(sop._teamSop ? 'checklist' : 'edit', sop.id);
+                }
+            };
+            document.addEventListener('keydown', this._shortcutHandler);
+        }
+        
+        // ====================================================================
+        // FIND & REPLACE
+        // ====================================================================
+        
+        _showFindReplaceModal() {
+            const modal = document.getElementById('find-replace-modal');
+            if (!modal || typeof SOPFindReplace === 'undefined') return;
+            
+            const hide = () => {
+                modal.style.display = 'none';
+                this._findState = null;
+            };
+            document.getElementById('btn-close-find-replace').onclick = hide;
+            modal.onclick = (e) => { if (e.target === modal) hide(); };
+            
+            const search = () => this._runFindReplace();
+            document.getElementById('btn-fr-search').onclick = search;
+            ['fr-find', 'fr-replace'].forEach(id => {
+                document.getElementById(id).onkeydown = (e) => {
+                    if (e.key === 'Enter') {
+                        e.preventDefault();
+                        search();
+                    }
+                };
+            });
+            // Options change what matches — re-run a search that's already showing
+            ['fr-match-case', 'fr-regex'].forEach(id => {
+                document.getElementById(id).onchange = () => {
+                    if (this._findState) search();
+                };
+            });
+            
+            const results = document.getElementById('fr-results');
+            results.onchange = (e) => {
+                if (!this._findState) return;
+                const { excluded, matches } = this._findState;
+                const matchBox = e.target.closest('[data-match-key]');
+                const sopBox = e.target.closest('[data-fr-sop]');
+                if (matchBox) {
+                    if (matchBox.checked) excluded.delete(matchBox.dataset.matchKey);
+                    else excluded.add(matchBox.dataset.matchKey);
+                } else if (sopBox) {
+                    matches.filter(m => m.sopId === sopBox.dataset.frSop).forEach(m => {
+                        if (sopBox.checked) excluded.delete(m.key);
+                        else excluded.add(m.key);
+                    });
+                } else {
+                    return;
+                }
+                this._renderFindResults();
+            };
+            
+            this._findState = null;
+            results.innerHTML = '<p class="fr-hint">Searches SOP titles, descriptions, step text and step notes. You can review every match before anything changes.</p>';
+            this._renderFindFooter();
+            
+            modal.style.display = 'flex';
+            document.getElementById('fr-find').focus();
+        }
+        
+        _runFindReplace() {
+            const query = document.getElementById('fr-find').value;
+            const replacement = document.getElementById('fr-replace').value;
+            const options = {
+                regex: document.getElementById('fr-regex').checked,
+                matchCase: document.getElementById('fr-match-case').checked
+            };
+            
+            this._findState = { query, replacement, options, matches: [], truncated: false, excluded: new Set(), error: null };
+            if (query) {
+                try {
+                    Object.assign(this._findState, SOPFindReplace.findMatches(this.state.sops, query, replacement, options));
+                } catch (e) {
+                    this._findState.error = e.message;
+                }
+            }
+            this._renderFindResults();
+        }
+        
+        _renderFindResults() {
+            const results = document.getElementById('fr-results');
+            if (!results || !this._findState) return;
+            
+            const { query, matches, truncated, excluded, error } = this._findState;
+            if (error) {
+                results.innerHTML = `<p class="fr-error">⚠️ ${this._escapeHtml(error)}</p>`;
+            } else if (!query) {
+                results.innerHTML = '<p class="fr-hint">Type something to find.</p>';
+            } else if (matches.length === 0) {
+                results.innerHTML = '<p class="empty-message">No matches.</p>';
+            } else {
+                const bySop = new Map();
+                matches.forEach(m => {
+                    if (!bySop.has(m.sopId)) bySop.set(m.sopId, []);
+                    bySop.get(m.sopId).push(m);
+                });
+                
+                results.innerHTML = `
+                    <p class="fr-summary">${matches.length}${truncated ? '+' : ''} match${matches.length !== 1 ? 'es' : ''} in ${bySop.size} SOP${bySop.size !== 1 ? 's' : ''}${truncated ? ` — showing the first ${SOPFindReplace.MAX_MATCHES}, narrow the search to see the rest` : ''}</p>
+                    ${[...bySop.entries()].map(([sopId, sopMatches]) => {
+                        const sop = this.state.sops.find(s => s.id === sopId);
+                        const included = sopMatches.filter(m => !excluded.has(m.key)).length;
+                        return `
+                            <div class="fr-sop">
+                                <label class="fr-sop-title">
+                                    <input type="checkbox" data-fr-sop="${this._escapeHtml(sopId)}" ${included > 0 ? 'checked' : ''} />
+                                    <strong>${this._escapeHtml(sopMatches[0].sopTitle)}</strong>
+                                    <span class="fr-sop-count">${included} of ${sopMatches.length}</span>
+                                </label>
+                                ${sopMatches.map(m => {
+                                    const around = SOPFindReplace.context(sop, m);
+                                    return `
+                                        <label class="fr-match${excluded.has(m.key) ? ' excluded' : ''}">
+                                            <input type="checkbox" data-match-key="${this._escapeHtml(m.key)}" ${excluded.has(m.key) ? '' : 'checked'} />
+                                            <span class="fr-field">${SOPFindReplace.fieldLabel(m)}</span>
+                                            <span class="fr-preview">${this._escapeHtml(around.before)}<del>${this._escapeHtml(m.match)}</del><ins>${this._escapeHtml(m.replacement)}</ins>${this._escapeHtml(around.after)}</span>
+                                        </label>
+                                    `;
+                                }).join('')}
+                            </div>
+                        `;
+                    }).join('')}
+                `;
+                // Indeterminate can only be set from script
+                results.querySelectorAll('[data-fr-sop]').forEach(box => {
+                    const sopMatches = matches.filter(m => m.sopId === box.dataset.frSop);
+                    const included = sopMatches.filter(m => !excluded.has(m.key)).length;
+                    box.indeterminate = included > 0 && included < sopMatches.length;
+                });
+            }
+            this._renderFindFooter();
+        }
+        
+        _renderFindFooter() {
+            const footer = document.getElementById('find-replace-footer');
+            if (!footer) return;
+            
+            const selected = this._findState && !this._findState.error
+                ? this._findState.matches.filter(m => !this._findState.excluded.has(m.key))
+                : [];
+            const sopCount = new Set(selected.map(m => m.sopId)).size;
+            footer.innerHTML = `
+                <button class="btn btn-secondary" id="btn-cancel-find-replace">Close</button>
+                <button class="btn btn-primary" id="btn-apply-find-replace" ${selected.length === 0 ? 'disabled' : ''}>
+                    Replace ${selected.length} in ${sopCount} SOP${sopCount !== 1 ? 's' : ''}
+                </button>
+            `;
+            document.getElementById('btn-cancel-find-replace').onclick = () => {
+                document.getElementById('find-replace-modal').style.display = 'none';
+                this._findState = null;
+            };
+            document.getElementById('btn-apply-find-replace').onclick = () => this._applyFindReplace();
+        }
+        
+        /**
+         * Replace the selected matches. Every SOP that changes is snapshotted
+         * into version history first, gets a new revision and an audit entry —
+         * the same as saving it in the editor — then all are saved together.
+         */
+        _applyFindReplace() {
+            if (!this._findState || this._findState.error) return;
+            
+            const { query, replacement, matches, excluded } = this._findState;
+            const selected = matches.filter(m => !excluded.has(m.key));
+            if (selected.length === 0) return;
+            
+            const sopIds = new Set(selected.map(m => m.sopId));
+            if (!confirm(`Replace ${selected.length} match${selected.length !== 1 ? 'es' : ''} in ${sopIds.size} SOP${sopIds.size !== 1 ? 's' : ''}?\n\nThe current version of each SOP is saved to its version history first.`)) return;
+            
+            const now = Date.now();
+            const changed = [];
+            const previous = this.state.sops;
+            this.state.sops = previous.map(sop => {
+                if (!sopIds.has(sop.id)) return sop;
+                const replaced = SOPFindReplace.applyMatches(sop, selected);
+                if (replaced === sop) return sop;
+                const next = { ...replaced, revision: (sop.revision || 0) + 1, updatedAt: now };
+                changed.push({ before: sop, after: next });
+                return next;
+            });
+            
+            // A failed write leaves the stored SOPs as they were — only memory to undo
+            if (!this._writeVerified(STORAGE_KEYS.SOPS, this.state.sops)) {
+                this.state.sops = previous;
+                this._showNotification('Not enough storage space to save the changes.', 'error');
+                return;
+            }
+            
+            changed.forEach(({ before, after }) => {
+                if (typeof SOPHistory !== 'undefined') SOPHistory.snapshot(before);
+                this._recordAudit('sop.updated', 'sop', after, [
+                    ...(typeof AuditLog !== 'undefined' ? AuditLog.diffSop(before, after) : []),
+                    { field: 'find & replace', before: query, after: replacement }
+                ]);
+            });
+            
+            document.getElementById('find-replace-modal').style.display = 'none';
+            this._findState = null;
+            this._showNotification(`🔎 Replaced ${selected.length} match${selected.length !== 1 ? 'es' : ''} in ${changed.length} SOP${changed.length !== 1 ? 's' : ''}`, 'success');
+            this.refresh();
+        }
+        
+        // ====================================================================
+        // ORGANIZE LIBRARY (AI, lib/library-organizer.js)
+        // ====================================================================
+        
+        _showOrganizeModal() {
+            const modal = document.getElementById('organize-modal');
+            if (!modal || typeof LibraryOrganizer === 'undefined') return;
+            
+            // Pro feature gate — the AI endpoint requires Pro
+            if (typeof PaddleBilling !== 'undefined' && !PaddleBilling.isPro()) {
+                PaddleBilling.showUpgradePrompt('AI library organizing');
+                return;
+            }
+            if (this.state.sops.length === 0) {
+                this._showNotification('Add some SOPs first — there is nothing to organize yet.', 'info');
+                return;
+            }
+            
+            // Closing drops the run; replies still on their way are ignored
+            const hide = () => {
+                modal.style.display = 'none';
+                this._organizeState = null;
+            };
+            document.getElementById('btn-close-organize').onclick = hide;
+            modal.onclick = (e) => { if (e.target === modal) hide(); };
+            
+            document.getElementById('organize-results').onchange = (e) => {
+                const run = this._organizeState;
+                if (!run || run.phase !== 'review') return;
+                const box = e.target.closest('[data-organize-part]');
+                const all = e.target.closest('[data-organize-all]');
+                if (box) {
+                    run.accepted[box.dataset.organizeSop][box.dataset.organizePart] = box.checked;
+                } else if (all) {
+                    const part = all.dataset.organizeAll;
+                    run.proposals.filter(p => this._organizeHasPart(p, part)).forEach(p => {
+                        run.accepted[p.sopId][part] = all.checked;
+                    });
+                } else {
+                    return;
+                }
+                this._renderOrganize();
+            };
+            
+            this._organizeState = {
+                phase: 'intro',
+                total: this.state.sops.length,
+                done: 0,
+                proposals: [],
+                accepted: {},
+                error: null
+            };
+            this._renderOrganize();
+            modal.style.display = 'flex';
+        }
+        
+        _organizeHasPart(proposal, part) {
+            return part === 'folder' ? Boolean(proposal.toFolderId || proposal.newFolder) : proposal.addTags.length > 0;
+        }
+        
+        /**
+         * POST to /api/ai and resolve with the JSON reply. Throws when the
+         * request fails; a quota refusal carries the server's message as
+         * `userMessage`.
+         */
+        async _requestAI(body) {
+            const headers = { 'Content-Type': 'application/json' };
+            if (typeof SupabaseClient !== 'undefined' && SupabaseClient) {
+                try {
+                    const { session } = await SupabaseClient.getSession();
+                    if (session?.access_token) headers['Authorization'] = `Bearer ${session.access_token}`;
+                } catch (e) { /* proceed without auth — server will reject */ }
+            }
+            
+            const response = await fetch('/api/ai', {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body)
+            });
+            if (typeof AIQuota !== 'undefined') AIQuota.remember(response.headers);
+            
+            if (!response.ok) {
+                const error = new Error(`API error: ${response.status}`);
+                if (response.status === 429) {
+                    const data = await response.json().catch(() => ({}));
+                    error.userMessage = data.error || 'AI limit reached. Try again later.';
+                }
+                throw error;
+            }
+            return response.json();
+        }
+        
+        /**
+         * Send the library to AI in batches. Each batch is told about the
+         * folders proposed so far, so related SOPs end up in the same new one.
+         * If a batch fails, the proposals already in can still be reviewed.
+         */
+        async _runOrganize() {
+            const run = this._organizeState;
+            if (!run || run.phase !== 'intro') return;
+            
+            if (typeof AIQuota !== 'undefined') {
+                const { blocked } = AIQuota.check('organize');
+                if (blocked) {
+                    this._showNotification(blocked, 'error');
+                    return;
+                }
+            }
+            
+            run.phase = 'running';
+            this._renderOrganize();
+            
+            const folders = this.state.folders;
+            const newNames = [];
+            for (const batch of LibraryOrganizer.batches(this.state.sops)) {
+                let data;
+                try {
+                    data = await this._requestAI({
+                        action: 'organize',
+                        sops: batch.map(LibraryOrganizer.summarize),
+                        folders: LibraryOrganizer.folderList(folders, newNames),
+                        businessType: localStorage.getItem('withoutme_business_type') || ''
+                    });
+                } catch (e) {
+                    console.error('[Organize] Error:', e);
+                    run.error = e.userMessage || 'AI couldn\'t finish reading your SOPs. Try again in a moment.';
+                    break;
+                }
+                if (this._organizeState !== run) return;
+                
+                (data.proposals || []).forEach(reply => {
+                    const sop = batch.find(s => s.id === reply.sopId);
+                    const proposal = sop && LibraryOrganizer.proposalFor(sop, reply, folders);
+                    if (!proposal || run.accepted[sop.id]) return;
+                    run.proposals.push(proposal);
+                    run.accepted[sop.id] = {
+                        folder: this._organizeHasPart(proposal, 'folder'),
+                        tags: this._organizeHasPart(proposal, 'tags')
+                    };
+                });
+                LibraryOrganizer.newFolderNames(run.proposals).forEach(name => {
+                    if (!newNames.includes(name)) newNames.push(name);
+                });
+                run.done += batch.length;
+                this._renderOrganize();
+            }
+            
+            if (this._organizeState !== run) return;
+            run.phase = 'review';
+            this._renderOrganize();
+            if (typeof gtag === 'function') gtag('event', 'ai_organize_used', { sop_count: run.done, proposal_count: run.proposals.length });
+        }
+        
+        _renderOrganize() {
+            const results = document.getElementById('organize-results');
+            const footer = document.getElementById('organize-footer');
+            const run = this._organizeState;
+            if (!results || !footer || !run) return;
+            
+            const folderName = (id) => this.state.folders.find(f => f.id === id)?.name || 'Uncategorized';
+            const plural = (n, word) => `${n} ${word}${n !== 1 ? 's' : ''}`;
+            let action = '';
+            
+            if (run.phase === 'intro') {
+                const requests = LibraryOrganizer.batches(this.state.sops).length;
+                const weight = typeof AIQuota !== 'undefined' ? AIQuota.current()?.weights?.organize : null;
+                results.innerHTML = `
+                    <p class="organize-hint">AI reads the title, description, tags and first steps of your ${plural(run.total, 'SOP')} and suggests tags and a folder for each — new folders too, where several SOPs share a topic.</p>
+                    <p class="organize-hint">Nothing changes until you've reviewed the suggestions and accepted them.${weight ? ` Uses ${plural(requests * weight, 'AI credit')}.` : ''}</p>
+                `;
+                action = '<button class="btn btn-primary" id="btn-run-organize">✨ Suggest Tags & Folders</button>';
+            } else if (run.phase === 'running') {
+                results.innerHTML = `
+                    <p class="organize-progress">⏳ Reading SOPs… ${run.done} of ${run.total}</p>
+                    ${run.proposals.length > 0 ? `<p class="organize-hint">${plural(run.proposals.length, 'suggestion')} so far</p>` : ''}
+                `;
+            } else if (run.proposals.length === 0) {
+                results.innerHTML = run.error
+                    ? `<p class="organize-error">⚠️ ${this._escapeHtml(run.error)}</p>`
+                    : '<p class="empty-message">Your library already looks organized — AI has nothing to suggest.</p>';
+            } else {
+                const { proposals, accepted } = run;
+                const newNames = LibraryOrganizer.newFolderNames(proposals);
+                const chosen = proposals.filter(p => accepted[p.sopId].folder || accepted[p.sopId].tags).length;
+                results.innerHTML = `
+                    ${run.error ? `<p class="organize-error">⚠️ ${this._escapeHtml(run.error)} Showing suggestions for the first ${run.done} of ${run.total} SOPs.</p>` : ''}
+                    <p class="organize-summary">${plural(proposals.length, 'SOP')} with suggestions${newNames.length > 0 ? `, including ${plural(newNames.length, 'new folder')}: ${newNames.map(n => this._escapeHtml(n)).join(', ')}` : ''}. Untick anything you don't want.</p>
+                    <table class="organize-table">
+                        <thead>
+                            <tr>
+                                <th>SOP</th>
+                                <th><label><input type="checkbox" data-organize-all="folder" /> Folder</label></th>
+                                <th><label><input type="checkbox" data-organize-all="tags" /> Add tags</label></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            ${proposals.map(p => {
+                                const choice = accepted[p.sopId];
+                                const sopId = this._escapeHtml(p.sopId);
+                                return `
+                                    <tr class="${choice.folder || choice.tags ? '' : 'excluded'}">
+                                        <td class="organize-sop">${this._escapeHtml(p.sopTitle)}</td>
+                                        <td>
+                                            ${this._organizeHasPart(p, 'folder') ? `
+                                            <label class="organize-choice${choice.folder ? '' : ' excluded'}">
+                                                <input type="checkbox" data-organize-sop="${sopId}" data-organize-part="folder" ${choice.folder ? 'checked' : ''} />
+                                                <span>${this._escapeHtml(folderName(p.fromFolderId))} → <strong>${this._escapeHtml(p.newFolder || folderName(p.toFolderId))}</strong>${p.newFolder ? ' <span class="organize-new">new</span>' : ''}</span>
+                                            </label>
+                                            ` : `<span class="organize-none">Stays in ${this._escapeHtml(folderName(p.fromFolderId))}</span>`}
+                                        </td>
+                                        <td>
+                                            ${this._organizeHasPart(p, 'tags') ? `
+                                            <label class="organize-choice${choice.tags ? '' : ' excluded'}">
+                                                <input type="checkbox" data-organize-sop="${sopId}" data-organize-part="tags" ${choice.tags ? 'checked' : ''} />
+                                                <span>${p.addTags.map(tag => `<span class="tag">#${this._escapeHtml(tag)}</span>`).join(' ')}</span>
+                                            </label>
+                                            ` : '<span class="organize-none">—</span>'}
+                                        </td>
+                                    </tr>
+                                `;
+                            }).join('')}
+                        </tbody>
+                    </table>
+                `;
+                // Header boxes: checked when every row's part is, indeterminate when some are
+                results.querySelectorAll('[data-organize-all]').forEach(box => {
+                    const part = box.dataset.organizeAll;
+                    const rows = proposals.filter(p => this._organizeHasPart(p, part));
+                    const on = rows.filter(p => accepted[p.sopId][part]).length;
+                    box.checked = rows.length > 0 && on === rows.length;
+                    box.indeterminate = on > 0 && on < rows.length;
+                    box.disabled = rows.length === 0;
+                });
+                action = `
+                    <button class="btn btn-primary" id="btn-apply-organize" ${chosen === 0 ? 'disabled' : ''}>
+                        Apply to ${plural(chosen, 'SOP')}
+                    </button>
+                `;
+            }
+            
+            footer.innerHTML = `
+                <button class="btn btn-secondary" id="btn-cancel-organize">${run.phase === 'review' ? 'Close' : 'Cancel'}</button>
+                ${action}
+            `;
+            document.getElementById('btn-cancel-organize').onclick = () => {
+                document.getElementById('organize-modal').style.display = 'none';
+                this._organizeState = null;
+            };
+            const runBtn = document.getElementById('btn-run-organize');
+            if (runBtn) runBtn.onclick = () => this._runOrganize();
+            const applyBtn = document.getElementById('btn-apply-organize');
+            if (applyBtn) applyBtn.onclick = () => this._applyOrganize();
+        }
+        
+        /**
+         * Apply the accepted suggestions. New folders are only created when a
+         * SOP is actually moving into them. Every SOP that changes is
+         * snapshotted into version history first, gets a new revision and an
+         * audit entry — the same as saving it in the editor.
+         */
+        _applyOrganize() {
+            const run = this._organizeState;
+            if (!run || run.phase !== 'review') return;
+            
+            const chosen = run.proposals.filter(p => run.accepted[p.sopId].folder || run.accepted[p.sopId].tags);
+            if (chosen.length === 0) return;
+            const newNames = LibraryOrganizer.newFolderNames(chosen.filter(p => run.accepted[p.sopId].folder));
+            const plural = (n, word) => `${n} ${word}${n !== 1 ? 's' : ''}`;
+            if (!confirm(`Apply suggestions to ${plural(chosen.length, 'SOP')}${newNames.length > 0 ? ` and create ${plural(newNames.length, 'folder')}` : ''}?\n\nThe current version of each SOP is saved to its version history first.`)) return;
+            
+            const now = Date.now();
+            const previousSops = this.state.sops;
+            const previousFolders = this.state.folders;
+            const createdFolders = {};
+            const created = newNames.map((name, i) => {
+                const folder = {
+                    id: `folder_${now}_${i}`,
+                    name,
+                    color: FOLDER_COLORS[(previousFolders.length + i) % FOLDER_COLORS.length],
+                    icon: '📁',
+                    order: previousFolders.length + i,
+                    createdAt: now
+                };
+                createdFolders[name.toLowerCase()] = folder.id;
+                return folder;
+            });
+            
+            const byId = new Map(chosen.map(p => [p.sopId, p]));
+            const changed = [];
+            this.state.folders = [...previousFolders, ...created];
+            this.state.sops = previousSops.map(sop => {
+                const proposal = byId.get(sop.id);
+                if (!proposal) return sop;
+                const organized = LibraryOrganizer.applyProposal(sop, proposal, run.accepted[sop.id], createdFolders);
+                if (organized === sop) return sop;
+                const next = { ...organized, revision: (sop.revision || 0) + 1, updatedAt: now };
+                changed.push({ before: sop, after: next });
+                return next;
+            });
+            
+            if (!this._writeVerified(STORAGE_KEYS.FOLDERS, this.state.folders) ||
+                !this._writeVerified(STORAGE_KEYS.SOPS, this.state.sops)) {
+                // The SOP write failed without changing the stored copy; the folders may have landed
+                this.state.sops = previousSops;
+                this.state.folders = previousFolders;
+                this._saveFolders();
+                this._showNotification('Not enough storage space to save the changes.', 'error');
+                return;
+            }
+            
+            created.forEach(folder => {
+                this._recordAudit('folder.created', 'folder', folder, [
+                    { field: 'name', before: '', after: folder.name }
+                ]);
+            });
+            const folderName = id => this.state.folders.find(f => f.id === id)?.name || id;
+            changed.forEach(({ before, after }) => {
+                if (typeof SOPHistory !== 'undefined') SOPHistory.snapshot(before);
+                this._recordAudit('sop.updated', 'sop', after,
+                    typeof AuditLog !== 'undefined' ? AuditLog.diffSop(before, after, { folderName }) : []);
+            });
+            
+            document.getElementById('organize-modal').style.display = 'none';
+            this._organizeState = null;
+            this._showNotification(`🗂️ Organized ${plural(changed.length, 'SOP')}${created.length > 0 ? ` (${plural(created.length, 'new folder')})` : ''}`, 'success');
+            this.refresh();
+        }
+        
+        // ====================================================================
+        // TEMPLATE BROWSER
+        // ====================================================================
+        
+        _openTemplateModal() {
+            const modal = document.getElementById('template-modal');
+            if (modal) modal.style.display = 'flex';
+        }
+        
+        _closeTemplateModal() {
+            const modal = document.getElementById('template-modal');
+            if (modal) modal.style.display = 'none';
+        }
+        
+        _selectTemplate(templateId) {
+            const tpl = SOP_TEMPLATES.find(t => t.id === templateId);
+            if (!tpl) return;
+            
+            this._closeTemplateModal();
+            
+            // Check if the template's target folder exists, fall back to general
+            const folderExists = this.state.folders.some(f => f.id === tpl.folderId);
+            
+            if (this.callbacks.onCreateSOP) {
+                this.callbacks.onCreateSOP({
+                    title: tpl.title,
+                    description: tpl.description,
+                    folderId: folderExists ? tpl.folderId : 'general',
+                    steps: tpl.steps.map(s => ({ text: s.text, note: s.note || '' })),
+                    tags: tpl.tags || []
+                });
+            }
+        }
+        
+        _attachTemplateModalListeners() {
+            document.getElementById('btn-close-template-modal')?.addEventListener('click', () => this._closeTemplateModal());
+            
+            document.getElementById('template-modal')?.addEventListener('click', (e) => {
+                if (e.target.id === 'template-modal') this._closeTemplateModal();
+            });
+            
+            document.querySelector('.template-grid')?.addEventListener('click', (e) => {
+                const card = e.target.closest('.template-card');
+                if (card) this._selectTemplate(card.dataset.templateId);
+            });
+        }
+        
+        // ====================================================================
+        // NOTIFICATIONS
+        // ====================================================================
+        
+        _showNotification(message, type = 'info') {
+            // Use a body-level toast so it survives view switches and re-renders
+            let toast = document.getElementById('app-notification-toast');
+            if (!toast) {
+                toast = document.createElement('div');
+                toast.id = 'app-notification-toast';
+                toast.innerHTML = '<span class="notification-message"></span>';
+                document.body.appendChild(toast);
+            }
+            
+            const msgEl = toast.querySelector('.notification-message');
+            if (!msgEl) return;
+            
+            toast.className = `notification-toast ${type}`;
+            msgEl.textContent = message;
+            toast.style.display = 'block';
+            
+            if (toast._hideTimer) clearTimeout(toast._hideTimer);
+            toast._hideTimer = setTimeout(() => {
+                toast.style.display = 'none';
+            }, 3000);
+        }
+        
+        // ====================================================================
+        // STYLES
+        // ====================================================================
+        
+        _injectStyles() {
+            if (document.getElementById('dashboard-styles-v2')) return;
+            
+            const styles = document.createElement('style');
+            styles.id = 'dashboard-styles-v2';
+            styles.textContent = `
                 /* ============================================
                    Enhanced Dashboard Styles v2
                    ============================================ */
@@ -3628,767 +5573,1263 @@
                     border-bottom: none;
                 }
                 
-                .sop-card:hover {
-                    background: #fafafa;
+                .sop-card:hover {
+                    background: #fafafa;
+                }
+                
+                .sop-card.recently-edited {
+                    background: linear-gradient(to right, #fef3c710, transparent);
+                    border-left: 3px solid #f59e0b;
+                }
+                
+                .recent-badge {
+                    position: absolute;
+                    top: 0.5rem;
+                    right: 0.5rem;
+                    background: #fef3c7;
+                    color: #92400e;
+                    padding: 0.125rem 0.5rem;
+                    border-radius: 4px;
+                    font-size: 0.65rem;
+                    font-weight: 500;
+                }
+                
+                .sop-card-main {
+                    flex: 1;
+                    min-width: 0;
+                }
+                
+                .sop-card-header {
+                    margin-bottom: 0.375rem;
+                }
+                
+                .sop-status {
+                    padding: 0.125rem 0.5rem;
+                    border-radius: 4px;
+                    font-size: 0.65rem;
+                    font-weight: 500;
+                    text-transform: uppercase;
+                }
+                
+                .status-active { background: #d1fae5; color: #065f46; }
+                .status-draft { background: #fef3c7; color: #92400e; }
+                .status-archived { background: #e5e7eb; color: #6b7280; }
+                
+                .sop-workflow-badge {
+                    margin-left: 0.375rem;
+                    padding: 0.125rem 0.5rem;
+                    border-radius: 4px;
+                    font-size: 0.65rem;
+                    font-weight: 500;
+                }
+                .sop-workflow-badge.workflow-in_review { background: #dbeafe; color: #1e40af; }
+                .sop-workflow-badge.workflow-changes_requested { background: #ffedd5; color: #9a3412; }
+                .sop-workflow-badge.workflow-published_changes { background: #f3f4f6; color: #4b5563; }
+                
+                .sop-title {
+                    margin: 0 0 0.375rem;
+                    font-size: 0.95rem;
+                    font-weight: 600;
+                    line-height: 1.4;
+                    overflow-wrap: anywhere;
+                    word-break: break-word;
+                }
+                
+                .sop-description {
+                    margin: 0 0 0.5rem;
+                    color: #6b7280;
+                    font-size: 0.8rem;
+                    line-height: 1.5;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
+                
+                .sop-meta {
+                    display: flex;
+                    gap: 1rem;
+                    font-size: 0.75rem;
+                    color: #9ca3af;
+                    line-height: 1.4;
+                }
+                
+                .sop-card.kb-focus {
+                    outline: 2px solid #6366f1;
+                    outline-offset: 2px;
+                }
+                
+                .sop-meta .clarity-fair {
+                    color: #b45309;
+                }
+                
+                .sop-meta .clarity-poor {
+                    color: #b91c1c;
+                }
+                
+                .sop-tags {
+                    margin-top: 0.5rem;
+                    display: flex;
+                    gap: 0.5rem;
+                    flex-wrap: wrap;
+                    overflow: hidden;
+                }
+                
+                .tag {
+                    color: #6366f1;
+                    font-size: 0.7rem;
+                }
+                
+                /* Hashtag styling */
+                .hashtag {
+                    color: #6366f1;
+                    cursor: pointer;
+                    transition: all 0.15s;
+                    border-radius: 3px;
+                    padding: 0 2px;
+                }
+                
+                .hashtag:hover {
+                    background: #e0e7ff;
+                    color: #4338ca;
+                }
+                
+                .hashtag.active {
+                    background: #6366f1;
+                    color: #fff;
+                }
+                
+                .filter-badge-hashtag {
+                    background: #e0e7ff !important;
+                    color: #4338ca !important;
+                }
+                
+                .sop-card-actions {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 0.375rem;
+                    flex-shrink: 0;
+                }
+                
+                .action-btn {
+                    padding: 0.375rem 0.75rem;
+                    border: 1px solid #f3f4f6;
+                    border-radius: 6px;
+                    background: #fff;
+                    cursor: pointer;
+                    font-size: 0.75rem;
+                    color: #9ca3af;
+                    transition: all 0.2s ease;
+                    line-height: 1.4;
+                }
+                
+                .action-btn:hover { 
+                    background: #f9fafb;
+                    border-color: #d1d5db;
+                    color: #374151;
+                }
+                
+                .edit-btn:hover {
+                    background: #eff6ff;
+                    border-color: #bfdbfe;
+                    color: #1d4ed8;
+                }
+                
+                .delete-btn {
+                    color: #6b7280;
+                }
+                
+                .delete-btn:hover {
+                    background: #fef2f2;
+                    border-color: #fecaca;
+                    color: #b91c1c;
+                }
+                
+                .duplicate-btn:hover {
+                    background: #f5f3ff;
+                    border-color: #ddd6fe;
+                    color: #6d28d9;
+                }
+                
+                .print-btn:hover {
+                    background: #f0f9ff;
+                    border-color: #bae6fd;
+                    color: #0369a1;
+                }
+                
+                .checklist-btn {
+                    background: #f0fdf4;
+                    border-color: #bbf7d0;
+                    color: #15803d;
+                }
+                
+                .checklist-btn:hover {
+                    background: #dcfce7;
+                    border-color: #86efac;
+                }
+                
+                /* First-run nudge: "how to run your SOP" */
+                .run-nudge {
+                    display: flex;
+                    align-items: flex-start;
+                    gap: 12px;
+                    padding: 14px 16px;
+                    background: #f0fdf4;
+                    border: 1px solid #bbf7d0;
+                    border-radius: 10px;
+                    margin-bottom: 1.25rem;
+                    animation: nudgeFadeIn 0.3s ease;
+                }
+                @keyframes nudgeFadeIn {
+                    from { opacity: 0; transform: translateY(-8px); }
+                    to { opacity: 1; transform: translateY(0); }
+                }
+                .run-nudge-content {
+                    flex: 1;
+                }
+                .run-nudge-content p {
+                    margin: 0 0 4px;
+                    font-size: 13px;
+                    color: #374151;
+                    line-height: 1.5;
+                }
+                .run-nudge-content p:last-child {
+                    margin-bottom: 0;
+                }
+                .run-nudge-content strong {
+                    color: #166534;
+                }
+                .run-nudge-close {
+                    background: none;
+                    border: none;
+                    color: #9ca3af;
+                    font-size: 16px;
+                    cursor: pointer;
+                    padding: 2px 4px;
+                    line-height: 1;
+                    flex-shrink: 0;
+                }
+                .run-nudge-close:hover {
+                    color: #6b7280;
+                }
+
+                /* Recent Checklists - primary action area when present */
+                .recent-checklists-section {
+                    margin-bottom: 1.5rem;
+                    padding: 1rem 1.25rem;
+                    background: #fafafe;
+                    border: 1px solid #e0e7ff;
+                    border-radius: 10px;
+                    overflow: hidden;
+                }
+                
+                .checklists-list {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 0.5rem;
                 }
                 
-                .sop-card.recently-edited {
-                    background: linear-gradient(to right, #fef3c710, transparent);
-                    border-left: 3px solid #f59e0b;
+                .checklist-card {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    gap: 1rem;
+                    padding: 0.75rem 1rem;
+                    background: #fff;
+                    border: 1px solid #e5e7eb;
+                    border-radius: 8px;
+                    cursor: pointer;
+                    transition: all 0.15s;
                 }
                 
-                .recent-badge {
-                    position: absolute;
-                    top: 0.5rem;
-                    right: 0.5rem;
-                    background: #fef3c7;
-                    color: #92400e;
-                    padding: 0.125rem 0.5rem;
-                    border-radius: 4px;
-                    font-size: 0.65rem;
-                    font-weight: 500;
+                .checklist-card:hover {
+                    border-color: #d1d5db;
+                    box-shadow: 0 2px 8px rgba(0,0,0,0.04);
                 }
                 
-                .sop-card-main {
+                .checklist-card-main {
+                    display: flex;
+                    align-items: center;
+                    gap: 0.75rem;
                     flex: 1;
                     min-width: 0;
                 }
                 
-                .sop-card-header {
-                    margin-bottom: 0.375rem;
+                .checklist-folder {
+                    font-size: 1.25rem;
                 }
                 
-                .sop-status {
-                    padding: 0.125rem 0.5rem;
-                    border-radius: 4px;
-                    font-size: 0.65rem;
-                    font-weight: 500;
-                    text-transform: uppercase;
+                .checklist-info {
+                    flex: 1;
+                    min-width: 0;
                 }
                 
-                .status-active { background: #d1fae5; color: #065f46; }
-                .status-draft { background: #fef3c7; color: #92400e; }
-                .status-archived { background: #e5e7eb; color: #6b7280; }
-                
-                .sop-title {
-                    margin: 0 0 0.375rem;
-                    font-size: 0.95rem;
-                    font-weight: 600;
-                    line-height: 1.4;
-                    overflow-wrap: anywhere;
-                    word-break: break-word;
+                .checklist-info h4 {
+                    margin: 0 0 0.25rem;
+                    font-size: 0.875rem;
+                    font-weight: 500;
+                    white-space: nowrap;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
                 }
-                
-                .sop-description {
-                    margin: 0 0 0.5rem;
+                .checklist-info .checklist-variables {
+                    margin: 0 0 0.25rem;
+                    font-size: 0.75rem;
                     color: #6b7280;
-                    font-size: 0.8rem;
-                    line-height: 1.5;
+                    white-space: nowrap;
                     overflow: hidden;
                     text-overflow: ellipsis;
-                    white-space: nowrap;
                 }
                 
-                .sop-meta {
+                .checklist-progress {
                     display: flex;
-                    gap: 1rem;
+                    align-items: center;
+                    gap: 0.5rem;
                     font-size: 0.75rem;
-                    color: #9ca3af;
-                    line-height: 1.4;
+                    color: #6b7280;
                 }
                 
-                .sop-tags {
-                    margin-top: 0.5rem;
-                    display: flex;
-                    gap: 0.5rem;
-                    flex-wrap: wrap;
+                .mini-progress-bar {
+                    width: 80px;
+                    height: 4px;
+                    background: #e5e7eb;
+                    border-radius: 2px;
                     overflow: hidden;
                 }
                 
-                .tag {
-                    color: #6366f1;
-                    font-size: 0.7rem;
+                .mini-progress-fill {
+                    height: 100%;
+                    background: #6366f1;
+                    border-radius: 2px;
                 }
                 
-                /* Hashtag styling */
-                .hashtag {
-                    color: #6366f1;
+                .btn-resume {
+                    padding: 0.375rem 0.875rem;
+                    background: #6366f1;
+                    color: #fff;
+                    border: none;
+                    border-radius: 6px;
+                    font-size: 0.75rem;
+                    font-weight: 600;
                     cursor: pointer;
-                    transition: all 0.15s;
-                    border-radius: 3px;
-                    padding: 0 2px;
+                    white-space: nowrap;
+                    box-shadow: 0 1px 3px rgba(99, 102, 241, 0.2);
                 }
                 
-                .hashtag:hover {
-                    background: #e0e7ff;
-                    color: #4338ca;
+                .btn-resume:hover {
+                    background: #4f46e5;
+                    box-shadow: 0 2px 6px rgba(99, 102, 241, 0.25);
                 }
                 
-                .hashtag.active {
-                    background: #6366f1;
-                    color: #fff;
+                /* Completed Checklists Section */
+                .completed-checklists-section {
+                    margin-top: 1.5rem;
+                    margin-bottom: 1.5rem;
+                    padding-bottom: 1.5rem;
+                    border-bottom: 1px solid #f3f4f6;
                 }
                 
-                .filter-badge-hashtag {
-                    background: #e0e7ff !important;
-                    color: #4338ca !important;
+                .completed-checklists-section.collapsed {
+                    padding-bottom: 0.75rem;
+                    margin-bottom: 1rem;
                 }
                 
-                .sop-card-actions {
+                .section-header-collapsible {
                     display: flex;
-                    flex-direction: column;
-                    gap: 0.375rem;
-                    flex-shrink: 0;
+                    justify-content: space-between;
+                    align-items: center;
+                    cursor: pointer;
+                    user-select: none;
                 }
                 
-                .action-btn {
-                    padding: 0.375rem 0.75rem;
-                    border: 1px solid #f3f4f6;
-                    border-radius: 6px;
-                    background: #fff;
-                    cursor: pointer;
+                .section-header-collapsible:hover {
+                    opacity: 0.8;
+                }
+                
+                .collapse-arrow {
+                    background: none;
+                    border: none;
                     font-size: 0.75rem;
-                    color: #9ca3af;
-                    transition: all 0.2s ease;
-                    line-height: 1.4;
+                    color: #6b7280;
+                    cursor: pointer;
+                    padding: 0.25rem 0.5rem;
+                    transition: transform 0.2s ease;
                 }
                 
-                .action-btn:hover { 
-                    background: #f9fafb;
-                    border-color: #d1d5db;
+                .collapse-arrow:hover {
                     color: #374151;
                 }
                 
-                .edit-btn:hover {
-                    background: #eff6ff;
-                    border-color: #bfdbfe;
-                    color: #1d4ed8;
+                .collapse-arrow.collapsed {
+                    transform: rotate(-90deg);
                 }
                 
-                .delete-btn {
+                .completed-count {
+                    font-size: 0.875rem;
+                    font-weight: 400;
                     color: #6b7280;
                 }
                 
-                .delete-btn:hover {
-                    background: #fef2f2;
-                    border-color: #fecaca;
-                    color: #b91c1c;
+                .checklists-list.hidden {
+                    display: none;
                 }
                 
-                .duplicate-btn:hover {
-                    background: #f5f3ff;
-                    border-color: #ddd6fe;
-                    color: #6d28d9;
+                .completed-checklist-card {
+                    background: #f9fafb;
                 }
                 
-                .print-btn:hover {
-                    background: #f0f9ff;
-                    border-color: #bae6fd;
-                    color: #0369a1;
+                .completed-checklist-card:hover {
+                    background: #f3f4f6;
                 }
                 
-                .checklist-btn {
-                    background: #f0fdf4;
-                    border-color: #bbf7d0;
-                    color: #15803d;
+                .checklist-complete-icon {
+                    width: 24px;
+                    height: 24px;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    background: #22c55e;
+                    color: #fff;
+                    border-radius: 50%;
+                    font-size: 0.75rem;
+                    font-weight: 600;
                 }
                 
-                .checklist-btn:hover {
-                    background: #dcfce7;
-                    border-color: #86efac;
+                .checklist-completed-date {
+                    font-size: 0.75rem;
+                    color: #6b7280;
+                }
+                
+                .btn-view-completed {
+                    padding: 0.375rem 0.75rem;
+                    background: #e5e7eb;
+                    color: #374151;
+                    border: none;
+                    border-radius: 6px;
+                    font-size: 0.75rem;
+                    font-weight: 500;
+                    cursor: pointer;
+                    white-space: nowrap;
+                }
+                
+                .btn-view-completed:hover {
+                    background: #d1d5db;
+                }
+                
+                /* Empty State */
+                .empty-state {
+                    text-align: center;
+                    padding: 3rem 2rem;
+                    background: #fff;
+                    border: 2px dashed #e5e7eb;
+                    border-radius: 12px;
+                }
+                
+                .empty-state p {
+                    margin: 0 0 1rem;
+                    color: #6b7280;
+                    line-height: 1.5;
                 }
                 
-                /* First-run nudge: "how to run your SOP" */
-                .run-nudge {
-                    display: flex;
-                    align-items: flex-start;
-                    gap: 12px;
-                    padding: 14px 16px;
-                    background: #f0fdf4;
-                    border: 1px solid #bbf7d0;
-                    border-radius: 10px;
-                    margin-bottom: 1.25rem;
-                    animation: nudgeFadeIn 0.3s ease;
-                }
-                @keyframes nudgeFadeIn {
-                    from { opacity: 0; transform: translateY(-8px); }
-                    to { opacity: 1; transform: translateY(0); }
+                .empty-state-welcome {
+                    padding: 2.5rem 2rem;
+                    max-width: 480px;
+                    margin: 0 auto;
+                    border-style: solid;
+                    border-color: #e5e7eb;
                 }
-                .run-nudge-content {
-                    flex: 1;
+                
+                .welcome-header {
+                    margin-bottom: 1.75rem;
                 }
-                .run-nudge-content p {
-                    margin: 0 0 4px;
-                    font-size: 13px;
+                
+                .welcome-title {
+                    font-size: 1.125rem;
+                    font-weight: 600;
                     color: #374151;
-                    line-height: 1.5;
+                    margin: 0 0 0.625rem;
+                    line-height: 1.4;
                 }
-                .run-nudge-content p:last-child {
-                    margin-bottom: 0;
+                
+                .welcome-subtitle {
+                    font-size: 0.9rem;
+                    color: #6b7280;
+                    margin: 0;
+                    line-height: 1.6;
                 }
-                .run-nudge-content strong {
-                    color: #166534;
+                
+                .welcome-why {
+                    background: #f9fafb;
+                    border-radius: 8px;
+                    padding: 1.125rem 1.25rem;
+                    margin-bottom: 1.75rem;
+                    text-align: left;
                 }
-                .run-nudge-close {
-                    background: none;
-                    border: none;
-                    color: #9ca3af;
-                    font-size: 16px;
-                    cursor: pointer;
-                    padding: 2px 4px;
-                    line-height: 1;
-                    flex-shrink: 0;
+                
+                .why-title {
+                    font-size: 0.8rem;
+                    font-weight: 600;
+                    color: #374151;
+                    margin: 0 0 0.5rem;
+                    line-height: 1.4;
                 }
-                .run-nudge-close:hover {
+                
+                .why-text {
+                    font-size: 0.8rem;
                     color: #6b7280;
+                    margin: 0;
+                    line-height: 1.6;
                 }
-
-                /* Recent Checklists - primary action area when present */
-                .recent-checklists-section {
-                    margin-bottom: 1.5rem;
-                    padding: 1rem 1.25rem;
-                    background: #fafafe;
-                    border: 1px solid #e0e7ff;
-                    border-radius: 10px;
-                    overflow: hidden;
+                
+                .welcome-actions {
+                    margin-bottom: 1.75rem;
                 }
                 
-                .checklists-list {
-                    display: flex;
-                    flex-direction: column;
-                    gap: 0.5rem;
+                .welcome-starter {
+                    margin-bottom: 1.5rem;
+                    padding-bottom: 1.5rem;
+                    border-bottom: 1px solid #e5e7eb;
                 }
                 
-                .checklist-card {
-                    display: flex;
-                    align-items: center;
-                    justify-content: space-between;
-                    gap: 1rem;
-                    padding: 0.75rem 1rem;
-                    background: #fff;
-                    border: 1px solid #e5e7eb;
-                    border-radius: 8px;
-                    cursor: pointer;
-                    transition: all 0.15s;
+                .starter-label {
+                    font-size: 0.8rem;
+                    font-weight: 500;
+                    color: #6b7280;
+                    margin: 0 0 0.375rem;
+                    line-height: 1.4;
                 }
                 
-                .checklist-card:hover {
-                    border-color: #d1d5db;
-                    box-shadow: 0 2px 8px rgba(0,0,0,0.04);
+                .starter-idea {
+                    font-size: 0.8rem;
+                    color: #9ca3af;
+                    margin: 0;
+                    line-height: 1.6;
                 }
                 
-                .checklist-card-main {
-                    display: flex;
-                    align-items: center;
-                    gap: 0.75rem;
-                    flex: 1;
-                    min-width: 0;
+                .trust-notice {
+                    margin-top: 0;
+                    padding-top: 0;
+                    border-top: none;
                 }
                 
-                .checklist-folder {
-                    font-size: 1.25rem;
+                .trust-notice p {
+                    font-size: 0.75rem;
+                    color: #9ca3af;
+                    margin: 0 0 0.5rem;
+                    line-height: 1.4;
                 }
                 
-                .checklist-info {
-                    flex: 1;
-                    min-width: 0;
+                .trust-notice p:last-child {
+                    margin-bottom: 0;
                 }
                 
-                .checklist-info h4 {
-                    margin: 0 0 0.25rem;
-                    font-size: 0.875rem;
-                    font-weight: 500;
-                    white-space: nowrap;
-                    overflow: hidden;
-                    text-overflow: ellipsis;
+                .empty-message {
+                    color: #9ca3af;
+                    font-size: 0.8rem;
+                    text-align: center;
                 }
                 
-                .checklist-progress {
+                /* Modal */
+                .modal-overlay {
+                    position: fixed;
+                    top: 0;
+                    left: 0;
+                    right: 0;
+                    bottom: 0;
+                    background: rgba(0,0,0,0.5);
                     display: flex;
                     align-items: center;
-                    gap: 0.5rem;
-                    font-size: 0.75rem;
-                    color: #6b7280;
+                    justify-content: center;
+                    z-index: 1000;
                 }
                 
-                .mini-progress-bar {
-                    width: 80px;
-                    height: 4px;
-                    background: #e5e7eb;
-                    border-radius: 2px;
+                .modal-content {
+                    background: #fff;
+                    border-radius: 12px;
+                    width: 90%;
+                    max-width: 400px;
                     overflow: hidden;
                 }
                 
-                .mini-progress-fill {
-                    height: 100%;
-                    background: #6366f1;
-                    border-radius: 2px;
+                .modal-header {
+                    display: flex;
+                    justify-content: space-between;
+                    align-items: center;
+                    padding: 1rem 1.25rem;
+                    border-bottom: 1px solid #e5e7eb;
                 }
                 
-                .btn-resume {
-                    padding: 0.375rem 0.875rem;
-                    background: #6366f1;
-                    color: #fff;
+                .modal-header h3 { margin: 0; font-size: 1rem; }
+                
+                .btn-close {
+                    width: 32px;
+                    height: 32px;
                     border: none;
+                    background: #f3f4f6;
                     border-radius: 6px;
-                    font-size: 0.75rem;
-                    font-weight: 600;
                     cursor: pointer;
-                    white-space: nowrap;
-                    box-shadow: 0 1px 3px rgba(99, 102, 241, 0.2);
+                    font-size: 1rem;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
                 }
                 
-                .btn-resume:hover {
-                    background: #4f46e5;
-                    box-shadow: 0 2px 6px rgba(99, 102, 241, 0.25);
+                .btn-close:hover { background: #e5e7eb; }
+                
+                .template-modal-content {
+                    max-width: 640px;
+                    max-height: 80vh;
+                    display: flex;
+                    flex-direction: column;
                 }
                 
-                /* Completed Checklists Section */
-                .completed-checklists-section {
-                    margin-top: 1.5rem;
-                    margin-bottom: 1.5rem;
-                    padding-bottom: 1.5rem;
-                    border-bottom: 1px solid #f3f4f6;
+                .template-modal-content .modal-body {
+                    overflow-y: auto;
+                    padding: 1rem;
                 }
                 
-                .completed-checklists-section.collapsed {
-                    padding-bottom: 0.75rem;
-                    margin-bottom: 1rem;
+                .template-grid {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 8px;
                 }
                 
-                .section-header-collapsible {
+                .template-card {
                     display: flex;
-                    justify-content: space-between;
-                    align-items: center;
+                    gap: 12px;
+                    padding: 12px;
+                    border: 1px solid #e5e7eb;
+                    border-radius: 8px;
                     cursor: pointer;
-                    user-select: none;
+                    transition: border-color 0.15s, background 0.15s;
                 }
                 
-                .section-header-collapsible:hover {
-                    opacity: 0.8;
+                .template-card:hover {
+                    border-color: #6366f1;
+                    background: #f5f3ff;
                 }
                 
-                .collapse-arrow {
-                    background: none;
-                    border: none;
-                    font-size: 0.75rem;
-                    color: #6b7280;
-                    cursor: pointer;
-                    padding: 0.25rem 0.5rem;
-                    transition: transform 0.2s ease;
+                .template-icon {
+                    font-size: 24px;
+                    flex-shrink: 0;
+                    width: 40px;
+                    height: 40px;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    background: #f3f4f6;
+                    border-radius: 8px;
                 }
                 
-                .collapse-arrow:hover {
-                    color: #374151;
-                }
+                .template-info { flex: 1; min-width: 0; }
                 
-                .collapse-arrow.collapsed {
-                    transform: rotate(-90deg);
+                .template-title {
+                    font-size: 14px;
+                    font-weight: 600;
+                    color: #1f2937;
+                    margin-bottom: 2px;
                 }
                 
-                .completed-count {
-                    font-size: 0.875rem;
-                    font-weight: 400;
+                .template-desc {
+                    font-size: 12px;
                     color: #6b7280;
+                    line-height: 1.4;
+                    margin-bottom: 4px;
                 }
                 
-                .checklists-list.hidden {
-                    display: none;
+                .template-meta {
+                    font-size: 11px;
+                    color: #9ca3af;
                 }
                 
-                .completed-checklist-card {
-                    background: #f9fafb;
+                .empty-state-actions {
+                    display: flex;
+                    gap: 8px;
+                    justify-content: center;
+                    flex-wrap: wrap;
+                    margin-top: 12px;
                 }
                 
-                .completed-checklist-card:hover {
-                    background: #f3f4f6;
+                /* Team Banner (member view) */
+                .team-banner {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    padding: 10px 16px;
+                    background: #eef2ff;
+                    border: 1px solid #c7d2fe;
+                    border-radius: 8px;
+                    margin-bottom: 16px;
                 }
-                
-                .checklist-complete-icon {
-                    width: 24px;
-                    height: 24px;
+                .team-banner-icon { font-size: 18px; }
+                .team-banner-text { font-size: 14px; font-weight: 600; color: #4338ca; }
+                .team-language {
+                    margin-left: auto;
                     display: flex;
                     align-items: center;
-                    justify-content: center;
-                    background: #22c55e;
-                    color: #fff;
-                    border-radius: 50%;
-                    font-size: 0.75rem;
-                    font-weight: 600;
+                    gap: 6px;
+                    font-size: 14px;
                 }
-                
-                .checklist-completed-date {
-                    font-size: 0.75rem;
-                    color: #6b7280;
+                .team-language-select {
+                    padding: 4px 8px;
+                    border: 1px solid #c7d2fe;
+                    border-radius: 6px;
+                    background: white;
+                    color: #4338ca;
+                    font-size: 13px;
                 }
                 
-                .btn-view-completed {
-                    padding: 0.375rem 0.75rem;
-                    background: #e5e7eb;
-                    color: #374151;
-                    border: none;
+                /* Assigned Tasks (Phase 12F) */
+                .btn-csv-export {
+                    background: #f3f4f6;
+                    border: 1px solid #d1d5db;
                     border-radius: 6px;
-                    font-size: 0.75rem;
-                    font-weight: 500;
+                    padding: 4px 10px;
+                    font-size: 12px;
+                    color: #374151;
                     cursor: pointer;
                     white-space: nowrap;
                 }
-                
-                .btn-view-completed:hover {
-                    background: #d1d5db;
+                .btn-csv-export:hover {
+                    background: #e5e7eb;
                 }
-                
-                /* Empty State */
-                .empty-state {
-                    text-align: center;
-                    padding: 3rem 2rem;
+                .assigned-tasks-section {
+                    margin-top: 24px;
+                    padding-top: 24px;
+                    border-top: 1px solid #e5e7eb;
+                }
+                .assigned-list {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 6px;
+                }
+                .assigned-item {
+                    display: flex;
+                    align-items: center;
+                    justify-content: space-between;
+                    padding: 10px 12px;
                     background: #fff;
-                    border: 2px dashed #e5e7eb;
-                    border-radius: 12px;
+                    border: 1px solid #e5e7eb;
+                    border-radius: 8px;
                 }
-                
-                .empty-state p {
-                    margin: 0 0 1rem;
-                    color: #6b7280;
-                    line-height: 1.5;
+                .assigned-item.overdue {
+                    border-left: 3px solid #ef4444;
+                    background: #fef2f2;
                 }
-                
-                .empty-state-welcome {
-                    padding: 2.5rem 2rem;
-                    max-width: 480px;
-                    margin: 0 auto;
-                    border-style: solid;
-                    border-color: #e5e7eb;
+                .assigned-item.completed {
+                    opacity: 0.6;
                 }
-                
-                .welcome-header {
-                    margin-bottom: 1.75rem;
+                .assigned-item-main {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 8px;
+                    flex: 1;
+                    min-width: 0;
                 }
-                
-                .welcome-title {
-                    font-size: 1.125rem;
+                .assigned-member {
                     font-weight: 600;
-                    color: #374151;
-                    margin: 0 0 0.625rem;
-                    line-height: 1.4;
+                    font-size: 14px;
+                    color: #1f2937;
                 }
-                
-                .welcome-subtitle {
-                    font-size: 0.9rem;
-                    color: #6b7280;
-                    margin: 0;
-                    line-height: 1.6;
+                .assigned-sop {
+                    font-size: 13px;
+                    color: #4b5563;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                    max-width: 200px;
                 }
-                
-                .welcome-why {
-                    background: #f9fafb;
-                    border-radius: 8px;
-                    padding: 1.125rem 1.25rem;
-                    margin-bottom: 1.75rem;
-                    text-align: left;
+                .assigned-due {
+                    font-size: 12px;
+                    color: #6b7280;
+                    white-space: nowrap;
                 }
-                
-                .why-title {
-                    font-size: 0.8rem;
+                .assigned-due.due-overdue {
+                    color: #ef4444;
                     font-weight: 600;
-                    color: #374151;
-                    margin: 0 0 0.5rem;
-                    line-height: 1.4;
                 }
-                
-                .why-text {
-                    font-size: 0.8rem;
-                    color: #6b7280;
-                    margin: 0;
-                    line-height: 1.6;
+                .btn-cancel-assign {
+                    background: none;
+                    border: 1px solid #e5e7eb;
+                    border-radius: 6px;
+                    cursor: pointer;
+                    padding: 4px 8px;
+                    font-size: 12px;
+                    color: #9ca3af;
+                    flex-shrink: 0;
                 }
-                
-                .welcome-actions {
-                    margin-bottom: 1.75rem;
+                .btn-cancel-assign:hover {
+                    background: #fee2e2;
+                    color: #ef4444;
+                    border-color: #fca5a5;
                 }
-                
-                .welcome-starter {
-                    margin-bottom: 1.5rem;
-                    padding-bottom: 1.5rem;
+                .assigned-completed-header {
+                    font-size: 12px;
+                    color: #9ca3af;
+                    margin-top: 12px;
+                    margin-bottom: 4px;
+                    text-transform: uppercase;
+                    letter-spacing: 0.5px;
+                }
+                .assign-sop-title {
+                    font-weight: 600;
+                    font-size: 15px;
+                    color: #1f2937;
+                    margin-bottom: 12px;
+                    padding-bottom: 8px;
                     border-bottom: 1px solid #e5e7eb;
                 }
-                
-                .starter-label {
-                    font-size: 0.8rem;
-                    font-weight: 500;
+                .assign-btn {
+                    font-size: 14px !important;
+                }
+                .audit-content {
+                    max-width: 760px;
+                    width: 95%;
+                }
+                .export-content {
+                    max-width: 480px;
+                    width: 95%;
+                }
+                .export-summary {
+                    margin: 0 0 12px;
+                    font-size: 14px;
+                }
+                .export-formats {
+                    display: grid;
+                    grid-template-columns: 1fr 1fr;
+                    gap: 8px;
+                }
+                .export-format {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 2px;
+                    padding: 12px;
+                    text-align: left;
+                    background: #fff;
+                    border: 1px solid #e5e7eb;
+                    border-radius: 8px;
+                    cursor: pointer;
+                    font: inherit;
+                }
+                .export-format:hover {
+                    border-color: #6366f1;
+                    background: #eef2ff;
+                }
+                .export-format span {
+                    font-size: 12px;
+                    color: #6b7280;
+                }
+                .export-hint {
+                    margin: 12px 0 0;
+                    font-size: 12px;
                     color: #6b7280;
-                    margin: 0 0 0.375rem;
-                    line-height: 1.4;
                 }
-                
-                .starter-idea {
-                    font-size: 0.8rem;
-                    color: #9ca3af;
-                    margin: 0;
-                    line-height: 1.6;
+                .backup-content {
+                    max-width: 560px;
+                    width: 95%;
                 }
-                
-                .trust-notice {
-                    margin-top: 0;
-                    padding-top: 0;
-                    border-top: none;
+                .backup-option {
+                    padding: 12px;
+                    margin-bottom: 10px;
+                    border: 1px solid #e5e7eb;
+                    border-radius: 8px;
                 }
-                
-                .trust-notice p {
-                    font-size: 0.75rem;
-                    color: #9ca3af;
-                    margin: 0 0 0.5rem;
-                    line-height: 1.4;
+                .backup-option h4 {
+                    margin: 0 0 4px;
+                    font-size: 15px;
                 }
-                
-                .trust-notice p:last-child {
-                    margin-bottom: 0;
+                .backup-option p {
+                    margin: 0 0 10px;
+                    font-size: 13px;
+                    color: #4b5563;
                 }
-                
-                .empty-message {
-                    color: #9ca3af;
-                    font-size: 0.8rem;
-                    text-align: center;
+                .backup-hint,
+                .backup-file {
+                    margin: 0 0 12px;
+                    font-size: 13px;
+                    color: #6b7280;
                 }
-                
-                /* Modal */
-                .modal-overlay {
-                    position: fixed;
-                    top: 0;
-                    left: 0;
-                    right: 0;
-                    bottom: 0;
-                    background: rgba(0,0,0,0.5);
+                .restore-modes {
                     display: flex;
-                    align-items: center;
-                    justify-content: center;
-                    z-index: 1000;
-                }
-                
-                .modal-content {
-                    background: #fff;
-                    border-radius: 12px;
-                    width: 90%;
-                    max-width: 400px;
-                    overflow: hidden;
+                    flex-direction: column;
+                    gap: 6px;
+                    margin-bottom: 12px;
                 }
-                
-                .modal-header {
+                .restore-mode {
                     display: flex;
-                    justify-content: space-between;
-                    align-items: center;
-                    padding: 1rem 1.25rem;
-                    border-bottom: 1px solid #e5e7eb;
-                }
-                
-                .modal-header h3 { margin: 0; font-size: 1rem; }
-                
-                .btn-close {
-                    width: 32px;
-                    height: 32px;
-                    border: none;
-                    background: #f3f4f6;
+                    align-items: flex-start;
+                    gap: 8px;
+                    padding: 8px 10px;
+                    border: 1px solid #e5e7eb;
                     border-radius: 6px;
+                    font-size: 13px;
                     cursor: pointer;
-                    font-size: 1rem;
+                }
+                .restore-changes {
+                    list-style: none;
+                    max-height: 35vh;
+                    overflow-y: auto;
+                    margin: 0;
+                    padding: 0;
+                    font-size: 13px;
+                }
+                .restore-changes li {
+                    padding: 6px 0;
+                    border-bottom: 1px solid #f3f4f6;
+                }
+                .restore-added {
+                    color: #047857;
+                }
+                .restore-overwritten {
+                    color: #b45309;
+                }
+                .restore-removed {
+                    color: #b91c1c;
+                }
+                .find-replace-content {
+                    max-width: 680px;
+                    width: 95%;
+                }
+                .fr-fields {
+                    display: grid;
+                    grid-template-columns: 1fr 1fr;
+                    gap: 8px;
+                }
+                .fr-options {
                     display: flex;
                     align-items: center;
-                    justify-content: center;
+                    flex-wrap: wrap;
+                    gap: 14px;
+                    margin: 10px 0 12px;
+                    font-size: 13px;
+                    color: #4b5563;
                 }
-                
-                .btn-close:hover { background: #e5e7eb; }
-                
-                .template-modal-content {
-                    max-width: 640px;
-                    max-height: 80vh;
-                    display: flex;
-                    flex-direction: column;
+                .fr-options .btn {
+                    margin-left: auto;
                 }
-                
-                .template-modal-content .modal-body {
+                .fr-results {
+                    max-height: 45vh;
                     overflow-y: auto;
-                    padding: 1rem;
                 }
-                
-                .template-grid {
-                    display: flex;
-                    flex-direction: column;
-                    gap: 8px;
+                .fr-hint,
+                .fr-summary {
+                    margin: 0 0 10px;
+                    font-size: 13px;
+                    color: #6b7280;
                 }
-                
-                .template-card {
-                    display: flex;
-                    gap: 12px;
-                    padding: 12px;
+                .fr-error {
+                    margin: 0;
+                    font-size: 13px;
+                    color: #b91c1c;
+                }
+                .fr-sop {
+                    margin-bottom: 10px;
                     border: 1px solid #e5e7eb;
                     border-radius: 8px;
-                    cursor: pointer;
-                    transition: border-color 0.15s, background 0.15s;
-                }
-                
-                .template-card:hover {
-                    border-color: #6366f1;
-                    background: #f5f3ff;
+                    overflow: hidden;
                 }
-                
-                .template-icon {
-                    font-size: 24px;
-                    flex-shrink: 0;
-                    width: 40px;
-                    height: 40px;
+                .fr-sop-title {
                     display: flex;
                     align-items: center;
-                    justify-content: center;
-                    background: #f3f4f6;
-                    border-radius: 8px;
-                }
-                
-                .template-info { flex: 1; min-width: 0; }
-                
-                .template-title {
+                    gap: 8px;
+                    padding: 8px 10px;
+                    background: #f9fafb;
                     font-size: 14px;
-                    font-weight: 600;
-                    color: #1f2937;
-                    margin-bottom: 2px;
+                    cursor: pointer;
                 }
-                
-                .template-desc {
+                .fr-sop-count {
+                    margin-left: auto;
                     font-size: 12px;
                     color: #6b7280;
-                    line-height: 1.4;
-                    margin-bottom: 4px;
-                }
-                
-                .template-meta {
-                    font-size: 11px;
-                    color: #9ca3af;
                 }
-                
-                .empty-state-actions {
+                .fr-match {
                     display: flex;
+                    align-items: flex-start;
                     gap: 8px;
-                    justify-content: center;
-                    flex-wrap: wrap;
-                    margin-top: 12px;
+                    padding: 6px 10px;
+                    border-top: 1px solid #f3f4f6;
+                    font-size: 13px;
+                    cursor: pointer;
                 }
-                
-                /* Team Banner (member view) */
-                .team-banner {
+                .fr-match.excluded .fr-preview {
+                    opacity: 0.5;
+                }
+                .fr-field {
+                    flex-shrink: 0;
+                    min-width: 64px;
+                    color: #6b7280;
+                }
+                .fr-preview {
+                    min-width: 0;
+                    word-break: break-word;
+                    color: #374151;
+                }
+                .fr-preview del {
+                    background: #fee2e2;
+                    color: #b91c1c;
+                }
+                .fr-preview ins {
+                    background: #dcfce7;
+                    color: #047857;
+                    text-decoration: none;
+                }
+                .fr-match.excluded ins {
+                    display: none;
+                }
+                .fr-match.excluded del {
+                    background: none;
+                    color: inherit;
+                    text-decoration: none;
+                }
+                @media (max-width: 600px) {
+                    .fr-fields {
+                        grid-template-columns: 1fr;
+                    }
+                }
+                .organize-content {
+                    max-width: 760px;
+                    width: 95%;
+                }
+                .organize-results {
+                    max-height: 55vh;
+                    overflow-y: auto;
+                }
+                .organize-hint,
+                .organize-summary {
+                    margin: 0 0 10px;
+                    font-size: 13px;
+                    color: #6b7280;
+                }
+                .organize-progress {
+                    margin: 0 0 10px;
+                    font-size: 14px;
+                    color: #374151;
+                }
+                .organize-error {
+                    margin: 0 0 10px;
+                    font-size: 13px;
+                    color: #b91c1c;
+                }
+                .organize-table {
+                    width: 100%;
+                    border-collapse: collapse;
+                    font-size: 13px;
+                }
+                .organize-table th {
+                    position: sticky;
+                    top: 0;
+                    padding: 6px 8px;
+                    background: #f9fafb;
+                    border-bottom: 1px solid #e5e7eb;
+                    text-align: left;
+                    font-weight: 600;
+                    color: #374151;
+                }
+                .organize-table th label {
                     display: flex;
                     align-items: center;
-                    gap: 8px;
-                    padding: 10px 16px;
-                    background: #eef2ff;
-                    border: 1px solid #c7d2fe;
-                    border-radius: 8px;
-                    margin-bottom: 16px;
+                    gap: 6px;
+                    cursor: pointer;
                 }
-                .team-banner-icon { font-size: 18px; }
-                .team-banner-text { font-size: 14px; font-weight: 600; color: #4338ca; }
-                
-                /* Assigned Tasks (Phase 12F) */
-                .btn-csv-export {
-                    background: #f3f4f6;
-                    border: 1px solid #d1d5db;
-                    border-radius: 6px;
-                    padding: 4px 10px;
-                    font-size: 12px;
-                    color: #374151;
+                .organize-table td {
+                    padding: 6px 8px;
+                    border-bottom: 1px solid #f3f4f6;
+                    vertical-align: top;
+                }
+                .organize-sop {
+                    font-weight: 500;
+                    color: #111827;
+                    word-break: break-word;
+                }
+                .organize-table tr.excluded .organize-sop {
+                    opacity: 0.5;
+                }
+                .organize-choice {
+                    display: flex;
+                    align-items: flex-start;
+                    gap: 6px;
                     cursor: pointer;
-                    white-space: nowrap;
+                    color: #374151;
+                }
+                .organize-choice.excluded span {
+                    opacity: 0.5;
+                    text-decoration: line-through;
+                }
+                .organize-choice .tag {
+                    display: inline-block;
+                    margin: 0 4px 4px 0;
                 }
-                .btn-csv-export:hover {
-                    background: #e5e7eb;
+                .organize-new {
+                    padding: 1px 6px;
+                    border-radius: 999px;
+                    background: #dcfce7;
+                    color: #047857;
+                    font-size: 11px;
+                    font-weight: 600;
                 }
-                .assigned-tasks-section {
-                    margin-top: 24px;
-                    padding-top: 24px;
-                    border-top: 1px solid #e5e7eb;
+                .organize-none {
+                    color: #9ca3af;
                 }
-                .assigned-list {
-                    display: flex;
-                    flex-direction: column;
-                    gap: 6px;
+                @media (max-width: 600px) {
+                    .organize-table th,
+                    .organize-table td {
+                        padding: 6px 4px;
+                    }
                 }
-                .assigned-item {
+                .import-content {
+                    max-width: 640px;
+                    width: 95%;
+                }
+                .import-file {
+                    margin: 0 0 10px;
+                    font-size: 13px;
+                    color: #6b7280;
+                }
+                .import-split {
                     display: flex;
                     align-items: center;
-                    justify-content: space-between;
-                    padding: 10px 12px;
-                    background: #fff;
-                    border: 1px solid #e5e7eb;
-                    border-radius: 8px;
+                    gap: 6px;
+                    margin-bottom: 10px;
+                    font-size: 13px;
                 }
-                .assigned-item.overdue {
-                    border-left: 3px solid #ef4444;
-                    background: #fef2f2;
+                .import-warnings {
+                    list-style: none;
+                    margin: 0 0 12px;
+                    padding: 8px 12px;
+                    background: #fffbeb;
+                    border: 1px solid #fde68a;
+                    border-radius: 6px;
+                    font-size: 12px;
+                    color: #92400e;
                 }
-                .assigned-item.completed {
-                    opacity: 0.6;
+                .import-list {
+                    max-height: 45vh;
+                    overflow-y: auto;
+                    margin-bottom: 12px;
                 }
-                .assigned-item-main {
+                .import-item {
+                    padding: 8px 0;
+                    border-bottom: 1px solid #f3f4f6;
+                }
+                .import-item-header {
                     display: flex;
-                    flex-wrap: wrap;
                     align-items: center;
                     gap: 8px;
-                    flex: 1;
-                    min-width: 0;
+                    cursor: pointer;
                 }
-                .assigned-member {
+                .import-item-title {
+                    flex: 1;
                     font-weight: 600;
-                    font-size: 14px;
-                    color: #1f2937;
                 }
-                .assigned-sop {
+                .import-item-meta {
+                    font-size: 12px;
+                    color: #6b7280;
+                    white-space: nowrap;
+                }
+                .import-item details {
+                    margin: 4px 0 0 24px;
                     font-size: 13px;
+                }
+                .import-item summary {
+                    cursor: pointer;
+                    color: #6366f1;
+                }
+                .import-item-desc {
+                    margin: 6px 0;
                     color: #4b5563;
-                    overflow: hidden;
-                    text-overflow: ellipsis;
-                    white-space: nowrap;
-                    max-width: 200px;
                 }
-                .assigned-due {
+                .import-outline {
+                    margin: 6px 0 0;
+                    padding-left: 20px;
+                    color: #374151;
+                }
+                .import-outline-section {
+                    list-style: none;
+                    margin: 8px 0 2px -20px;
+                    font-weight: 600;
+                }
+                .import-outline-sub {
+                    margin-left: 20px;
+                    list-style: circle;
+                }
+                .import-outline-note {
                     font-size: 12px;
                     color: #6b7280;
-                    white-space: nowrap;
                 }
-                .assigned-due.due-overdue {
-                    color: #ef4444;
-                    font-weight: 600;
+                .audit-filters {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 8px;
+                    margin-bottom: 12px;
                 }
-                .btn-cancel-assign {
-                    background: none;
+                .audit-filters .form-input {
+                    flex: 1 1 150px;
+                    width: auto;
+                }
+                .audit-list {
+                    max-height: 60vh;
+                    overflow-y: auto;
+                }
+                .audit-entry {
                     border: 1px solid #e5e7eb;
-                    border-radius: 6px;
-                    cursor: pointer;
-                    padding: 4px 8px;
-                    font-size: 12px;
-                    color: #9ca3af;
-                    flex-shrink: 0;
+                    border-radius: 8px;
+                    padding: 10px 12px;
+                    margin-bottom: 8px;
                 }
-                .btn-cancel-assign:hover {
-                    background: #fee2e2;
-                    color: #ef4444;
-                    border-color: #fca5a5;
+                .audit-entry-head {
+                    display: flex;
+                    align-items: center;
+                    gap: 8px;
+                    flex-wrap: wrap;
                 }
-                .assigned-completed-header {
-                    font-size: 12px;
-                    color: #9ca3af;
-                    margin-top: 12px;
-                    margin-bottom: 4px;
-                    text-transform: uppercase;
-                    letter-spacing: 0.5px;
+                .audit-action {
+                    font-size: 11px;
+                    font-weight: 600;
+                    padding: 2px 8px;
+                    border-radius: 10px;
+                    background: #eef2ff;
+                    color: #4338ca;
                 }
-                .assign-sop-title {
+                .audit-folder { background: #fef3c7; color: #92400e; }
+                .audit-assignment { background: #ecfdf5; color: #047857; }
+                .audit-title {
                     font-weight: 600;
-                    font-size: 15px;
                     color: #1f2937;
-                    margin-bottom: 12px;
-                    padding-bottom: 8px;
+                }
+                .audit-meta {
+                    font-size: 12px;
+                    color: #6b7280;
+                    margin-top: 2px;
+                }
+                .audit-changes {
+                    width: 100%;
+                    border-collapse: collapse;
+                    margin-top: 8px;
+                    font-size: 12px;
+                    table-layout: fixed;
+                }
+                .audit-changes th {
+                    text-align: left;
+                    color: #6b7280;
+                    font-weight: 500;
+                    padding: 4px 6px;
                     border-bottom: 1px solid #e5e7eb;
                 }
-                .assign-btn {
-                    font-size: 14px !important;
+                .audit-changes td {
+                    padding: 4px 6px;
+                    vertical-align: top;
+                    word-break: break-word;
+                    border-bottom: 1px solid #f3f4f6;
+                }
+                .audit-field { color: #374151; font-weight: 500; }
+                .audit-before { background: #fef2f2; color: #991b1b; }
+                .audit-after { background: #f0fdf4; color: #166534; }
+                .audit-empty { color: #9ca3af; }
+                .audit-more {
+                    font-size: 12px;
+                    color: #6b7280;
+                    text-align: center;
+                    margin: 8px 0 0;
                 }
                 .team-assignments-banner {
                     background: #eff6ff;
@@ -4569,6 +7010,105 @@
                     padding: 2px 4px;
                 }
                 .member-copy:hover { opacity: 1; }
+                .member-approver {
+                    margin-left: auto;
+                    font-size: 11px;
+                    padding: 1px 8px;
+                    border-radius: 999px;
+                    border: 1px dashed #d1d5db;
+                    background: none;
+                    color: #6b7280;
+                    cursor: pointer;
+                }
+                .member-approver.is-approver {
+                    border: 1px solid #a7f3d0;
+                    background: #ecfdf5;
+                    color: #047857;
+                }
+                .team-reviews-banner {
+                    background: #fffbeb;
+                    border: 1px solid #fde68a;
+                    border-radius: 10px;
+                    padding: 16px;
+                    margin-bottom: 16px;
+                }
+                .team-reviews-list {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 8px;
+                }
+                .team-review-card {
+                    display: flex;
+                    flex-direction: column;
+                    align-items: flex-start;
+                    gap: 2px;
+                    padding: 10px 12px;
+                    background: #fff;
+                    border: 1px solid #fde68a;
+                    border-radius: 8px;
+                    cursor: pointer;
+                    text-align: left;
+                }
+                .team-review-card:hover { border-color: #f59e0b; }
+                .team-review-title {
+                    font-weight: 600;
+                    color: #1f2937;
+                }
+                .team-review-meta {
+                    font-size: 12px;
+                    color: #6b7280;
+                }
+                .review-content {
+                    max-width: 640px;
+                    width: 95%;
+                }
+                .review-sop-title {
+                    font-weight: 600;
+                    font-size: 16px;
+                    color: #1f2937;
+                }
+                .review-meta {
+                    font-size: 13px;
+                    color: #6b7280;
+                    margin: 4px 0 12px;
+                }
+                .review-heading {
+                    font-size: 13px;
+                    color: #374151;
+                    margin: 12px 0 6px;
+                }
+                .review-steps {
+                    list-style: none;
+                    margin: 0;
+                    padding: 0;
+                    max-height: 260px;
+                    overflow-y: auto;
+                    font-size: 13px;
+                }
+                .review-step {
+                    padding: 4px 0;
+                    color: #374151;
+                }
+                .review-step.sub-step { padding-left: 20px; }
+                .review-step-num {
+                    color: #9ca3af;
+                    font-weight: 600;
+                }
+                .review-section {
+                    margin-top: 8px;
+                    font-weight: 600;
+                    color: #4338ca;
+                }
+                .review-comment-label {
+                    display: block;
+                    margin: 12px 0 4px;
+                    font-size: 13px;
+                    font-weight: 500;
+                }
+                .review-hint {
+                    font-weight: 400;
+                    color: #9ca3af;
+                }
                 .member-email {
                     font-size: 13px;
                     color: #1f2937;
@@ -4768,6 +7308,14 @@
                     text-overflow: ellipsis;
                     white-space: nowrap;
                 }
+                .ta-variables {
+                    max-width: 40%;
+                    font-size: 11px;
+                    color: #6b7280;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                }
                 .ta-time {
                     font-size: 12px;
                     color: #9ca3af;
@@ -4782,6 +7330,51 @@
                     white-space: nowrap;
                     flex-shrink: 0;
                 }
+                .ta-duration.ta-over {
+                    color: #b45309;
+                    background: #fffbeb;
+                }
+                .ta-estimates-panel {
+                    margin-bottom: 12px;
+                    padding: 8px 12px;
+                    background: #fffbeb;
+                    border: 1px solid #fde68a;
+                    border-radius: 8px;
+                    font-size: 13px;
+                }
+                .ta-estimates-panel summary {
+                    cursor: pointer;
+                    color: #92400e;
+                    font-weight: 500;
+                }
+                .ta-estimates-label {
+                    margin: 10px 0 4px;
+                    font-size: 11px;
+                    font-weight: 600;
+                    color: #6b7280;
+                    text-transform: uppercase;
+                }
+                .ta-estimates-row {
+                    display: flex;
+                    justify-content: space-between;
+                    gap: 12px;
+                    padding: 3px 0;
+                }
+                .ta-estimates-name {
+                    min-width: 0;
+                    overflow: hidden;
+                    text-overflow: ellipsis;
+                    white-space: nowrap;
+                    color: #374151;
+                }
+                .ta-estimates-sop {
+                    color: #9ca3af;
+                    font-size: 12px;
+                }
+                .ta-estimates-value {
+                    white-space: nowrap;
+                    color: #b45309;
+                }
                 .ta-expand-arrow {
                     font-size: 10px;
                     color: #9ca3af;
@@ -4837,6 +7430,40 @@
                     font-style: italic;
                     line-height: 1.4;
                 }
+                .ta-step-branch {
+                    font-size: 11px;
+                    font-weight: 600;
+                    color: #4338ca;
+                    line-height: 1.4;
+                }
+                .ta-step-value {
+                    font-size: 11px;
+                    font-weight: 600;
+                    color: #374151;
+                    line-height: 1.4;
+                }
+                .ta-step-value.ta-out-of-range { color: #b45309; }
+                .ta-step-photos {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 6px;
+                    margin-top: 4px;
+                }
+                .ta-step-photo {
+                    width: 56px;
+                    height: 56px;
+                    object-fit: cover;
+                    border-radius: 4px;
+                    border: 1px solid #e5e7eb;
+                    cursor: zoom-in;
+                }
+                .ta-step-photo-expanded {
+                    width: 100%;
+                    max-width: 480px;
+                    height: auto;
+                    object-fit: contain;
+                    cursor: zoom-out;
+                }
                 .ta-step-time {
                     font-size: 11px;
                     color: #9ca3af;
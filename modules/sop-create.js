@@ -4,10 +4,39 @@
  * Features:
  * - Form for title, description, and folder assignment
  * - Step editor with add, edit, remove, reorder
+ * - Decision steps with labeled options that jump to later steps
+ * - Named sections and indented sub-steps
+ * - Typed steps (number reading, yes/no, short text, dropdown) with required flag
+ * - Steps can require photo evidence from the person running the checklist
+ * - Saves and deletes are written to the audit log (lib/audit-log.js)
+ * - Draft → review → publish: saving keeps a draft; the team only sees the
+ *   published revision (lib/sop-workflow.js)
+ * - Import title, description, steps and images from a .docx, .md or .txt
+ *   file after a preview (lib/sop-import.js)
+ * - Edit conflicts: if the SOP was saved elsewhere (another device or tab)
+ *   since it was opened, saving merges both edits and asks only about the
+ *   things changed on both sides (lib/sop-merge.js)
+ * - Reusable step blocks: insert a shared block from the library; editing the
+ *   block updates every SOP that uses it (lib/step-blocks.js)
+ * - Linked SOP steps: a step can run another SOP as a child checklist; links
+ *   that would loop back to this SOP are not offered (lib/sop-links.js)
+ * - Fill-in placeholders like {{customer_name}} in step text, asked for when a
+ *   checklist starts (lib/sop-variables.js)
+ * - Estimated minutes per step, with the SOP's total (lib/step-durations.js)
  * - Folder/category selection (integrates with Dashboard folders)
  * - Tags and status management
  * - AI-assisted drafting via external tools (paste workflow)
  * - AI-assisted clarity improvement via external tools
+ * - Pro: one-click AI steps and clarity rewrites, streamed in step by step
+ *   from /api/ai, with a warning when AI credits run low (lib/ai-quota.js)
+ * - Pro: draft a whole SOP — title, sections, steps, notes, safety warnings,
+ *   tags and folder — from long free-form notes or a dictated walkthrough
+ * - Instant offline clarity hints under each step, with an overall score (lib/step-clarity.js)
+ * - Translations side by side with the original; out-of-date ones are flagged
+ *   when the original changes (lib/sop-translations.js). Pro: AI translation
+ *   with a review screen, keeping "Keep as written" terms intact
+ * - Undo / redo for every change, with Ctrl/Cmd+Z and Shift+Z; the stack is kept in the draft (lib/edit-history.js)
+ * - Command palette entries and "n" to add a step (lib/command-palette.js)
  * - Auto-save drafts
  * 
  * AI WORKFLOW NOTE:
@@ -42,6 +71,68 @@
         { id: 'hr', name: 'HR & Compliance', color: '#8b5cf6', icon: '📋' }
     ];
 
+    // What the worker records on a step. 'checkbox' is the default and is not stored.
+    const STEP_INPUT_TYPES = [
+        { id: 'checkbox', label: 'Checkbox' },
+        { id: 'number', label: 'Number reading' },
+        { id: 'yesno', label: 'Yes / No' },
+        { id: 'text', label: 'Short text' },
+        { id: 'select', label: 'Dropdown' }
+    ];
+    
+    // Longest notes "Draft from Notes" sends — matches the limit in api/ai.js
+    const AI_NOTES_MAX_LENGTH = 12000;
+    
+    // ========================================================================
+    // IMAGE SANITIZING
+    // ========================================================================
+    
+    /**
+     * Read an image file and re-encode it through a canvas.
+     * SECURITY: Re-rendering strips embedded scripts, EXIF (incl. GPS), malicious payloads.
+     * Shared with the checklist runner for photo evidence.
+     * Resolves with a JPEG data URL; rejects with a user-facing message.
+     */
+    function sanitizeImageFile(file, { maxWidth = 600, quality = 0.6 } = {}) {
+        return new Promise((resolve, reject) => {
+            // Validate file size (max 10MB raw — will be compressed)
+            if (file.size > 10 * 1024 * 1024) {
+                reject(new Error('Image too large. Please use an image under 10MB.'));
+                return;
+            }
+            
+            const reader = new FileReader();
+            reader.onload = (e) => {
+                const img = new Image();
+                img.onload = () => {
+                    const canvas = document.createElement('canvas');
+                    let width = img.width;
+                    let height = img.height;
+                    
+                    if (width > maxWidth) {
+                        height = Math.round(height * (maxWidth / width));
+                        width = maxWidth;
+                    }
+                    
+                    canvas.width = width;
+                    canvas.height = height;
+                    const ctx = canvas.getContext('2d');
+                    // Fill white background (prevents black areas from PNG transparency)
+                    ctx.fillStyle = '#ffffff';
+                    ctx.fillRect(0, 0, width, height);
+                    ctx.drawImage(img, 0, 0, width, height);
+                    
+                    // Compress to JPEG (quality 0.6 at 600px keeps ~60-80KB base64)
+                    resolve(canvas.toDataURL('image/jpeg', quality));
+                };
+                img.onerror = () => reject(new Error('Could not load image. Try a different file.'));
+                img.src = e.target.result;
+            };
+            reader.onerror = () => reject(new Error('Could not read image. Try a different file.'));
+            reader.readAsDataURL(file);
+        });
+    }
+    
     // ========================================================================
     // SOPCreate CLASS
     // ========================================================================
@@ -77,9 +168,16 @@
                 folderId: 'general',
                 steps: [],
                 tags: [],
-                status: 'draft'
+                status: 'draft',
+                translations: null
             };
             
+            // Translation open in the translations pane
+            this._translationLang = null;
+            
+            // AI translation being reviewed ({ lang, items, results, ... })
+            this._aiTranslation = null;
+            
             this.dragState = {
                 dragging: false,
                 draggedId: null,
@@ -89,6 +187,9 @@
             this.autoSaveTimer = null;
             this._draftDebounceTimer = null;
             
+            // Undo / redo stack (lib/edit-history.js), started by create() / edit()
+            this._editHistory = null;
+            
             this.callbacks = {
                 onSave: null,
                 onCancel: null,
@@ -111,6 +212,7 @@
                 this._attachEventListeners();
             }
             this._setupAutoSave();
+            this._setupUndoShortcuts();
         }
         
         _loadFolders() {
@@ -158,31 +260,33 @@
         _saveDraft() {
             if (this.options.mode === 'create' && this._hasContent()) {
                 this._collectFormData();
-                localStorage.setItem(SOP_STORAGE_KEYS.DRAFTS, JSON.stringify({
-                    ...this.formState,
-                    savedAt: Date.now()
-                }));
+                this._writeDraft();
             }
         }
         
         /**
          * Debounced draft save for typing events (500ms).
          * formState is already current from input handlers — skip _collectFormData.
+         * The typing burst becomes one undo step at the same moment.
          */
         _saveDraftDebounced() {
-            if (!this.options.autoSaveDrafts) return;
             clearTimeout(this._draftDebounceTimer);
             this._draftDebounceTimer = setTimeout(() => {
-                this._saveDraftFromState();
+                this._draftDebounceTimer = null;
+                this._recordUndo();
+                if (this.options.autoSaveDrafts) this._saveDraftFromState();
             }, 500);
         }
         
         /**
          * Immediate draft save for structural changes (add/delete/reorder).
+         * Also records the change for undo.
          */
         _saveDraftNow() {
-            if (!this.options.autoSaveDrafts) return;
             clearTimeout(this._draftDebounceTimer);
+            this._draftDebounceTimer = null;
+            this._recordUndo();
+            if (!this.options.autoSaveDrafts) return;
             this._saveDraftFromState();
         }
         
@@ -192,11 +296,28 @@
          */
         _saveDraftFromState() {
             if (this.options.mode === 'create' && this._hasContent()) {
-                localStorage.setItem(SOP_STORAGE_KEYS.DRAFTS, JSON.stringify({
-                    ...this.formState,
-                    savedAt: Date.now()
-                }));
+                this._writeDraft();
+            }
+        }
+        
+        /**
+         * The draft carries the undo stack, so it survives draft recovery.
+         * If that doesn't fit in storage, the draft is saved without it.
+         */
+        _writeDraft() {
+            const draft = { ...this.formState, savedAt: Date.now() };
+            if (this._editHistory && typeof EditHistory !== 'undefined') {
+                try {
+                    localStorage.setItem(SOP_STORAGE_KEYS.DRAFTS, JSON.stringify({
+                        ...draft,
+                        undoHistory: EditHistory.pack(this._editHistory)
+                    }));
+                    return;
+                } catch (e) {
+                    // Quota — fall through to the plain draft
+                }
             }
+            localStorage.setItem(SOP_STORAGE_KEYS.DRAFTS, JSON.stringify(draft));
         }
         
         _loadDraft() {
@@ -248,11 +369,18 @@
                             <h2>${headerTitle}</h2>
                         </div>
                         <div class="header-right">
+                            ${typeof EditHistory !== 'undefined' ? `
+                            <button type="button" class="btn-undo" id="btn-undo" title="Undo (Ctrl+Z)" aria-label="Undo"
+                                ${EditHistory.canUndo(this._editHistory) ? '' : 'disabled'}>↶</button>
+                            <button type="button" class="btn-undo" id="btn-redo" title="Redo (Ctrl+Shift+Z)" aria-label="Redo"
+                                ${EditHistory.canRedo(this._editHistory) ? '' : 'disabled'}>↷</button>
+                            ` : ''}
                             <span class="status-badge status-${this.formState.status}">${this.formState.status}</span>
                         </div>
                     </header>
                     
                     <main class="sop-create-main">
+                        ${this._renderWorkflowBar()}
                         <form class="sop-form" id="sop-form">
                             <!-- Basic Info -->
                             <section class="form-section">
@@ -286,8 +414,11 @@
                                     <div class="form-group">
                                         <label for="sop-status">Status</label>
                                         <select id="sop-status" class="form-select">
-                                            <option value="draft" ${this.formState.status === 'draft' ? 'selected' : ''}>📝 Draft</option>
-                                            <option value="active" ${this.formState.status === 'active' ? 'selected' : ''}>✅ Active</option>
+                                            ${this._isPublished() ? `
+                                            <option value="active" ${this.formState.status !== 'archived' ? 'selected' : ''}>✅ Active (published)</option>
+                                            ` : `
+                                            <option value="draft" ${this.formState.status !== 'archived' ? 'selected' : ''}>📝 Draft</option>
+                                            `}
                                             <option value="archived" ${this.formState.status === 'archived' ? 'selected' : ''}>📦 Archived</option>
                                         </select>
                                     </div>
@@ -305,7 +436,11 @@
                             <section class="form-section steps-section">
                                 <div class="section-header">
                                     <h3>📋 Steps</h3>
-                                    <span class="step-count" id="step-count">${this.formState.steps.length} / ${this.options.maxSteps}</span>
+                                    <span class="step-count">
+                                        <span class="steps-clarity" id="steps-clarity">${this._renderClarityScore()}</span>
+                                        <span class="steps-estimate" id="steps-estimate">${this._renderEstimateTotal()}</span>
+                                        <span id="step-count">${this._getStepItems().length} / ${this.options.maxSteps}</span>
+                                    </span>
                                 </div>
                                 
                                 ${this.options.enableAIFeatures ? `
@@ -316,17 +451,21 @@
                                         <span class="ai-title">AI-Powered Steps</span>
                                         <span class="ai-badge ai-badge-pro">Pro</span>
                                     </div>
-                                    <p class="ai-description">Generate steps automatically or improve existing ones with AI. You can edit everything before saving.</p>
+                                    <p class="ai-description">Generate steps automatically, improve existing ones, or turn your notes into a whole SOP with AI. You can edit everything before saving.</p>
                                     <div class="ai-steps-actions">
                                         <button type="button" class="ai-btn" id="btn-ai-generate" data-ai-action="draft-steps">
                                             ✨ Suggest Steps
                                         </button>
                                         <button type="button" class="ai-btn ai-btn-secondary" id="btn-ai-improve" data-ai-action="improve-clarity"
-                                            ${this.formState.steps.length === 0 ? 'disabled' : ''}>
+                                            ${this._getStepItems().length === 0 ? 'disabled' : ''}>
                                             ✏️ Improve Clarity
                                         </button>
+                                        <button type="button" class="ai-btn ai-btn-secondary" id="btn-ai-draft-notes" data-ai-action="draft-from-notes">
+                                            📝 Draft from Notes
+                                        </button>
                                     </div>
                                     <p class="ai-hint">This is optional. You can always write steps yourself or <a href="#" id="btn-ai-manual-paste" class="ai-link">paste from an external tool</a>.</p>
+                                    <p class="ai-quota-hint" id="ai-quota-hint">${this._renderAIQuotaHint()}</p>
                                     ` : `
                                     <div class="ai-panel-header">
                                         <span class="ai-icon">🤖</span>
@@ -339,7 +478,7 @@
                                             📋 Paste Steps
                                         </button>
                                         <button type="button" class="ai-btn ai-btn-secondary" id="btn-ai-improve" data-ai-action="improve-clarity"
-                                            ${this.formState.steps.length === 0 ? 'disabled' : ''}>
+                                            ${this._getStepItems().length === 0 ? 'disabled' : ''}>
                                             ✏️ Improve Clarity
                                         </button>
                                     </div>
@@ -353,11 +492,37 @@
                                     ${this._renderStepsList()}
                                 </div>
                                 
-                                <button type="button" class="btn-add-step" id="btn-add-step"
-                                    ${this.formState.steps.length >= this.options.maxSteps ? 'disabled' : ''}>
-                                    ➕ Add Step
-                                </button>
+                                <div class="add-step-actions">
+                                    <button type="button" class="btn-add-step" id="btn-add-step"
+                                        ${this._getStepItems().length >= this.options.maxSteps ? 'disabled' : ''}>
+                                        ➕ Add Step
+                                    </button>
+                                    <button type="button" class="btn-add-section" id="btn-add-section" title="Group the steps below under a heading">
+                                        📑 Add Section
+                                    </button>
+                                    ${typeof StepBlocks !== 'undefined' ? `
+                                    <button type="button" class="btn-add-section" id="btn-step-blocks" title="Insert a block of steps shared by several SOPs">
+                                        🧩 Step Blocks
+                                    </button>
+                                    ` : ''}
+                                    ${typeof SOPImport !== 'undefined' ? `
+                                    <button type="button" class="btn-add-section" id="btn-import-file" title="Word (.docx), Markdown, text or WithoutMe JSON file">
+                                        📄 Import from File
+                                    </button>
+                                    <input type="file" id="import-file-input" accept="${SOPImport.ACCEPT}" hidden />
+                                    ` : ''}
+                                </div>
+                                ${typeof SOPVariables !== 'undefined' ? `
+                                <p class="help-text steps-variables-hint" id="steps-variables-hint">${this._renderVariablesHint()}</p>
+                                ` : ''}
+                            </section>
+                            
+                            ${typeof SOPTranslations !== 'undefined' ? `
+                            <!-- Translations -->
+                            <section class="form-section translations-section" id="translations-section">
+                                ${this._renderTranslations()}
                             </section>
+                            ` : ''}
                             
                             <!-- Actions -->
                             <section class="form-actions">
@@ -369,6 +534,7 @@
                                     ${isEdit ? `<button type="button" class="btn btn-secondary" id="btn-history">🕐 History</button>` : ''}
                                     <button type="button" class="btn btn-secondary" id="btn-preview">👁️ Preview</button>
                                     <button type="submit" class="btn btn-primary" id="btn-save">💾 ${saveText}</button>
+                                    ${this._renderWorkflowButton()}
                                 </div>
                             </section>
                         </form>
@@ -387,7 +553,7 @@
                     
                     <!-- Version History Modal -->
                     <div class="preview-modal" id="history-modal" style="display: none;">
-                        <div class="preview-content">
+                        <div class="preview-content history-content">
                             <div class="preview-header">
                                 <h3>🕐 Version History</h3>
                                 <button class="btn-close" id="btn-close-history">✕</button>
@@ -396,6 +562,39 @@
                         </div>
                     </div>
                     
+                    <!-- File Import Modal -->
+                    <div class="preview-modal" id="import-modal" style="display: none;">
+                        <div class="preview-content">
+                            <div class="preview-header">
+                                <h3>📄 Import from File</h3>
+                                <button class="btn-close" id="btn-close-import">✕</button>
+                            </div>
+                            <div class="preview-body" id="import-body"></div>
+                        </div>
+                    </div>
+                    
+                    <!-- Step Blocks Modal -->
+                    <div class="preview-modal" id="blocks-modal" style="display: none;">
+                        <div class="preview-content">
+                            <div class="preview-header">
+                                <h3>🧩 Step Blocks</h3>
+                                <button class="btn-close" id="btn-close-blocks">✕</button>
+                            </div>
+                            <div class="preview-body" id="blocks-body"></div>
+                        </div>
+                    </div>
+                    
+                    <!-- Edit Conflict Merge Modal -->
+                    <div class="preview-modal" id="merge-modal" style="display: none;">
+                        <div class="preview-content history-content">
+                            <div class="preview-header">
+                                <h3>🔀 Merge Changes</h3>
+                                <button class="btn-close" id="btn-close-merge">✕</button>
+                            </div>
+                            <div class="preview-body" id="merge-body"></div>
+                        </div>
+                    </div>
+                    
                     <!-- Clarity Preview Modal -->
                     <div class="clarity-modal" id="clarity-modal" style="display: none;">
                         <div class="clarity-content">
@@ -412,6 +611,45 @@
                         </div>
                     </div>
                     
+                    <!-- AI Translation Review Modal -->
+                    <div class="clarity-modal" id="translate-modal" style="display: none;">
+                        <div class="clarity-content">
+                            <div class="clarity-header">
+                                <h3 id="translate-modal-title">🌐 Review Translation</h3>
+                                <button class="btn-close" id="btn-close-translate">✕</button>
+                            </div>
+                            <p class="clarity-description" id="translate-modal-description"></p>
+                            <div class="clarity-comparison" id="translate-review"></div>
+                            <div class="clarity-actions">
+                                <button type="button" class="btn btn-secondary" id="btn-cancel-translate">Cancel</button>
+                                <button type="button" class="btn btn-primary" id="btn-apply-translate">✓ Use Translation</button>
+                            </div>
+                        </div>
+                    </div>
+                    
+                    <!-- AI Draft from Notes Modal -->
+                    <div class="ai-modal" id="ai-notes-modal" style="display: none;">
+                        <div class="ai-modal-content">
+                            <div class="ai-modal-header">
+                                <h3>📝 Draft from Notes</h3>
+                                <button class="btn-close" id="btn-close-ai-notes">✕</button>
+                            </div>
+                            <div class="ai-modal-body">
+                                <div class="ai-paste-area">
+                                    <label for="ai-notes-input">Describe how the job is done, in your own words:</label>
+                                    <textarea id="ai-notes-input" class="ai-textarea ai-notes-textarea" rows="14" maxlength="${AI_NOTES_MAX_LENGTH}"
+                                        placeholder="Talk it through like you would to a new hire, or paste a voicemail transcript. It doesn't need to be tidy or in order."></textarea>
+                                    <p class="ai-paste-hint"><span id="ai-notes-count">0</span> / ${AI_NOTES_MAX_LENGTH} characters</p>
+                                </div>
+                                <p class="ai-draft-reminder">AI writes the title, description, steps, notes and safety warnings, and suggests tags and a folder. It replaces what's in the editor now; nothing is saved until you save.</p>
+                            </div>
+                            <div class="ai-modal-footer">
+                                <button type="button" class="btn btn-secondary" id="btn-cancel-ai-notes">Cancel</button>
+                                <button type="button" class="btn btn-primary" id="btn-apply-ai-notes">✨ Draft SOP</button>
+                            </div>
+                        </div>
+                    </div>
+                    
                     <!-- AI Paste Steps Modal -->
                     <div class="ai-modal" id="ai-paste-modal" style="display: none;">
                         <div class="ai-modal-content">
@@ -513,13 +751,44 @@
                 `;
             }
             
-            return this.formState.steps.map((step, index) => `
-                <div class="step-item" data-step-id="${step.id}">
+            const numbers = this._getStepNumbers();
+            
+            return this.formState.steps.map((step, index) => {
+                if (step.type === 'section') {
+                    const sectionCount = this._getSectionSteps(index).length;
+                    return `
+                        <div class="step-item step-section-item" data-step-id="${step.id}">
+                            <div class="step-drag-handle">⋮⋮</div>
+                            <div class="step-content">
+                                <input type="text" class="step-section-input" data-step-id="${step.id}" maxlength="100"
+                                    placeholder="Section name (e.g. Before you start)" value="${this._escapeHtml(step.text)}" />
+                                <span class="step-section-count">${sectionCount} step${sectionCount !== 1 ? 's' : ''}</span>
+                            </div>
+                            <div class="step-actions">
+                                <button type="button" class="step-action-btn" data-action="move-up"
+                                    data-step-id="${step.id}" ${this._getMoveTarget(index, -1) === -1 ? 'disabled' : ''} title="Move section up" aria-label="Move section up">↑</button>
+                                <button type="button" class="step-action-btn" data-action="move-down"
+                                    data-step-id="${step.id}" ${this._getMoveTarget(index, 1) === -1 ? 'disabled' : ''} title="Move section down" aria-label="Move section down">↓</button>
+                                <button type="button" class="step-action-btn step-delete-btn"
+                                    data-action="delete" data-step-id="${step.id}" title="Remove section heading" aria-label="Remove section heading">🗑️</button>
+                            </div>
+                        </div>
+                    `;
+                }
+                
+                if (step.type === 'block') return this._renderBlockReference(step, index, numbers);
+                
+                const isSubStep = step.level === 1;
+                const prevType = index > 0 ? this.formState.steps[index - 1].type : null;
+                const canIndent = !isSubStep && index > 0 && prevType !== 'section' && prevType !== 'block';
+                return `
+                <div class="step-item${isSubStep ? ' step-sub-item' : ''}" data-step-id="${step.id}">
                     <div class="step-drag-handle">⋮⋮</div>
-                    <div class="step-number">${index + 1}</div>
+                    <div class="step-number">${numbers[step.id]}</div>
                     <div class="step-content">
                         <textarea class="step-input" data-step-id="${step.id}"
-                            placeholder="Describe this step..." rows="2">${this._escapeHtml(step.text)}</textarea>
+                            placeholder="${step.type === 'sop' ? 'Instruction (optional)' : isSubStep ? 'Describe this sub-step...' : 'Describe this step...'}" rows="2">${this._escapeHtml(step.text)}</textarea>
+                        <div class="step-lint" data-lint-step-id="${step.id}">${this._renderStepLint(step)}</div>
                         <input type="text" class="step-note-input" data-step-id="${step.id}"
                             placeholder="Add note (optional)" value="${this._escapeHtml(step.note || '')}" />
                         ${step.image ? `
@@ -530,21 +799,287 @@
                         ` : `
                         <button type="button" class="step-image-btn" data-action="add-image" data-step-id="${step.id}">📷 Add image</button>
                         `}
+                        ${this._renderStepFlow(step, index)}
                     </div>
                     <div class="step-actions">
                         <button type="button" class="step-action-btn" data-action="move-up" 
-                            data-step-id="${step.id}" ${index === 0 ? 'disabled' : ''} title="Move step up" aria-label="Move step up">↑</button>
+                            data-step-id="${step.id}" ${this._getMoveTarget(index, -1) === -1 ? 'disabled' : ''} title="Move step up" aria-label="Move step up">↑</button>
                         <button type="button" class="step-action-btn" data-action="move-down" 
-                            data-step-id="${step.id}" ${index === this.formState.steps.length - 1 ? 'disabled' : ''} title="Move step down" aria-label="Move step down">↓</button>
+                            data-step-id="${step.id}" ${this._getMoveTarget(index, 1) === -1 ? 'disabled' : ''} title="Move step down" aria-label="Move step down">↓</button>
+                        ${isSubStep ? `
+                        <button type="button" class="step-action-btn" data-action="outdent"
+                            data-step-id="${step.id}" title="Make a main step" aria-label="Make a main step">⇤</button>
+                        ` : `
+                        <button type="button" class="step-action-btn" data-action="indent"
+                            data-step-id="${step.id}" ${canIndent ? '' : 'disabled'} title="Make a sub-step of the step above" aria-label="Make a sub-step">⇥</button>
+                        `}
                         <button type="button" class="step-action-btn step-delete-btn" 
                             data-action="delete" data-step-id="${step.id}" title="Delete step" aria-label="Delete step">🗑️</button>
                     </div>
                 </div>
+            `;
+            }).join('');
+        }
+        
+        /**
+         * Branching controls under a step.
+         * Decision steps list their options (label + where each one jumps).
+         * Regular steps get a "Then" jump once the SOP contains a decision,
+         * so a branch's sub-sequence can rejoin the main path.
+         */
+        _renderStepFlow(step, index) {
+            if (step.type === 'decision') {
+                return `
+                    <div class="step-branches">
+                        <div class="step-branches-label">🔀 Decision — the worker picks one option:</div>
+                        ${(step.branches || []).map(branch => `
+                            <div class="step-branch-row">
+                                <input type="text" class="step-branch-input" data-step-id="${step.id}" data-branch-id="${branch.id}"
+                                    placeholder="Option (e.g. Yes)" maxlength="60" value="${this._escapeHtml(branch.label || '')}" />
+                                <select class="step-branch-target" data-step-id="${step.id}" data-branch-id="${branch.id}" aria-label="Where this option goes">
+                                    ${this._renderStepTargetOptions(index, branch.goto)}
+                                </select>
+                                <button type="button" class="step-branch-remove" data-action="remove-branch" data-step-id="${step.id}"
+                                    data-branch-id="${branch.id}" title="Remove option" aria-label="Remove option">✕</button>
+                            </div>
+                        `).join('')}
+                        <div class="step-branch-actions">
+                            <button type="button" class="step-flow-btn" data-action="add-branch" data-step-id="${step.id}">+ Add option</button>
+                            <button type="button" class="step-flow-btn" data-action="toggle-decision" data-step-id="${step.id}">Make regular step</button>
+                        </div>
+                    </div>
+                `;
+            }
+            
+            const hasDecisions = this.formState.steps.some(s => s.type === 'decision');
+            const thenHtml = hasDecisions ? `
+                    <label class="step-goto">Then
+                        <select class="step-goto-select" data-step-id="${step.id}">
+                            ${this._renderStepTargetOptions(index, step.goto)}
+                        </select>
+                    </label>
+                    ` : '';
+            
+            if (step.type === 'sop') {
+                return `
+                    <div class="step-flow step-link">
+                        <label class="step-goto">🔗 Runs
+                            <select class="step-link-select" data-step-id="${step.id}">
+                                ${this._renderLinkOptions(step)}
+                            </select>
+                        </label>
+                        <button type="button" class="step-flow-btn" data-action="toggle-link" data-step-id="${step.id}">Make regular step</button>
+                        ${thenHtml}
+                    </div>
+                `;
+            }
+            
+            const inputType = step.input?.type || 'checkbox';
+            return `
+                <div class="step-flow">
+                    <label class="step-goto">Answer
+                        <select class="step-input-type" data-step-id="${step.id}">
+                            ${STEP_INPUT_TYPES.map(t => `<option value="${t.id}" ${inputType === t.id ? 'selected' : ''}>${t.label}</option>`).join('')}
+                        </select>
+                    </label>
+                    <button type="button" class="step-flow-btn" data-action="toggle-decision" data-step-id="${step.id}">🔀 Make decision</button>
+                    <label class="step-goto step-photo-required" title="The person running the checklist must attach a photo to check this step off">
+                        <input type="checkbox" class="step-photo-required-check" data-step-id="${step.id}" ${step.photoRequired ? 'checked' : ''} />
+                        📸 Photo proof
+                    </label>
+                    ${typeof StepDurations !== 'undefined' ? `
+                    <label class="step-goto" title="About how long this step takes">⏱
+                        <input type="number" class="step-estimate-input" data-step-id="${step.id}" min="1" max="${StepDurations.MAX_ESTIMATE}" step="1"
+                            placeholder="–" value="${step.estimate || ''}" aria-label="Estimated minutes" /> min
+                    </label>
+                    ` : ''}
+                    ${typeof SOPLinks !== 'undefined' ? `<button type="button" class="step-flow-btn" data-action="toggle-link" data-step-id="${step.id}">🔗 Run another SOP</button>` : ''}
+                    ${thenHtml}
+                </div>
+                ${this._renderStepInputSettings(step)}
+            `;
+        }
+        
+        /**
+         * Settings for a typed step: unit and acceptable range for numbers,
+         * choices for dropdowns, and whether an answer is required.
+         */
+        _renderStepInputSettings(step) {
+            const input = step.input;
+            if (!input || input.type === 'checkbox') return '';
+            
+            let fieldsHtml = '';
+            if (input.type === 'number') {
+                fieldsHtml = `
+                    <input type="text" class="step-input-setting step-input-unit" data-step-id="${step.id}" data-field="unit"
+                        placeholder="Unit (e.g. °F)" maxlength="20" value="${this._escapeHtml(input.unit || '')}" />
+                    <input type="number" class="step-input-setting step-input-range" data-step-id="${step.id}" data-field="min"
+                        placeholder="Min" step="any" value="${input.min ?? ''}" aria-label="Minimum acceptable value" />
+                    <input type="number" class="step-input-setting step-input-range" data-step-id="${step.id}" data-field="max"
+                        placeholder="Max" step="any" value="${input.max ?? ''}" aria-label="Maximum acceptable value" />
+                `;
+            } else if (input.type === 'select') {
+                fieldsHtml = `
+                    <input type="text" class="step-input-setting step-input-options" data-step-id="${step.id}" data-field="options"
+                        placeholder="Choices, comma separated (e.g. Good, Worn, Replace)" maxlength="300"
+                        value="${this._escapeHtml((input.options || []).join(', '))}" />
+                `;
+            }
+            
+            return `
+                <div class="step-input-settings">
+                    ${fieldsHtml}
+                    <label class="step-input-required">
+                        <input type="checkbox" class="step-required-check" data-step-id="${step.id}" ${step.required ? 'checked' : ''} />
+                        Required
+                    </label>
+                </div>
+            `;
+        }
+        
+        /**
+         * Short description of what a typed step asks for (preview, history).
+         */
+        _describeStepInput(step) {
+            const input = step.input;
+            if (!input || input.type === 'checkbox') return '';
+            const type = STEP_INPUT_TYPES.find(t => t.id === input.type);
+            let detail = type ? type.label : input.type;
+            if (input.type === 'number') {
+                const hasMin = input.min !== null && input.min !== undefined && input.min !== '';
+                const hasMax = input.max !== null && input.max !== undefined && input.max !== '';
+                const unit = input.unit ? ' ' + input.unit : '';
+                if (hasMin && hasMax) detail += ` (${input.min}–${input.max}${unit})`;
+                else if (hasMin) detail += ` (at least ${input.min}${unit})`;
+                else if (hasMax) detail += ` (at most ${input.max}${unit})`;
+                else if (unit) detail += ` (${input.unit})`;
+            } else if (input.type === 'select' && (input.options || []).length > 0) {
+                detail += `: ${input.options.join(' / ')}`;
+            }
+            return this._escapeHtml(detail) + (step.required ? ' · required' : '');
+        }
+        
+        /**
+         * Jump targets for a step: next step, any LATER step, or the end.
+         * Only forward jumps are offered so a checklist path always terminates.
+         */
+        _renderStepTargetOptions(index, selected = 'next') {
+            const laterSteps = this.formState.steps.slice(index + 1);
+            const numbers = this._getStepNumbers();
+            const option = (value, label) =>
+                `<option value="${value}" ${(selected || 'next') === value ? 'selected' : ''}>${this._escapeHtml(label)}</option>`;
+            
+            return option('next', 'Continue to next step') +
+                laterSteps.map(s => {
+                    const text = (s.text || '').trim();
+                    const preview = text.length > 30 ? text.substring(0, 30) + '…' : text;
+                    if (s.type === 'section') return option(s.id, `Go to section: ${preview || 'Untitled'}`);
+                    if (s.type === 'block') return option(s.id, `Go to block: ${s.name}`);
+                    return option(s.id, `Go to step ${numbers[s.id]}${preview ? ': ' + preview : ''}`);
+                }).join('') +
+                option('end', 'End checklist');
+        }
+        
+        /**
+         * Human-readable label for a jump target (used in preview).
+         */
+        _describeStepTarget(target) {
+            if (!target || target === 'next') return 'next step';
+            if (target === 'end') return 'end of checklist';
+            const targetStep = this.formState.steps.find(s => s.id === target);
+            if (!targetStep) return 'next step';
+            if (targetStep.type === 'section') return `section "${this._escapeHtml(targetStep.text || 'Untitled')}"`;
+            if (targetStep.type === 'block') return `block "${this._escapeHtml(targetStep.name)}"`;
+            return `step ${this._getStepNumbers()[target]}`;
+        }
+        
+        /**
+         * Group a steps array for read-only display (preview, history):
+         * [{ section, steps: [{ step, number, subSteps: [{ step, number }] }] }]
+         * Steps before the first heading land in a group with section = null.
+         */
+        _groupStepsForDisplay(steps) {
+            const numbers = StepNumbers.number(steps, { blockSteps: step => this._blockSteps(step) });
+            const groups = [{ section: null, steps: [] }];
+            const place = (step, number, block = null) => {
+                const group = groups[groups.length - 1];
+                if (number.includes('.')) {
+                    group.steps[group.steps.length - 1].subSteps.push({ step, number });
+                } else {
+                    group.steps.push({ step, number, subSteps: [], block });
+                }
+            };
+            (steps || []).forEach(step => {
+                if (step.type === 'section') {
+                    groups.push({ section: step, steps: [] });
+                } else if (step.type === 'block') {
+                    // A block shows as its own steps, the first one tagged with the block's name
+                    this._blockSteps(step).forEach((inner, i) => place(inner, numbers[`${step.id}_${inner.id}`], i === 0 ? step : null));
+                } else {
+                    place(step, numbers[step.id]);
+                }
+            });
+            return groups.filter(g => g.section || g.steps.length > 0);
+        }
+        
+        _renderPreviewStep(step) {
+            return `
+                <strong>${this._escapeHtml(step.text)}</strong>
+                ${step.note ? `<p class="step-note">💡 ${this._escapeHtml(step.note)}</p>` : ''}
+                ${step.image && step.image !== '[image]' ? `<img src="${step.image}" alt="Step image" style="max-width:100%;border-radius:6px;margin-top:8px;" />` : ''}
+                ${step.image === '[image]' ? `<p class="step-note">📷 Image attached (preserved on restore)</p>` : ''}
+                ${step.type === 'decision' ? `
+                <ul class="preview-branches">
+                    ${(step.branches || []).map(branch => `
+                        <li>🔀 <strong>${this._escapeHtml(branch.label) || 'Untitled option'}</strong> → ${this._describeStepTarget(branch.goto)}</li>
+                    `).join('')}
+                </ul>
+                ` : (step.goto && step.goto !== 'next' ? `<p class="step-note">↪ Then go to ${this._describeStepTarget(step.goto)}</p>` : '')}
+                ${this._describeStepInput(step) ? `<p class="step-note">✏️ Records: ${this._describeStepInput(step)}</p>` : ''}
+                ${step.photoRequired ? `<p class="step-note">📸 Photo proof required</p>` : ''}
+                ${step.estimate ? `<p class="step-note">⏱ About ${this._formatMinutes(step.estimate)}</p>` : ''}
+                ${step.type === 'sop' ? `<p class="step-note">🔗 Runs ${this._describeLinkedSop(step)} as its own checklist</p>` : ''}
+            `;
+        }
+        
+        /**
+         * "Title" of the SOP a linked step runs (preview, history)
+         */
+        _describeLinkedSop(step) {
+            const linked = SOPLinks.resolve(step, this._loadSOPs());
+            if (linked) return `"${this._escapeHtml(linked.title)}"`;
+            return step.linkedSopId || step.linkedSopTitle ? 'a deleted SOP' : 'no SOP chosen yet';
+        }
+        
+        _renderPreviewStepList(steps) {
+            return this._groupStepsForDisplay(steps).map(group => `
+                ${group.section ? `<h4 class="preview-section">${this._escapeHtml(group.section.text) || 'Untitled section'}</h4>` : ''}
+                ${group.steps.length > 0 ? `
+                <ol class="preview-steps">
+                    ${group.steps.map(entry => `
+                        <li value="${entry.number}">
+                            ${entry.block ? `<span class="preview-block-tag">🧩 ${this._escapeHtml(entry.block.name)}</span>` : ''}
+                            ${this._renderPreviewStep(entry.step)}
+                            ${entry.subSteps.length > 0 ? `
+                            <ol class="preview-substeps">
+                                ${entry.subSteps.map(sub => `
+                                    <li><span class="preview-substep-num">${sub.number}</span> ${this._renderPreviewStep(sub.step)}</li>
+                                `).join('')}
+                            </ol>
+                            ` : ''}
+                        </li>
+                    `).join('')}
+                </ol>
+                ` : ''}
             `).join('');
         }
         
         _renderPreview() {
             const folder = this.folders.find(f => f.id === this.formState.folderId);
+            const stepCount = this.formState.steps.reduce((count, step) => {
+                if (step.type === 'section') return count;
+                return count + (step.type === 'block' ? this._blockSteps(step).length : 1);
+            }, 0);
             
             return `
                 <div class="preview-sop">
@@ -566,18 +1101,8 @@
                     
                     <hr />
                     
-                    <h3>Steps (${this.formState.steps.length})</h3>
-                    ${this.formState.steps.length > 0 ? `
-                    <ol class="preview-steps">
-                        ${this.formState.steps.map(step => `
-                            <li>
-                                <strong>${this._escapeHtml(step.text)}</strong>
-                                ${step.note ? `<p class="step-note">💡 ${this._escapeHtml(step.note)}</p>` : ''}
-                                ${step.image ? `<img src="${step.image}" alt="Step image" style="max-width:100%;border-radius:6px;margin-top:8px;" />` : ''}
-                            </li>
-                        `).join('')}
-                    </ol>
-                    ` : '<p>No steps defined</p>'}
+                    <h3>Steps (${stepCount})</h3>
+                    ${this.formState.steps.length > 0 ? this._renderPreviewStepList(this.formState.steps) : '<p>No steps defined</p>'}
                 </div>
             `;
         }
@@ -594,16 +1119,35 @@
             });
             
             document.getElementById('btn-back')?.addEventListener('click', () => this._handleCancel());
+            document.getElementById('btn-undo')?.addEventListener('click', () => this._undo());
+            document.getElementById('btn-redo')?.addEventListener('click', () => this._redo());
             document.getElementById('btn-cancel')?.addEventListener('click', () => this._handleCancel());
             document.getElementById('btn-preview')?.addEventListener('click', () => this._showPreview());
             document.getElementById('btn-close-preview')?.addEventListener('click', () => this._hidePreview());
             document.getElementById('btn-delete')?.addEventListener('click', () => this._handleDelete());
             document.getElementById('btn-history')?.addEventListener('click', () => this._showHistory());
+            document.getElementById('btn-workflow')?.addEventListener('click', (e) => {
+                this._handleSave(e.currentTarget.dataset.workflow);
+            });
             document.getElementById('btn-close-history')?.addEventListener('click', () => this._hideHistory());
             document.getElementById('history-modal')?.addEventListener('click', (e) => {
                 if (e.target.id === 'history-modal') this._hideHistory();
             });
             
+            // File import
+            document.getElementById('btn-import-file')?.addEventListener('click', () => {
+                document.getElementById('import-file-input')?.click();
+            });
+            document.getElementById('import-file-input')?.addEventListener('change', (e) => {
+                const file = e.target.files[0];
+                e.target.value = '';
+                if (file) this._handleImportFile(file);
+            });
+            document.getElementById('btn-close-import')?.addEventListener('click', () => this._hideImport());
+            document.getElementById('import-modal')?.addEventListener('click', (e) => {
+                if (e.target.id === 'import-modal') this._hideImport();
+            });
+            
             // Form inputs
             document.getElementById('sop-title')?.addEventListener('input', (e) => {
                 this.formState.title = e.target.value;
@@ -619,11 +1163,13 @@
             
             document.getElementById('sop-folder')?.addEventListener('change', (e) => {
                 this.formState.folderId = e.target.value;
+                this._recordUndo();
             });
             
             document.getElementById('sop-status')?.addEventListener('change', (e) => {
                 this.formState.status = e.target.value;
                 this._updateStatusBadge();
+                this._recordUndo();
             });
             
             document.getElementById('sop-tags')?.addEventListener('input', (e) => {
@@ -632,8 +1178,17 @@
             });
             
             document.getElementById('btn-add-step')?.addEventListener('click', () => this._addStep());
+            document.getElementById('btn-add-section')?.addEventListener('click', () => this._addSection());
+            
+            // Step blocks
+            document.getElementById('btn-step-blocks')?.addEventListener('click', () => this._showBlockLibrary());
+            document.getElementById('btn-close-blocks')?.addEventListener('click', () => this._hideBlockLibrary());
+            document.getElementById('blocks-modal')?.addEventListener('click', (e) => {
+                if (e.target.id === 'blocks-modal') this._hideBlockLibrary();
+            });
             
             this._attachStepsListeners();
+            this._attachTranslationListeners();
             
             // AI actions
             document.querySelectorAll('[data-ai-action]').forEach(btn => {
@@ -661,11 +1216,84 @@
                 if (e.target.id === 'preview-modal') this._hidePreview();
             });
             
+            // Command palette and "n" for a new step (lib/command-palette.js)
+            this._registerCommands();
+            this._attachShortcuts();
+            
             this._autoResizeTextareas();
         }
         
+        _isShown() {
+            return !!this.container.querySelector('.sop-create-layout');
+        }
+        
+        _registerCommands() {
+            if (typeof CommandPalette === 'undefined') return;
+            const mod = CommandPalette.MOD_KEY;
+            CommandPalette.register('editor', {
+                label: 'SOP editor',
+                isActive: () => this._isShown(),
+                commands: () => this._getCommands(),
+                shortcuts: [
+                    { keys: ['n'], description: 'Add a step' },
+                    { keys: [`${mod}+Z`], description: 'Undo' },
+                    { keys: [`${mod}+Shift+Z`], description: 'Redo' }
+                ]
+            });
+        }
+        
+        _getCommands() {
+            const isEdit = this.options.mode === 'edit';
+            const commands = [
+                { group: 'Action', title: 'Add step', hint: 'n', run: () => this._addStep() },
+                { group: 'Action', title: 'Add section', run: () => this._addSection() },
+                { group: 'Action', title: isEdit ? 'Update SOP' : 'Save SOP', keywords: 'save', run: () => this._handleSave() },
+                { group: 'Action', title: 'Preview', run: () => this._showPreview() },
+                { group: 'Action', title: 'Back to dashboard', keywords: 'cancel close', run: () => this._handleCancel() }
+            ];
+            if (this._editHistory) {
+                commands.push({ group: 'Action', title: 'Undo', run: () => this._undo() });
+                commands.push({ group: 'Action', title: 'Redo', run: () => this._redo() });
+            }
+            if (isEdit) {
+                commands.push({ group: 'Action', title: 'Version history', run: () => this._showHistory() });
+            }
+            if (typeof StepBlocks !== 'undefined') {
+                commands.push({ group: 'Action', title: 'Step blocks', keywords: 'insert reusable', run: () => this._showBlockLibrary() });
+            }
+            
+            // Jump to a step
+            const numbers = this._getStepNumbers();
+            this.formState.steps.forEach(step => {
+                if (step.type === 'section' || step.type === 'block' || !numbers[step.id]) return;
+                commands.push({
+                    group: 'Step',
+                    title: `${numbers[step.id]}. ${step.text || 'Untitled step'}`,
+                    run: () => document.querySelector(`.step-input[data-step-id="${step.id}"]`)?.focus()
+                });
+            });
+            return commands;
+        }
+        
+        /**
+         * "n" adds a step — unless typing in a field or a dialog is open
+         */
+        _attachShortcuts() {
+            if (this._shortcutHandler) {
+                document.removeEventListener('keydown', this._shortcutHandler);
+            }
+            this._shortcutHandler = (e) => {
+                if (!this._isShown() || e.ctrlKey || e.metaKey || e.altKey || e.key !== 'n') return;
+                if (typeof CommandPalette !== 'undefined' && (CommandPalette.isOpen() || CommandPalette.isTyping(e))) return;
+                if (e.target !== document.body && !document.getElementById('sop-form')?.contains(e.target)) return;
+                e.preventDefault();
+                this._addStep();
+            };
+            document.addEventListener('keydown', this._shortcutHandler);
+        }
+        
         _autoResizeTextareas() {
-            document.querySelectorAll('.step-input, .step-note-input').forEach(ta => {
+            document.querySelectorAll('.step-input, .step-note-input, .translation-input').forEach(ta => {
                 ta.style.height = 'auto';
                 ta.style.height = ta.scrollHeight + 'px';
             });
@@ -686,13 +1314,59 @@
                     step.text = e.target.value;
                     e.target.style.height = 'auto';
                     e.target.style.height = e.target.scrollHeight + 'px';
+                    this._updateStepLint(step);
                 }
                 if (e.target.classList.contains('step-note-input')) {
                     step.note = e.target.value;
                 }
+                if (e.target.classList.contains('step-section-input')) {
+                    step.text = e.target.value;
+                }
+                if (e.target.classList.contains('step-branch-input')) {
+                    const branch = (step.branches || []).find(b => b.id === e.target.dataset.branchId);
+                    if (branch) branch.label = e.target.value;
+                }
+                if (e.target.classList.contains('step-input-setting') && step.input) {
+                    this._setStepInputField(step, e.target.dataset.field, e.target.value);
+                }
+                this._updateVariablesHint();
                 this._saveDraftDebounced();
             });
             
+            // Change: branch/jump targets (selects)
+            stepsList.addEventListener('change', (e) => {
+                const stepId = e.target.dataset.stepId;
+                if (!stepId) return;
+                const step = this.formState.steps.find(s => s.id === stepId);
+                if (!step) return;
+                if (e.target.classList.contains('step-branch-target')) {
+                    const branch = (step.branches || []).find(b => b.id === e.target.dataset.branchId);
+                    if (branch) branch.goto = e.target.value;
+                } else if (e.target.classList.contains('step-goto-select')) {
+                    step.goto = e.target.value;
+                } else if (e.target.classList.contains('step-link-select')) {
+                    Object.assign(step, SOPLinks.linkTo(this._loadSOPs().find(sop => sop.id === e.target.value)));
+                } else if (e.target.classList.contains('step-input-type')) {
+                    this._setStepInputType(stepId, e.target.value);
+                    return;
+                } else if (e.target.classList.contains('step-required-check')) {
+                    if (e.target.checked) step.required = true;
+                    else delete step.required;
+                } else if (e.target.classList.contains('step-photo-required-check')) {
+                    if (e.target.checked) step.photoRequired = true;
+                    else delete step.photoRequired;
+                } else if (e.target.classList.contains('step-estimate-input')) {
+                    const minutes = StepDurations.parseEstimate(e.target.value);
+                    if (minutes) step.estimate = minutes;
+                    else delete step.estimate;
+                    e.target.value = minutes || '';
+                    this._updateEstimateTotal();
+                } else {
+                    return;
+                }
+                this._saveDraftNow();
+            });
+            
             // Click: move/delete by step ID
             stepsList.addEventListener('click', (e) => {
                 const btn = e.target.closest('[data-action]');
@@ -704,11 +1378,19 @@
                 const index = this.formState.steps.findIndex(s => s.id === stepId);
                 if (index === -1) return;
                 
-                if (action === 'move-up') this._moveStep(index, index - 1);
-                else if (action === 'move-down') this._moveStep(index, index + 1);
+                if (action === 'move-up') this._moveBlock(index, -1);
+                else if (action === 'move-down') this._moveBlock(index, 1);
+                else if (action === 'indent') this._setStepLevel(stepId, 1);
+                else if (action === 'outdent') this._setStepLevel(stepId, 0);
                 else if (action === 'delete') this._deleteStep(index);
                 else if (action === 'add-image') this._handleStepImage(stepId);
                 else if (action === 'remove-image') this._removeStepImage(stepId);
+                else if (action === 'toggle-decision') this._toggleDecisionStep(stepId);
+                else if (action === 'toggle-link') this._toggleLinkStep(stepId);
+                else if (action === 'add-branch') this._addBranch(stepId);
+                else if (action === 'remove-branch') this._removeBranch(stepId, btn.dataset.branchId);
+                else if (action === 'edit-block') this._showBlockForm(this.formState.steps[index].blockId);
+                else if (action === 'detach-block') this._detachBlockReference(index);
             });
             
             // Drag: restrict to handle only.
@@ -764,6 +1446,100 @@
             });
         }
         
+        /**
+         * Put the form fields outside the steps list back in line with formState
+         */
+        _syncFormFields() {
+            const titleEl = document.getElementById('sop-title');
+            const descEl = document.getElementById('sop-description');
+            const tagsEl = document.getElementById('sop-tags');
+            const folderEl = document.getElementById('sop-folder');
+            const statusEl = document.getElementById('sop-status');
+            
+            if (titleEl) { titleEl.value = this.formState.title; document.getElementById('title-count').textContent = this.formState.title.length; }
+            if (descEl) { descEl.value = this.formState.description; document.getElementById('desc-count').textContent = this.formState.description.length; }
+            if (tagsEl) tagsEl.value = this.formState.tags.join(', ');
+            if (folderEl) folderEl.value = this.formState.folderId;
+            if (statusEl) statusEl.value = this.formState.status;
+            this._updateStatusBadge();
+        }
+        
+        // ====================================================================
+        // UNDO / REDO (lib/edit-history.js)
+        // ====================================================================
+        
+        _startUndoHistory() {
+            this._editHistory = typeof EditHistory !== 'undefined' ? EditHistory.create(this.formState) : null;
+        }
+        
+        /**
+         * Record formState as the latest undo step if it changed.
+         * Called wherever the draft is saved, plus the few changes that don't save one.
+         */
+        _recordUndo() {
+            if (!this._editHistory) return;
+            if (EditHistory.record(this._editHistory, this.formState)) this._updateUndoButtons();
+        }
+        
+        _undo() {
+            this._stepUndoHistory(EditHistory.undo);
+        }
+        
+        _redo() {
+            this._stepUndoHistory(EditHistory.redo);
+        }
+        
+        _stepUndoHistory(move) {
+            if (!this._editHistory) return;
+            
+            // Typing still waiting on its debounce is the newest step — record it first
+            if (this._draftDebounceTimer) {
+                clearTimeout(this._draftDebounceTimer);
+                this._draftDebounceTimer = null;
+                this._recordUndo();
+            }
+            
+            const state = move(this._editHistory);
+            if (!state) return;
+            
+            this.formState = { ...this.formState, ...state };
+            this._syncFormFields();
+            this._updateStepsList();
+            this._updateUndoButtons();
+            if (this.options.autoSaveDrafts) this._saveDraftFromState();
+        }
+        
+        _updateUndoButtons() {
+            const undoBtn = document.getElementById('btn-undo');
+            const redoBtn = document.getElementById('btn-redo');
+            if (undoBtn) undoBtn.disabled = !EditHistory.canUndo(this._editHistory);
+            if (redoBtn) redoBtn.disabled = !EditHistory.canRedo(this._editHistory);
+        }
+        
+        /**
+         * Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redoes — while the
+         * editor form is on screen and no dialog is open over it
+         */
+        _setupUndoShortcuts() {
+            if (this._undoKeyHandler) {
+                document.removeEventListener('keydown', this._undoKeyHandler);
+            }
+            this._undoKeyHandler = (e) => {
+                if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+                const key = e.key.toLowerCase();
+                if (key !== 'z' && key !== 'y') return;
+                
+                const form = document.getElementById('sop-form');
+                if (!this._editHistory || !form || !this.container.contains(form) || this.container.offsetParent === null) return;
+                if (e.target !== document.body && !form.contains(e.target)) return;
+                
+                e.preventDefault();
+                if (key === 'y' || e.shiftKey) this._redo();
+                else this._undo();
+            };
+            document.addEventListener('keydown', this._undoKeyHandler);
+        }
+        
         _updateStatusBadge() {
             const badge = document.querySelector('.status-badge');
             if (badge) {
@@ -777,7 +1553,7 @@
         // ====================================================================
         
         _addStep(text = '') {
-            if (this.formState.steps.length >= this.options.maxSteps) return;
+            if (this._getStepItems().length >= this.options.maxSteps) return;
             
             this.formState.steps.push({
                 id: `step_${Date.now()}`,
@@ -796,34 +1572,399 @@
             }, 50);
         }
         
+        /**
+         * Add a section heading at the end. Steps added after it belong to it.
+         */
+        _addSection() {
+            this.formState.steps.push({
+                id: `section_${Date.now()}`,
+                type: 'section',
+                text: '',
+                order: this.formState.steps.length + 1
+            });
+            
+            this._updateStepsList();
+            this._saveDraftNow();
+            
+            setTimeout(() => {
+                const inputs = document.querySelectorAll('.step-section-input');
+                inputs[inputs.length - 1]?.focus();
+            }, 50);
+        }
+        
         _deleteStep(index) {
-            if (confirm('Delete this step?')) {
-                this.formState.steps.splice(index, 1);
-                this._reorderSteps();
-                this._updateStepsList();
+            const step = this.formState.steps[index];
+            if (!step) return;
+            
+            // A main step takes its sub-steps with it; a section heading leaves its steps behind
+            let count = 1;
+            let message = 'Delete this step?';
+            if (step.type === 'section') {
+                message = 'Remove this section heading?\n\nThe steps under it are kept.';
+            } else if (step.type === 'block') {
+                message = `Remove the "${step.name}" block from this SOP?\n\nThe block stays in your library.`;
+            } else if (step.level !== 1) {
+                const [start, end] = this._getBlockRange(index);
+                count = end - start;
+                if (count > 1) message = `Delete this step and its ${count - 1} sub-step${count > 2 ? 's' : ''}?`;
+            }
+            
+            if (confirm(message)) {
+                const removed = this.formState.steps.splice(index, count);
+                const removedIds = new Set(removed.map(s => s.id));
+                // Anything that jumped to a deleted step falls through to the next one
+                this.formState.steps.forEach(s => {
+                    if (removedIds.has(s.goto)) s.goto = 'next';
+                    (s.branches || []).forEach(b => { if (removedIds.has(b.goto)) b.goto = 'next'; });
+                });
+                this._reorderSteps();
+                this._updateStepsList();
                 this._saveDraftNow();
             }
         }
         
+        /**
+         * Drag-and-drop move: the dragged block (section with its steps, or a
+         * step with its sub-steps) lands at the drop target.
+         */
         _moveStep(from, to) {
-            if (to < 0 || to >= this.formState.steps.length) return;
+            const steps = this.formState.steps;
+            if (to < 0 || to >= steps.length) return;
+            
+            const [start, end] = this._getBlockRange(from);
+            if (to >= start && to < end) return;
+            const size = end - start;
+            const moving = steps[from];
+            const target = steps[to];
+            let insertAt;
+            
+            if (moving.type === 'section') {
+                // Sections land on section boundaries so they never split another section
+                let boundary = to;
+                while (boundary >= 0 && steps[boundary].type !== 'section') boundary--;
+                if (to > start) insertAt = this._getBlockRange(boundary)[1] - size;
+                else insertAt = boundary === -1 ? steps.findIndex(s => s.type === 'section') : boundary;
+            } else if (moving.level === 1) {
+                insertAt = to > start ? to + 1 - size : to;
+            } else {
+                // Main steps keep clear of another step's sub-steps
+                const owner = target.level === 1 ? this._getParentIndex(to) : to;
+                if (to > start) insertAt = target.type === 'section' ? to + 1 - size : this._getBlockRange(owner)[1] - size;
+                else insertAt = owner;
+            }
+            
+            this._spliceBlock(start, size, insertAt);
+        }
+        
+        /**
+         * Up/down buttons: move the block at `index` past its neighboring sibling.
+         */
+        _moveBlock(index, direction) {
+            const insertAt = this._getMoveTarget(index, direction);
+            if (insertAt === -1) return;
+            const [start, end] = this._getBlockRange(index);
+            this._spliceBlock(start, end - start, insertAt);
+        }
+        
+        _spliceBlock(start, size, insertAt) {
             // Create new array to avoid in-place mutation issues
             const steps = [...this.formState.steps];
-            const [moved] = steps.splice(from, 1);
-            steps.splice(to, 0, moved);
+            const block = steps.splice(start, size);
+            steps.splice(insertAt, 0, ...block);
             this.formState.steps = steps;
             this._reorderSteps();
             this._updateStepsList();
             this._saveDraftNow();
         }
         
+        _setStepLevel(stepId, level) {
+            const index = this.formState.steps.findIndex(s => s.id === stepId);
+            const step = this.formState.steps[index];
+            if (!step || step.type === 'section' || step.type === 'block') return;
+            
+            if (level === 1) {
+                const prev = this.formState.steps[index - 1];
+                if (!prev || prev.type === 'section' || prev.type === 'block') return;
+                step.level = 1;
+            } else {
+                delete step.level;
+            }
+            
+            this._reorderSteps();
+            this._updateStepsList();
+            this._saveDraftNow();
+        }
+        
         _reorderSteps() {
+            this._normalizeStepLevels();
             this.formState.steps.forEach((step, i) => step.order = i + 1);
+            
+            // Jumps may only point forward — reset any that a move turned backward
+            let resetCount = 0;
+            this.formState.steps.forEach((step, i) => {
+                const isBehind = (target) => {
+                    if (!target || target === 'next' || target === 'end') return false;
+                    return this.formState.steps.findIndex(s => s.id === target) <= i;
+                };
+                if (isBehind(step.goto)) { step.goto = 'next'; resetCount++; }
+                (step.branches || []).forEach(b => {
+                    if (isBehind(b.goto)) { b.goto = 'next'; resetCount++; }
+                });
+            });
+            if (resetCount > 0) {
+                this._showNotification('Some branch jumps pointed backward and were reset to "next step"', 'info');
+            }
+        }
+        
+        // ====================================================================
+        // STEP STRUCTURE (sections & sub-steps)
+        // ====================================================================
+        // Steps stay one flat array so ids, drafts, history and checklists keep
+        // working. A { type: 'section' } item heads the steps that follow it;
+        // { level: 1 } marks a sub-step of the nearest main step above it.
+        
+        /**
+         * Steps written in this SOP — not section headings or step blocks.
+         */
+        _getStepItems() {
+            return this.formState.steps.filter(s => s.type !== 'section' && s.type !== 'block');
+        }
+        
+        /**
+         * Display numbers keyed by step id (lib/step-numbers.js). A block's
+         * steps continue the count under `${blockId}_${stepId}`; the block
+         * itself takes its first number.
+         */
+        _getStepNumbers() {
+            return StepNumbers.number(this.formState.steps, { blockSteps: step => this._blockSteps(step) });
+        }
+        
+        _getSectionSteps(index) {
+            const [start, end] = this._getBlockRange(index);
+            return this.formState.steps.slice(start + 1, end);
+        }
+        
+        /**
+         * [start, end) of the block that moves with the item at `index`:
+         * a section takes its steps, a main step takes its sub-steps.
+         */
+        _getBlockRange(index) {
+            const steps = this.formState.steps;
+            const item = steps[index];
+            let end = index + 1;
+            if (item?.type === 'section') {
+                while (end < steps.length && steps[end].type !== 'section') end++;
+            } else if (item && item.level !== 1) {
+                while (end < steps.length && steps[end].type !== 'section' && steps[end].level === 1) end++;
+            }
+            return [index, end];
+        }
+        
+        _getParentIndex(index) {
+            const steps = this.formState.steps;
+            let j = index - 1;
+            while (j >= 0 && steps[j].type !== 'section' && steps[j].level === 1) j--;
+            return (j >= 0 && steps[j].type !== 'section') ? j : index;
+        }
+        
+        /**
+         * Where the block at `index` lands when moved one sibling up (-1) or
+         * down (1), as an insert position in the list with the block removed.
+         * Returns -1 when it can't move. Main steps may hop into the
+         * neighboring section; sub-steps stay under their parent.
+         */
+        _getMoveTarget(index, direction) {
+            const steps = this.formState.steps;
+            const item = steps[index];
+            if (!item) return -1;
+            const [start, end] = this._getBlockRange(index);
+            const size = end - start;
+            const isSection = item.type === 'section';
+            const isSub = !isSection && item.level === 1;
+            
+            if (direction < 0) {
+                if (isSection) {
+                    for (let j = start - 1; j >= 0; j--) {
+                        if (steps[j].type === 'section') return j;
+                    }
+                    return -1;
+                }
+                if (isSub) {
+                    const prev = steps[start - 1];
+                    return (prev && prev.type !== 'section' && prev.level === 1) ? start - 1 : -1;
+                }
+                // Skip back over the previous step's sub-steps; a heading means
+                // hopping to the end of the previous section
+                let j = start - 1;
+                while (j >= 0 && steps[j].type !== 'section' && steps[j].level === 1) j--;
+                return j;
+            }
+            
+            if (end >= steps.length) return -1;
+            const next = steps[end];
+            if (isSection) return this._getBlockRange(end)[1] - size;
+            if (isSub) return (next.type !== 'section' && next.level === 1) ? start + 1 : -1;
+            if (next.type === 'section') return end + 1 - size;
+            return this._getBlockRange(end)[1] - size;
+        }
+        
+        /**
+         * Sub-steps need a main step above them in the same section.
+         * A step block can't take sub-steps from outside it.
+         */
+        _normalizeStepLevels() {
+            let hasParent = false;
+            this.formState.steps.forEach(step => {
+                if (step.type === 'section' || step.type === 'block') {
+                    delete step.level;
+                    hasParent = false;
+                    return;
+                }
+                if (step.level === 1 && !hasParent) delete step.level;
+                hasParent = true;
+            });
+        }
+        
+        /**
+         * Turn a step into a decision (with Yes/No options) or back into a regular step.
+         */
+        _toggleDecisionStep(stepId) {
+            const step = this.formState.steps.find(s => s.id === stepId);
+            if (!step) return;
+            
+            if (step.type === 'decision') {
+                const labelled = (step.branches || []).filter(b => (b.label || '').trim());
+                if (labelled.length > 0 && !confirm('Make this a regular step?\n\nIts options will be removed.')) return;
+                delete step.type;
+                delete step.branches;
+            } else {
+                step.type = 'decision';
+                step.branches = [
+                    { id: `branch_${Date.now()}_0`, label: 'Yes', goto: 'next' },
+                    { id: `branch_${Date.now()}_1`, label: 'No', goto: 'next' }
+                ];
+                delete step.goto;
+                delete step.input;
+                delete step.required;
+                delete step.photoRequired;
+                delete step.estimate;
+            }
+            
+            this._updateStepsList();
+            this._saveDraftNow();
+        }
+        
+        /**
+         * Turn a step into one that runs another SOP, or back into a regular step.
+         * A linked step is checked off by finishing the other SOP, so it drops
+         * typed entry, photo proof and its own estimate.
+         */
+        _toggleLinkStep(stepId) {
+            const step = this.formState.steps.find(s => s.id === stepId);
+            if (!step) return;
+            
+            if (step.type === 'sop') {
+                delete step.type;
+                delete step.linkedSopId;
+                delete step.linkedSopTitle;
+            } else {
+                step.type = 'sop';
+                step.linkedSopId = null;
+                step.linkedSopTitle = null;
+                delete step.input;
+                delete step.required;
+                delete step.photoRequired;
+                delete step.estimate;
+            }
+            
+            this._updateStepsList();
+            this._saveDraftNow();
+        }
+        
+        /**
+         * SOPs a linked step can run: every other SOP except those that already
+         * run this one (directly or through others). The current choice stays listed.
+         */
+        _renderLinkOptions(step) {
+            const sopId = this.options.mode === 'edit' && this.currentSOP ? this.currentSOP.id : null;
+            const sops = this._loadSOPs();
+            const linkedId = SOPLinks.resolve(step, sops)?.id;
+            const choices = sops
+                .filter(sop => sop.id !== sopId)
+                .filter(sop => sop.id === linkedId || !SOPLinks.wouldCycle(sopId, sop.id, sops))
+                .sort((a, b) => (a.title || '').localeCompare(b.title || ''));
+            
+            return `<option value="">Choose a SOP…</option>` +
+                choices.map(sop => `<option value="${sop.id}" ${sop.id === linkedId ? 'selected' : ''}>${this._escapeHtml(sop.title || 'Untitled')}</option>`).join('');
+        }
+        
+        /**
+         * Change what the worker records on a step. Switching back to a plain
+         * checkbox drops the typed settings.
+         */
+        _setStepInputType(stepId, type) {
+            const step = this.formState.steps.find(s => s.id === stepId);
+            if (!step || step.type === 'decision') return;
+            
+            if (!type || type === 'checkbox') {
+                delete step.input;
+                delete step.required;
+            } else {
+                const previous = step.input || {};
+                step.input = { type };
+                if (type === 'number') {
+                    step.input.unit = previous.unit || '';
+                    step.input.min = previous.min ?? null;
+                    step.input.max = previous.max ?? null;
+                } else if (type === 'select') {
+                    step.input.options = previous.options || [];
+                }
+            }
+            
+            this._updateStepsList();
+            this._saveDraftNow();
+        }
+        
+        _setStepInputField(step, field, value) {
+            if (field === 'unit') {
+                step.input.unit = value;
+            } else if (field === 'min' || field === 'max') {
+                const num = parseFloat(value);
+                step.input[field] = isNaN(num) ? null : num;
+            } else if (field === 'options') {
+                step.input.options = value.split(',').map(o => o.trim()).filter(o => o);
+            }
+        }
+        
+        _addBranch(stepId) {
+            const step = this.formState.steps.find(s => s.id === stepId);
+            if (!step || step.type !== 'decision') return;
+            step.branches = step.branches || [];
+            if (step.branches.length >= 6) {
+                this._showNotification('A decision can have up to 6 options', 'info');
+                return;
+            }
+            step.branches.push({ id: `branch_${Date.now()}`, label: '', goto: 'next' });
+            this._updateStepsList();
+            this._saveDraftNow();
+            
+            setTimeout(() => {
+                const inputs = document.querySelectorAll(`.step-branch-input[data-step-id="${stepId}"]`);
+                inputs[inputs.length - 1]?.focus();
+            }, 50);
+        }
+        
+        _removeBranch(stepId, branchId) {
+            const step = this.formState.steps.find(s => s.id === stepId);
+            if (!step || !step.branches) return;
+            step.branches = step.branches.filter(b => b.id !== branchId);
+            this._updateStepsList();
+            this._saveDraftNow();
         }
         
         /**
          * Handle image upload for a step.
-         * Opens file picker, resizes via Canvas API (strips EXIF/scripts), stores as base64.
+         * Opens file picker, resizes via sanitizeImageFile (strips EXIF/scripts), stores as base64.
          */
         _handleStepImage(stepId) {
             const step = this.formState.steps.find(s => s.id === stepId);
@@ -840,48 +1981,13 @@
                 document.body.removeChild(input);
                 if (!file) return;
                 
-                // Validate file size (max 10MB raw — will be compressed)
-                if (file.size > 10 * 1024 * 1024) {
-                    this._showNotification('Image too large. Please use an image under 10MB.', 'error');
-                    return;
-                }
-                
-                const reader = new FileReader();
-                reader.onload = (e) => {
-                    const img = new Image();
-                    img.onload = () => {
-                        // SECURITY: Re-render through Canvas to strip embedded scripts, EXIF, malicious payloads
-                        const canvas = document.createElement('canvas');
-                        const maxWidth = 600;
-                        let width = img.width;
-                        let height = img.height;
-                        
-                        if (width > maxWidth) {
-                            height = Math.round(height * (maxWidth / width));
-                            width = maxWidth;
-                        }
-                        
-                        canvas.width = width;
-                        canvas.height = height;
-                        const ctx = canvas.getContext('2d');
-                        // Fill white background (prevents black areas from PNG transparency)
-                        ctx.fillStyle = '#ffffff';
-                        ctx.fillRect(0, 0, width, height);
-                        ctx.drawImage(img, 0, 0, width, height);
-                        
-                        // Compress to JPEG (quality 0.6 keeps ~60-80KB base64)
-                        const base64 = canvas.toDataURL('image/jpeg', 0.6);
-                        step.image = base64;
-                        
-                        this._updateStepsList();
-                        this._saveDraftNow();
-                    };
-                    img.onerror = () => {
-                        this._showNotification('Could not load image. Try a different file.', 'error');
-                    };
-                    img.src = e.target.result;
-                };
-                reader.readAsDataURL(file);
+                sanitizeImageFile(file).then(base64 => {
+                    step.image = base64;
+                    this._updateStepsList();
+                    this._saveDraftNow();
+                }).catch(err => {
+                    this._showNotification(err.message, 'error');
+                });
             });
             
             input.click();
@@ -900,81 +2006,80 @@
         // ====================================================================
         
         /**
-         * Snapshot the current SOP state before an edit overwrites it.
-         * Stores in localStorage, capped at 5 versions per SOP.
-         * Images stripped from snapshots to conserve storage budget.
+         * Snapshot the current SOP state before an edit overwrites it
+         * (lib/sop-history.js: cloud copy when signed in, last 5 locally).
          */
         _snapshotVersion(existingSop) {
-            if (!existingSop?.id) return;
-            
-            const key = `withoutme_sop_history_${existingSop.id}`;
-            let history = [];
-            try {
-                const stored = localStorage.getItem(key);
-                if (stored) history = JSON.parse(stored);
-            } catch (e) { history = []; }
-            
-            // Strip images from snapshot to save space
-            const snapshot = {
-                ...existingSop,
-                steps: (existingSop.steps || []).map(s => ({
-                    ...s,
-                    image: s.image ? '[image]' : null
-                }))
-            };
-            
-            history.push({
-                savedAt: Date.now(),
-                snapshot
-            });
-            
-            // Cap at 5 versions (FIFO)
-            if (history.length > 5) {
-                history = history.slice(-5);
-            }
-            
-            try {
-                localStorage.setItem(key, JSON.stringify(history));
-            } catch (e) {
-                // localStorage full — drop oldest and retry
-                history = history.slice(-3);
-                try { localStorage.setItem(key, JSON.stringify(history)); } catch (e2) { /* give up */ }
-            }
+            if (typeof SOPHistory === 'undefined') return;
+            SOPHistory.snapshot(existingSop);
         }
         
         _loadVersionHistory(sopId) {
-            if (!sopId) return [];
-            const key = `withoutme_sop_history_${sopId}`;
-            try {
-                const stored = localStorage.getItem(key);
-                return stored ? JSON.parse(stored) : [];
-            } catch (e) { return []; }
+            if (typeof SOPHistory === 'undefined') return [];
+            return SOPHistory.load(sopId);
+        }
+        
+        /**
+         * Local cache merged with cloud versions, oldest first.
+         * The same save appears in both (same savedAt) — the cloud copy wins
+         * because it still has its images. `cloud` is false when cloud
+         * history couldn't be reached.
+         */
+        async _loadAllVersions() {
+            const local = this._loadVersionHistory(this.currentSOP?.id);
+            let cloud = null;
+            if (typeof StorageAdapter !== 'undefined' && StorageAdapter.getSopVersions) {
+                try {
+                    cloud = await StorageAdapter.getSopVersions(this.currentSOP);
+                } catch (e) {
+                    console.warn('SOPCreate: Could not load cloud versions:', e);
+                }
+            }
+            
+            const bySavedAt = new Map();
+            local.forEach(v => bySavedAt.set(v.savedAt, v));
+            (cloud || []).forEach(v => bySavedAt.set(v.savedAt, v));
+            const versions = Array.from(bySavedAt.values()).sort((a, b) => a.savedAt - b.savedAt);
+            return { versions, cloud: cloud !== null };
         }
         
-        _showHistory() {
+        async _showHistory() {
             const sopId = this.currentSOP?.id;
             if (!sopId) return;
             
-            const history = this._loadVersionHistory(sopId);
             const body = document.getElementById('history-body');
             if (!body) return;
             
+            const modal = document.getElementById('history-modal');
+            if (modal) modal.style.display = 'flex';
+            body.innerHTML = `<div class="history-empty"><p>Loading versions…</p></div>`;
+            
+            const { versions: history, cloud } = await this._loadAllVersions();
+            this._historyVersions = history;
+            const auditTrail = await this._renderAuditTrail();
+            
+            const syncNote = cloud
+                ? `<p class="history-sync-note">☁️ Every saved version is kept in your account, with images.</p>`
+                : `<p class="history-sync-note">Showing the last ${history.length || 5} versions on this device. Sign in to keep every version across devices.</p>`;
+            
             if (history.length === 0) {
                 body.innerHTML = `
                     <div class="history-empty">
                         <p>No previous versions yet.</p>
                         <p class="help-text">Versions are saved each time you edit and save this SOP.</p>
                     </div>
+                    ${auditTrail}
                 `;
             } else {
                 body.innerHTML = `
+                    ${syncNote}
                     <div class="history-list" id="history-list">
                         ${history.slice().reverse().map((v, i) => {
                             const realIndex = history.length - 1 - i;
                             const date = new Date(v.savedAt);
                             const dateStr = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
                             const timeStr = date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true });
-                            const stepCount = v.snapshot.steps?.length || 0;
+                            const stepCount = (v.snapshot.steps || []).filter(step => step.type !== 'section').length;
                             return `
                                 <div class="history-item">
                                     <div class="history-item-info">
@@ -982,13 +2087,14 @@
                                         <div class="history-item-detail">${this._escapeHtml(v.snapshot.title)} — ${stepCount} step${stepCount !== 1 ? 's' : ''}</div>
                                     </div>
                                     <div class="history-item-actions">
-                                        <button type="button" class="btn btn-secondary btn-sm" data-action="view-version" data-version-index="${realIndex}">View</button>
+                                        <button type="button" class="btn btn-secondary btn-sm" data-action="view-version" data-version-index="${realIndex}">Compare</button>
                                         <button type="button" class="btn btn-primary btn-sm" data-action="restore-version" data-version-index="${realIndex}">Restore</button>
                                     </div>
                                 </div>
                             `;
                         }).join('')}
                     </div>
+                    ${auditTrail}
                 `;
                 
                 // Attach click handlers via delegation
@@ -1007,9 +2113,43 @@
                     }
                 });
             }
+        }
+        
+        /**
+         * Collapsible "who changed what" list for this SOP, from the audit log
+         */
+        async _renderAuditTrail() {
+            if (typeof AuditLog === 'undefined' || !this.currentSOP) return '';
             
-            const modal = document.getElementById('history-modal');
-            if (modal) modal.style.display = 'flex';
+            const entries = AuditLog.filterEntries(await AuditLog.getEntries(), {
+                entityType: 'sop',
+                entityId: this.currentSOP.id,
+                entityTitle: this.currentSOP.title
+            });
+            if (entries.length === 0) return '';
+            
+            return `
+                <details class="history-audit">
+                    <summary>🧾 Who changed what (${entries.length})</summary>
+                    <ul class="history-audit-list">
+                        ${entries.slice(0, 50).map(entry => {
+                            const when = new Date(entry.at).toLocaleString('en-US', {
+                                month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true
+                            });
+                            const fields = (entry.changes || []).map(c => c.field);
+                            const detail = fields.length > 3 ? `${fields.slice(0, 3).join(', ')} +${fields.length - 3} more` : fields.join(', ');
+                            return `
+                                <li>
+                                    <strong>${this._escapeHtml(AuditLog.getActorLabel(entry))}</strong>
+                                    ${this._escapeHtml(AuditLog.getActionLabel(entry.action).toLowerCase())}
+                                    <span class="history-audit-when">${when}</span>
+                                    ${detail ? `<div class="history-audit-fields">${this._escapeHtml(detail)}</div>` : ''}
+                                </li>
+                            `;
+                        }).join('')}
+                    </ul>
+                </details>
+            `;
         }
         
         _hideHistory() {
@@ -1017,7 +2157,12 @@
             if (modal) modal.style.display = 'none';
         }
         
+        /**
+         * Side-by-side comparison of a saved version (left) with what's in the
+         * editor now (right). Removed and reworded steps can be restored one at a time.
+         */
         _viewVersion(version) {
+            this._collectFormData();
             const s = version.snapshot;
             const body = document.getElementById('history-body');
             if (!body) return;
@@ -1027,26 +2172,53 @@
                 hour: 'numeric', minute: '2-digit', hour12: true
             });
             
+            const rows = this._diffSteps(s.steps || [], this.formState.steps);
+            const counts = rows.reduce((acc, row) => {
+                acc[row.kind] = (acc[row.kind] || 0) + 1;
+                return acc;
+            }, {});
+            const summary = [
+                counts.added ? `${counts.added} added` : '',
+                counts.removed ? `${counts.removed} removed` : '',
+                counts.reworded ? `${counts.reworded} reworded` : '',
+                counts.changed ? `${counts.changed} changed` : '',
+                counts.moved ? `${counts.moved / 2} moved` : ''
+            ].filter(Boolean).join(' · ') || 'No step changes';
+            
+            const titleChanged = (s.title || '') !== this.formState.title;
+            const descChanged = (s.description || '') !== this.formState.description;
+            
             body.innerHTML = `
                 <div class="history-view">
                     <button type="button" class="btn btn-secondary btn-sm" id="btn-history-back">← Back to list</button>
                     <div class="history-view-header">
-                        <div class="history-view-date">Version from ${dateStr}</div>
+                        <div class="history-view-date">Version from ${dateStr} compared with your current edits</div>
+                        <div class="diff-summary">${summary}</div>
                     </div>
-                    <div class="preview-sop">
-                        <h2>${this._escapeHtml(s.title)}</h2>
-                        ${s.description ? `<p>${this._escapeHtml(s.description)}</p>` : ''}
-                        <hr />
-                        <h3>Steps (${(s.steps || []).length})</h3>
-                        <ol class="preview-steps">
-                            ${(s.steps || []).map(step => `
-                                <li>
-                                    <strong>${this._escapeHtml(step.text)}</strong>
-                                    ${step.note ? `<p class="step-note">💡 ${this._escapeHtml(step.note)}</p>` : ''}
-                                    ${step.image === '[image]' ? `<p class="step-note">📷 Image attached (preserved on restore)</p>` : ''}
-                                </li>
-                            `).join('')}
-                        </ol>
+                    ${titleChanged || descChanged ? `
+                    <div class="diff-meta">
+                        ${titleChanged ? `<div><strong>Title:</strong> <del>${this._escapeHtml(s.title || '')}</del> → <ins>${this._escapeHtml(this.formState.title)}</ins></div>` : ''}
+                        ${descChanged ? `<div><strong>Description changed</strong></div>` : ''}
+                    </div>
+                    ` : ''}
+                    <div class="diff-table" id="diff-table">
+                        <div class="diff-row diff-head">
+                            <div class="diff-cell">This version</div>
+                            <div class="diff-cell">Current</div>
+                        </div>
+                        ${rows.map(row => `
+                            <div class="diff-row diff-${row.kind}">
+                                <div class="diff-cell">
+                                    ${row.old ? this._renderDiffStep(row.old, row.kind, 'old') : ''}
+                                    ${row.old && (row.kind === 'removed' || row.kind === 'reworded' || row.kind === 'changed') ? `
+                                        <button type="button" class="btn btn-secondary btn-sm diff-restore" data-step-id="${this._escapeHtml(row.old.id)}">↩ Restore this step</button>
+                                    ` : ''}
+                                </div>
+                                <div class="diff-cell">
+                                    ${row.new ? this._renderDiffStep(row.new, row.kind, 'new') : ''}
+                                </div>
+                            </div>
+                        `).join('')}
                     </div>
                     <div class="history-view-actions">
                         <button type="button" class="btn btn-primary" id="btn-restore-this">Restore this version</button>
@@ -1056,10 +2228,158 @@
             
             document.getElementById('btn-history-back')?.addEventListener('click', () => this._showHistory());
             document.getElementById('btn-restore-this')?.addEventListener('click', () => this._restoreVersion(version));
+            document.getElementById('diff-table')?.addEventListener('click', (e) => {
+                const btn = e.target.closest('.diff-restore');
+                if (btn) this._restoreVersionStep(version, btn.dataset.stepId);
+            });
+        }
+        
+        _renderDiffStep(step, kind, side) {
+            const badges = {
+                added: '＋ Added',
+                removed: '− Removed',
+                reworded: '✎ Reworded',
+                changed: '⚙ Settings changed',
+                moved: side === 'old' ? '↕ Moved from here' : '↕ Moved here'
+            };
+            const badge = badges[kind] ? `<span class="diff-badge">${badges[kind]}</span>` : '';
+            if (step.type === 'section') {
+                return `${badge}<div class="diff-section">${this._escapeHtml(step.text) || 'Untitled section'}</div>`;
+            }
+            if (step.type === 'block') {
+                const count = (step.steps || []).length;
+                return `
+                    ${badge}
+                    <div class="diff-step-text">🧩 ${this._escapeHtml(step.name)}</div>
+                    <div class="diff-step-note">Step block, version ${step.blockVersion || 1} · ${count} step${count !== 1 ? 's' : ''}</div>
+                `;
+            }
+            return `
+                ${badge}
+                <div class="diff-step-text">${step.level === 1 ? '↳ ' : ''}${this._escapeHtml(step.text)}</div>
+                ${step.note ? `<div class="diff-step-note">💡 ${this._escapeHtml(step.note)}</div>` : ''}
+                ${step.image ? `<div class="diff-step-note">📷 Image</div>` : ''}
+                ${step.type === 'decision' ? `<div class="diff-step-note">🔀 ${(step.branches || []).map(b => this._escapeHtml(b.label)).join(' / ')}</div>` : ''}
+                ${step.type === 'sop' ? `<div class="diff-step-note">🔗 Runs ${this._describeLinkedSop(step)}</div>` : ''}
+            `;
+        }
+        
+        /**
+         * Align two step lists into side-by-side rows.
+         * Steps are matched by id (text for legacy steps without one); the
+         * longest common subsequence stays in place, so a matched step outside it
+         * shows up as moved. Row kinds: same, reworded, changed, moved, added, removed.
+         */
+        _diffSteps(oldSteps, newSteps) {
+            const keyOf = (step) => step.id || `text:${step.text}`;
+            const oldKeys = oldSteps.map(keyOf);
+            const newKeys = newSteps.map(keyOf);
+            const oldKeySet = new Set(oldKeys);
+            const newKeySet = new Set(newKeys);
+            
+            // LCS table over keys
+            const m = oldKeys.length;
+            const n = newKeys.length;
+            const lcs = Array.from({ length: m + 1 }, () => new Array(n + 1).fill(0));
+            for (let i = m - 1; i >= 0; i--) {
+                for (let j = n - 1; j >= 0; j--) {
+                    lcs[i][j] = oldKeys[i] === newKeys[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+                }
+            }
+            
+            const rows = [];
+            let i = 0;
+            let j = 0;
+            while (i < m || j < n) {
+                if (i < m && j < n && oldKeys[i] === newKeys[j]) {
+                    rows.push({ kind: this._compareSteps(oldSteps[i], newSteps[j]), old: oldSteps[i], new: newSteps[j] });
+                    i++;
+                    j++;
+                } else if (j < n && (i >= m || lcs[i][j + 1] >= lcs[i + 1][j])) {
+                    rows.push({ kind: oldKeySet.has(newKeys[j]) ? 'moved' : 'added', old: null, new: newSteps[j] });
+                    j++;
+                } else {
+                    rows.push({ kind: newKeySet.has(oldKeys[i]) ? 'moved' : 'removed', old: oldSteps[i], new: null });
+                    i++;
+                }
+            }
+            return rows;
+        }
+        
+        _compareSteps(oldStep, newStep) {
+            if ((oldStep.text || '') !== (newStep.text || '') || (oldStep.note || '') !== (newStep.note || '')) return 'reworded';
+            const shape = (step) => JSON.stringify({
+                type: step.type || null,
+                level: step.level || 0,
+                image: !!step.image,
+                goto: step.goto || 'next',
+                branches: (step.branches || []).map(b => [b.label, b.goto]),
+                input: step.input || null,
+                required: !!step.required,
+                photoRequired: !!step.photoRequired,
+                estimate: step.estimate || null,
+                blockVersion: step.blockVersion || null,
+                linkedSopId: step.linkedSopId || null
+            });
+            return shape(oldStep) === shape(newStep) ? 'same' : 'changed';
+        }
+        
+        /**
+         * Bring back one step from a version. A step that still exists is
+         * overwritten in place; a removed one is re-inserted after the nearest
+         * step that preceded it in that version.
+         */
+        _restoreVersionStep(version, stepId) {
+            const oldSteps = version.snapshot.steps || [];
+            const oldIndex = oldSteps.findIndex(s => s.id === stepId);
+            if (oldIndex === -1) return;
+            
+            const currentIndex = this.formState.steps.findIndex(s => s.id === stepId);
+            const current = currentIndex === -1 ? null : this.formState.steps[currentIndex];
+            const restored = {
+                ...oldSteps[oldIndex],
+                image: oldSteps[oldIndex].image && oldSteps[oldIndex].image !== '[image]'
+                    ? oldSteps[oldIndex].image
+                    : (current?.image || null)
+            };
+            
+            // Jumps to steps that no longer exist would dangle — fall back to "next"
+            const ids = new Set(this.formState.steps.map(s => s.id));
+            if (restored.goto && restored.goto !== 'end' && !ids.has(restored.goto)) delete restored.goto;
+            if (restored.branches) {
+                restored.branches = restored.branches.map(b => ({
+                    ...b,
+                    goto: b.goto === 'next' || b.goto === 'end' || ids.has(b.goto) ? b.goto : 'next'
+                }));
+            }
+            
+            if (current) {
+                this.formState.steps[currentIndex] = restored;
+            } else {
+                if (restored.type !== 'section' && this._getStepItems().length >= this.options.maxSteps) {
+                    this._showNotification(`Maximum ${this.options.maxSteps} steps reached`, 'error');
+                    return;
+                }
+                let insertAt = 0;
+                for (let k = oldIndex - 1; k >= 0; k--) {
+                    const anchor = this.formState.steps.findIndex(s => s.id === oldSteps[k].id);
+                    if (anchor !== -1) {
+                        insertAt = anchor + 1;
+                        break;
+                    }
+                }
+                this.formState.steps.splice(insertAt, 0, restored);
+            }
+            
+            this._reorderSteps();
+            this._updateStepsList();
+            this._saveDraftNow();
+            this._viewVersion(version);
+            this._showNotification('Step restored. Save to keep changes.', 'success');
         }
         
         _restoreVersion(version) {
-            if (!confirm('Restore this version? This will replace your current SOP content. You can undo by restoring a newer version from history.')) return;
+            if (!confirm('Restore this version? This will replace your current SOP content. You can undo it with Undo (Ctrl+Z).')) return;
             
             const s = version.snapshot;
             
@@ -1069,33 +2389,26 @@
             this.formState.tags = s.tags || [];
             this.formState.status = s.status || 'draft';
             this.formState.folderId = s.folderId || this.formState.folderId;
+            this.formState.translations = s.translations ? JSON.parse(JSON.stringify(s.translations)) : null;
             
-            // Restore steps — preserve images from current version where step IDs match
+            // Restore steps — cloud versions carry their images; local ones only
+            // have an '[image]' marker, so fall back to the current image by step ID
             const currentImages = {};
             this.formState.steps.forEach(step => {
                 if (step.image) currentImages[step.id] = step.image;
             });
             
             this.formState.steps = (s.steps || []).map(step => ({
-                id: step.id,
+                ...step,
                 text: step.text || '',
                 note: step.note || '',
-                image: currentImages[step.id] || null,
+                image: step.image && step.image !== '[image]' ? step.image : (currentImages[step.id] || null),
                 order: step.order || 0
             }));
             
-            // Update all form fields
-            const titleEl = document.getElementById('sop-title');
-            const descEl = document.getElementById('sop-description');
-            const tagsEl = document.getElementById('sop-tags');
-            const statusEl = document.getElementById('sop-status');
-            
-            if (titleEl) { titleEl.value = this.formState.title; document.getElementById('title-count').textContent = this.formState.title.length; }
-            if (descEl) { descEl.value = this.formState.description; document.getElementById('desc-count').textContent = this.formState.description.length; }
-            if (tagsEl) tagsEl.value = this.formState.tags.join(', ');
-            if (statusEl) statusEl.value = this.formState.status;
-            
+            this._syncFormFields();
             this._updateStepsList();
+            this._recordUndo();
             this._hideHistory();
             this._showNotification('Version restored. Save to keep changes.', 'success');
         }
@@ -1114,25 +2427,347 @@
                     this._attachStepsListeners();
                 }
             }
-            if (count) count.textContent = `${this.formState.steps.length} / ${this.options.maxSteps}`;
-            if (addBtn) addBtn.disabled = this.formState.steps.length >= this.options.maxSteps;
-            if (improveBtn) improveBtn.disabled = this.formState.steps.length === 0;
+            const stepCount = this._getStepItems().length;
+            if (count) count.textContent = `${stepCount} / ${this.options.maxSteps}`;
+            if (addBtn) addBtn.disabled = stepCount >= this.options.maxSteps;
+            if (improveBtn) improveBtn.disabled = stepCount === 0;
             this._autoResizeTextareas();
+            this._updateVariablesHint();
+            this._updateEstimateTotal();
+            this._updateClarityScore();
+            this._updateTranslations();
         }
         
         // ====================================================================
-        // AI HANDLERS (External Paste Workflow)
+        // CLARITY (lib/step-clarity.js — local, no AI request)
         // ====================================================================
         
         /**
-         * Check if user is on Pro plan
+         * The step text with flagged words underlined, and what's wrong with each
          */
-        _isProPlan() {
-            return typeof PaddleBilling !== 'undefined' && PaddleBilling.isPro();
+        _renderStepLint(step) {
+            if (typeof StepClarity === 'undefined') return '';
+            const issues = StepClarity.lintStep(step.text, { question: step.type === 'decision' });
+            if (issues.length === 0) return '';
+            
+            const text = step.text || '';
+            const marks = issues
+                .filter(issue => issue.start !== null)
+                .sort((a, b) => a.start - b.start);
+            let html = '';
+            let pos = 0;
+            marks.forEach(issue => {
+                if (issue.start < pos) return; // overlaps one already underlined
+                html += this._escapeHtml(text.slice(pos, issue.start));
+                html += `<mark class="lint-mark lint-${issue.rule}" title="${this._escapeHtml(issue.message)}">${this._escapeHtml(text.slice(issue.start, issue.end))}</mark>`;
+                pos = issue.end;
+            });
+            html += this._escapeHtml(text.slice(pos));
+            
+            return `
+                ${marks.length > 0 ? `<div class="step-lint-text">${html}</div>` : ''}
+                <ul class="step-lint-issues">
+                    ${issues.map(issue => `<li><strong>${StepClarity.ruleLabel(issue.rule)}:</strong> ${this._escapeHtml(issue.message)}</li>`).join('')}
+                </ul>
+            `;
+        }
+        
+        _updateStepLint(step) {
+            const el = document.querySelector(`.step-lint[data-lint-step-id="${step.id}"]`);
+            if (el) el.innerHTML = this._renderStepLint(step);
+            this._updateClarityScore();
         }
         
         /**
-         * Get business type from localStorage
+         * "✍️ Clarity 85 ·" for the SOP as written; empty with no steps to score
+         */
+        _renderClarityScore() {
+            if (typeof StepClarity === 'undefined') return '';
+            const steps = typeof StepBlocks !== 'undefined' ? StepBlocks.resolveSteps(this.formState.steps) : this.formState.steps;
+            const result = StepClarity.scoreSteps(steps);
+            if (!result) return '';
+            return `<span class="clarity-${StepClarity.grade(result.score)}" title="${result.issues} clarity hint${result.issues !== 1 ? 's' : ''} across ${result.steps} step${result.steps !== 1 ? 's' : ''}">✍️ Clarity ${result.score}</span> ·`;
+        }
+        
+        _updateClarityScore() {
+            const el = document.getElementById('steps-clarity');
+            if (el) el.innerHTML = this._renderClarityScore();
+        }
+        
+        /**
+         * "⏱ ~25 min" for the steps that have an estimate; empty when none do
+         */
+        _renderEstimateTotal() {
+            if (typeof StepDurations === 'undefined') return '';
+            const total = StepDurations.totalEstimate(this.formState.steps);
+            return total > 0 ? `⏱ ~${this._formatMinutes(total)} ·` : '';
+        }
+        
+        _updateEstimateTotal() {
+            const el = document.getElementById('steps-estimate');
+            if (el) el.textContent = this._renderEstimateTotal();
+        }
+        
+        _formatMinutes(minutes) {
+            if (minutes < 60) return `${minutes} min`;
+            const hrs = Math.floor(minutes / 60);
+            const mins = minutes % 60;
+            return mins > 0 ? `${hrs}h ${mins}m` : `${hrs}h`;
+        }
+        
+        /**
+         * Placeholders in the steps, asked for when a checklist starts (lib/sop-variables.js)
+         */
+        _renderVariablesHint() {
+            const steps = typeof StepBlocks !== 'undefined' ? StepBlocks.resolveSteps(this.formState.steps) : this.formState.steps;
+            const names = SOPVariables.find({ steps });
+            if (names.length === 0) {
+                return 'Tip: write <code>{{customer_name}}</code> in a step to ask for it when a checklist starts.';
+            }
+            return `Asked for when a checklist starts: ${names.map(name => `<strong>${this._escapeHtml(SOPVariables.label(name))}</strong>`).join(', ')}`;
+        }
+        
+        _updateVariablesHint() {
+            const hint = document.getElementById('steps-variables-hint');
+            if (hint) hint.innerHTML = this._renderVariablesHint();
+        }
+        
+        // ====================================================================
+        // TRANSLATIONS (lib/sop-translations.js)
+        // ====================================================================
+        
+        _renderTranslations() {
+            const source = SOPTranslations.sourceLanguage(this.formState);
+            const langs = SOPTranslations.languages(this.formState);
+            if (!langs.includes(this._translationLang)) this._translationLang = langs[0] || null;
+            const addable = SOPTranslations.LANGUAGES.filter(l => l.code !== source && !langs.includes(l.code));
+            
+            return `
+                <div class="section-header">
+                    <h3>🌐 Translations</h3>
+                    <label class="translation-source-label">
+                        Written in
+                        <select id="translation-source" class="translation-select">
+                            ${SOPTranslations.LANGUAGES.map(l => `
+                                <option value="${l.code}" ${l.code === source ? 'selected' : ''}>${this._escapeHtml(l.name)}</option>
+                            `).join('')}
+                        </select>
+                    </label>
+                </div>
+                <p class="help-text">Team members pick their language on their team link, and their checklists start in it. Until an out-of-date translation is updated, they see the original.</p>
+                <label class="translation-keep-terms">
+                    <span>Keep as written</span>
+                    <input type="text" id="translation-keep-terms" class="form-input"
+                        value="${this._escapeHtml(SOPTranslations.keepTerms(this.formState).join(', '))}"
+                        placeholder="Product names, part numbers — comma-separated">
+                </label>
+                <div class="translation-tabs">
+                    ${langs.map(code => this._renderTranslationTab(code)).join('')}
+                    ${addable.length > 0 ? `
+                    <select id="translation-add" class="translation-select">
+                        <option value="">➕ Add language</option>
+                        ${addable.map(l => `<option value="${l.code}">${this._escapeHtml(l.name)}</option>`).join('')}
+                    </select>
+                    ` : ''}
+                </div>
+                ${this._translationLang ? `
+                <div class="translation-panes">
+                    ${this._renderTranslationPanes(this._translationLang)}
+                </div>
+                ` : ''}
+            `;
+        }
+        
+        _renderTranslationTab(code) {
+            const status = SOPTranslations.status(this.formState, code);
+            return `
+                <button type="button" class="translation-tab${code === this._translationLang ? ' active' : ''}" data-translation-lang="${code}">
+                    ${this._escapeHtml(SOPTranslations.languageName(code))}
+                    <span class="translation-progress">${status.done}/${status.total}</span>
+                    ${status.stale > 0 ? `<span class="translation-stale-count" title="The original changed since these were translated">⚠ ${status.stale}</span>` : ''}
+                </button>
+            `;
+        }
+        
+        /**
+         * Original on the left, translation on the right, one row per title,
+         * description and step
+         */
+        _renderTranslationPanes(lang) {
+            const entry = this.formState.translations?.languages?.[lang] || {};
+            const name = this._escapeHtml(SOPTranslations.languageName(lang));
+            const numbers = this._getStepNumbers();
+            
+            const rows = SOPTranslations.status(this.formState, lang).items.map(item => {
+                const found = item.kind === 'step' ? entry.steps?.[item.key] : entry[item.kind];
+                const label = item.kind === 'title' ? 'Title'
+                    : item.kind === 'description' ? 'Description'
+                    : item.step.type === 'section' ? 'Section' : `Step ${numbers[item.key] || ''}`;
+                const hasNote = item.kind === 'step' && !!item.step.note?.trim();
+                const key = this._escapeHtml(item.key);
+                
+                return `
+                    <div class="translation-row translation-${item.state}" data-translation-key="${key}">
+                        <div class="translation-label">
+                            ${label}
+                            <span class="translation-flag">
+                                ⚠ Original changed
+                                <button type="button" class="translation-keep" data-translation-keep="${key}" title="The translation still matches — stop flagging it">Still correct</button>
+                            </span>
+                        </div>
+                        <div class="translation-source">${this._renderTranslationSource(item)}</div>
+                        <div class="translation-target">
+                            <textarea class="form-textarea translation-input" rows="1" dir="auto" lang="${lang}"
+                                data-translation-key="${key}" data-translation-field="text"
+                                placeholder="${name}">${this._escapeHtml(found?.text || '')}</textarea>
+                            ${hasNote ? `
+                            <textarea class="form-textarea translation-input translation-note-input" rows="1" dir="auto" lang="${lang}"
+                                data-translation-key="${key}" data-translation-field="note"
+                                placeholder="${name} — note">${this._escapeHtml(found?.note || '')}</textarea>
+                            ` : ''}
+                        </div>
+                    </div>
+                `;
+            }).join('');
+            
+            return `
+                <div class="translation-columns">
+                    <span>Original · ${this._escapeHtml(SOPTranslations.languageName(SOPTranslations.sourceLanguage(this.formState)))}</span>
+                    <span>${name}</span>
+                </div>
+                ${rows}
+                <div class="translation-footer">
+                    ${this.options.enableAIFeatures && this._isProPlan() ? `
+                    <button type="button" class="ai-btn ai-btn-secondary" id="btn-ai-translate" ${this._aiTranslation?.streaming ? 'disabled' : ''}>✨ Translate with AI</button>
+                    ` : ''}
+                    <button type="button" class="translation-remove" id="btn-remove-translation">Remove ${name}</button>
+                </div>
+            `;
+        }
+        
+        _renderTranslationSource(item) {
+            if (item.kind !== 'step') return `<p>${this._escapeHtml(this.formState[item.kind])}</p>`;
+            return `
+                <p>${this._escapeHtml(item.step.text)}</p>
+                ${item.step.note?.trim() ? `<p class="translation-source-note">📝 ${this._escapeHtml(item.step.note)}</p>` : ''}
+            `;
+        }
+        
+        _updateTranslations() {
+            const section = document.getElementById('translations-section');
+            if (!section) return;
+            section.innerHTML = this._renderTranslations();
+            this._autoResizeTextareas();
+        }
+        
+        /**
+         * Row flags, originals and tab counts — in place, so a translation
+         * being typed keeps its focus
+         */
+        _refreshTranslationStatus() {
+            const section = document.getElementById('translations-section');
+            const lang = this._translationLang;
+            if (!section || !lang) return;
+            
+            SOPTranslations.status(this.formState, lang).items.forEach(item => {
+                const row = section.querySelector(`.translation-row[data-translation-key="${CSS.escape(item.key)}"]`);
+                if (!row) return;
+                row.className = `translation-row translation-${item.state}`;
+                row.querySelector('.translation-source').innerHTML = this._renderTranslationSource(item);
+            });
+            const tab = section.querySelector(`.translation-tab[data-translation-lang="${lang}"]`);
+            if (tab) tab.outerHTML = this._renderTranslationTab(lang);
+        }
+        
+        _attachTranslationListeners() {
+            const section = document.getElementById('translations-section');
+            if (!section) return;
+            
+            section.addEventListener('input', (e) => {
+                const input = e.target.closest('.translation-input');
+                if (!input) return;
+                const key = input.dataset.translationKey;
+                if (key === 'title' || key === 'description') {
+                    SOPTranslations.setField(this.formState, this._translationLang, key, input.value);
+                } else {
+                    const step = this.formState.steps.find(s => s.id === key);
+                    if (!step) return;
+                    SOPTranslations.setStep(this.formState, this._translationLang, step, { [input.dataset.translationField]: input.value });
+                }
+                input.style.height = 'auto';
+                input.style.height = input.scrollHeight + 'px';
+                this._refreshTranslationStatus();
+                this._saveDraftDebounced();
+            });
+            
+            section.addEventListener('change', (e) => {
+                if (e.target.id === 'translation-keep-terms') {
+                    SOPTranslations.setKeepTerms(this.formState, e.target.value.split(','));
+                    this._saveDraftNow();
+                    return;
+                }
+                if (e.target.id === 'translation-add' && e.target.value) {
+                    SOPTranslations.addLanguage(this.formState, e.target.value);
+                    this._translationLang = e.target.value;
+                } else if (e.target.id === 'translation-source') {
+                    const code = e.target.value;
+                    const name = SOPTranslations.languageName(code);
+                    if (SOPTranslations.languages(this.formState).includes(code) &&
+                        !confirm(`This SOP has a ${name} translation. Make ${name} the original language and remove that translation?`)) {
+                        e.target.value = SOPTranslations.sourceLanguage(this.formState);
+                        return;
+                    }
+                    SOPTranslations.setSourceLanguage(this.formState, code);
+                } else {
+                    return;
+                }
+                this._saveDraftNow();
+                this._updateTranslations();
+            });
+            
+            section.addEventListener('click', (e) => {
+                const tab = e.target.closest('[data-translation-lang]');
+                const keep = e.target.closest('[data-translation-keep]');
+                if (tab) {
+                    this._translationLang = tab.dataset.translationLang;
+                    this._updateTranslations();
+                } else if (keep) {
+                    SOPTranslations.markCurrent(this.formState, this._translationLang, keep.dataset.translationKeep);
+                    this._saveDraftNow();
+                    this._refreshTranslationStatus();
+                } else if (e.target.id === 'btn-ai-translate') {
+                    this._aiTranslate(this._translationLang);
+                } else if (e.target.id === 'btn-remove-translation') {
+                    const name = SOPTranslations.languageName(this._translationLang);
+                    if (!confirm(`Remove the ${name} translation? Team members reading ${name} will see the original.`)) return;
+                    SOPTranslations.removeLanguage(this.formState, this._translationLang);
+                    this._translationLang = null;
+                    this._saveDraftNow();
+                    this._updateTranslations();
+                }
+            });
+            
+            // Originals edited above — re-check the flags once the field is left
+            document.getElementById('sop-form')?.addEventListener('change', (e) => {
+                if (e.target.matches('#sop-title, #sop-description, .step-input, .step-note-input, .step-section-input')) {
+                    this._refreshTranslationStatus();
+                }
+            });
+        }
+        
+        // ====================================================================
+        // AI HANDLERS (External Paste Workflow)
+        // ====================================================================
+        
+        /**
+         * Check if user is on Pro plan
+         */
+        _isProPlan() {
+            return typeof PaddleBilling !== 'undefined' && PaddleBilling.isPro();
+        }
+        
+        /**
+         * Get business type from localStorage
          */
         _getBusinessType() {
             try {
@@ -1142,6 +2777,36 @@
             }
         }
         
+        /**
+         * Stop before an AI call the server would refuse (lib/ai-quota.js).
+         * Returns false — and says why — when the last known quota is used up.
+         */
+        _checkAIQuota(action) {
+            if (typeof AIQuota === 'undefined') return true;
+            const { blocked } = AIQuota.check(action);
+            if (blocked) {
+                this._showNotification(blocked, 'error');
+                return false;
+            }
+            return true;
+        }
+        
+        /**
+         * Warning under the AI buttons when credits are running low. Checked
+         * against improve, the dearer action, so it shows up in time for both.
+         */
+        _renderAIQuotaHint() {
+            if (typeof AIQuota === 'undefined') return '';
+            const { blocked, low } = AIQuota.check('improve');
+            const message = blocked || low;
+            return message ? `⚠ ${this._escapeHtml(message)}` : '';
+        }
+        
+        _updateAIQuotaHint() {
+            const hint = document.getElementById('ai-quota-hint');
+            if (hint) hint.innerHTML = this._renderAIQuotaHint();
+        }
+        
         /**
          * Handle AI action buttons
          * Pro users get direct API calls; Free users get manual paste workflow
@@ -1159,11 +2824,146 @@
                 } else {
                     this._showAIImproveModal();
                 }
+            } else if (action === 'draft-from-notes' && this._isProPlan()) {
+                this._showNotesModal();
+            }
+        }
+        
+        /**
+         * POST to /api/ai with streaming on (see api/ai.js). Calls
+         * onStep(text, index) for each step, onItem(event) for each
+         * translated item and onEvent(event) for the other draft parts
+         * (title, section, note, warning, folder...) as they arrive, and
+         * resolves with { steps, tags, items, error } when the reply ends —
+         * error is set when it broke off part-way. Throws when the request
+         * itself fails; a quota refusal carries the server's message as
+         * `userMessage`.
+         */
+        async _streamAI(body, onStep, onItem, onEvent) {
+            // Get auth token for server-side verification
+            const headers = { 'Content-Type': 'application/json' };
+            if (typeof SupabaseClient !== 'undefined' && SupabaseClient) {
+                try {
+                    const { session } = await SupabaseClient.getSession();
+                    if (session?.access_token) {
+                        headers['Authorization'] = `Bearer ${session.access_token}`;
+                    }
+                } catch (e) { /* proceed without auth — server will reject */ }
+            }
+            
+            const response = await fetch('/api/ai', {
+                method: 'POST',
+                headers,
+                body: JSON.stringify({ ...body, stream: true })
+            });
+            
+            if (typeof AIQuota !== 'undefined') {
+                AIQuota.remember(response.headers);
+                this._updateAIQuotaHint();
+            }
+            
+            if (!response.ok) {
+                const error = new Error(`API error: ${response.status}`);
+                if (response.status === 429) {
+                    const data = await response.json().catch(() => ({}));
+                    error.userMessage = data.error || 'AI limit reached. Try again later.';
+                }
+                throw error;
+            }
+            
+            const result = { steps: [], tags: [], items: [], error: null };
+            const handle = (event) => {
+                if (event.type === 'step') {
+                    result.steps.push(event.text);
+                    onStep?.(event.text, result.steps.length - 1);
+                } else if (event.type === 'item') {
+                    result.items.push(event);
+                    onItem?.(event);
+                } else if (event.type === 'tags') {
+                    result.tags = event.tags || [];
+                } else if (event.type === 'error') {
+                    result.error = event.error || 'AI request failed';
+                } else if (event.type !== 'done') {
+                    onEvent?.(event);
+                }
+            };
+            
+            // A server without streaming answers with one JSON body
+            const contentType = response.headers.get('Content-Type') || '';
+            if (!response.body || !contentType.includes('ndjson')) {
+                const data = await response.json();
+                (data.steps || []).forEach(text => handle({ type: 'step', text }));
+                result.tags = data.tags || [];
+                const translation = data.translation;
+                if (translation) {
+                    ['title', 'description'].forEach(key => {
+                        if (translation[key]) handle({ type: 'item', key, field: 'text', text: translation[key] });
+                    });
+                    Object.entries(translation.steps || {}).forEach(([key, fields]) => {
+                        Object.entries(fields).forEach(([field, text]) => handle({ type: 'item', key, field, text }));
+                    });
+                }
+                const draft = data.draft;
+                if (draft) {
+                    ['title', 'description'].forEach(type => {
+                        if (draft[type]) handle({ type, text: draft[type] });
+                    });
+                    let index = 0;
+                    (draft.steps || []).forEach(step => {
+                        if (step.type === 'section') {
+                            handle({ type: 'section', text: step.text });
+                            return;
+                        }
+                        handle({ type: 'step', text: step.text });
+                        ['note', 'warning'].forEach(type => {
+                            if (step[type]) handle({ type, index, text: step[type] });
+                        });
+                        index++;
+                    });
+                    result.tags = draft.tags || [];
+                    if (draft.folderId) handle({ type: 'folder', folderId: draft.folderId });
+                }
+                return result;
+            }
+            
+            const readLine = (line) => {
+                if (!line.trim()) return;
+                let event;
+                try {
+                    event = JSON.parse(line);
+                } catch (e) {
+                    console.warn('[AI] Skipping unreadable stream line');
+                    return;
+                }
+                handle(event);
+            };
+            
+            const reader = response.body.getReader();
+            const decoder = new TextDecoder();
+            let buffer = '';
+            let reading = true;
+            while (reading) {
+                let chunk;
+                try {
+                    chunk = await reader.read();
+                } catch (e) {
+                    console.error('[AI] Stream interrupted:', e);
+                    result.error = 'Connection lost';
+                    break;
+                }
+                reading = !chunk.done;
+                buffer += decoder.decode(chunk.value || new Uint8Array(), { stream: reading });
+                const lines = buffer.split('\n');
+                buffer = reading ? lines.pop() : '';
+                lines.forEach(readLine);
             }
+            
+            return result;
         }
         
         /**
-         * Pro: Call API to suggest steps based on SOP title/description
+         * Pro: Call API to suggest steps based on SOP title/description.
+         * Steps are shown one by one as the reply streams in.
          */
         async _aiSuggestSteps() {
             this._collectFormData();
@@ -1174,8 +2974,21 @@
                 return;
             }
             
+            if (!this._checkAIQuota('suggest')) return;
+            
+            // Steps replace the current ones as they arrive, so ask up front
+            const existingCount = this.formState.steps.length;
+            if (existingCount > 0) {
+                if (!confirm(`This will replace your ${existingCount} existing steps with AI-generated steps. Continue?`)) {
+                    return;
+                }
+            }
+            
             const generateBtn = document.getElementById('btn-ai-generate');
             const originalText = generateBtn?.textContent;
+            const list = document.getElementById('steps-list');
+            const batch = Date.now();
+            let started = false;
             
             try {
                 // Show loading state
@@ -1184,55 +2997,35 @@
                     generateBtn.textContent = '⏳ Generating...';
                 }
                 
-                // Get auth token for server-side verification
-                let authHeaders = { 'Content-Type': 'application/json' };
-                if (typeof SupabaseClient !== 'undefined' && SupabaseClient) {
-                    try {
-                        const { session } = await SupabaseClient.getSession();
-                        if (session?.access_token) {
-                            authHeaders['Authorization'] = `Bearer ${session.access_token}`;
-                        }
-                    } catch (e) { /* proceed without auth — server will reject */ }
-                }
-
-                const response = await fetch('/api/ai', {
-                    method: 'POST',
-                    headers: authHeaders,
-                    body: JSON.stringify({
-                        action: 'suggest',
-                        title: title,
-                        description: this.formState.description?.trim() || '',
-                        businessType: this._getBusinessType()
-                    })
+                const data = await this._streamAI({
+                    action: 'suggest',
+                    title: title,
+                    description: this.formState.description?.trim() || '',
+                    businessType: this._getBusinessType()
+                }, (text, index) => {
+                    // The current steps stay until the first new one is in
+                    if (!started) {
+                        started = true;
+                        this.formState.steps = [];
+                        list?.classList.add('ai-streaming');
+                    }
+                    this.formState.steps.push({
+                        id: `step_ai_${batch}_${index}`,
+                        text: text,
+                        note: '',
+                        order: index + 1,
+                        aiGenerated: true
+                    });
+                    this._updateStepsList();
+                    if (generateBtn) generateBtn.textContent = `⏳ Step ${index + 1}...`;
                 });
                 
-                if (!response.ok) {
-                    throw new Error(`API error: ${response.status}`);
-                }
-                
-                const data = await response.json();
-                
-                if (!data.steps || data.steps.length === 0) {
+                if (!started) {
+                    if (data.error) throw new Error(data.error);
                     this._showNotification('AI couldn\'t generate steps. Try a more descriptive title.', 'error');
                     return;
                 }
                 
-                // Confirm if replacing existing steps
-                if (this.formState.steps.length > 0) {
-                    if (!confirm(`This will replace your ${this.formState.steps.length} existing steps with ${data.steps.length} AI-generated steps. Continue?`)) {
-                        return;
-                    }
-                }
-                
-                // Apply the steps
-                this.formState.steps = data.steps.map((text, index) => ({
-                    id: `step_ai_${Date.now()}_${index}`,
-                    text: text,
-                    note: '',
-                    order: index + 1,
-                    aiGenerated: true
-                }));
-                
                 // Apply suggested tags (merge with existing, don't overwrite)
                 let tagsAdded = 0;
                 if (data.tags && data.tags.length > 0) {
@@ -1246,17 +3039,22 @@
                     }
                 }
                 
-                this._updateStepsList();
                 this._saveDraftNow();
-                const tagMsg = tagsAdded > 0 ? ` + ${tagsAdded} keywords added.` : '.';
-                this._showNotification(`✨ ${data.steps.length} steps generated${tagMsg} Review and edit as needed.`, 'success');
+                if (data.error) {
+                    // Keep what arrived — it's a start the user can finish by hand
+                    this._showNotification(`AI stopped after ${data.steps.length} steps. Review them or try again.`, 'error');
+                } else {
+                    const tagMsg = tagsAdded > 0 ? ` + ${tagsAdded} keywords added.` : '.';
+                    this._showNotification(`✨ ${data.steps.length} steps generated${tagMsg} Review and edit as needed.`, 'success');
+                }
                 this._showAIPastedNotice();
                 if (typeof gtag === 'function') gtag('event', 'ai_suggest_used', { step_count: data.steps.length });
                 
             } catch (e) {
                 console.error('[AI Suggest] Error:', e);
-                this._showNotification('AI step generation failed. Try again in a moment.', 'error');
+                this._showNotification(e.userMessage || 'AI step generation failed. Try again in a moment.', 'error');
             } finally {
+                list?.classList.remove('ai-streaming');
                 if (generateBtn) {
                     generateBtn.disabled = false;
                     generateBtn.textContent = originalText || '✨ Suggest Steps';
@@ -1265,21 +3063,34 @@
         }
         
         /**
-         * Pro: Call API to improve existing steps
+         * Pro: Call API to improve existing steps. The review modal opens with
+         * the first improved step and fills in as the rest stream in.
          */
         async _aiImproveSteps() {
             this._collectFormData();
             
-            if (this.formState.steps.length === 0) {
+            if (this._getStepItems().length === 0) {
                 this._showNotification('Add some steps first before improving them.', 'error');
                 return;
             }
             
+            if (!this._checkAIQuota('improve')) return;
+            
             const improveBtn = document.getElementById('btn-ai-improve');
             const originalText = improveBtn?.textContent;
             
-            // Store originals for comparison
-            this._originalSteps = this.formState.steps.map(s => ({ ...s }));
+            // Store originals for comparison (section headings aren't rewritten)
+            const originals = this._getStepItems().map(s => ({ ...s }));
+            this._originalSteps = originals;
+            this._improvedSteps = [];
+            // Closing the modal clears _originalSteps — the rest of the reply is ignored
+            const isOpen = () => this._originalSteps === originals;
+            const hideModal = () => {
+                const modal = document.getElementById('clarity-modal');
+                if (modal) modal.style.display = 'none';
+                this._originalSteps = null;
+                this._improvedSteps = null;
+            };
             
             try {
                 // Show loading state
@@ -1288,147 +3099,530 @@
                     improveBtn.textContent = '⏳ Improving...';
                 }
                 
-                // Get auth token for server-side verification
-                let improveHeaders = { 'Content-Type': 'application/json' };
-                if (typeof SupabaseClient !== 'undefined' && SupabaseClient) {
-                    try {
-                        const { session } = await SupabaseClient.getSession();
-                        if (session?.access_token) {
-                            improveHeaders['Authorization'] = `Bearer ${session.access_token}`;
-                        }
-                    } catch (e) { /* proceed without auth — server will reject */ }
-                }
-
-                const response = await fetch('/api/ai', {
-                    method: 'POST',
-                    headers: improveHeaders,
-                    body: JSON.stringify({
-                        action: 'improve',
-                        title: this.formState.title?.trim() || '',
-                        steps: this.formState.steps.map(s => s.text),
-                        businessType: this._getBusinessType()
-                    })
+                const data = await this._streamAI({
+                    action: 'improve',
+                    title: this.formState.title?.trim() || '',
+                    steps: originals.map(s => s.text),
+                    businessType: this._getBusinessType()
+                }, (text, index) => {
+                    if (!isOpen()) return;
+                    this._improvedSteps[index] = text;
+                    if (!this._clarityStreaming) {
+                        this._clarityStreaming = true;
+                        this._showClarityPreview();
+                    } else {
+                        this._renderClarityComparison();
+                    }
                 });
                 
-                if (!response.ok) {
-                    throw new Error(`API error: ${response.status}`);
-                }
-                
-                const data = await response.json();
+                this._clarityStreaming = false;
+                if (!isOpen()) return;
                 
-                if (!data.steps || data.steps.length === 0) {
+                // A rewrite that broke off part-way isn't worth reviewing
+                if (data.error) throw new Error(data.error);
+                if (data.steps.length === 0) {
+                    hideModal();
                     this._showNotification('AI couldn\'t improve the steps. Try again.', 'error');
                     return;
                 }
                 
-                // Store improved steps and show clarity preview
                 this._improvedSteps = data.steps;
-                this._showClarityPreview();
+                this._renderClarityComparison();
                 if (typeof gtag === 'function') gtag('event', 'ai_improve_used', { step_count: data.steps.length });
                 
             } catch (e) {
                 console.error('[AI Improve] Error:', e);
-                this._showNotification('AI improvement failed. Try again in a moment.', 'error');
-                this._originalSteps = null;
+                this._showNotification(e.userMessage || 'AI improvement failed. Try again in a moment.', 'error');
+                if (isOpen()) hideModal();
             } finally {
+                this._clarityStreaming = false;
                 if (improveBtn) {
-                    improveBtn.disabled = this.formState.steps.length === 0;
+                    improveBtn.disabled = this._getStepItems().length === 0;
                     improveBtn.textContent = originalText || '✏️ Improve Clarity';
                 }
             }
         }
         
         /**
-         * Show the AI Paste Steps modal
+         * Pro: the Draft from Notes box — a rough walkthrough of the job, typed,
+         * dictated or pasted from a transcript
          */
-        _showAIPasteModal() {
-            this._collectFormData();
-            
-            const modal = document.getElementById('ai-paste-modal');
-            const titleText = document.getElementById('copy-title-text');
-            const stepsInput = document.getElementById('ai-steps-input');
-            
+        _showNotesModal() {
+            const modal = document.getElementById('ai-notes-modal');
             if (!modal) return;
             
-            // Set the title for copying
-            const title = this.formState.title?.trim() || 'My SOP';
-            if (titleText) titleText.textContent = `"${title}"`;
-            
-            // Clear previous input
-            if (stepsInput) stepsInput.value = '';
-            
-            // Show modal
             modal.style.display = 'flex';
+            this._updateNotesCount();
+            setTimeout(() => document.getElementById('ai-notes-input')?.focus(), 50);
             
-            // Attach listeners
-            this._attachAIPasteModalListeners();
+            if (modal._listenersAttached) return;
+            modal._listenersAttached = true;
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal || e.target.closest('#btn-close-ai-notes, #btn-cancel-ai-notes')) {
+                    modal.style.display = 'none';
+                } else if (e.target.closest('#btn-apply-ai-notes')) {
+                    this._aiDraftFromNotes();
+                }
+            });
+            modal.addEventListener('input', () => this._updateNotesCount());
         }
         
-        /**
-         * Attach event listeners for AI Paste modal
-         */
-        _attachAIPasteModalListeners() {
-            const modal = document.getElementById('ai-paste-modal');
-            const closeBtn = document.getElementById('btn-close-ai-paste');
-            const cancelBtn = document.getElementById('btn-cancel-ai-paste');
-            const applyBtn = document.getElementById('btn-apply-ai-paste');
-            const copyTitleBtn = document.getElementById('btn-copy-title');
-            
-            const closeModal = () => {
-                modal.style.display = 'none';
-            };
-            
-            // Remove old listeners by cloning
-            const newCloseBtn = closeBtn?.cloneNode(true);
-            const newCancelBtn = cancelBtn?.cloneNode(true);
-            const newApplyBtn = applyBtn?.cloneNode(true);
-            const newCopyTitleBtn = copyTitleBtn?.cloneNode(true);
-            
-            closeBtn?.parentNode?.replaceChild(newCloseBtn, closeBtn);
-            cancelBtn?.parentNode?.replaceChild(newCancelBtn, cancelBtn);
-            applyBtn?.parentNode?.replaceChild(newApplyBtn, applyBtn);
-            copyTitleBtn?.parentNode?.replaceChild(newCopyTitleBtn, copyTitleBtn);
-            
-            newCloseBtn?.addEventListener('click', closeModal);
-            newCancelBtn?.addEventListener('click', closeModal);
-            
-            newApplyBtn?.addEventListener('click', () => {
-                this._applyPastedSteps();
-                closeModal();
-            });
-            
-            newCopyTitleBtn?.addEventListener('click', () => {
-                const title = this.formState.title?.trim() || 'My SOP';
-                navigator.clipboard?.writeText(title).then(() => {
-                    this._showNotification('Title copied!', 'success');
-                }).catch(() => {
-                    this._showNotification('Could not copy. Please select and copy manually.', 'error');
-                });
-            });
-            
-            // Close on backdrop click
-            modal?.addEventListener('click', (e) => {
-                if (e.target === modal) closeModal();
-            });
+        _updateNotesCount() {
+            const count = document.getElementById('ai-notes-count');
+            const input = document.getElementById('ai-notes-input');
+            if (count && input) count.textContent = input.value.length;
         }
         
         /**
-         * Parse and apply pasted steps from AI
+         * Pro: Call API to write a whole SOP from the notes. The title,
+         * description and steps are replaced as the reply streams in; safety
+         * warnings go at the top of their step's note, tags are added and the
+         * folder is set when AI picked one of ours. Nothing is saved until
+         * the user saves.
          */
-        _applyPastedSteps() {
-            const input = document.getElementById('ai-steps-input');
-            const rawText = input?.value?.trim();
-            
-            if (!rawText) {
-                this._showNotification('Please paste some steps first', 'error');
+        async _aiDraftFromNotes() {
+            const notes = document.getElementById('ai-notes-input')?.value.trim() || '';
+            if (notes.length < 40) {
+                this._showNotification('Add a few sentences about how the job is done first.', 'error');
                 return;
             }
             
-            // Parse steps from text
-            const steps = this._parseStepsFromText(rawText);
+            if (!this._checkAIQuota('draft')) return;
             
-            if (steps.length === 0) {
-                this._showNotification('Could not parse any steps. Try one step per line.', 'error');
+            this._collectFormData();
+            if (this._hasContent() && !confirm('This will replace the title, description and steps in the editor with the AI draft. Continue?')) {
+                return;
+            }
+            
+            const modal = document.getElementById('ai-notes-modal');
+            if (modal) modal.style.display = 'none';
+            
+            const draftBtn = document.getElementById('btn-ai-draft-notes');
+            const originalText = draftBtn?.textContent;
+            const list = document.getElementById('steps-list');
+            const batch = Date.now();
+            const stepsByIndex = {};
+            const noteParts = {};
+            let started = false;
+            let sections = 0;
+            
+            // Put back if the reply has no steps after all
+            const { title, description, steps, folderId } = this.formState;
+            const restore = () => {
+                if (!started) return;
+                Object.assign(this.formState, { title, description, steps, folderId });
+                this._syncFormFields();
+                this._updateStepsList();
+            };
+            
+            // The editor keeps its content until the first part of the draft is in
+            const start = () => {
+                if (started) return;
+                started = true;
+                this.formState.steps = [];
+                list?.classList.add('ai-streaming');
+            };
+            
+            // Warnings first, each flagged, then the notes
+            const setNote = (index) => {
+                const step = stepsByIndex[index];
+                const parts = noteParts[index];
+                if (!step || !parts) return;
+                step.note = [...parts.warnings.map(w => `⚠️ ${w}`), ...parts.notes].join('\n');
+            };
+            
+            try {
+                if (draftBtn) {
+                    draftBtn.disabled = true;
+                    draftBtn.textContent = '⏳ Reading notes...';
+                }
+                
+                const data = await this._streamAI({
+                    action: 'draft',
+                    notes: notes,
+                    folders: this.folders.map(f => ({ id: f.id, name: f.name })),
+                    businessType: this._getBusinessType()
+                }, (text, index) => {
+                    start();
+                    stepsByIndex[index] = {
+                        id: `step_ai_${batch}_${index}`,
+                        text: text,
+                        note: '',
+                        order: this.formState.steps.length + 1,
+                        aiGenerated: true
+                    };
+                    this.formState.steps.push(stepsByIndex[index]);
+                    this._updateStepsList();
+                    if (draftBtn) draftBtn.textContent = `⏳ Step ${index + 1}...`;
+                }, null, (event) => {
+                    if (event.type === 'title' || event.type === 'description') {
+                        start();
+                        this.formState[event.type] = event.text;
+                        this._syncFormFields();
+                    } else if (event.type === 'section') {
+                        start();
+                        this.formState.steps.push({
+                            id: `section_ai_${batch}_${sections++}`,
+                            type: 'section',
+                            text: event.text,
+                            order: this.formState.steps.length + 1
+                        });
+                        this._updateStepsList();
+                    } else if (event.type === 'note' || event.type === 'warning') {
+                        noteParts[event.index] = noteParts[event.index] || { warnings: [], notes: [] };
+                        noteParts[event.index][event.type === 'note' ? 'notes' : 'warnings'].push(event.text);
+                        setNote(event.index);
+                        this._updateStepsList();
+                    } else if (event.type === 'folder') {
+                        if (this.folders.some(f => f.id === event.folderId)) {
+                            this.formState.folderId = event.folderId;
+                            this._syncFormFields();
+                        }
+                    }
+                });
+                
+                if (data.steps.length === 0) {
+                    if (data.error) throw new Error(data.error);
+                    restore();
+                    this._showNotification('AI couldn\'t find steps in those notes. Try describing the job in more detail.', 'error');
+                    return;
+                }
+                
+                // Suggested tags are added to the ones already there
+                if (data.tags && data.tags.length > 0) {
+                    const existingTags = new Set(this.formState.tags.map(t => t.toLowerCase()));
+                    const newTags = data.tags.filter(t => !existingTags.has(t.toLowerCase()));
+                    if (newTags.length > 0) {
+                        this.formState.tags = [...this.formState.tags, ...newTags];
+                        this._syncFormFields();
+                    }
+                }
+                
+                const input = document.getElementById('ai-notes-input');
+                if (input && !data.error) input.value = '';
+                this._saveDraftNow();
+                if (data.error) {
+                    this._showNotification(`AI stopped after ${data.steps.length} steps. Review them or try again.`, 'error');
+                } else {
+                    const warnings = Object.values(noteParts).reduce((sum, parts) => sum + parts.warnings.length, 0);
+                    const warningMsg = warnings > 0 ? `, ${warnings} safety warning${warnings === 1 ? '' : 's'}` : '';
+                    this._showNotification(`✨ SOP drafted: ${data.steps.length} steps${warningMsg}. Review everything before saving.`, 'success');
+                }
+                this._showAIPastedNotice();
+                if (typeof gtag === 'function') gtag('event', 'ai_draft_used', { step_count: data.steps.length, notes_length: notes.length });
+                
+            } catch (e) {
+                console.error('[AI Draft] Error:', e);
+                restore();
+                this._showNotification(e.userMessage || 'AI drafting failed. Your notes are still in Draft from Notes — try again in a moment.', 'error');
+            } finally {
+                list?.classList.remove('ai-streaming');
+                if (draftBtn) {
+                    draftBtn.disabled = false;
+                    draftBtn.textContent = originalText || '📝 Draft from Notes';
+                }
+            }
+        }
+        
+        /**
+         * Pro: Translate the SOP into `lang` with AI. Results stream into a
+         * review screen; nothing is added to the translation until the user
+         * picks what to keep. Step ids and "Keep as written" terms come back
+         * unchanged (api/ai.js).
+         */
+        async _aiTranslate(lang) {
+            if (!lang || typeof SOPTranslations === 'undefined') return;
+            this._collectFormData();
+            
+            if (!this.formState.title?.trim()) {
+                this._showNotification('Add a title first so AI has something to translate.', 'error');
+                return;
+            }
+            if (!this._checkAIQuota('translate')) return;
+            
+            const translation = {
+                lang,
+                items: SOPTranslations.status(this.formState, lang).items,
+                results: {},
+                selected: {},
+                streaming: true,
+                error: null
+            };
+            this._aiTranslation = translation;
+            this._showTranslateReview();
+            
+            const translateBtn = document.getElementById('btn-ai-translate');
+            if (translateBtn) translateBtn.disabled = true;
+            
+            try {
+                const data = await this._streamAI({
+                    action: 'translate',
+                    language: lang,
+                    sourceLanguage: SOPTranslations.sourceLanguage(this.formState),
+                    title: this.formState.title.trim(),
+                    description: this.formState.description?.trim() || '',
+                    steps: translation.items
+                        .filter(item => item.kind === 'step')
+                        .map(item => ({ id: item.key, text: item.step.text, note: item.step.note || '' })),
+                    keepTerms: SOPTranslations.keepTerms(this.formState),
+                    businessType: this._getBusinessType()
+                }, null, (event) => {
+                    if (this._aiTranslation !== translation) return;
+                    const result = translation.results[event.key] || (translation.results[event.key] = { missingTerms: [] });
+                    result[event.field] = event.text;
+                    result.missingTerms.push(...(event.missingTerms || []));
+                    this._renderTranslateReview();
+                });
+                
+                // Closed while it was coming in
+                if (this._aiTranslation !== translation) return;
+                
+                translation.streaming = false;
+                if (data.items.length === 0) {
+                    if (data.error) throw new Error(data.error);
+                    this._closeTranslateReview();
+                    this._showNotification('AI couldn\'t translate this SOP. Try again.', 'error');
+                    return;
+                }
+                // A partial translation is still worth reviewing
+                translation.error = data.error;
+                this._renderTranslateReview();
+                if (typeof gtag === 'function') gtag('event', 'ai_translate_used', { item_count: data.items.length });
+                
+            } catch (e) {
+                console.error('[AI Translate] Error:', e);
+                this._showNotification(e.userMessage || 'AI translation failed. Try again in a moment.', 'error');
+                if (this._aiTranslation === translation) this._closeTranslateReview();
+            } finally {
+                translation.streaming = false;
+                const btn = document.getElementById('btn-ai-translate');
+                if (btn) btn.disabled = false;
+            }
+        }
+        
+        _showTranslateReview() {
+            const modal = document.getElementById('translate-modal');
+            if (!modal || !this._aiTranslation) return;
+            
+            this._renderTranslateReview();
+            modal.style.display = 'flex';
+            
+            if (modal._listenersAttached) return;
+            modal._listenersAttached = true;
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal || e.target.closest('#btn-close-translate, #btn-cancel-translate')) {
+                    this._closeTranslateReview();
+                } else if (e.target.closest('#btn-apply-translate')) {
+                    this._applyAITranslation();
+                }
+            });
+            modal.addEventListener('change', (e) => {
+                const check = e.target.closest('.translate-review-check');
+                if (check && this._aiTranslation) this._aiTranslation.selected[check.dataset.reviewKey] = check.checked;
+            });
+        }
+        
+        _closeTranslateReview() {
+            const modal = document.getElementById('translate-modal');
+            if (modal) modal.style.display = 'none';
+            this._aiTranslation = null;
+        }
+        
+        /**
+         * Whether a reviewed item will be used. Missing and out-of-date
+         * translations are ticked to start with; ones already up to date
+         * are only replaced if the user ticks them.
+         */
+        _isTranslationSelected(item) {
+            const choice = this._aiTranslation?.selected[item.key];
+            return choice !== undefined ? choice : item.state !== 'done';
+        }
+        
+        /**
+         * Original and AI translation side by side, one row per title,
+         * description and step
+         */
+        _renderTranslateReview() {
+            const review = document.getElementById('translate-review');
+            const translation = this._aiTranslation;
+            if (!review || !translation) return;
+            
+            const name = SOPTranslations.languageName(translation.lang);
+            const numbers = this._getStepNumbers();
+            const received = translation.items.filter(item => translation.results[item.key]).length;
+            
+            review.innerHTML = translation.items.map(item => {
+                const result = translation.results[item.key];
+                const original = item.kind === 'step' ? item.step.text : this.formState[item.kind];
+                const note = item.kind === 'step' ? item.step.note?.trim() : '';
+                const label = item.kind === 'title' ? 'Title'
+                    : item.kind === 'description' ? 'Description'
+                    : item.step.type === 'section' ? 'Section' : `Step ${numbers[item.key] || ''}`;
+                const missing = [...new Set(result?.missingTerms || [])];
+                
+                return `
+                    <label class="clarity-step translate-review-row${result ? '' : ' pending'}">
+                        <input type="checkbox" class="translate-review-check" data-review-key="${this._escapeHtml(item.key)}"
+                            ${result && this._isTranslationSelected(item) ? 'checked' : ''} ${result ? '' : 'disabled'}>
+                        <div class="step-comparison">
+                            <span class="comparison-label">${label}${item.state === 'done' ? ' · replaces the current translation' : ''}</span>
+                            <div class="step-original">
+                                <span class="comparison-text">${this._escapeHtml(original)}</span>
+                                ${note ? `<span class="comparison-text translate-review-note">📝 ${this._escapeHtml(note)}</span>` : ''}
+                            </div>
+                            <div class="step-improved" dir="auto" lang="${translation.lang}">
+                                <span class="comparison-text highlight">${result?.text ? this._escapeHtml(result.text) : '…'}</span>
+                                ${note ? `<span class="comparison-text translate-review-note">📝 ${result?.note ? this._escapeHtml(result.note) : '…'}</span>` : ''}
+                            </div>
+                            ${missing.length > 0 ? `
+                            <p class="translate-review-warning">⚠ Check ${missing.map(term => `“${this._escapeHtml(term)}”`).join(', ')} — it should stay as written</p>
+                            ` : ''}
+                        </div>
+                    </label>
+                `;
+            }).join('');
+            
+            const title = document.getElementById('translate-modal-title');
+            if (title) title.textContent = `🌐 Review ${name} Translation`;
+            const description = document.getElementById('translate-modal-description');
+            if (description) {
+                description.textContent = translation.streaming
+                    ? `Translating… ${received} of ${translation.items.length} ready.`
+                    : translation.error
+                        ? `AI stopped after ${received} of ${translation.items.length}. Use what arrived or try again.`
+                        : 'Untick anything you don\'t want. You can still edit the translation afterwards.';
+            }
+            const applyBtn = document.getElementById('btn-apply-translate');
+            if (applyBtn) applyBtn.disabled = translation.streaming;
+        }
+        
+        /**
+         * Put the ticked results into the SOP's translation. The user saves
+         * the SOP as usual.
+         */
+        _applyAITranslation() {
+            const translation = this._aiTranslation;
+            if (!translation || translation.streaming) return;
+            
+            let applied = 0;
+            translation.items.forEach(item => {
+                const result = translation.results[item.key];
+                if (!result || !this._isTranslationSelected(item)) return;
+                if (item.kind === 'step') {
+                    const step = this.formState.steps.find(s => s.id === item.key);
+                    if (!step) return;
+                    const values = {};
+                    if (result.text) values.text = result.text;
+                    if (result.note && step.note?.trim()) values.note = result.note;
+                    SOPTranslations.setStep(this.formState, translation.lang, step, values);
+                } else if (result.text) {
+                    SOPTranslations.setField(this.formState, translation.lang, item.kind, result.text);
+                }
+                applied++;
+            });
+            
+            this._closeTranslateReview();
+            if (applied === 0) return;
+            
+            SOPTranslations.addLanguage(this.formState, translation.lang);
+            this._translationLang = translation.lang;
+            this._saveDraftNow();
+            this._updateTranslations();
+            const name = SOPTranslations.languageName(translation.lang);
+            this._showNotification(`✨ ${applied} item${applied === 1 ? '' : 's'} translated into ${name}. Review them and save the SOP.`, 'success');
+        }
+        
+        /**
+         * Show the AI Paste Steps modal
+         */
+        _showAIPasteModal() {
+            this._collectFormData();
+            
+            const modal = document.getElementById('ai-paste-modal');
+            const titleText = document.getElementById('copy-title-text');
+            const stepsInput = document.getElementById('ai-steps-input');
+            
+            if (!modal) return;
+            
+            // Set the title for copying
+            const title = this.formState.title?.trim() || 'My SOP';
+            if (titleText) titleText.textContent = `"${title}"`;
+            
+            // Clear previous input
+            if (stepsInput) stepsInput.value = '';
+            
+            // Show modal
+            modal.style.display = 'flex';
+            
+            // Attach listeners
+            this._attachAIPasteModalListeners();
+        }
+        
+        /**
+         * Attach event listeners for AI Paste modal
+         */
+        _attachAIPasteModalListeners() {
+            const modal = document.getElementById('ai-paste-modal');
+            const closeBtn = document.getElementById('btn-close-ai-paste');
+            const cancelBtn = document.getElementById('btn-cancel-ai-paste');
+            const applyBtn = document.getElementById('btn-apply-ai-paste');
+            const copyTitleBtn = document.getElementById('btn-copy-title');
+            
+            const closeModal = () => {
+                modal.style.display = 'none';
+            };
+            
+            // Remove old listeners by cloning
+            const newCloseBtn = closeBtn?.cloneNode(true);
+            const newCancelBtn = cancelBtn?.cloneNode(true);
+            const newApplyBtn = applyBtn?.cloneNode(true);
+            const newCopyTitleBtn = copyTitleBtn?.cloneNode(true);
+            
+            closeBtn?.parentNode?.replaceChild(newCloseBtn, closeBtn);
+            cancelBtn?.parentNode?.replaceChild(newCancelBtn, cancelBtn);
+            applyBtn?.parentNode?.replaceChild(newApplyBtn, applyBtn);
+            copyTitleBtn?.parentNode?.replaceChild(newCopyTitleBtn, copyTitleBtn);
+            
+            newCloseBtn?.addEventListener('click', closeModal);
+            newCancelBtn?.addEventListener('click', closeModal);
+            
+            newApplyBtn?.addEventListener('click', () => {
+                this._applyPastedSteps();
+                closeModal();
+            });
+            
+            newCopyTitleBtn?.addEventListener('click', () => {
+                const title = this.formState.title?.trim() || 'My SOP';
+                navigator.clipboard?.writeText(title).then(() => {
+                    this._showNotification('Title copied!', 'success');
+                }).catch(() => {
+                    this._showNotification('Could not copy. Please select and copy manually.', 'error');
+                });
+            });
+            
+            // Close on backdrop click
+            modal?.addEventListener('click', (e) => {
+                if (e.target === modal) closeModal();
+            });
+        }
+        
+        /**
+         * Parse and apply pasted steps from AI
+         */
+        _applyPastedSteps() {
+            const input = document.getElementById('ai-steps-input');
+            const rawText = input?.value?.trim();
+            
+            if (!rawText) {
+                this._showNotification('Please paste some steps first', 'error');
+                return;
+            }
+            
+            // Parse steps from text
+            const steps = this._parseStepsFromText(rawText);
+            
+            if (steps.length === 0) {
+                this._showNotification('Could not parse any steps. Try one step per line.', 'error');
                 return;
             }
             
@@ -1518,7 +3712,7 @@
         _showAIImproveModal() {
             this._collectFormData();
             
-            if (this.formState.steps.length === 0) {
+            if (this._getStepItems().length === 0) {
                 this._showNotification('Add some steps first before improving them', 'error');
                 return;
             }
@@ -1529,12 +3723,12 @@
             
             if (!modal) return;
             
-            // Store original steps
-            this._originalSteps = this.formState.steps.map(s => ({ ...s }));
+            // Store original steps (section headings aren't rewritten)
+            this._originalSteps = this._getStepItems().map(s => ({ ...s }));
             
             // Display current steps for copying
             if (currentStepsEl) {
-                const stepsText = this.formState.steps
+                const stepsText = this._originalSteps
                     .map((s, i) => `${i + 1}. ${s.text}`)
                     .join('\n');
                 currentStepsEl.textContent = stepsText;
@@ -1598,7 +3792,7 @@
             });
             
             newCopyStepsBtn?.addEventListener('click', () => {
-                const stepsText = this.formState.steps
+                const stepsText = this._getStepItems()
                     .map((s, i) => `${i + 1}. ${s.text}`)
                     .join('\n');
                 navigator.clipboard?.writeText(stepsText).then(() => {
@@ -1623,13 +3817,37 @@
             
             if (!modal || !comparison || !this._originalSteps) return;
             
+            this._renderClarityComparison();
+            
+            // Show modal
+            modal.style.display = 'flex';
+            
+            // Attach modal event listeners
+            this._attachClarityModalListeners();
+        }
+        
+        /**
+         * Before / after for each step. While the improved steps are still
+         * streaming in, the ones not here yet show as waiting and Accept is off.
+         */
+        _renderClarityComparison() {
+            const comparison = document.getElementById('clarity-comparison');
+            if (!comparison || !this._originalSteps) return;
+            
+            const streaming = !!this._clarityStreaming;
+            const improvedSteps = this._improvedSteps || [];
+            
             // Build comparison HTML
-            const comparisonHtml = this._originalSteps.map((original, index) => {
-                const improved = this._improvedSteps?.[index] || original.text;
-                const hasChanged = original.text.trim() !== improved.trim();
+            let comparisonHtml = this._originalSteps.map((original, index) => {
+                const pending = streaming && improvedSteps[index] === undefined;
+                const improved = improvedSteps[index] || original.text;
+                const hasChanged = !pending && original.text.trim() !== improved.trim();
+                const badge = pending
+                    ? '<span class="unchanged-badge">Waiting…</span>'
+                    : hasChanged ? '<span class="change-badge">Changed</span>' : '<span class="unchanged-badge">No change</span>';
                 
                 return `
-                    <div class="clarity-step ${hasChanged ? 'changed' : 'unchanged'}">
+                    <div class="clarity-step ${pending ? 'pending' : hasChanged ? 'changed' : 'unchanged'}">
                         <div class="step-number">${index + 1}</div>
                         <div class="step-comparison">
                             <div class="step-original">
@@ -1638,43 +3856,44 @@
                             </div>
                             <div class="step-improved">
                                 <span class="comparison-label">After:</span>
-                                <span class="comparison-text ${hasChanged ? 'highlight' : ''}">${this._escapeHtml(improved)}</span>
+                                <span class="comparison-text ${hasChanged ? 'highlight' : ''}">${pending ? '…' : this._escapeHtml(improved)}</span>
                             </div>
                         </div>
-                        ${hasChanged ? '<span class="change-badge">Changed</span>' : '<span class="unchanged-badge">No change</span>'}
+                        ${badge}
                     </div>
                 `;
             }).join('');
             
             // Handle case where improved has more/fewer steps
-            if (this._improvedSteps && this._improvedSteps.length > this._originalSteps.length) {
-                for (let i = this._originalSteps.length; i < this._improvedSteps.length; i++) {
-                    comparison.innerHTML += `
-                        <div class="clarity-step changed">
-                            <div class="step-number">${i + 1}</div>
-                            <div class="step-comparison">
-                                <div class="step-original">
-                                    <span class="comparison-label">Before:</span>
-                                    <span class="comparison-text">(new step)</span>
-                                </div>
-                                <div class="step-improved">
-                                    <span class="comparison-label">After:</span>
-                                    <span class="comparison-text highlight">${this._escapeHtml(this._improvedSteps[i])}</span>
-                                </div>
+            for (let i = this._originalSteps.length; i < improvedSteps.length; i++) {
+                comparisonHtml += `
+                    <div class="clarity-step changed">
+                        <div class="step-number">${i + 1}</div>
+                        <div class="step-comparison">
+                            <div class="step-original">
+                                <span class="comparison-label">Before:</span>
+                                <span class="comparison-text">(new step)</span>
+                            </div>
+                            <div class="step-improved">
+                                <span class="comparison-label">After:</span>
+                                <span class="comparison-text highlight">${this._escapeHtml(improvedSteps[i])}</span>
                             </div>
-                            <span class="change-badge">Added</span>
                         </div>
-                    `;
-                }
+                        <span class="change-badge">Added</span>
+                    </div>
+                `;
             }
             
             comparison.innerHTML = comparisonHtml;
             
-            // Show modal
-            modal.style.display = 'flex';
-            
-            // Attach modal event listeners
-            this._attachClarityModalListeners();
+            const description = document.querySelector('#clarity-modal .clarity-description');
+            if (description) {
+                description.textContent = streaming
+                    ? `Improving steps… ${improvedSteps.length} of ${this._originalSteps.length} ready.`
+                    : 'Review the improved steps below:';
+            }
+            const acceptBtn = document.getElementById('btn-accept-clarity');
+            if (acceptBtn) acceptBtn.disabled = streaming;
         }
         
         /**
@@ -1724,15 +3943,32 @@
         _acceptClarityChanges() {
             if (!this._improvedSteps) return;
             
-            // Replace steps with improved versions
-            this.formState.steps = this._improvedSteps.map((text, index) => ({
-                id: this._originalSteps?.[index]?.id || `step_improved_${Date.now()}_${index}`,
+            // Replace step wording with improved versions, matched by position among
+            // real steps. Structure (sections, sub-steps, decisions) stays in place;
+            // steps the AI dropped are removed and extra ones are appended.
+            const originals = this._originalSteps || [];
+            const improvedById = {};
+            originals.forEach((step, index) => {
+                if (index < this._improvedSteps.length) improvedById[step.id] = this._improvedSteps[index];
+            });
+            const extraSteps = this._improvedSteps.slice(originals.length).map((text, i) => ({
+                id: `step_improved_${Date.now()}_${i}`,
                 text: text,
-                note: this._originalSteps?.[index]?.note || '',
-                order: index + 1,
+                note: '',
+                image: null,
                 aiImproved: true
             }));
             
+            this.formState.steps = this.formState.steps
+                .filter(step => step.type === 'section' || step.type === 'block' || improvedById[step.id] !== undefined)
+                .map(step => step.type === 'section' || step.type === 'block' ? step : {
+                    ...step,
+                    text: improvedById[step.id],
+                    aiImproved: true
+                })
+                .concat(extraSteps);
+            this._reorderSteps();
+            
             this._updateStepsList();
             this._saveDraftNow();
             this._showNotification('✨ Steps updated with improved clarity!', 'success');
@@ -1763,45 +3999,650 @@
         }
         
         // ====================================================================
-        // FORM ACTIONS
+        // FILE IMPORT
         // ====================================================================
         
-        _handleSave() {
-            this._collectFormData();
-            
-            if (!this._validate()) return;
+        async _handleImportFile(file) {
+            const modal = document.getElementById('import-modal');
+            const body = document.getElementById('import-body');
+            if (!modal || !body) return;
             
-            const sopData = {
-                id: (this.options.mode === 'edit' && this.currentSOP) 
-                    ? this.currentSOP.id 
-                    : `sop_${Date.now()}`,
-                title: this.formState.title.trim(),
-                description: this.formState.description.trim(),
-                folderId: this.formState.folderId,
-                steps: this.formState.steps.map((step, i) => ({
-                    id: step.id || `step_${Date.now()}_${i}`,
-                    text: step.text.trim(),
-                    note: step.note?.trim() || '',
-                    image: step.image || null,
-                    order: i + 1
-                })),
-                tags: this.formState.tags,
-                status: this.formState.status,
-                createdAt: (this.options.mode === 'edit' && this.currentSOP) 
-                    ? this.currentSOP.createdAt 
-                    : Date.now(),
-                updatedAt: Date.now()
-            };
+            body.innerHTML = `<div class="history-empty"><p>Reading ${this._escapeHtml(file.name)}…</p></div>`;
+            modal.style.display = 'flex';
             
-            const sops = this._loadSOPs();
+            try {
+                this._importResult = await SOPImport.parseFile(file);
+            } catch (e) {
+                this._hideImport();
+                this._showNotification(e.message || 'Could not read that file', 'error');
+                return;
+            }
+            
+            this._renderImportPreview(0);
+        }
+        
+        /**
+         * @param {number|'single'} choice - Index into the detected procedures,
+         *   or 'single' for the whole file as one SOP
+         */
+        _renderImportPreview(choice) {
+            const body = document.getElementById('import-body');
+            const result = this._importResult;
+            if (!body || !result) return;
+            
+            const sop = choice === 'single' ? result.single : result.sops[choice];
+            const stepCount = sop.steps.filter(step => step.type !== 'section').length;
+            
+            body.innerHTML = `
+                ${result.sops.length > 1 ? `
+                <div class="import-choice">
+                    <p class="history-sync-note">${this._escapeHtml(result.fileName)} has ${result.sops.length} procedures. Pick one to load here — to import them all at once, use 📥 Import on the dashboard.</p>
+                    <select class="form-select" id="import-choice">
+                        ${result.sops.map((s, i) => `<option value="${i}" ${choice === i ? 'selected' : ''}>${this._escapeHtml(s.title)}</option>`).join('')}
+                        <option value="single" ${choice === 'single' ? 'selected' : ''}>The whole file as one SOP</option>
+                    </select>
+                </div>
+                ` : ''}
+                ${result.warnings.length > 0 ? `
+                <ul class="import-warnings">
+                    ${result.warnings.map(w => `<li>⚠️ ${this._escapeHtml(w)}</li>`).join('')}
+                </ul>
+                ` : ''}
+                <div class="preview-sop">
+                    <h2>${this._escapeHtml(sop.title)}</h2>
+                    ${sop.description ? `<p class="preview-description">${this._escapeHtml(sop.description)}</p>` : ''}
+                    <hr />
+                    <h3>Steps (${stepCount})</h3>
+                    ${this._renderPreviewStepList(sop.steps)}
+                </div>
+                <div class="import-actions">
+                    <button type="button" class="btn btn-secondary" id="btn-cancel-import">Cancel</button>
+                    <button type="button" class="btn btn-primary" id="btn-apply-import">Load into Editor</button>
+                </div>
+            `;
+            
+            document.getElementById('import-choice')?.addEventListener('change', (e) => {
+                this._renderImportPreview(e.target.value === 'single' ? 'single' : parseInt(e.target.value, 10));
+            });
+            document.getElementById('btn-cancel-import')?.addEventListener('click', () => this._hideImport());
+            document.getElementById('btn-apply-import')?.addEventListener('click', () => this._applyImport(sop));
+        }
+        
+        /**
+         * Replace title, description and steps with an imported SOP.
+         * Category, keywords and status stay as they are.
+         */
+        _applyImport(sop) {
+            this._collectFormData();
+            if (this._hasContent() && !confirm('Replace the title, description and steps in the editor with the imported ones?')) return;
+            
+            this.formState.title = sop.title;
+            this.formState.description = sop.description;
+            this.formState.steps = sop.steps.map(step => ({ ...step }));
+            
+            this._hideImport();
+            this._render();
+            this._attachEventListeners();
+            this._saveDraftNow();
+            
+            const stepCount = this._getStepItems().length;
+            this._showNotification(`📄 Imported ${stepCount} step${stepCount !== 1 ? 's' : ''}. Review and save when ready.`, 'success');
+        }
+        
+        _hideImport() {
+            const modal = document.getElementById('import-modal');
+            if (modal) modal.style.display = 'none';
+            this._importResult = null;
+        }
+        
+        // ====================================================================
+        // STEP BLOCKS
+        // ====================================================================
+        // A { type: 'block' } item stands for a block from the shared library
+        // (lib/step-blocks.js). It's edited in the library, never inline, so
+        // every SOP using it stays the same.
+        
+        /**
+         * The steps a block reference stands for (library copy, else the saved one)
+         */
+        _blockSteps(reference) {
+            if (typeof StepBlocks === 'undefined') return reference.steps || [];
+            return StepBlocks.currentSteps(reference);
+        }
+        
+        _renderBlockReference(step, index, numbers) {
+            const inLibrary = typeof StepBlocks !== 'undefined' && !!StepBlocks.getBlock(step.blockId);
+            const inner = this._blockSteps(step);
+            return `
+                <div class="step-item step-block-item" data-step-id="${step.id}">
+                    <div class="step-drag-handle">⋮⋮</div>
+                    <div class="step-content">
+                        <div class="step-block-header">
+                            <span class="step-block-name">🧩 ${this._escapeHtml(step.name)}</span>
+                            <span class="step-block-meta">${inLibrary
+                                ? 'Step block — edit it in the library to change every SOP that uses it'
+                                : 'Not in your block library — showing the copy saved with this SOP'}</span>
+                        </div>
+                        <ol class="step-block-steps">
+                            ${inner.map((s, i) => `
+                                <li class="${i > 0 && s.level === 1 ? 'step-block-sub' : ''}">
+                                    <span class="step-block-num">${numbers[`${step.id}_${s.id}`]}</span>
+                                    <span>${this._escapeHtml(s.text)}${s.note ? `<span class="step-block-note"> — ${this._escapeHtml(s.note)}</span>` : ''}</span>
+                                </li>
+                            `).join('')}
+                        </ol>
+                        <div class="step-branch-actions">
+                            ${inLibrary ? `<button type="button" class="step-flow-btn" data-action="edit-block" data-step-id="${step.id}">✏️ Edit block</button>` : ''}
+                            <button type="button" class="step-flow-btn" data-action="detach-block" data-step-id="${step.id}"
+                                title="Copy these steps into this SOP so they can be edited here">Detach</button>
+                        </div>
+                    </div>
+                    <div class="step-actions">
+                        <button type="button" class="step-action-btn" data-action="move-up"
+                            data-step-id="${step.id}" ${this._getMoveTarget(index, -1) === -1 ? 'disabled' : ''} title="Move block up" aria-label="Move block up">↑</button>
+                        <button type="button" class="step-action-btn" data-action="move-down"
+                            data-step-id="${step.id}" ${this._getMoveTarget(index, 1) === -1 ? 'disabled' : ''} title="Move block down" aria-label="Move block down">↓</button>
+                        <button type="button" class="step-action-btn step-delete-btn"
+                            data-action="delete" data-step-id="${step.id}" title="Remove block from this SOP" aria-label="Remove block">🗑️</button>
+                    </div>
+                </div>
+            `;
+        }
+        
+        /**
+         * A reference as saved: pointed at the library's latest version, with
+         * those steps cached for devices and team members without the library.
+         */
+        _serializeBlockReference(step, i) {
+            const block = typeof StepBlocks !== 'undefined' ? StepBlocks.getBlock(step.blockId) : null;
+            const source = block || step;
+            return {
+                id: step.id,
+                type: 'block',
+                blockId: step.blockId,
+                blockVersion: block ? block.version : step.blockVersion,
+                name: source.name,
+                steps: (source.steps || []).map(s => ({ ...s })),
+                order: i + 1
+            };
+        }
+        
+        _showBlockLibrary() {
+            const modal = document.getElementById('blocks-modal');
+            const body = document.getElementById('blocks-body');
+            if (!modal || !body) return;
+            
+            const blocks = StepBlocks.getBlocks();
+            const sops = this._loadSOPs();
+            
+            body.innerHTML = `
+                <p class="history-sync-note">A block is a set of steps several SOPs share, like putting on safety gear. Change it once and every SOP using it is updated.</p>
+                ${blocks.length === 0 ? `
+                <div class="history-empty">
+                    <p>No step blocks yet</p>
+                </div>
+                ` : `
+                <div class="history-list">
+                    ${blocks.map(block => {
+                        const usedIn = StepBlocks.findUsages(block.id, sops).length;
+                        return `
+                            <div class="history-item">
+                                <div class="history-item-info">
+                                    <div class="history-item-date">🧩 ${this._escapeHtml(block.name)}</div>
+                                    <div class="history-item-detail">${block.steps.length} step${block.steps.length !== 1 ? 's' : ''} · used in ${usedIn} SOP${usedIn !== 1 ? 's' : ''}</div>
+                                </div>
+                                <div class="history-item-actions">
+                                    <button type="button" class="btn btn-secondary btn-sm" data-block-action="edit" data-block-id="${block.id}">Edit</button>
+                                    <button type="button" class="btn btn-secondary btn-sm" data-block-action="delete" data-block-id="${block.id}">Delete</button>
+                                    <button type="button" class="btn btn-primary btn-sm" data-block-action="insert" data-block-id="${block.id}">Insert</button>
+                                </div>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+                `}
+                <div class="import-actions">
+                    <button type="button" class="btn btn-secondary" data-block-action="new">➕ New Block</button>
+                </div>
+            `;
+            
+            body.onclick = (e) => {
+                const btn = e.target.closest('[data-block-action]');
+                if (!btn) return;
+                const blockId = btn.dataset.blockId;
+                const action = btn.dataset.blockAction;
+                if (action === 'insert') this._insertBlock(blockId);
+                else if (action === 'edit') this._showBlockForm(blockId);
+                else if (action === 'delete') this._deleteBlock(blockId);
+                else if (action === 'new') this._showBlockForm(null);
+            };
+            modal.style.display = 'flex';
+        }
+        
+        _hideBlockLibrary() {
+            const modal = document.getElementById('blocks-modal');
+            const body = document.getElementById('blocks-body');
+            if (modal) modal.style.display = 'none';
+            if (body) body.onclick = null;
+        }
+        
+        _insertBlock(blockId) {
+            const block = StepBlocks.getBlock(blockId);
+            if (!block) return;
             
-            if (this.options.mode === 'edit' && this.currentSOP) {
-                const index = sops.findIndex(s => s.id === this.currentSOP.id);
-                if (index !== -1) {
-                    this._snapshotVersion(sops[index]);
-                    sops[index] = sopData;
+            this.formState.steps.push({
+                ...StepBlocks.createReference(block),
+                order: this.formState.steps.length + 1
+            });
+            
+            this._hideBlockLibrary();
+            this._reorderSteps();
+            this._updateStepsList();
+            this._saveDraftNow();
+            this._showNotification(`🧩 Added "${block.name}"`, 'success');
+        }
+        
+        /**
+         * Create (blockId null) or edit a block. Editing lists the SOPs that
+         * use it, since saving changes all of them.
+         */
+        _showBlockForm(blockId) {
+            const modal = document.getElementById('blocks-modal');
+            const body = document.getElementById('blocks-body');
+            if (!modal || !body) return;
+            
+            const block = blockId ? StepBlocks.getBlock(blockId) : null;
+            if (blockId && !block) return;
+            const usages = block ? StepBlocks.findUsages(block.id, this._loadSOPs()) : [];
+            this._blockFormSteps = block
+                ? block.steps.map(s => ({ ...s }))
+                : [{ id: null, text: '', note: '' }];
+            
+            body.innerHTML = `
+                <div class="form-group">
+                    <label for="block-name">Block name</label>
+                    <input type="text" id="block-name" class="form-input" maxlength="100"
+                        placeholder="e.g. Put on safety gear" value="${this._escapeHtml(block?.name || '')}" />
+                </div>
+                <label class="block-form-label">Steps</label>
+                <div class="block-form-steps" id="block-form-steps">${this._renderBlockFormRows()}</div>
+                <button type="button" class="step-flow-btn" data-block-action="add-row">+ Add step</button>
+                ${usages.length > 0 ? `
+                <div class="block-usages">
+                    <p class="block-usages-title">Used in ${usages.length} SOP${usages.length !== 1 ? 's' : ''} — saving updates ${usages.length !== 1 ? 'all of them' : 'it'}:</p>
+                    <ul>${usages.map(sop => `<li>${this._escapeHtml(sop.title)}</li>`).join('')}</ul>
+                </div>
+                ` : ''}
+                <div class="import-actions">
+                    <button type="button" class="btn btn-secondary" data-block-action="back">Back</button>
+                    <button type="button" class="btn btn-primary" data-block-action="save">💾 Save Block</button>
+                </div>
+            `;
+            
+            body.onclick = (e) => {
+                const btn = e.target.closest('[data-block-action]');
+                if (!btn) return;
+                const action = btn.dataset.blockAction;
+                if (action === 'add-row' || action === 'remove-row') {
+                    this._readBlockFormRows();
+                    if (action === 'add-row' && this._blockFormSteps.length < StepBlocks.MAX_BLOCK_STEPS) {
+                        this._blockFormSteps.push({ id: null, text: '', note: '' });
+                    } else if (action === 'remove-row') {
+                        this._blockFormSteps.splice(parseInt(btn.dataset.row, 10), 1);
+                    }
+                    document.getElementById('block-form-steps').innerHTML = this._renderBlockFormRows();
+                } else if (action === 'back') {
+                    this._showBlockLibrary();
+                } else if (action === 'save') {
+                    this._saveBlockForm(block);
                 }
-                else sops.push(sopData);
+            };
+            modal.style.display = 'flex';
+        }
+        
+        _renderBlockFormRows() {
+            return this._blockFormSteps.map((step, i) => `
+                <div class="block-form-row" data-row="${i}">
+                    <div class="block-form-fields">
+                        <input type="text" class="form-input block-step-text" maxlength="500"
+                            placeholder="Step ${i + 1}" value="${this._escapeHtml(step.text)}" />
+                        <input type="text" class="form-input block-step-note" maxlength="300"
+                            placeholder="Add note (optional)" value="${this._escapeHtml(step.note || '')}" />
+                    </div>
+                    <label class="step-input-required" title="Indent under the step above">
+                        <input type="checkbox" class="block-step-sub" ${step.level === 1 ? 'checked' : ''} ${i === 0 ? 'disabled' : ''} />
+                        Sub-step
+                    </label>
+                    <button type="button" class="step-branch-remove" data-block-action="remove-row" data-row="${i}"
+                        ${this._blockFormSteps.length === 1 ? 'disabled' : ''} title="Remove step" aria-label="Remove step">✕</button>
+                </div>
+            `).join('');
+        }
+        
+        _readBlockFormRows() {
+            document.querySelectorAll('#block-form-steps .block-form-row').forEach(row => {
+                const step = this._blockFormSteps[parseInt(row.dataset.row, 10)];
+                if (!step) return;
+                step.text = row.querySelector('.block-step-text').value;
+                step.note = row.querySelector('.block-step-note').value;
+                if (row.querySelector('.block-step-sub').checked) step.level = 1;
+                else delete step.level;
+            });
+        }
+        
+        _saveBlockForm(existing) {
+            this._readBlockFormRows();
+            const name = document.getElementById('block-name')?.value.trim() || '';
+            if (!name) {
+                alert('Please give the block a name');
+                return;
+            }
+            if (!this._blockFormSteps.some(s => (s.text || '').trim())) {
+                alert('A block needs at least one step');
+                return;
+            }
+            
+            const block = StepBlocks.saveBlock({
+                id: existing?.id || null,
+                name,
+                steps: this._blockFormSteps
+            });
+            
+            if (existing) {
+                const updated = this._updateSopsUsingBlock(block.id, steps => StepBlocks.refreshReferences(steps, block));
+                this.formState.steps = StepBlocks.refreshReferences(this.formState.steps, block);
+                this._updateStepsList();
+                this._showNotification(updated > 0
+                    ? `🧩 Block saved — ${updated} SOP${updated !== 1 ? 's' : ''} updated`
+                    : '🧩 Block saved', 'success');
+            } else {
+                this._showNotification('🧩 Block created', 'success');
+            }
+            this._blockFormSteps = null;
+            this._showBlockLibrary();
+        }
+        
+        /**
+         * Deleting a block turns it into ordinary steps in every SOP using it,
+         * so nothing loses steps.
+         */
+        _deleteBlock(blockId) {
+            const block = StepBlocks.getBlock(blockId);
+            if (!block) return;
+            const usedIn = StepBlocks.findUsages(blockId, this._loadSOPs()).length;
+            const message = usedIn > 0
+                ? `Delete the "${block.name}" block?\n\n${usedIn} SOP${usedIn !== 1 ? 's use' : ' uses'} it. Its steps will be copied into ${usedIn !== 1 ? 'each of them' : 'it'} as ordinary steps.`
+                : `Delete the "${block.name}" block?`;
+            if (!confirm(message)) return;
+            
+            // Detach while the library copy is still there to copy from
+            this._updateSopsUsingBlock(blockId, steps => StepBlocks.detachReferences(steps, blockId));
+            this.formState.steps = StepBlocks.detachReferences(this.formState.steps, blockId);
+            StepBlocks.deleteBlock(blockId);
+            
+            this._reorderSteps();
+            this._updateStepsList();
+            this._saveDraftNow();
+            this._showNotification('Block deleted', 'success');
+            this._showBlockLibrary();
+        }
+        
+        /**
+         * Copy one block's steps into this SOP, where they can be edited freely
+         */
+        _detachBlockReference(index) {
+            const step = this.formState.steps[index];
+            if (!confirm(`Detach "${step.name}"?\n\nIts steps are copied into this SOP and will no longer change when the block does.`)) return;
+            
+            const detached = StepBlocks.detachReferences([step], step.blockId);
+            this.formState.steps.splice(index, 1, ...detached.map(({ order, ...s }) => s));
+            this._reorderSteps();
+            this._updateStepsList();
+            this._saveDraftNow();
+        }
+        
+        /**
+         * Apply `change` to the steps of every saved SOP using a block. Each one
+         * is snapshotted into version history first, gets a new revision and an
+         * audit entry, just like an edit made in the editor.
+         * @returns {number} how many SOPs changed
+         */
+        _updateSopsUsingBlock(blockId, change) {
+            const sops = this._loadSOPs();
+            const affected = new Set(StepBlocks.findUsages(blockId, sops).map(sop => sop.id));
+            if (affected.size === 0) return 0;
+            
+            const now = Date.now();
+            const updated = sops.map(sop => {
+                if (!affected.has(sop.id)) return sop;
+                this._snapshotVersion(sop);
+                const next = {
+                    ...sop,
+                    steps: change(sop.steps).map((s, i) => ({ ...s, order: i + 1 })),
+                    revision: (sop.revision || 0) + 1,
+                    updatedAt: now
+                };
+                this._recordAudit('sop.updated', sop, next);
+                return next;
+            });
+            this._saveSOPs(updated);
+            
+            // The open SOP moved on too: edit on from the new revision, so saving doesn't see a conflict
+            if (this.currentSOP && affected.has(this.currentSOP.id)) {
+                this.currentSOP = updated.find(sop => sop.id === this.currentSOP.id);
+                this._baseSOP = JSON.parse(JSON.stringify(this.currentSOP));
+            }
+            return affected.size;
+        }
+        
+        // ====================================================================
+        // EDIT CONFLICTS
+        // ====================================================================
+        
+        /**
+         * Compare the newest saved copy — this browser's, or the cloud's when
+         * signed in — with the revision editing began from. Unchanged: save as
+         * usual. Changed: three-way merge; only things both sides changed are
+         * put to the user. Resolves { sop, merged }, or null if they back out.
+         */
+        async _reconcileWithLatest(sopData, localCopy) {
+            const base = this._baseSOP || this.currentSOP;
+            const baseRevision = base.revision || 0;
+            
+            let latest = localCopy;
+            if (typeof StorageAdapter !== 'undefined' && StorageAdapter.fetchSop) {
+                const cloud = await StorageAdapter.fetchSop(base);
+                if (cloud && (cloud.revision || 0) > (latest?.revision || 0)) latest = cloud;
+            }
+            
+            const latestRevision = latest?.revision || 0;
+            if (latestRevision <= baseRevision || typeof SOPMerge === 'undefined') {
+                return { sop: { ...sopData, revision: Math.max(baseRevision, latestRevision) + 1 }, merged: false };
+            }
+            
+            const result = SOPMerge.merge(base, sopData, latest);
+            let sop = result.sop;
+            if (result.conflicts.length > 0) {
+                const choices = await this._showMergeScreen(result, latest);
+                if (!choices) return null;
+                sop = SOPMerge.merge(base, sopData, latest, choices).sop;
+            }
+            
+            return { sop: { ...sop, revision: latestRevision + 1 }, merged: true };
+        }
+        
+        /**
+         * One card per conflict: keep your edit, or take the one saved elsewhere.
+         * Resolves { [conflict.key]: 'mine' | 'theirs' }, or null on cancel.
+         */
+        _showMergeScreen({ conflicts, fromTheirs }, latest) {
+            const modal = document.getElementById('merge-modal');
+            const body = document.getElementById('merge-body');
+            if (!modal || !body) return Promise.resolve(null);
+            
+            const savedAt = latest.updatedAt
+                ? new Date(latest.updatedAt).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', hour12: true })
+                : null;
+            
+            body.innerHTML = `
+                <p class="merge-intro">This SOP was saved somewhere else${savedAt ? ` (${savedAt})` : ''} while you were editing it.</p>
+                <p class="history-sync-note">${fromTheirs > 0 ? `${fromTheirs} of their change${fromTheirs !== 1 ? 's were' : ' was'} merged in automatically. ` : ''}You both changed ${conflicts.length === 1 ? 'the item below' : `these ${conflicts.length} items`} — pick the version to keep.</p>
+                <div class="merge-list">
+                    ${conflicts.map((conflict, i) => `
+                        <div class="merge-conflict">
+                            <div class="merge-conflict-label">${this._escapeHtml(conflict.label)}</div>
+                            <label class="merge-option">
+                                <input type="radio" name="merge-${i}" value="mine" checked />
+                                <span class="merge-side">Your edit</span>
+                                <div class="merge-value">${this._renderMergeValue(conflict, conflict.mine)}</div>
+                            </label>
+                            <label class="merge-option">
+                                <input type="radio" name="merge-${i}" value="theirs" />
+                                <span class="merge-side">Saved elsewhere</span>
+                                <div class="merge-value">${this._renderMergeValue(conflict, conflict.theirs)}</div>
+                            </label>
+                        </div>
+                    `).join('')}
+                </div>
+                <div class="import-actions">
+                    <button type="button" class="btn btn-secondary" id="btn-cancel-merge">Back to Editing</button>
+                    <button type="button" class="btn btn-primary" id="btn-apply-merge">Save Merged Version</button>
+                </div>
+            `;
+            modal.style.display = 'flex';
+            
+            return new Promise(resolve => {
+                const finish = (choices) => {
+                    modal.style.display = 'none';
+                    modal.onclick = null;
+                    resolve(choices);
+                };
+                document.getElementById('btn-close-merge').onclick = () => finish(null);
+                document.getElementById('btn-cancel-merge').onclick = () => finish(null);
+                modal.onclick = (e) => { if (e.target === modal) finish(null); };
+                document.getElementById('btn-apply-merge').onclick = () => {
+                    const choices = {};
+                    conflicts.forEach((conflict, i) => {
+                        choices[conflict.key] = body.querySelector(`input[name="merge-${i}"]:checked`)?.value || 'mine';
+                    });
+                    finish(choices);
+                };
+            });
+        }
+        
+        _renderMergeValue(conflict, value) {
+            if (conflict.type === 'step') {
+                return value ? this._renderDiffStep(value, 'same', 'new') : '<em class="merge-empty">Deleted</em>';
+            }
+            if (conflict.key === 'folderId') {
+                const folder = this.folders.find(f => f.id === value);
+                return this._escapeHtml(folder ? `${folder.icon || '📁'} ${folder.name}` : value);
+            }
+            if (conflict.key === 'tags') {
+                return value.length > 0 ? this._escapeHtml(value.map(tag => `#${tag}`).join(' ')) : '<em class="merge-empty">None</em>';
+            }
+            return value ? this._escapeHtml(value) : '<em class="merge-empty">Empty</em>';
+        }
+        
+        // ====================================================================
+        // FORM ACTIONS
+        // ====================================================================
+        
+        /**
+         * @param {string|null} workflowAction - 'submit' | 'publish' to also send the
+         *   saved revision to approvers / publish it; null saves a draft only
+         */
+        async _handleSave(workflowAction = null) {
+            this._collectFormData();
+            
+            if (!this._validate()) return;
+            
+            const isNewSop = !(this.options.mode === 'edit' && this.currentSOP);
+            let sopData = {
+                id: (this.options.mode === 'edit' && this.currentSOP) 
+                    ? this.currentSOP.id 
+                    : `sop_${Date.now()}`,
+                title: this.formState.title.trim(),
+                description: this.formState.description.trim(),
+                folderId: this.formState.folderId,
+                steps: this.formState.steps.map((step, i) => step.type === 'section' ? {
+                    id: step.id || `section_${Date.now()}_${i}`,
+                    type: 'section',
+                    text: step.text.trim(),
+                    order: i + 1
+                } : step.type === 'block' ? this._serializeBlockReference(step, i) : {
+                    id: step.id || `step_${Date.now()}_${i}`,
+                    text: step.text.trim(),
+                    note: step.note?.trim() || '',
+                    image: step.image || null,
+                    order: i + 1,
+                    ...(step.level === 1 ? { level: 1 } : {}),
+                    ...(step.type === 'decision' ? {
+                        type: 'decision',
+                        branches: (step.branches || []).map(b => ({
+                            id: b.id,
+                            label: (b.label || '').trim(),
+                            goto: b.goto || 'next'
+                        }))
+                    } : {}),
+                    ...(step.type !== 'decision' && step.goto && step.goto !== 'next' ? { goto: step.goto } : {}),
+                    ...(step.type !== 'decision' && step.input && step.input.type !== 'checkbox' ? {
+                        input: this._serializeStepInput(step.input),
+                        ...(step.required ? { required: true } : {})
+                    } : {}),
+                    ...(step.type !== 'decision' && step.photoRequired ? { photoRequired: true } : {}),
+                    ...(step.type !== 'decision' && step.type !== 'sop' && step.estimate ? { estimate: step.estimate } : {}),
+                    ...(step.type === 'sop' ? { type: 'sop', ...this._serializeLink(step) } : {})
+                }),
+                tags: this.formState.tags,
+                status: this.formState.status,
+                createdAt: (this.options.mode === 'edit' && this.currentSOP) 
+                    ? this.currentSOP.createdAt 
+                    : Date.now(),
+                updatedAt: Date.now()
+            };
+            
+            // Translations of steps removed in this edit go with them
+            if (this.formState.translations && typeof SOPTranslations !== 'undefined') {
+                sopData.translations = JSON.parse(JSON.stringify(this.formState.translations));
+                SOPTranslations.prune(sopData);
+            }
+            
+            let sops = this._loadSOPs();
+            let index = isNewSop ? -1 : sops.findIndex(s => s.id === this.currentSOP.id);
+            let previousSop = index !== -1 ? sops[index] : null;
+            
+            // Published revision and review state aren't part of the form — keep them
+            if (typeof SOPWorkflow !== 'undefined') SOPWorkflow.carryOver(previousSop, sopData);
+            
+            let merged = false;
+            if (isNewSop) {
+                sopData.revision = 1;
+            } else {
+                const reconciled = await this._reconcileWithLatest(sopData, previousSop);
+                if (!reconciled) return;
+                sopData = reconciled.sop;
+                merged = reconciled.merged;
+                
+                // Re-read: other SOPs may have been saved while the merge screen was open
+                sops = this._loadSOPs();
+                index = sops.findIndex(s => s.id === this.currentSOP.id);
+                previousSop = index !== -1 ? sops[index] : null;
+            }
+            
+            // Cloud rows are matched by title: a rename keeps the titles it had
+            if (previousSop && typeof SOPFindReplace !== 'undefined') {
+                const titles = SOPFindReplace.previousTitles(previousSop, sopData.title);
+                if (titles.length > 0) sopData.previousTitles = titles;
+                else delete sopData.previousTitles;
+            }
+            
+            // Cloud first, so the local save's sync finds the row the review/publish created
+            const workflowResult = workflowAction ? await this._runWorkflowAction(workflowAction, sopData) : null;
+            
+            if (index !== -1) {
+                this._snapshotVersion(previousSop);
+                sops[index] = sopData;
             } else {
                 sops.push(sopData);
             }
@@ -1809,8 +4650,20 @@
             this._saveSOPs(sops);
             this._clearDraft();
             
-            const isNewSop = !(this.options.mode === 'edit' && this.currentSOP);
-            this._showNotification(isNewSop ? 'SOP created!' : 'SOP updated!', 'success');
+            this._recordAudit(isNewSop ? 'sop.created' : 'sop.updated', previousSop, sopData);
+            
+            if (workflowResult?.success) {
+                this._recordAudit(workflowAction === 'publish' ? 'sop.published' : 'sop.submitted', null, sopData);
+                this._showNotification(workflowAction === 'publish'
+                    ? 'SOP published — your team now sees this version'
+                    : 'Saved and sent for review', 'success');
+            } else if (workflowResult) {
+                this._showNotification(`Saved as draft, but not ${workflowAction === 'publish' ? 'published' : 'sent for review'}: ${workflowResult.error}`, 'error');
+            } else if (merged) {
+                this._showNotification('SOP updated — merged with changes saved elsewhere', 'success');
+            } else {
+                this._showNotification(isNewSop ? 'SOP created!' : 'SOP updated!', 'success');
+            }
             
             // GA4: Track new SOP creation (not edits)
             if (isNewSop && typeof gtag === 'function') {
@@ -1824,6 +4677,127 @@
             }
         }
         
+        /**
+         * Append to the audit log (no-op if lib/audit-log.js isn't loaded).
+         * Edits with no field changes — e.g. saving without touching anything — are skipped.
+         */
+        _recordAudit(action, before, after) {
+            if (typeof AuditLog === 'undefined') return;
+            const sop = after || before;
+            const folderName = id => this.folders.find(f => f.id === id)?.name || id;
+            const changes = ['sop.created', 'sop.updated'].includes(action)
+                ? AuditLog.diffSop(before, after, { folderName })
+                : [];
+            if (action === 'sop.updated' && changes.length === 0) return;
+            AuditLog.record(action, { type: 'sop', id: sop.id, title: sop.title }, changes);
+        }
+        
+        // ====================================================================
+        // APPROVAL WORKFLOW
+        // ====================================================================
+        
+        _isPublished() {
+            if (typeof SOPWorkflow === 'undefined') return this.formState.status === 'active';
+            return !!SOPWorkflow.getPublished(this.currentSOP);
+        }
+        
+        async _runWorkflowAction(action, sopData) {
+            const buttons = ['btn-save', 'btn-workflow'].map(id => document.getElementById(id)).filter(Boolean);
+            buttons.forEach(btn => { btn.disabled = true; });
+            const workflowBtn = document.getElementById('btn-workflow');
+            if (workflowBtn) workflowBtn.textContent = action === 'publish' ? 'Publishing...' : 'Sending...';
+            
+            try {
+                return action === 'publish'
+                    ? await SOPWorkflow.publish(sopData)
+                    : await SOPWorkflow.submitForReview(sopData);
+            } catch (e) {
+                console.error('SOPCreate: workflow action failed:', e);
+                return { success: false, error: e.message };
+            } finally {
+                buttons.forEach(btn => { btn.disabled = false; });
+            }
+        }
+        
+        /**
+         * Where this SOP is in draft → review → publish, shown above the form
+         */
+        _renderWorkflowBar() {
+            if (typeof SOPWorkflow === 'undefined' || !this.currentSOP) return '';
+            
+            const sop = this.currentSOP;
+            const state = SOPWorkflow.getState(sop);
+            const review = sop.review || {};
+            const isLive = !!SOPWorkflow.getPublished(sop);
+            const day = (ts) => new Date(ts).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+            
+            let message = '';
+            switch (state.key) {
+                case 'in_review':
+                    message = SOPWorkflow.isEditedSinceSubmit(sop)
+                        ? `Sent for review ${day(review.submittedAt)}. You've edited it since — resubmit so approvers see the latest.`
+                        : `Waiting for an approver since ${day(review.submittedAt)}.`;
+                    if (isLive) message += ' Your team keeps the published version until it is approved.';
+                    break;
+                case 'changes_requested':
+                    message = `${review.reviewer || 'An approver'} asked for changes: "${review.comment}"`;
+                    break;
+                case 'published':
+                    message = 'Your team sees this version.';
+                    break;
+                case 'published_changes':
+                    message = 'Your team sees the published version. Edits saved here stay a draft until they are published.';
+                    break;
+                case 'archived':
+                    message = 'Archived — hidden from your team.';
+                    break;
+                default:
+                    message = 'Not visible to your team yet.';
+            }
+            
+            return `
+                <div class="workflow-bar workflow-${state.key}">
+                    <span class="workflow-state">${this._escapeHtml(state.label)}</span>
+                    <span class="workflow-message">${this._escapeHtml(message)}</span>
+                </div>
+            `;
+        }
+        
+        _renderWorkflowButton() {
+            if (typeof SOPWorkflow === 'undefined' || this.formState.status === 'archived') return '';
+            
+            if (!SOPWorkflow.hasApprovers()) {
+                return `<button type="button" class="btn btn-workflow" id="btn-workflow" data-workflow="publish">🚀 Save & Publish</button>`;
+            }
+            const review = this.currentSOP?.review;
+            const resubmit = review && ['pending', 'rejected'].includes(review.state);
+            return `<button type="button" class="btn btn-workflow" id="btn-workflow" data-workflow="submit">📨 ${resubmit ? 'Save & Resubmit' : 'Save & Submit for Review'}</button>`;
+        }
+        
+        /**
+         * The link as saved: the id and title of the SOP it resolves to, so it
+         * can still be found where that SOP has a different id
+         */
+        _serializeLink(step) {
+            const linked = SOPLinks.resolve(step, this._loadSOPs());
+            return linked ? SOPLinks.linkTo(linked) : { linkedSopId: step.linkedSopId || null, linkedSopTitle: step.linkedSopTitle || null };
+        }
+        
+        _serializeStepInput(input) {
+            if (input.type === 'number') {
+                return {
+                    type: 'number',
+                    unit: (input.unit || '').trim(),
+                    min: typeof input.min === 'number' ? input.min : null,
+                    max: typeof input.max === 'number' ? input.max : null
+                };
+            }
+            if (input.type === 'select') {
+                return { type: 'select', options: (input.options || []).map(o => o.trim()).filter(o => o) };
+            }
+            return { type: input.type };
+        }
+        
         _collectFormData() {
             const title = document.getElementById('sop-title');
             const desc = document.getElementById('sop-description');
@@ -1846,13 +4820,52 @@
                 const step = this.formState.steps.find(s => s.id === input.dataset.stepId);
                 if (step) step.note = input.value;
             });
+            document.querySelectorAll('.step-section-input').forEach(input => {
+                const step = this.formState.steps.find(s => s.id === input.dataset.stepId);
+                if (step) step.text = input.value;
+            });
+            document.querySelectorAll('.step-branch-input').forEach(input => {
+                const step = this.formState.steps.find(s => s.id === input.dataset.stepId);
+                const branch = step?.branches?.find(b => b.id === input.dataset.branchId);
+                if (branch) branch.label = input.value;
+            });
+            document.querySelectorAll('.step-input-setting').forEach(input => {
+                const step = this.formState.steps.find(s => s.id === input.dataset.stepId);
+                if (step?.input) this._setStepInputField(step, input.dataset.field, input.value);
+            });
         }
         
         _validate() {
             const errors = [];
             if (!this.formState.title.trim()) errors.push('Title is required');
-            if (this.formState.steps.length === 0) errors.push('At least one step is required');
-            if (this.formState.steps.some(s => !s.text.trim())) errors.push('Some steps are empty');
+            const stepItems = this._getStepItems();
+            const hasBlocks = this.formState.steps.some(s => s.type === 'block');
+            if (stepItems.length === 0 && !hasBlocks) errors.push('At least one step is required');
+            if (stepItems.some(s => !s.text.trim() && s.type !== 'sop')) errors.push('Some steps are empty');
+            if (this.formState.steps.some(s => s.type === 'section' && !s.text.trim())) errors.push('Some sections have no name');
+            const numbers = this._getStepNumbers();
+            this.formState.steps.forEach(s => {
+                if (s.type === 'decision') {
+                    const branches = s.branches || [];
+                    if (branches.length < 2) errors.push(`Decision step ${numbers[s.id]} needs at least 2 options`);
+                    else if (branches.some(b => !(b.label || '').trim())) errors.push(`Decision step ${numbers[s.id]} has an option without a label`);
+                }
+                if (s.input?.type === 'number' && typeof s.input.min === 'number' && typeof s.input.max === 'number' && s.input.min > s.input.max) {
+                    errors.push(`Step ${numbers[s.id]}: minimum is higher than maximum`);
+                }
+                if (s.input?.type === 'select' && (s.input.options || []).length < 2) {
+                    errors.push(`Step ${numbers[s.id]}: a dropdown needs at least 2 choices`);
+                }
+                if (s.type === 'sop') {
+                    const sops = this._loadSOPs();
+                    const sopId = this.options.mode === 'edit' && this.currentSOP ? this.currentSOP.id : null;
+                    const linked = SOPLinks.resolve(s, sops);
+                    if (!linked && !s.text.trim()) errors.push(`Step ${numbers[s.id]}: choose the SOP it runs`);
+                    else if (linked && (linked.id === sopId || SOPLinks.wouldCycle(sopId, linked.id, sops))) {
+                        errors.push(`Step ${numbers[s.id]}: that SOP already runs this one, so linking it would loop forever`);
+                    }
+                }
+            });
             
             if (errors.length > 0) {
                 alert('Please fix:\n\n• ' + errors.join('\n• '));
@@ -1875,10 +4888,15 @@
                 console.warn('SOPCreate: _handleDelete called but no currentSOP');
                 return;
             }
-            if (!confirm(`Delete "${this.currentSOP.title}"?\n\nThis SOP and all its steps will be permanently removed. This cannot be undone.`)) return;
+            const usedIn = typeof SOPLinks !== 'undefined' ? SOPLinks.findUsages(this.currentSOP.id, this._loadSOPs()) : [];
+            const usedInWarning = usedIn.length > 0
+                ? `\n\n⚠️ Used in ${usedIn.map(sop => `"${sop.title}"`).join(', ')}. Those steps will become plain steps.`
+                : '';
+            if (!confirm(`Delete "${this.currentSOP.title}"?\n\nThis SOP and all its steps will be permanently removed. This cannot be undone.${usedInWarning}`)) return;
             
             const sops = this._loadSOPs().filter(s => s.id !== this.currentSOP.id);
             this._saveSOPs(sops);
+            this._recordAudit('sop.deleted', this.currentSOP, null);
             
             this._showNotification('SOP deleted', 'error');
             if (this.callbacks.onDelete) {
@@ -1959,7 +4977,8 @@
             `;
             
             document.getElementById('btn-continue-draft')?.addEventListener('click', () => {
-                this.formState = { ...draft };
+                const { undoHistory, ...state } = draft;
+                this.formState = { ...state };
                 // Ensure all steps have stable IDs
                 if (Array.isArray(this.formState.steps)) {
                     this.formState.steps = this.formState.steps.map((s, i) => ({
@@ -1967,6 +4986,8 @@
                         id: s.id || `step_${Date.now()}_${i}`
                     }));
                 }
+                // Pick up the undo stack saved with the draft
+                this._editHistory = typeof EditHistory !== 'undefined' ? EditHistory.unpack(undoHistory, this.formState) : null;
                 this._showNotification('Continuing your draft', 'info');
                 this._render();
                 this._attachEventListeners();
@@ -1990,8 +5011,11 @@
                 folderId: options.folderId || 'general',
                 steps,
                 tags: options.tags || [],
-                status: options.status || 'draft'
+                status: options.status || 'draft',
+                translations: options.translations || null
             };
+            this._translationLang = null;
+            this._startUndoHistory();
             
             this._render();
             this._attachEventListeners();
@@ -2012,6 +5036,8 @@
             }
             
             this.currentSOP = sop;
+            // What editing began from — the common ancestor if someone else saves meanwhile
+            this._baseSOP = JSON.parse(JSON.stringify(sop));
             this.formState = {
                 title: sop.title || '',
                 description: sop.description || '',
@@ -2021,8 +5047,11 @@
                     id: s.id || `step_${Date.now()}_${i}`
                 })) : [],
                 tags: sop.tags ? [...sop.tags] : [],
-                status: sop.status || 'draft'
+                status: sop.status || 'draft',
+                translations: sop.translations ? JSON.parse(JSON.stringify(sop.translations)) : null
             };
+            this._translationLang = null;
+            this._startUndoHistory();
             
             this._render();
             this._attachEventListeners();
@@ -2045,6 +5074,13 @@
             if (this._beforeUnloadHandler) {
                 window.removeEventListener('beforeunload', this._beforeUnloadHandler);
             }
+            if (this._undoKeyHandler) {
+                document.removeEventListener('keydown', this._undoKeyHandler);
+            }
+            if (this._shortcutHandler) {
+                document.removeEventListener('keydown', this._shortcutHandler);
+            }
+            if (typeof CommandPalette !== 'undefined') CommandPalette.unregister('editor');
             this.container.innerHTML = '';
             document.getElementById('sop-create-styles')?.remove();
         }
@@ -2105,10 +5141,30 @@
                     border: 1px solid #d1d5db;
                     border-radius: 6px;
                     cursor: pointer;
-                    font-size: 0.875rem;
+                    font-size: 0.875rem;
+                }
+                
+                .btn-back:hover { background: #f3f4f6; }
+                
+                .header-right {
+                    display: flex;
+                    align-items: center;
+                    gap: 0.375rem;
+                }
+                
+                .btn-undo {
+                    width: 2rem;
+                    height: 2rem;
+                    background: none;
+                    border: 1px solid #d1d5db;
+                    border-radius: 6px;
+                    cursor: pointer;
+                    font-size: 1rem;
+                    line-height: 1;
                 }
                 
-                .btn-back:hover { background: #f3f4f6; }
+                .btn-undo:hover:not(:disabled) { background: #f3f4f6; }
+                .btn-undo:disabled { opacity: 0.4; cursor: default; }
                 
                 .status-badge {
                     padding: 0.25rem 0.625rem;
@@ -2122,6 +5178,45 @@
                 .status-active { background: #d1fae5; color: #065f46; }
                 .status-archived { background: #e5e7eb; color: #6b7280; }
                 
+                .workflow-bar {
+                    display: flex;
+                    align-items: center;
+                    gap: 0.75rem;
+                    flex-wrap: wrap;
+                    padding: 0.75rem 1rem;
+                    margin-bottom: 1rem;
+                    border-radius: 10px;
+                    border: 1px solid #e5e7eb;
+                    background: #f9fafb;
+                    font-size: 0.85rem;
+                    color: #4b5563;
+                }
+                .workflow-state {
+                    padding: 0.2rem 0.6rem;
+                    border-radius: 999px;
+                    font-size: 0.7rem;
+                    font-weight: 600;
+                    text-transform: uppercase;
+                    background: #e5e7eb;
+                    color: #374151;
+                    white-space: nowrap;
+                }
+                .workflow-in_review { background: #eff6ff; border-color: #bfdbfe; }
+                .workflow-in_review .workflow-state { background: #dbeafe; color: #1e40af; }
+                .workflow-changes_requested { background: #fff7ed; border-color: #fed7aa; }
+                .workflow-changes_requested .workflow-state { background: #ffedd5; color: #9a3412; }
+                .workflow-published .workflow-state,
+                .workflow-published_changes .workflow-state { background: #d1fae5; color: #065f46; }
+                .workflow-draft .workflow-state { background: #fef3c7; color: #92400e; }
+                
+                .btn-workflow {
+                    background: #059669;
+                    color: #fff;
+                    font-weight: 600;
+                }
+                .btn-workflow:hover { background: #047857; }
+                .btn-workflow:disabled { opacity: 0.6; cursor: default; }
+                
                 .form-section {
                     background: #fff;
                     border: 1px solid #f3f4f6;
@@ -2205,6 +5300,148 @@
                     font-size: 0.75rem;
                     color: #6b7280;
                 }
+                .steps-variables-hint {
+                    margin: 0.75rem 0 0;
+                }
+                .steps-variables-hint code {
+                    padding: 0 0.25rem;
+                    background: #f3f4f6;
+                    border-radius: 3px;
+                }
+                
+                /* Translations */
+                .translation-source-label {
+                    display: flex;
+                    align-items: center;
+                    gap: 0.5rem;
+                    margin: 0;
+                    font-size: 0.8rem;
+                }
+                .translation-select {
+                    padding: 0.375rem 0.5rem;
+                    border: 1px solid #d1d5db;
+                    border-radius: 6px;
+                    font-size: 0.8rem;
+                    background: #fff;
+                }
+                .translation-tabs {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: center;
+                    gap: 0.5rem;
+                    margin: 0.75rem 0;
+                }
+                .translation-tab {
+                    display: inline-flex;
+                    align-items: center;
+                    gap: 0.375rem;
+                    padding: 0.375rem 0.75rem;
+                    border: 1px solid #e5e7eb;
+                    border-radius: 6px;
+                    background: #fff;
+                    font-size: 0.8rem;
+                    cursor: pointer;
+                }
+                .translation-tab.active {
+                    border-color: #6366f1;
+                    background: #eef2ff;
+                    color: #4338ca;
+                }
+                .translation-progress { color: #6b7280; font-size: 0.75rem; }
+                .translation-stale-count { color: #b45309; font-size: 0.75rem; }
+                .translation-columns, .translation-row {
+                    display: grid;
+                    grid-template-columns: 7rem 1fr 1fr;
+                    gap: 0.75rem;
+                }
+                .translation-columns {
+                    padding: 0 0 0.375rem;
+                    font-size: 0.7rem;
+                    font-weight: 600;
+                    text-transform: uppercase;
+                    color: #9ca3af;
+                }
+                .translation-columns span:first-child { grid-column: 2; }
+                .translation-row {
+                    padding: 0.625rem 0;
+                    border-top: 1px solid #f3f4f6;
+                }
+                .translation-label {
+                    font-size: 0.8rem;
+                    font-weight: 500;
+                    color: #4b5563;
+                }
+                .translation-flag { display: none; }
+                .translation-stale .translation-flag {
+                    display: flex;
+                    flex-direction: column;
+                    align-items: flex-start;
+                    gap: 0.25rem;
+                    margin-top: 0.25rem;
+                    font-size: 0.7rem;
+                    font-weight: 500;
+                    color: #b45309;
+                }
+                .translation-keep {
+                    padding: 0.125rem 0.375rem;
+                    border: 1px solid #fcd34d;
+                    border-radius: 4px;
+                    background: #fffbeb;
+                    color: #92400e;
+                    font-size: 0.7rem;
+                    cursor: pointer;
+                }
+                .translation-source p {
+                    margin: 0;
+                    font-size: 0.85rem;
+                    color: #374151;
+                    white-space: pre-wrap;
+                }
+                .translation-source .translation-source-note {
+                    margin-top: 0.375rem;
+                    font-size: 0.8rem;
+                    color: #6b7280;
+                }
+                .translation-target {
+                    display: flex;
+                    flex-direction: column;
+                    gap: 0.375rem;
+                }
+                .translation-target .form-textarea { min-height: 0; }
+                .translation-stale .translation-input { border-color: #fcd34d; background: #fffbeb; }
+                .translation-footer {
+                    display: flex;
+                    justify-content: flex-end;
+                    align-items: center;
+                    gap: 0.75rem;
+                    padding-top: 0.75rem;
+                }
+                .translation-keep-terms {
+                    display: flex;
+                    align-items: center;
+                    gap: 0.5rem;
+                    margin-bottom: 0.75rem;
+                    font-size: 0.8rem;
+                    color: #4b5563;
+                }
+                .translation-keep-terms span { white-space: nowrap; }
+                .translation-keep-terms .form-input { flex: 1; }
+                .translate-review-row { cursor: pointer; }
+                .translate-review-row .step-original .comparison-text { text-decoration: none; color: #374151; }
+                .translate-review-row .comparison-text { display: block; white-space: pre-wrap; }
+                .translate-review-row .translate-review-note { margin-top: 0.25rem; font-size: 0.8rem; }
+                .translate-review-warning { margin: 0.375rem 0 0; font-size: 0.75rem; color: #b45309; }
+                .translation-remove {
+                    border: none;
+                    background: none;
+                    color: #dc2626;
+                    font-size: 0.8rem;
+                    cursor: pointer;
+                }
+                @media (max-width: 640px) {
+                    .translation-columns { display: none; }
+                    .translation-row { grid-template-columns: 1fr; gap: 0.375rem; }
+                }
                 
                 /* AI Panel */
                 .ai-steps-panel {
@@ -2286,6 +5523,16 @@
                     margin-bottom: 0 !important;
                 }
                 
+                .ai-quota-hint {
+                    font-size: 0.7rem;
+                    color: #b45309;
+                    margin: 0.375rem 0 0;
+                }
+                
+                .ai-quota-hint:empty {
+                    display: none;
+                }
+                
                 .ai-badge-pro {
                     background: #e0e7ff;
                     color: #4338ca;
@@ -2428,6 +5675,10 @@
                     box-sizing: border-box;
                 }
                 
+                .ai-notes-textarea {
+                    min-height: 240px;
+                }
+                
                 .ai-textarea:focus {
                     outline: none;
                     border-color: #6366f1;
@@ -2607,6 +5858,10 @@
                     margin-bottom: 0.75rem;
                 }
                 
+                .clarity-step.pending {
+                    opacity: 0.6;
+                }
+                
                 .clarity-step.changed {
                     border-color: #6366f1;
                     background: #f5f3ff;
@@ -2707,6 +5962,16 @@
                     min-height: 80px;
                 }
                 
+                /* AI suggestions streaming in: each new step fades up */
+                .steps-list.ai-streaming .step-item:last-child {
+                    animation: ai-step-in 0.25s ease-out;
+                }
+                
+                @keyframes ai-step-in {
+                    from { opacity: 0; transform: translateY(4px); }
+                    to { opacity: 1; transform: none; }
+                }
+                
                 .steps-empty {
                     text-align: center;
                     padding: 1.5rem;
@@ -2798,43 +6063,233 @@
                     padding: 0.25rem 0.625rem;
                     border: 1px dashed #d1d5db;
                     border-radius: 4px;
-                    background: transparent;
-                    color: #6b7280;
+                    background: transparent;
+                    color: #6b7280;
+                    font-size: 0.75rem;
+                    cursor: pointer;
+                    transition: all 0.15s ease;
+                }
+                .step-image-btn:hover { border-color: #6366f1; color: #6366f1; }
+                
+                .step-image-preview {
+                    position: relative;
+                    display: inline-block;
+                    margin-top: 0.5rem;
+                    max-width: 100%;
+                }
+                .step-image-preview img {
+                    max-width: 100%;
+                    max-height: 200px;
+                    border-radius: 6px;
+                    border: 1px solid #e5e7eb;
+                    display: block;
+                }
+                .step-image-remove {
+                    position: absolute;
+                    top: 4px;
+                    right: 4px;
+                    width: 24px;
+                    height: 24px;
+                    border: none;
+                    border-radius: 50%;
+                    background: rgba(0,0,0,0.6);
+                    color: #fff;
+                    font-size: 12px;
+                    cursor: pointer;
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    line-height: 1;
+                }
+                
+                /* Branching (decision steps + jumps) */
+                .step-flow {
+                    display: flex;
+                    align-items: center;
+                    flex-wrap: wrap;
+                    gap: 0.5rem;
+                    margin-top: 0.5rem;
+                }
+                .step-flow-btn {
+                    padding: 0.25rem 0.625rem;
+                    border: 1px dashed #d1d5db;
+                    border-radius: 4px;
+                    background: transparent;
+                    color: #6b7280;
+                    font-size: 0.75rem;
+                    cursor: pointer;
+                    transition: all 0.15s ease;
+                }
+                .step-flow-btn:hover { border-color: #6366f1; color: #6366f1; }
+                .step-goto {
+                    display: flex;
+                    align-items: center;
+                    gap: 0.375rem;
+                    font-size: 0.75rem;
+                    color: #6b7280;
+                }
+                .step-goto-select,
+                .step-input-type,
+                .step-link-select,
+                .step-branch-target {
+                    max-width: 220px;
+                    padding: 0.25rem 0.375rem;
+                    border: 1px solid #e5e7eb;
+                    border-radius: 4px;
+                    font-size: 0.75rem;
+                    background: #fff;
+                }
+                .step-link {
+                    padding: 0.375rem 0.625rem;
+                    background: #eef2ff;
+                    border: 1px solid #c7d2fe;
+                    border-radius: 6px;
+                }
+                .step-link .step-goto {
+                    color: #4338ca;
+                    font-weight: 500;
+                }
+                .step-branches {
+                    margin-top: 0.625rem;
+                    padding: 0.625rem 0.75rem;
+                    background: #eef2ff;
+                    border: 1px solid #c7d2fe;
+                    border-radius: 6px;
+                }
+                .step-branches-label {
+                    font-size: 0.75rem;
+                    font-weight: 600;
+                    color: #4338ca;
+                    margin-bottom: 0.5rem;
+                }
+                .step-branch-row {
+                    display: flex;
+                    align-items: center;
+                    gap: 0.375rem;
+                    margin-bottom: 0.375rem;
+                }
+                .step-branch-input {
+                    flex: 1;
+                    min-width: 0;
+                    padding: 0.3rem 0.5rem;
+                    border: 1px solid #d1d5db;
+                    border-radius: 4px;
+                    font-size: 0.8rem;
+                }
+                .step-branch-input:focus {
+                    outline: none;
+                    border-color: #6366f1;
+                }
+                .step-branch-remove {
+                    width: 24px;
+                    height: 24px;
+                    border: 1px solid #e5e7eb;
+                    border-radius: 4px;
+                    background: #fff;
+                    color: #6b7280;
+                    font-size: 0.7rem;
+                    cursor: pointer;
+                    flex-shrink: 0;
+                }
+                .step-branch-remove:hover { background: #fef2f2; border-color: #fecaca; }
+                .step-branch-actions {
+                    display: flex;
+                    gap: 0.5rem;
+                    margin-top: 0.5rem;
+                }
+                .preview-branches {
+                    margin: 0.375rem 0 0;
+                    padding-left: 1rem;
+                    list-style: none;
+                    font-size: 0.85rem;
+                    color: #4338ca;
+                }
+                
+                /* Typed steps (what the worker records) */
+                .step-input-settings {
+                    display: flex;
+                    align-items: center;
+                    flex-wrap: wrap;
+                    gap: 0.375rem;
+                    margin-top: 0.5rem;
+                    padding: 0.5rem 0.625rem;
+                    background: #f9fafb;
+                    border: 1px solid #e5e7eb;
+                    border-radius: 6px;
+                }
+                .step-input-setting {
+                    padding: 0.25rem 0.5rem;
+                    border: 1px solid #d1d5db;
+                    border-radius: 4px;
+                    font-size: 0.75rem;
+                    background: #fff;
+                }
+                .step-input-setting:focus {
+                    outline: none;
+                    border-color: #6366f1;
+                }
+                .step-photo-required { cursor: pointer; }
+                .step-estimate-input {
+                    width: 3.5rem;
+                    padding: 0.25rem 0.375rem;
+                    border: 1px solid #e5e7eb;
+                    border-radius: 4px;
                     font-size: 0.75rem;
-                    cursor: pointer;
-                    transition: all 0.15s ease;
                 }
-                .step-image-btn:hover { border-color: #6366f1; color: #6366f1; }
-                
-                .step-image-preview {
-                    position: relative;
-                    display: inline-block;
-                    margin-top: 0.5rem;
-                    max-width: 100%;
+                .steps-estimate:empty { display: none; }
+                .steps-clarity:empty { display: none; }
+                .clarity-good { color: #047857; }
+                .clarity-fair { color: #b45309; }
+                .clarity-poor { color: #b91c1c; }
+                .step-lint:empty { display: none; }
+                .step-lint {
+                    margin: 0.25rem 0 0.375rem;
+                    padding: 0.375rem 0.5rem;
+                    background: #fffbeb;
+                    border-left: 3px solid #f59e0b;
+                    border-radius: 4px;
+                    font-size: 0.75rem;
+                    color: #4b5563;
                 }
-                .step-image-preview img {
-                    max-width: 100%;
-                    max-height: 200px;
-                    border-radius: 6px;
-                    border: 1px solid #e5e7eb;
-                    display: block;
+                .step-lint-text {
+                    margin-bottom: 0.25rem;
+                    color: #374151;
+                    white-space: pre-wrap;
+                    word-break: break-word;
                 }
-                .step-image-remove {
-                    position: absolute;
-                    top: 4px;
-                    right: 4px;
-                    width: 24px;
-                    height: 24px;
-                    border: none;
-                    border-radius: 50%;
-                    background: rgba(0,0,0,0.6);
-                    color: #fff;
-                    font-size: 12px;
-                    cursor: pointer;
+                .lint-mark {
+                    background: none;
+                    color: inherit;
+                    text-decoration: underline wavy #f59e0b;
+                    text-underline-offset: 3px;
+                    cursor: help;
+                }
+                .lint-mark.lint-vague { text-decoration-color: #dc2626; }
+                .step-lint-issues {
+                    margin: 0;
+                    padding-left: 1rem;
+                }
+                .step-input-unit { width: 100px; }
+                .step-input-range { width: 80px; }
+                .step-input-options { flex: 1; min-width: 180px; }
+                .step-input-required {
                     display: flex;
                     align-items: center;
-                    justify-content: center;
-                    line-height: 1;
+                    gap: 0.25rem;
+                    margin-left: auto;
+                    font-size: 0.75rem;
+                    color: #374151;
+                    cursor: pointer;
+                }
+                
+                @media (max-width: 640px) {
+                    .step-sub-item { margin-left: 1rem; }
+                    .step-branch-row { flex-wrap: wrap; }
+                    .step-goto-select,
+                    .step-input-type,
+                    .step-link-select,
+                    .step-branch-target { max-width: 100%; flex: 1; }
+                    .step-input-required { margin-left: 0; }
                 }
                 
                 .history-empty {
@@ -2887,6 +6342,167 @@
                     margin-top: 1.5rem;
                     text-align: right;
                 }
+                .history-content { max-width: 900px; }
+                .history-sync-note {
+                    margin: 0 0 0.75rem;
+                    font-size: 0.8rem;
+                    color: #6b7280;
+                }
+                .history-audit {
+                    margin-top: 1rem;
+                    padding-top: 0.75rem;
+                    border-top: 1px solid #e5e7eb;
+                    font-size: 0.8rem;
+                }
+                .history-audit summary {
+                    cursor: pointer;
+                    font-weight: 600;
+                    color: #374151;
+                }
+                .history-audit-list {
+                    list-style: none;
+                    margin: 0.5rem 0 0;
+                    padding: 0;
+                    max-height: 240px;
+                    overflow-y: auto;
+                }
+                .history-audit-list li {
+                    padding: 0.375rem 0;
+                    border-bottom: 1px solid #f3f4f6;
+                    color: #4b5563;
+                }
+                .history-audit-when {
+                    color: #9ca3af;
+                    margin-left: 0.25rem;
+                }
+                .history-audit-fields {
+                    color: #6b7280;
+                    font-size: 0.75rem;
+                }
+                .import-choice {
+                    margin-bottom: 1rem;
+                }
+                .import-warnings {
+                    list-style: none;
+                    margin: 0 0 1rem;
+                    padding: 0.5rem 0.75rem;
+                    background: #fffbeb;
+                    border: 1px solid #fde68a;
+                    border-radius: 6px;
+                    font-size: 0.8rem;
+                    color: #92400e;
+                }
+                .import-actions {
+                    display: flex;
+                    justify-content: flex-end;
+                    gap: 0.5rem;
+                    margin-top: 1.5rem;
+                }
+                .merge-intro {
+                    margin: 0 0 0.5rem;
+                    font-weight: 600;
+                }
+                .merge-conflict {
+                    margin-bottom: 1rem;
+                    padding: 0.75rem;
+                    border: 1px solid #e5e7eb;
+                    border-radius: 8px;
+                }
+                .merge-conflict-label {
+                    margin-bottom: 0.5rem;
+                    font-size: 0.85rem;
+                    font-weight: 600;
+                }
+                .merge-option {
+                    display: grid;
+                    grid-template-columns: auto 1fr;
+                    gap: 0.25rem 0.5rem;
+                    align-items: center;
+                    padding: 0.5rem;
+                    border-radius: 6px;
+                    cursor: pointer;
+                }
+                .merge-option:has(input:checked) {
+                    background: #eef2ff;
+                }
+                .merge-side {
+                    font-size: 0.75rem;
+                    font-weight: 600;
+                    color: #6b7280;
+                    text-transform: uppercase;
+                }
+                .merge-value {
+                    grid-column: 2;
+                    font-size: 0.9rem;
+                    white-space: pre-wrap;
+                }
+                .merge-empty {
+                    color: #9ca3af;
+                }
+                .diff-summary {
+                    margin-top: 0.25rem;
+                    font-size: 0.8rem;
+                    font-weight: 600;
+                    color: #4338ca;
+                }
+                .diff-meta {
+                    margin-bottom: 0.75rem;
+                    padding: 0.625rem 0.75rem;
+                    background: #f9fafb;
+                    border-radius: 6px;
+                    font-size: 0.85rem;
+                }
+                .diff-meta del { color: #b91c1c; }
+                .diff-meta ins { color: #047857; text-decoration: none; }
+                .diff-table {
+                    border: 1px solid #e5e7eb;
+                    border-radius: 8px;
+                    overflow: hidden;
+                }
+                .diff-row {
+                    display: grid;
+                    grid-template-columns: 1fr 1fr;
+                    border-top: 1px solid #f3f4f6;
+                }
+                .diff-row:first-child { border-top: none; }
+                .diff-head {
+                    background: #f9fafb;
+                    font-size: 0.75rem;
+                    font-weight: 600;
+                    color: #6b7280;
+                    text-transform: uppercase;
+                    letter-spacing: 0.03em;
+                }
+                .diff-cell {
+                    padding: 0.5rem 0.75rem;
+                    font-size: 0.85rem;
+                    min-width: 0;
+                    overflow-wrap: anywhere;
+                }
+                .diff-cell + .diff-cell { border-left: 1px solid #f3f4f6; }
+                .diff-badge {
+                    display: inline-block;
+                    margin-bottom: 0.25rem;
+                    font-size: 0.7rem;
+                    font-weight: 600;
+                    text-transform: uppercase;
+                    letter-spacing: 0.03em;
+                }
+                .diff-step-note {
+                    font-size: 0.75rem;
+                    color: #6b7280;
+                    margin-top: 0.125rem;
+                }
+                .diff-section { font-weight: 700; color: #1f2937; }
+                .diff-restore { margin-top: 0.375rem; }
+                .diff-added .diff-cell:last-child { background: #f0fdf4; }
+                .diff-added .diff-badge { color: #047857; }
+                .diff-removed .diff-cell:first-child { background: #fef2f2; }
+                .diff-removed .diff-badge { color: #b91c1c; }
+                .diff-reworded .diff-cell, .diff-changed .diff-cell { background: #fffbeb; }
+                .diff-reworded .diff-badge, .diff-changed .diff-badge { color: #b45309; }
+                .diff-moved .diff-cell { background: #eef2ff; }
+                .diff-moved .diff-badge { color: #4338ca; }
                 
                 .step-actions {
                     display: flex;
@@ -2929,6 +6545,182 @@
                 
                 .btn-add-step:disabled { opacity: 0.5; cursor: not-allowed; }
                 
+                .add-step-actions {
+                    display: flex;
+                    gap: 0.5rem;
+                }
+                .add-step-actions .btn-add-step { flex: 1; }
+                .btn-add-section {
+                    padding: 0.75rem 1rem;
+                    background: #fff;
+                    border: 2px dashed #d1d5db;
+                    border-radius: 8px;
+                    color: #6b7280;
+                    font-size: 0.85rem;
+                    font-weight: 500;
+                    cursor: pointer;
+                    white-space: nowrap;
+                }
+                .btn-add-section:hover {
+                    border-color: #6366f1;
+                    color: #6366f1;
+                    background: #f5f3ff;
+                }
+                
+                /* Sections & sub-steps */
+                .step-section-item {
+                    align-items: center;
+                    background: #eef2ff;
+                    border-color: #c7d2fe;
+                    margin-top: 1.25rem;
+                }
+                .step-section-item:first-child { margin-top: 0; }
+                .step-section-item:hover { background: #e0e7ff; border-color: #a5b4fc; }
+                .step-section-item .step-content {
+                    display: flex;
+                    align-items: center;
+                    gap: 0.75rem;
+                }
+                .step-section-input {
+                    flex: 1;
+                    min-width: 0;
+                    padding: 0.5rem 0.75rem;
+                    border: 1px solid #c7d2fe;
+                    border-radius: 6px;
+                    font-size: 0.95rem;
+                    font-weight: 600;
+                    color: #312e81;
+                    background: #fff;
+                    box-sizing: border-box;
+                }
+                .step-section-input:focus {
+                    outline: none;
+                    border-color: #6366f1;
+                    box-shadow: 0 0 0 3px rgba(99, 102, 241, 0.1);
+                }
+                .step-section-count {
+                    font-size: 0.75rem;
+                    color: #6366f1;
+                    white-space: nowrap;
+                }
+                .step-section-item .step-actions { flex-direction: row; }
+                .step-sub-item {
+                    margin-left: 2.25rem;
+                    background: #fff;
+                    border-left: 3px solid #c7d2fe;
+                }
+                .step-sub-item .step-number {
+                    min-width: 32px;
+                    border-radius: 13px;
+                    background: #a5b4fc;
+                }
+                
+                .preview-section {
+                    margin: 1.25rem 0 0.5rem;
+                    padding-bottom: 0.25rem;
+                    font-size: 0.95rem;
+                    color: #4338ca;
+                    border-bottom: 1px solid #e0e7ff;
+                }
+                .preview-substeps {
+                    list-style: none;
+                    margin: 0.5rem 0 0;
+                    padding-left: 0.5rem;
+                }
+                .preview-substeps li { margin-bottom: 0.5rem; }
+                .preview-substep-num {
+                    font-size: 0.8rem;
+                    font-weight: 600;
+                    color: #6366f1;
+                    margin-right: 0.25rem;
+                }
+                
+                /* Step blocks */
+                .step-block-item {
+                    background: #fffbeb;
+                    border-color: #fde68a;
+                }
+                .step-block-item:hover { border-color: #fcd34d; }
+                .step-block-header {
+                    display: flex;
+                    flex-wrap: wrap;
+                    align-items: baseline;
+                    gap: 0.25rem 0.75rem;
+                    margin-bottom: 0.5rem;
+                }
+                .step-block-name {
+                    font-size: 0.95rem;
+                    font-weight: 600;
+                    color: #92400e;
+                }
+                .step-block-meta {
+                    font-size: 0.75rem;
+                    color: #b45309;
+                }
+                .step-block-steps {
+                    list-style: none;
+                    margin: 0 0 0.5rem;
+                    padding: 0;
+                    font-size: 0.875rem;
+                    color: #374151;
+                }
+                .step-block-steps li {
+                    display: flex;
+                    gap: 0.5rem;
+                    margin-bottom: 0.25rem;
+                }
+                .step-block-steps li.step-block-sub { margin-left: 1.5rem; }
+                .step-block-num {
+                    min-width: 1.75rem;
+                    font-weight: 600;
+                    color: #b45309;
+                }
+                .step-block-note { color: #6b7280; }
+                .preview-block-tag {
+                    display: inline-block;
+                    margin-bottom: 0.25rem;
+                    padding: 0.125rem 0.5rem;
+                    border-radius: 999px;
+                    background: #fef3c7;
+                    color: #92400e;
+                    font-size: 0.75rem;
+                    font-weight: 600;
+                }
+                .block-form-label {
+                    display: block;
+                    margin-bottom: 0.5rem;
+                    font-weight: 500;
+                }
+                .block-form-row {
+                    display: flex;
+                    align-items: center;
+                    gap: 0.5rem;
+                    margin-bottom: 0.5rem;
+                }
+                .block-form-fields {
+                    flex: 1;
+                    display: flex;
+                    flex-direction: column;
+                    gap: 0.25rem;
+                    min-width: 0;
+                }
+                .block-form-fields .block-step-note { font-size: 0.8rem; }
+                .block-usages {
+                    margin-top: 1rem;
+                    padding: 0.625rem 0.75rem;
+                    background: #f9fafb;
+                    border-radius: 6px;
+                    font-size: 0.85rem;
+                }
+                .block-usages-title {
+                    margin: 0 0 0.25rem;
+                    font-weight: 600;
+                }
+                .block-usages ul {
+                    margin: 0;
+                    padding-left: 1.25rem;
+                }
+                
                 /* Actions */
                 .form-actions {
                     display: flex;
@@ -3185,6 +6977,7 @@
     global.SOPCreate = SOPCreate;
     global.createSOPEditor = createSOPEditor;
     global.SOP_STORAGE_KEYS = SOP_STORAGE_KEYS;
+    global.sanitizeImageFile = sanitizeImageFile;
 
     console.log('✅ SOPCreate module loaded');
 
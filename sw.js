@@ -18,6 +18,25 @@ const APP_SHELL = [
     '/modules/landing.js',
     '/lib/storage-adapter.js',
     '/lib/supabase-client.js',
+    '/lib/step-numbers.js',
+    '/lib/audit-log.js',
+    '/lib/sop-workflow.js',
+    '/lib/sop-import.js',
+    '/lib/sop-export.js',
+    '/lib/sop-merge.js',
+    '/lib/step-blocks.js',
+    '/lib/sop-links.js',
+    '/lib/sop-variables.js',
+    '/lib/sop-translations.js',
+    '/lib/step-durations.js',
+    '/lib/step-clarity.js',
+    '/lib/edit-history.js',
+    '/lib/sop-history.js',
+    '/lib/sop-find-replace.js',
+    '/lib/workspace-backup.js',
+    '/lib/command-palette.js',
+    '/lib/ai-quota.js',
+    '/lib/library-organizer.js',
     '/lib/module-integration.js',
     '/lib/paddle-billing.js',
     '/favicon-192.png',
@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/browser-lib.js';
+
+const { EditHistory } = loadScripts(['lib/edit-history.js']);
+
+function stateAt(n) {
+    return { title: `Title ${n}`, description: '', folderId: 'general', steps: [{ id: 'step_1', text: `Step ${n}` }], tags: [], status: 'draft' };
+}
+
+function historyOf(records, undos) {
+    const history = EditHistory.create(stateAt(0));
+    for (let n = 1; n <= records; n++) EditHistory.record(history, stateAt(n));
+    for (let n = 0; n < undos; n++) EditHistory.undo(history);
+    return history;
+}
+
+test('pack() stores at most 30 states, however long the redo stack', () => {
+    [[90, 0], [90, 10], [90, 28], [90, 29], [90, 40], [120, 90]].forEach(([records, undos]) => {
+        const packed = EditHistory.pack(historyOf(records, undos));
+        const states = packed.past.length + 1 + packed.future.length;
+        assert.ok(states <= 30, `${records} records, ${undos} undos: packed ${states} states`);
+    });
+});
+
+test('pack() keeps the states next to the present', () => {
+    const history = historyOf(90, 40);
+    const packed = EditHistory.pack(history);
+    assert.equal(packed.past.length, 0);
+    assert.equal(packed.present.title, history.present.title);
+    assert.equal(packed.future.at(-1).title, history.future.at(-1).title);
+
+    const unpacked = EditHistory.unpack(EditHistory.pack(historyOf(90, 5)), stateAt(85));
+    assert.equal(unpacked.past.at(-1).title, 'Title 84');
+    assert.equal(unpacked.future.length, 5);
+});
@@ -0,0 +1,40 @@
+/**
+ * Load browser scripts (lib/*.js, modules/*.js) into a sandbox for tests.
+ * They attach their globals to `window`, which here is the sandbox itself;
+ * localStorage is an in-memory stand-in.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import vm from 'node:vm';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../..');
+
+export function memoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        get length() { return items.size; },
+        key: (i) => [...items.keys()][i] ?? null,
+        getItem: (key) => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, String(value)); },
+        removeItem: (key) => { items.delete(key); },
+        clear: () => items.clear()
+    };
+}
+
+/**
+ * @param {string[]} files - paths from the repo root
+ * @param {Object} [globals] - extra globals (e.g. FOLDER_COLORS)
+ * @returns {Object} the sandbox's window
+ */
+export function loadScripts(files, globals = {}) {
+    const quiet = { log() {}, info() {}, warn() {}, error() {} };
+    const sandbox = { console: quiet, localStorage: memoryStorage(), ...globals };
+    sandbox.window = sandbox;
+    vm.createContext(sandbox);
+    files.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), sandbox, { filename: file });
+    });
+    return sandbox;
+}
@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/browser-lib.js';
+
+const { SOPFindReplace } = loadScripts(['lib/step-numbers.js', 'lib/sop-find-replace.js']);
+
+const sop = {
+    id: 'sop_1',
+    title: 'Close store',
+    steps: [
+        { id: 'step_1', text: 'Count the till' },
+        { id: 'step_2', text: 'Count the safe', level: 1 },
+        { id: 'ref_1', type: 'block', blockId: 'block_1', steps: [{ id: 'a', text: 'Count gloves' }, { id: 'b', text: 'Bin them' }] },
+        { id: 'section_1', type: 'section', text: 'Count down' },
+        { id: 'step_3', text: 'Lock up', note: 'Count the keys' }
+    ]
+};
+
+test('matches are labelled with the step numbers the editor shows', () => {
+    const { matches } = SOPFindReplace.findMatches([sop], 'Count', 'Tally');
+    assert.deepEqual(
+        Array.from(matches, m => [m.stepId, m.field, m.stepNumber]),
+        [
+            ['step_1', 'text', '1'],
+            ['step_2', 'text', '1.1'],
+            ['section_1', 'text', null],
+            ['step_3', 'note', '4']
+        ]
+    );
+    assert.equal(SOPFindReplace.fieldLabel(matches[1]), SOPFindReplace.fieldLabel({ field: 'text', stepNumber: '1.1' }));
+});
+
+test('previousTitles() keeps earlier titles newest first, without the new one or repeats', () => {
+    const renamed = { title: 'Close store', previousTitles: ['Close shop', 'Closing'] };
+    assert.deepEqual([...SOPFindReplace.previousTitles(renamed, 'Closing')], ['Close store', 'Close shop']);
+    assert.deepEqual([...SOPFindReplace.previousTitles(renamed, 'Close store')], ['Close shop', 'Closing']);
+    assert.equal(SOPFindReplace.previousTitles({ title: 'A', previousTitles: ['B', 'C', 'D', 'E', 'F'] }, 'Z').length, 5);
+});
@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/browser-lib.js';
+
+const { SOPLinks } = loadScripts(['lib/sop-links.js']);
+
+// A team member's copies carry cloud ids, not the ids the links were made with
+const memberSops = [
+    { id: 'uuid-parent', title: 'Open store', steps: [
+        { id: 'step_1', text: 'Unlock' },
+        { id: 'step_2', type: 'sop', linkedSopId: 'sop_local_2', linkedSopTitle: 'Fryer check', text: '' },
+        { id: 'step_3', type: 'sop', linkedSopId: 'sop_local_9', linkedSopTitle: 'Gone', text: '' },
+        { id: 'step_4', type: 'sop', linkedSopId: 'sop_local_8', text: '' }
+    ] },
+    { id: 'uuid-fryer', title: 'Fryer check', steps: [{ id: 'step_1', text: 'Check oil' }] }
+];
+
+test('resolve() falls back to the title when the id is from another device', () => {
+    const [parent, fryer] = memberSops;
+    assert.equal(SOPLinks.resolve(parent.steps[1], memberSops), fryer);
+    assert.equal(SOPLinks.resolve(parent.steps[2], memberSops), null);
+    assert.equal(SOPLinks.resolve({ type: 'sop', linkedSopTitle: 'Old name' }, [{ ...fryer, previousTitles: ['Old name'] }]).id, 'uuid-fryer');
+    assert.deepEqual([...SOPLinks.linkedIds(parent, memberSops)], ['uuid-fryer']);
+    assert.deepEqual(SOPLinks.findUsages('uuid-fryer', memberSops).map(sop => sop.id), ['uuid-parent']);
+});
+
+test('flattenLinks() keeps unresolved links as visible steps', () => {
+    const steps = SOPLinks.flattenLinks(memberSops[0], memberSops).steps;
+    assert.deepEqual(steps.slice(1).map(step => step.text), ['Run the "Fryer check" SOP', 'Run the "Gone" SOP', 'Run the linked SOP']);
+    steps.forEach(step => assert.equal(step.type, undefined));
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadScripts } from './helpers/browser-lib.js';
+
+const FOLDER_COLORS = ['#6366f1', '#22c55e'];
+const FOLDER_ICONS = ['📁', '👋'];
+const UNSAFE = /[<>"'`]/;
+
+function load() {
+    return loadScripts(['lib/workspace-backup.js'], { FOLDER_COLORS, FOLDER_ICONS });
+}
+
+const XSS = '"><img src=x onerror=alert(1)>';
+
+function maliciousArchive() {
+    return {
+        format: 'withoutme.backup',
+        version: 1,
+        data: {
+            sops: [{
+                id: 'sop_1',
+                title: 'Fryer',
+                folderId: XSS,
+                steps: [
+                    { id: XSS, text: 'Check oil', goto: 'step_2' },
+                    { id: 'step_2', type: 'decision', text: 'Hot?', branches: [
+                        { id: XSS, label: 'Yes', goto: XSS },
+                        { id: 'b_no', label: 'No', goto: 'end' }
+                    ] },
+                    { id: 'step_3', text: 'Jump', goto: 'nowhere' },
+                    { id: 'step_2', text: 'Duplicate id', image: 'javascript:alert(1)' },
+                    { id: 'ref_1', type: 'block', blockId: XSS, steps: [] },
+                    { id: 'ref_2', type: 'block', blockId: 'block_1', steps: [{ id: XSS, text: 'Gloves' }] },
+                    { id: 'link_1', type: 'sop', linkedSopId: XSS }
+                ]
+            }],
+            folders: [
+                { id: 'f_1', name: 'Kitchen', icon: '<script>alert(1)</script>', color: 'red;background:url(javascript:alert(1))' },
+                { id: 'f_2', name: 'Hiring', icon: '👋', color: '#22c55e' }
+            ],
+            stepBlocks: [{ id: 'block_1', name: 'PPE', steps: [{ id: XSS, text: 'Gloves' }] }],
+            history: { sop_1: [{ savedAt: 1, snapshot: { title: 'Fryer', steps: [{ id: XSS, text: 'Old' }] } }] },
+            draft: { title: 'Draft', folderId: XSS, steps: [{ id: XSS, text: 'Draft step' }], undoHistory: { past: [{ steps: [{ id: XSS }] }] } }
+        }
+    };
+}
+
+function ids(steps) {
+    return steps.flatMap(step => [
+        step.id,
+        step.goto,
+        step.blockId,
+        step.linkedSopId,
+        ...(step.branches || []).flatMap(b => [b.id, b.goto]),
+        ...(step.type === 'block' ? ids(step.steps || []) : [])
+    ]).filter(value => typeof value === 'string');
+}
+
+test('validate() leaves no markup-breaking ids, icons or colors in a crafted backup', () => {
+    const { data, warnings } = load().WorkspaceBackup.validate(maliciousArchive());
+    const [sop] = data.sops;
+
+    assert.equal(sop.folderId, 'general');
+    ids(sop.steps).forEach(id => assert.doesNotMatch(id, UNSAFE));
+    ids(data.stepBlocks[0].steps).forEach(id => assert.doesNotMatch(id, UNSAFE));
+    ids(data.history.sop_1[0].snapshot.steps).forEach(id => assert.doesNotMatch(id, UNSAFE));
+    ids(data.draft.steps).forEach(id => assert.doesNotMatch(id, UNSAFE));
+    assert.equal(data.draft.folderId, 'general');
+    assert.equal(data.draft.undoHistory, undefined);
+
+    assert.deepEqual(data.folders.map(f => [f.icon, f.color]), [['📁', '#6366f1'], ['👋', '#22c55e']]);
+    assert.ok(warnings.length > 0);
+});
+
+test('validate() remaps jumps to renamed steps and drops broken references', () => {
+    const { data } = load().WorkspaceBackup.validate(maliciousArchive());
+    const steps = data.sops[0].steps;
+    const [first, decision, jump, duplicate] = steps;
+
+    assert.notEqual(first.id, XSS);
+    assert.equal(first.goto, 'step_2');
+    assert.equal(decision.branches[0].goto, first.id, 'a jump follows the step it pointed at to its new id');
+    assert.equal(decision.branches[1].goto, 'end');
+    assert.equal(jump.goto, undefined);
+    assert.notEqual(duplicate.id, 'step_2');
+    assert.equal(duplicate.image, null);
+    assert.equal(new Set(steps.map(s => s.id)).size, steps.length);
+
+    assert.equal(steps.filter(s => s.type === 'block').length, 1, 'a reference without a usable block id is left out');
+    assert.equal(steps.find(s => s.type === 'sop').linkedSopId, null);
+});
+
+test('restore() of a crafted backup stores nothing that could break markup', () => {
+    const { WorkspaceBackup, localStorage } = load();
+    WorkspaceBackup.restore(WorkspaceBackup.validate(maliciousArchive()), 'replace');
+
+    ['sop_tool_sops', 'sop_tool_folders', 'sop_tool_step_blocks', 'withoutme_sop_history_sop_1', 'sop_tool_drafts'].forEach(key => {
+        assert.ok(!localStorage.getItem(key).includes('<'), `${key} holds markup`);
+    });
+});